@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+
+// Авторизация запросов к API: initData из Telegram Mini App или API-ключ для скриптов
+//
+// Заголовки:
+//   Authorization: tma <initData>       - Mini App (также X-Telegram-Init-Data)
+//   Authorization: Bearer <api key>     - скрипты (также X-API-Key)
+
+const DEFAULT_MAX_AGE = 24 * 60 * 60;
+
+const safeEqual = (a, b) => {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Проверка подписи initData по алгоритму Telegram:
+// secret = HMAC_SHA256("WebAppData", bot_token), hash = HMAC_SHA256(secret, data_check_string)
+const validateInitData = (initData, botToken, maxAge = DEFAULT_MAX_AGE) => {
+    if (!initData || !botToken) return null;
+
+    const params = new URLSearchParams(initData);
+    const hash = params.get('hash');
+    if (!hash) return null;
+
+    params.delete('hash');
+    const dataCheckString = [...params.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, value]) => `${key}=${value}`)
+        .join('\n');
+
+    const secret = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+    const expected = crypto.createHmac('sha256', secret).update(dataCheckString).digest('hex');
+    if (!safeEqual(expected, hash)) return null;
+
+    const authDate = parseInt(params.get('auth_date'));
+    if (!authDate || Date.now() / 1000 - authDate > maxAge) return null;
+
+    let user = null;
+    try {
+        user = JSON.parse(params.get('user') || 'null');
+    } catch (error) {
+        return null;
+    }
+    if (!user || !user.id) return null;
+
+    return { user, authDate };
+};
+
+// API_KEYS="ci:secret1,crm:secret2" или просто "secret1,secret2"
+const parseApiKeys = (value) => String(value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map((entry, index) => {
+        const separator = entry.indexOf(':');
+        return separator > 0
+            ? { name: entry.substring(0, separator), key: entry.substring(separator + 1) }
+            : { name: `key${index + 1}`, key: entry };
+    });
+
+const readCredentials = (req) => {
+    const header = req.get('Authorization') || '';
+    const [scheme, ...rest] = header.split(' ');
+    const value = rest.join(' ').trim();
+
+    if (/^tma$/i.test(scheme) && value) return { initData: value };
+    if (/^bearer$/i.test(scheme) && value) return { apiKey: value };
+    if (req.get('X-Telegram-Init-Data')) return { initData: req.get('X-Telegram-Init-Data') };
+    if (req.get('X-API-Key')) return { apiKey: req.get('X-API-Key') };
+    return {};
+};
+
+// Express middleware: заполняет req.auth = { type: 'telegram', user } | { type: 'api_key', name }.
+// Публичные пути доступны без авторизации, но переданные учетные данные на них тоже проверяются
+const createAuthMiddleware = ({ botToken, apiKeys = [], maxAge = DEFAULT_MAX_AGE, publicPaths = [], disabled = false }) => {
+    return (req, res, next) => {
+        const isPublic = publicPaths.includes(req.path);
+
+        if (disabled) {
+            req.auth = { type: 'development', user: null };
+            return next();
+        }
+
+        const { initData, apiKey } = readCredentials(req);
+
+        if (initData) {
+            const result = validateInitData(initData, botToken, maxAge);
+            if (result) {
+                req.auth = { type: 'telegram', user: result.user };
+                return next();
+            }
+        }
+
+        if (apiKey) {
+            const match = apiKeys.find(entry => safeEqual(entry.key, apiKey));
+            if (match) {
+                req.auth = { type: 'api_key', name: match.name, user: null };
+                return next();
+            }
+        }
+
+        if (isPublic) return next();
+
+        console.warn(`Unauthorized API request: ${req.method} ${req.originalUrl}`);
+        res.status(401).json({ success: false, error: 'Unauthorized' });
+    };
+};
+
+module.exports = { validateInitData, parseApiKeys, createAuthMiddleware };
@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { LATEST_VERSION, runMigrations } = require('./migrations');
+
+// Резервные копии базы: снимки через backup API SQLite по расписанию, /backup и GET /api/admin/backup.
+// Снимки лежат в BACKUP_DIR, после каждого нового старые удаляются - остаются последние keep.
+// Файл для восстановления проверяется заранее: это база SQLite с контактами, не новее сервера,
+// и после миграций в ней есть все таблицы, колонки, индексы и триггеры текущей схемы
+
+const DEFAULT_BACKUP_DIR = path.join(__dirname, 'data', 'backups');
+const DEFAULT_INTERVAL_HOURS = 24;
+const DEFAULT_KEEP = 7;
+
+const HOUR = 60 * 60 * 1000;
+// Расписание считается от времени последнего снимка, а не от запуска, поэтому не сбивается
+// частыми перезапусками сервера; проверка - раз в CHECK_INTERVAL
+const CHECK_INTERVAL = 10 * 60 * 1000;
+
+// database-20261019-101500-scheduled.db, время в UTC; причина: scheduled, manual, before-restore
+const BACKUP_FILE_PATTERN = /^database-\d{8}-\d{6}-[a-z-]+\.db$/;
+const SQLITE_HEADER = Buffer.from('SQLite format 3\0', 'latin1');
+
+const backupFileName = (date, reason) => (
+    `database-${date.toISOString().replace(/[-:]/g, '').replace('T', '-').substring(0, 15)}-${reason}.db`
+);
+
+// Число из переменной окружения; пустое или некорректное значение - значение по умолчанию
+const readNumber = (value, fallback) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+// Снимки в каталоге, новые первыми
+const listBackups = async (dir) => {
+    let names;
+    try {
+        names = await fs.promises.readdir(dir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const backups = [];
+    for (const name of names.filter(name => BACKUP_FILE_PATTERN.test(name)).sort().reverse()) {
+        const file = path.join(dir, name);
+        const stat = await fs.promises.stat(file);
+        backups.push({ name, file, size: stat.size, created_at: stat.mtime });
+    }
+    return backups;
+};
+
+const openConnection = (file, mode = sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE) => {
+    return new Promise((resolve, reject) => {
+        const connection = new sqlite3.Database(file, mode, (err) => {
+            if (err) reject(err);
+            else resolve(connection);
+        });
+    });
+};
+
+const closeConnection = (connection) => new Promise(resolve => connection.close(() => resolve()));
+
+// Запросы к отдельному соединению в том виде, в котором их принимает runMigrations
+const connectionQueries = (connection) => ({
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+        connection.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve(this.changes);
+        });
+    }),
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+        connection.get(sql, params, (err, row) => {
+            if (err) reject(err);
+            else resolve(row);
+        });
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+        connection.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+        });
+    })
+});
+
+// Объекты схемы: имя -> колонки (у индексов и триггеров - пустой список)
+const readSchema = async (sql) => {
+    const objects = await sql.all(`SELECT type, name FROM sqlite_master
+        WHERE type IN ('table', 'index', 'trigger') AND name NOT LIKE 'sqlite\\_%' ESCAPE '\\'`);
+
+    const schema = new Map();
+    for (const object of objects) {
+        const columns = object.type === 'table' ? await sql.all(`SELECT name FROM pragma_table_info(?)`, [object.name]) : [];
+        schema.set(object.name, columns.map(column => column.name));
+    }
+    return schema;
+};
+
+// Схема новой базы после всех миграций - образец для проверки файлов; строится один раз
+let expectedSchema = null;
+
+const getExpectedSchema = () => {
+    if (!expectedSchema) {
+        expectedSchema = (async () => {
+            const connection = await openConnection(':memory:');
+            try {
+                const sql = connectionQueries(connection);
+                await runMigrations(sql);
+                return await readSchema(sql);
+            } finally {
+                await closeConnection(connection);
+            }
+        })();
+        expectedSchema.catch(() => {
+            expectedSchema = null;
+        });
+    }
+    return expectedSchema;
+};
+
+const readHeader = async (file) => {
+    const handle = await fs.promises.open(file, 'r');
+    try {
+        const header = Buffer.alloc(SQLITE_HEADER.length);
+        await handle.read(header, 0, header.length, 0);
+        return header;
+    } finally {
+        await handle.close();
+    }
+};
+
+// Проверка файла перед восстановлением. Файл доводится миграциями до текущей схемы на месте,
+// поэтому передается копия. Результат - { info: { version, contacts, workspaces } }
+// или { error, details }; error: not_sqlite, corrupt, not_contacts, newer_version, migration_failed, schema_mismatch
+const checkRestoreFile = async (file) => {
+    if (!(await readHeader(file)).equals(SQLITE_HEADER)) return { error: 'not_sqlite' };
+
+    let connection;
+    try {
+        connection = await openConnection(file, sqlite3.OPEN_READWRITE);
+    } catch (error) {
+        return { error: 'corrupt', details: error.message };
+    }
+
+    const sql = connectionQueries(connection);
+    try {
+        const check = await sql.get('PRAGMA quick_check');
+        if (!check || check.quick_check !== 'ok') {
+            return { error: 'corrupt', details: check && check.quick_check };
+        }
+
+        // Без таблицы контактов миграции создали бы пустую базу, которая прошла бы проверку
+        const tables = await readSchema(sql);
+        if (!(tables.get('contacts') || []).includes('normalized_phone')) return { error: 'not_contacts' };
+
+        const { version } = tables.has('schema_migrations')
+            ? await sql.get(`SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations`)
+            : { version: 0 };
+        if (version > LATEST_VERSION) return { error: 'newer_version', details: String(version) };
+
+        try {
+            await runMigrations(sql);
+        } catch (error) {
+            return { error: 'migration_failed', details: error.message };
+        }
+
+        const schema = await readSchema(sql);
+        const missing = [];
+        for (const [name, columns] of await getExpectedSchema()) {
+            if (!schema.has(name)) {
+                missing.push(name);
+                continue;
+            }
+            missing.push(...columns.filter(column => !schema.get(name).includes(column)).map(column => `${name}.${column}`));
+        }
+        if (missing.length > 0) return { error: 'schema_mismatch', details: missing.join(', ') };
+
+        const { contacts } = await sql.get(`SELECT COUNT(*) AS contacts FROM contacts WHERE deleted_at IS NULL`);
+        const { workspaces } = await sql.get(`SELECT COUNT(*) AS workspaces FROM workspaces`);
+        return { info: { version, contacts, workspaces } };
+    } catch (error) {
+        return { error: 'corrupt', details: error.message };
+    } finally {
+        await closeConnection(connection);
+    }
+};
+
+// Снимки базы. backup(filename) - копирование открытой базы в файл (backupDatabase из database.js).
+// intervalHours: 0 - без снимков по расписанию; keep - сколько последних снимков хранить
+const createBackupManager = (backup, { dir, intervalHours, keep } = {}) => {
+    const backupDir = dir || DEFAULT_BACKUP_DIR;
+    const interval = readNumber(intervalHours, DEFAULT_INTERVAL_HOURS) * HOUR;
+    const keepCount = Math.max(Math.floor(readNumber(keep, DEFAULT_KEEP)), 1);
+    let timer = null;
+    // Снимки делаются по одному, следующий ждет окончания предыдущего
+    let queue = Promise.resolve();
+
+    const rotate = async () => {
+        for (const old of (await listBackups(backupDir)).slice(keepCount)) {
+            await fs.promises.unlink(old.file);
+            console.log(`Old database backup removed: ${old.name}`);
+        }
+    };
+
+    // Новый снимок; файл появляется в каталоге под своим именем только целиком
+    const create = (reason) => {
+        const run = queue.then(async () => {
+            await fs.promises.mkdir(backupDir, { recursive: true });
+            const name = backupFileName(new Date(), reason);
+            const file = path.join(backupDir, name);
+            const partial = `${file}.part`;
+
+            try {
+                await backup(partial);
+                await fs.promises.rename(partial, file);
+            } catch (error) {
+                await fs.promises.rm(partial, { force: true });
+                throw error;
+            }
+
+            const { size, mtime } = await fs.promises.stat(file);
+            console.log(`💾 Database backup created: ${name} (${size} bytes)`);
+            await rotate();
+            return { name, file, size, created_at: mtime };
+        });
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    const checkSchedule = async () => {
+        try {
+            const [latest] = await listBackups(backupDir);
+            if (latest && Date.now() - latest.created_at.getTime() < interval) return;
+            await create('scheduled');
+        } catch (error) {
+            console.error('Error creating scheduled database backup:', error);
+        }
+    };
+
+    return {
+        start: () => {
+            if (timer || !interval) return;
+            timer = setInterval(checkSchedule, Math.min(CHECK_INTERVAL, interval));
+            timer.unref();
+            checkSchedule();
+            console.log(`💾 Database backups every ${interval / HOUR} h, keeping ${keepCount} in ${backupDir}`);
+        },
+        // Остановка расписания; промис завершается, когда допишется уже начатый снимок
+        stop: () => {
+            clearInterval(timer);
+            timer = null;
+            return queue;
+        },
+        create,
+        list: () => listBackups(backupDir)
+    };
+};
+
+module.exports = {
+    BACKUP_FILE_PATTERN,
+    checkRestoreFile,
+    createBackupManager
+};
@@ -0,0 +1,168 @@
+const { parseCsv, formatCsv, unescapeFormula } = require('./csv');
+const { parseVCards, formatVCards } = require('./vcard');
+
+// Выгрузка адресной книги в CSV / vCard / JSON и чтение файлов для импорта
+
+const EXPORT_FORMATS = {
+    csv: { mimeType: 'text/csv', extension: 'csv' },
+    vcf: { mimeType: 'text/vcard', extension: 'vcf' },
+    json: { mimeType: 'application/json', extension: 'json' }
+};
+
+const IMPORT_FORMATS = ['csv', 'vcf'];
+
+// Поля, в которые можно сопоставить колонки CSV; несколько колонок могут вести в phone и email
+const IMPORT_FIELDS = ['phone', 'name', 'first_name', 'last_name', 'company', 'context', 'email'];
+
+// Угадывание поля по заголовку колонки; порядок важен: «Organization Name» - компания, а не имя
+const COLUMN_PATTERNS = [
+    ['company', /company|organi[sz]ation|^org$|компания|организация|фирма/],
+    ['last_name', /last.?name|family|surname|фамилия/],
+    ['first_name', /first.?name|given|^имя$/],
+    ['email', /e-?mail|почта/],
+    ['phone', /phone|tel|mobile|телефон|номер|моб/],
+    ['context', /note|comment|context|description|заметк|комментар|примечан|контекст/],
+    ['name', /name|имя|фио|контакт/]
+];
+
+const PHONE_TYPE_PATTERNS = [
+    ['mobile', /mobile|cell|моб/],
+    ['work', /work|office|рабоч/],
+    ['home', /home|домаш/],
+    ['fax', /fax|факс/]
+];
+
+const MULTIPLE_FIELDS = ['phone', 'email'];
+
+const guessMapping = (columns) => {
+    const mapping = {};
+    for (const column of columns) {
+        const header = column.trim().toLowerCase();
+        const match = COLUMN_PATTERNS.find(([, pattern]) => pattern.test(header));
+        if (!match) continue;
+
+        const [field] = match;
+        // Остальные поля берутся из первой подходящей колонки
+        if (MULTIPLE_FIELDS.includes(field) || !Object.values(mapping).includes(field)) {
+            mapping[column] = field;
+        }
+    }
+    return mapping;
+};
+
+const phoneTypeFromColumn = (column) => {
+    const header = column.toLowerCase();
+    const match = PHONE_TYPE_PATTERNS.find(([, pattern]) => pattern.test(header));
+    return match ? match[0] : 'other';
+};
+
+const detectImportFormat = (fileName, content) => {
+    if (/\.vcf$/i.test(fileName || '') || /^\s*BEGIN:VCARD/im.test(content)) return 'vcf';
+    return 'csv';
+};
+
+// Строки CSV в записи { row, name, company, context, phones: [{ value, type }], emails }.
+// mapping - { "Заголовок колонки": "поле" }, без него поля угадываются по заголовкам
+const readCsvRecords = (content, mapping = null) => {
+    const [header = [], ...rows] = parseCsv(content);
+    const columns = header.map(column => column.trim());
+    const used = mapping || guessMapping(columns);
+
+    const records = rows.map((values, index) => {
+        const record = { row: index + 2, name: null, company: null, context: null, phones: [], emails: [] };
+        const nameParts = { first_name: '', last_name: '' };
+
+        columns.forEach((column, position) => {
+            const field = used[column];
+            const value = unescapeFormula((values[position] || '').trim());
+            if (!field || !value) return;
+
+            if (field === 'phone') {
+                const type = phoneTypeFromColumn(column);
+                value.split(/[;,\n]/).map(phone => phone.trim()).filter(Boolean)
+                    .forEach(phone => record.phones.push({ value: phone, type }));
+            } else if (field === 'email') {
+                record.emails.push(...value.split(/[;,\s]+/).filter(Boolean));
+            } else if (field in nameParts) {
+                nameParts[field] = value;
+            } else {
+                record[field] = value;
+            }
+        });
+
+        if (!record.name) {
+            record.name = [nameParts.first_name, nameParts.last_name].filter(Boolean).join(' ') || null;
+        }
+        return record;
+    });
+
+    return { columns, mapping: used, records };
+};
+
+const readVCardRecords = (content) => ({
+    columns: null,
+    mapping: null,
+    records: parseVCards(content).map((card, index) => ({
+        row: index + 1,
+        name: card.name,
+        company: card.company,
+        context: card.note,
+        phones: card.phones,
+        emails: card.emails
+    }))
+});
+
+const readImportFile = (content, format, mapping = null) => (
+    format === 'vcf' ? readVCardRecords(content) : readCsvRecords(content, mapping)
+);
+
+const CSV_COLUMNS = ['id', 'phone', 'phones', 'name', 'company', 'context', 'emails', 'messengers', 'created_at', 'updated_at'];
+
+// Контакт с phones, emails и messengers (getContactDetails) в виде JSON для выгрузки и вебхуков
+const serializeContact = (contact) => ({
+    id: contact.id,
+    name: contact.name,
+    company: contact.company,
+    context: contact.context,
+    phones: contact.phones.map(phone => ({ phone: phone.normalized_phone, type: phone.type })),
+    emails: contact.emails.map(email => email.email),
+    messengers: contact.messengers.map(messenger => ({ kind: messenger.kind, value: messenger.value })),
+    created_at: contact.created_at,
+    updated_at: contact.updated_at
+});
+
+// contacts - контакты с phones, emails и messengers (getContactDetails)
+const formatContacts = (contacts, format) => {
+    if (format === 'vcf') return formatVCards(contacts);
+
+    if (format === 'json') {
+        return JSON.stringify(contacts.map(serializeContact), null, 2);
+    }
+
+    return formatCsv([
+        CSV_COLUMNS,
+        ...contacts.map(contact => [
+            contact.id,
+            contact.normalized_phone,
+            contact.phones.map(phone => phone.normalized_phone).join('; '),
+            contact.name,
+            contact.company,
+            contact.context,
+            contact.emails.map(email => email.email).join('; '),
+            contact.messengers.map(messenger => `${messenger.kind}:${messenger.value}`).join('; '),
+            contact.created_at,
+            contact.updated_at
+        ])
+    ]);
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    IMPORT_FORMATS,
+    IMPORT_FIELDS,
+    guessMapping,
+    detectImportFormat,
+    readImportFile,
+    serializeContact,
+    formatContacts
+};
@@ -0,0 +1,81 @@
+// Чтение и запись CSV (RFC 4180): поля в кавычках, экранирование "" и переносы строк внутри полей
+
+const DELIMITERS = [',', ';', '\t'];
+
+// Разделитель определяется по первой строке: Excel с русской локалью сохраняет через ";"
+const detectDelimiter = (text) => {
+    const firstLine = text.split('\n')[0];
+    let best = ',';
+    let bestCount = 0;
+
+    for (const delimiter of DELIMITERS) {
+        const count = firstLine.split(delimiter).length - 1;
+        if (count > bestCount) {
+            best = delimiter;
+            bestCount = count;
+        }
+    }
+    return best;
+};
+
+// Возвращает массив строк, каждая строка - массив значений
+const parseCsv = (text, delimiter = null) => {
+    const source = String(text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const separator = delimiter || detectDelimiter(source);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n') {
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(values => values.some(value => value.trim() !== ''));
+};
+
+// Excel и LibreOffice считают формулой ячейку, начинающуюся с = + - @ (а также с табуляции или \r).
+// Апостроф в начале заставляет их показать значение как текст - заодно номер +7... не теряет плюс
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeField = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = FORMULA_START.test(String(value)) ? `'${value}` : String(value);
+    return /[",;\n\r\t]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Обратное преобразование для импорта своей же выгрузки: снимает апостроф перед формулой
+const unescapeFormula = (value) => (/^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value);
+
+// BOM нужен, чтобы Excel открыл файл в UTF-8
+const formatCsv = (rows) => '\uFEFF' + rows.map(row => row.map(escapeField).join(',')).join('\r\n') + '\r\n';
+
+module.exports = { parseCsv, formatCsv, detectDelimiter, unescapeFormula };
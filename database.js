@@ -1,136 +1,2323 @@
 const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
 const path = require('path');
+const PhoneParser = require('./phone-parser');
+const { mergeFields } = require('./duplicates');
+const { runMigrations } = require('./migrations');
+const { HISTORY_EVENTS, buildEventPayload } = require('./webhooks');
 
-class Database {
-    constructor() {
-        this.db = new sqlite3.Database(path.join(__dirname, 'data', 'database.db'));
-        this.initDatabase();
-    }
+// Хранилище контактов: все запросы бота и API к SQLite.
+// Перед работой база открывается через openDatabase, которая применяет новые миграции
+
+const DEFAULT_DATABASE_PATH = path.join(__dirname, 'data', 'database.db');
+
+// Соединение с базой; запросы через него ждут окончания чужой транзакции (см. withTransaction)
+let db = null;
+
+// Поля контакта, которые можно редактировать
+const CONTACT_FIELDS = ['name', 'company', 'context'];
+
+// Ответ бота на найденные номера:
+//   always - на каждое сообщение с номером, new - только о новых номерах,
+//   silent - сохранять молча, dm - отвечать отправителю в личные сообщения
+const REPLY_MODES = ['always', 'new', 'silent', 'dm'];
+// Настройки чата, которых еще нет в базе; rate_limit - ответов в минуту, 0 - без ограничения
+const CHAT_SETTINGS_DEFAULTS = { default_region: null, reply_mode: 'always', web_app_button: 1, ignore_bots: 0, rate_limit: 0 };
+const CHAT_SETTINGS_FIELDS = Object.keys(CHAT_SETTINGS_DEFAULTS);
+
+// Автор изменений, сделанных самим сервером (например, перенос старых контактов в пространство)
+const SYSTEM_ACTOR = { type: 'system', id: null, name: null, source: 'system' };
+
+// Теги контакта через запятую для списков
+const TAGS_COLUMN = `(SELECT GROUP_CONCAT(tags.name, ',') FROM contact_tags 
+    JOIN tags ON tags.id = contact_tags.tag_id 
+    WHERE contact_tags.contact_id = contacts.id) AS tags`;
+
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date'];
+const CUSTOM_FIELD_KEY_PATTERN = /^[\p{L}_][\p{L}\p{N}_]{0,29}$/u;
+// Ключи фильтров поиска, которые нельзя занять дополнительным полем
+const BUILTIN_FILTERS = ['tag', 'name', 'company', 'context', 'added', 'updated'];
+
+// Все номера контакта одной строкой для списков
+const ALL_PHONES_COLUMN = `(SELECT GROUP_CONCAT(normalized_phone, ', ') FROM contact_phones 
+    WHERE contact_phones.contact_id = contacts.id) AS all_phones`;
+
+// Границы подсвеченных фрагментов в snippet; при выдаче заменяются на <mark> или убираются
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+// Совпадение по цифрам номера всегда выше текстовых (bm25 возвращает отрицательные значения)
+const PHONE_MATCH_SCORE = -1000000;
+
+// Запрос к FTS5: каждое слово ищется как префикс, все слова обязательны
+const buildSearchQuery = (query) => (String(query).replace(/ё/g, 'е').replace(/Ё/g, 'Е').match(/[\p{L}\p{N}]+/gu) || [])
+    .map(term => `"${term}"*`)
+    .join(' ');
+
+// Фрагмент номера: «9161234» или «8 916 123» находит +7 916 123-45-67
+const phoneSearchDigits = (query) => {
+    if (!/^[\d\s()+\-.]+$/.test(query)) return [];
+    
+    const digits = query.replace(/\D/g, '');
+    if (digits.length < 3) return [];
+    
+    // Российский формат с 8 вместо +7
+    return digits.length >= 4 && digits.startsWith('8') ? [digits, `7${digits.substring(1)}`] : [digits];
+};
+
+// Начало отрезка временного ряда для created_at: день или понедельник недели
+const PERIOD_BUCKETS = {
+    day: `date(created_at)`,
+    week: `date(created_at, '-' || ((strftime('%w', created_at) + 6) % 7) || ' days')`
+};
+
+const NO_FILTER = { sql: '1', params: [] };
+
+// Таблицы с данными контакта по contact_id - удаляются вместе с ним при полном удалении
+const CONTACT_DATA_TABLES = [
+    'parsed_messages', 'contact_phones', 'contact_emails', 'contact_messengers', 'contact_suggestions',
+    'contact_tags', 'contact_field_values', 'contact_history', 'reminders'
+];
+
+// Напоминание с номером, именем и компанией контакта
+const REMINDER_COLUMNS = `reminders.*, contacts.normalized_phone, contacts.name as contact_name, contacts.company as contact_company 
+    FROM reminders JOIN contacts ON contacts.id = reminders.contact_id`;
+
+const reminderFilter = (workspaceId, { status = 'open', assigneeId = null, contactId = null } = {}) => ({
+    sql: `(? IS NULL OR reminders.workspace_id = ?) AND (? = 'all' OR reminders.status = ?) 
+        AND (? IS NULL OR reminders.assignee_id = ?) AND (? IS NULL OR reminders.contact_id = ?)`,
+    params: [workspaceId, workspaceId, status, status, assigneeId, assigneeId, contactId, contactId]
+});
+
+// События вебхука хранятся строкой через запятую
+const readWebhookRow = (row) => row && { ...row, events: row.events.split(',').filter(Boolean), active: Boolean(row.active) };
+
+// Выполнение произвольного запроса, используется в многошаговых операциях
+const runStatement = (sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve(this.changes);
+        });
+    });
+};
+
+const getRow = (sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) reject(err);
+            else resolve(row);
+        });
+    });
+};
+
+const getRows = (sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+        });
+    });
+};
+
+// Транзакции. Соединение с базой одно на весь сервер, поэтому во время BEGIN ... COMMIT через несколько await
+// в транзакцию попадали бы запросы других обработчиков (и откатывались вместе с ней), а второй BEGIN падал бы.
+// withTransaction выполняет транзакции строго по очереди, а запросы вне транзакции ждут, пока текущая закончится.
+// Вложенный вызов выполняется в уже открытой транзакции
+const transactionContext = new AsyncLocalStorage();
+let transactionQueue = Promise.resolve();
+let transactionDone = null;
+
+const whenNoTransaction = (query) => {
+    if (!transactionDone || transactionContext.getStore()) return query();
+    transactionDone.then(() => whenNoTransaction(query));
+};
+
+const withTransaction = (work) => {
+    if (transactionContext.getStore()) return work();
+
+    const run = transactionQueue.then(() => {
+        let finish;
+        transactionDone = new Promise(resolve => {
+            finish = resolve;
+        });
+
+        return transactionContext.run(true, async () => {
+            await runStatement('BEGIN TRANSACTION');
+            try {
+                const result = await work();
+                await runStatement('COMMIT');
+                return result;
+            } catch (error) {
+                await runStatement('ROLLBACK').catch(rollbackError => console.error('Error rolling back transaction:', rollbackError));
+                throw error;
+            }
+        }).finally(() => {
+            transactionDone = null;
+            finish();
+        });
+    });
+    transactionQueue = run.catch(() => {});
+    return run;
+};
+
+// Обертка соединения: run, get и all проходят через whenNoTransaction
+const guardConnection = (connection) => ({
+    run: (...args) => whenNoTransaction(() => connection.run(...args)),
+    get: (...args) => whenNoTransaction(() => connection.get(...args)),
+    all: (...args) => whenNoTransaction(() => connection.all(...args)),
+    backup: (...args) => connection.backup(...args),
+    close: (callback) => connection.close(callback)
+});
 
-    initDatabase() {
-        this.db.run(`
-            CREATE TABLE IF NOT EXISTS contacts (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                phone TEXT UNIQUE NOT NULL,
-                normalized_phone TEXT UNIQUE NOT NULL,
-                name TEXT,
-                company TEXT,
-                context TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-
-        this.db.run(`
-            CREATE TABLE IF NOT EXISTS parsed_messages (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                message_id INTEGER NOT NULL,
-                chat_id INTEGER NOT NULL,
-                contact_id INTEGER,
-                original_text TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (contact_id) REFERENCES contacts(id)
-            )
-        `);
+// Открытие базы и применение миграций; ':memory:' - временная база в памяти
+const openDatabase = async (filename = null) => {
+    const file = filename || DEFAULT_DATABASE_PATH;
+    if (file !== ':memory:') {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
     }
 
-    async saveContact(phone, normalizedPhone, name = null, company = null, context = null) {
+    db = guardConnection(await new Promise((resolve, reject) => {
+        const connection = new sqlite3.Database(file, (err) => {
+            if (err) reject(err);
+            else resolve(connection);
+        });
+    }));
+    console.log('Database connected successfully');
+
+    await runMigrations({ run: runStatement, get: getRow, all: getRows, transaction: withTransaction });
+    return database;
+};
+
+const closeDatabase = () => {
+    if (!db) return Promise.resolve();
+
+    const connection = db;
+    db = null;
+    return new Promise((resolve, reject) => {
+        connection.close((err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+};
+
+// Копирование через backup API SQLite: toFile - из открытой базы в файл filename, иначе из файла
+// в открытую базу. Все страницы копируются за один шаг, поэтому запросы видят базу целиком до или после копирования
+const BACKUP_RETRY_DELAY = 200;
+const BACKUP_MAX_RETRIES = 25;
+
+const copyDatabase = (filename, toFile) => {
+    return new Promise((resolve, reject) => {
+        let retries = 0;
+
+        const backup = db.backup(filename, 'main', 'main', toFile, (err) => {
+            if (err) reject(err);
+            else step();
+        });
+
+        const step = () => backup.step(-1, (err, done) => {
+            // База занята другим соединением - повтор через BACKUP_RETRY_DELAY
+            if (err && !backup.failed && retries++ < BACKUP_MAX_RETRIES) {
+                return setTimeout(step, BACKUP_RETRY_DELAY);
+            }
+            backup.finish();
+            if (err) reject(err);
+            else if (!done) reject(new Error('Database backup did not complete'));
+            else resolve();
+        });
+    });
+};
+
+// Снимок открытой базы в файл; сервер продолжает работать во время копирования
+const backupDatabase = (filename) => copyDatabase(filename, true);
+
+// Замена содержимого открытой базы проверенным файлом и применение новых миграций
+const restoreDatabase = async (filename) => {
+    await copyDatabase(filename, false);
+    await runMigrations({ run: runStatement, get: getRow, all: getRows, transaction: withTransaction });
+};
+
+// Утилиты для работы с базой данных
+const database = {
+    // Контакт, основной номер и запись истории сохраняются вместе или не сохраняются вовсе
+    saveContact: (phone, normalizedPhone, name = null, company = null, context = null, type = 'other', workspaceId = null, actor = null) => withTransaction(async () => {
+        // Номер контакта из корзины: контакт восстанавливается вместо создания нового
+        const trashed = await database.findContactByPhone(normalizedPhone, workspaceId, true);
+        if (trashed && trashed.deleted_at) {
+            await database.restoreContact(trashed.id, actor);
+            const updates = Object.fromEntries(Object.entries({ name, company }).filter(([, value]) => value));
+            await database.updateContact(trashed.id, updates, actor);
+            return trashed.id;
+        }
+        
         return new Promise((resolve, reject) => {
-            this.db.run(
-                `INSERT OR IGNORE INTO contacts (phone, normalized_phone, name, company, context) 
-                 VALUES (?, ?, ?, ?, ?)`,
-                [phone, normalizedPhone, name, company, context],
-                function (err) {
-                    if (err) reject(err);
-                    else resolve(this.lastID);
+            db.run(
+                `INSERT INTO contacts (workspace_id, phone, normalized_phone, name, company, context) 
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [workspaceId, phone, normalizedPhone, name, company, context],
+                function(err) {
+                    if (err) {
+                        console.error('Error saving contact:', err);
+                        return reject(err);
+                    }
+                    const contactId = this.lastID;
+                    console.log('Contact saved with ID:', contactId);
+                    database.addContactPhone(contactId, phone, normalizedPhone, type, true)
+                        .then(() => database.logHistory({
+                            contactId,
+                            workspaceId,
+                            action: 'create',
+                            newValues: { phone: normalizedPhone, name, company, context },
+                            actor
+                        }))
+                        .then(() => resolve(contactId))
+                        .catch(reject);
                 }
             );
         });
-    }
+    }),
+
+    // Запись в историю изменений; actor = null - изменение, сделанное самим сервером.
+    // Каждая запись ставит в очередь события вебхуков пространства
+    logHistory: async ({ contactId, workspaceId = null, action, oldValues = null, newValues = null, actor = null }) => {
+        const author = actor || SYSTEM_ACTOR;
+        const historyId = await new Promise((resolve, reject) => {
+            db.run(
+                `INSERT INTO contact_history 
+                    (contact_id, workspace_id, action, old_values, new_values, actor_type, actor_id, actor_name, source) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    contactId, workspaceId, action,
+                    oldValues ? JSON.stringify(oldValues) : null,
+                    newValues ? JSON.stringify(newValues) : null,
+                    author.type, author.id === null || author.id === undefined ? null : String(author.id), author.name || null, author.source
+                ],
+                function(err) {
+                    if (err) {
+                        console.error('Error logging contact history:', err);
+                        reject(err);
+                    } else {
+                        resolve(this.lastID);
+                    }
+                }
+            );
+        });
+        
+        // Ошибка вебхуков не должна мешать изменению контакта
+        await database.queueContactEvent({ contactId, workspaceId, action, oldValues, newValues, actor: author })
+            .catch(error => console.error('Error queueing webhook event:', error));
+        return historyId;
+    },
+
+    getContactHistory: (contactId, limit = 50, offset = 0) => {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT * FROM contact_history WHERE contact_id = ? ORDER BY id DESC LIMIT ? OFFSET ?`,
+                [contactId, limit, offset],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting contact history:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows.map(row => ({
+                            ...row,
+                            old_values: row.old_values ? JSON.parse(row.old_values) : null,
+                            new_values: row.new_values ? JSON.parse(row.new_values) : null
+                        })));
+                    }
+                }
+            );
+        });
+    },
+
+    getHistoryEntry: (id) => {
+        return new Promise((resolve, reject) => {
+            db.get(
+                `SELECT * FROM contact_history WHERE id = ?`,
+                [id],
+                (err, row) => {
+                    if (err) {
+                        console.error('Error getting history entry:', err);
+                        reject(err);
+                    } else {
+                        resolve(row ? {
+                            ...row,
+                            old_values: row.old_values ? JSON.parse(row.old_values) : null,
+                            new_values: row.new_values ? JSON.parse(row.new_values) : null
+                        } : null);
+                    }
+                }
+            );
+        });
+    },
+
+    // Привязка номера к контакту; reassign переносит номер, уже принадлежащий другому контакту того же пространства
+    addContactPhone: (contactId, phone, normalizedPhone, type = 'other', reassign = false) => {
+        return new Promise((resolve, reject) => {
+            db.run(
+                `INSERT INTO contact_phones (contact_id, workspace_id, phone, normalized_phone, type) 
+                 VALUES (?, (SELECT workspace_id FROM contacts WHERE id = ?), ?, ?, ?)
+                 ON CONFLICT(workspace_id, normalized_phone) DO UPDATE SET
+                    contact_id = CASE WHEN ? THEN excluded.contact_id ELSE contact_id END`,
+                [contactId, contactId, phone, normalizedPhone, type, reassign ? 1 : 0],
+                function(err) {
+                    if (err) {
+                        console.error('Error adding contact phone:', err);
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    },
+
+    removeContactPhone: (contactId, phoneId) => {
+        return new Promise((resolve, reject) => {
+            db.run(
+                `DELETE FROM contact_phones 
+                 WHERE id = ? AND contact_id = ?
+                   AND normalized_phone != (SELECT normalized_phone FROM contacts WHERE id = ?)`,
+                [phoneId, contactId, contactId],
+                function(err) {
+                    if (err) {
+                        console.error('Error removing contact phone:', err);
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    },
+
+    getContactPhones: (contactId) => {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT * FROM contact_phones WHERE contact_id = ? ORDER BY id`,
+                [contactId],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting contact phones:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    },
+
+    addContactEmail: (contactId, email) => {
+        return new Promise((resolve, reject) => {
+            db.run(
+                `INSERT OR IGNORE INTO contact_emails (contact_id, email) VALUES (?, ?)`,
+                [contactId, email.toLowerCase()],
+                function(err) {
+                    if (err) {
+                        console.error('Error adding contact email:', err);
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    },
+
+    removeContactEmail: (contactId, emailId) => {
+        return new Promise((resolve, reject) => {
+            db.run(
+                `DELETE FROM contact_emails WHERE id = ? AND contact_id = ?`,
+                [emailId, contactId],
+                function(err) {
+                    if (err) {
+                        console.error('Error removing contact email:', err);
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    },
+
+    getContactEmails: (contactId) => {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT * FROM contact_emails WHERE contact_id = ? ORDER BY id`,
+                [contactId],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting contact emails:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    },
+
+    addContactMessenger: (contactId, kind, value) => {
+        return new Promise((resolve, reject) => {
+            db.run(
+                `INSERT OR IGNORE INTO contact_messengers (contact_id, kind, value) VALUES (?, ?, ?)`,
+                [contactId, kind, value],
+                function(err) {
+                    if (err) {
+                        console.error('Error adding contact messenger:', err);
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    },
+
+    removeContactMessenger: (contactId, messengerId) => {
+        return new Promise((resolve, reject) => {
+            db.run(
+                `DELETE FROM contact_messengers WHERE id = ? AND contact_id = ?`,
+                [messengerId, contactId],
+                function(err) {
+                    if (err) {
+                        console.error('Error removing contact messenger:', err);
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    },
+
+    getContactMessengers: (contactId) => {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT * FROM contact_messengers WHERE contact_id = ? ORDER BY kind, id`,
+                [contactId],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting contact messengers:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    },
+
+    getTags: (workspaceId) => {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT tags.*, 
+                    (SELECT COUNT(*) FROM contact_tags JOIN contacts ON contacts.id = contact_tags.contact_id 
+                     WHERE contact_tags.tag_id = tags.id AND contacts.deleted_at IS NULL) AS contacts_count 
+                 FROM tags WHERE workspace_id = ? 
+                 ORDER BY contacts_count DESC, name`,
+                [workspaceId],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting tags:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    },
+
+    getTagById: (id) => getRow(`SELECT * FROM tags WHERE id = ?`, [id]),
 
-    async findContactByPhone(phone) {
+    getOrCreateTag: async (workspaceId, name) => {
+        await runStatement(`INSERT OR IGNORE INTO tags (workspace_id, name) VALUES (?, ?)`, [workspaceId, name]);
+        return getRow(`SELECT * FROM tags WHERE workspace_id = ? AND name = ?`, [workspaceId, name]);
+    },
+
+    deleteTag: async (id) => {
+        await runStatement(`DELETE FROM contact_tags WHERE tag_id = ?`, [id]);
+        return runStatement(`DELETE FROM tags WHERE id = ?`, [id]);
+    },
+
+    getContactTags: (contactId) => {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT tags.* FROM contact_tags JOIN tags ON tags.id = contact_tags.tag_id 
+                 WHERE contact_tags.contact_id = ? ORDER BY tags.name`,
+                [contactId],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting contact tags:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    },
+
+    // Добавление или снятие тега; в историю записывается список тегов до и после
+    setContactTag: async (contactId, tagId, enabled, actor = null) => {
+        const contact = await database.getContactById(contactId);
+        const before = (await database.getContactTags(contactId)).map(tag => tag.name);
+        
+        const changes = enabled
+            ? await runStatement(`INSERT OR IGNORE INTO contact_tags (contact_id, tag_id) VALUES (?, ?)`, [contactId, tagId])
+            : await runStatement(`DELETE FROM contact_tags WHERE contact_id = ? AND tag_id = ?`, [contactId, tagId]);
+        
+        if (changes > 0) {
+            const after = (await database.getContactTags(contactId)).map(tag => tag.name);
+            await runStatement(`UPDATE contacts SET updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [contactId]);
+            await database.logHistory({
+                contactId,
+                workspaceId: contact.workspace_id,
+                action: 'tags',
+                oldValues: { tags: before },
+                newValues: { tags: after },
+                actor
+            });
+        }
+        return changes;
+    },
+
+    // workspaceId = null - поля всех пространств (для API-ключей)
+    getCustomFields: (workspaceId = null) => {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT * FROM custom_fields WHERE ? IS NULL OR workspace_id = ? ORDER BY id`,
+                [workspaceId, workspaceId],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting custom fields:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    },
+
+    getCustomFieldById: (id) => getRow(`SELECT * FROM custom_fields WHERE id = ?`, [id]),
+
+    createCustomField: (workspaceId, key, label, type = 'text') => {
+        return new Promise((resolve, reject) => {
+            db.run(
+                `INSERT INTO custom_fields (workspace_id, key, label, type) VALUES (?, ?, ?, ?)`,
+                [workspaceId, key, label, type],
+                function(err) {
+                    if (err) {
+                        console.error('Error creating custom field:', err);
+                        reject(err);
+                    } else {
+                        console.log(`Custom field ${key} created in workspace ${workspaceId}`);
+                        resolve(this.lastID);
+                    }
+                }
+            );
+        });
+    },
+
+    deleteCustomField: async (id) => {
+        await runStatement(`DELETE FROM contact_field_values WHERE field_id = ?`, [id]);
+        return runStatement(`DELETE FROM custom_fields WHERE id = ?`, [id]);
+    },
+
+    getContactFieldValues: (contactId) => {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT custom_fields.id AS field_id, custom_fields.key, custom_fields.label, custom_fields.type, 
+                        contact_field_values.value 
+                 FROM contact_field_values JOIN custom_fields ON custom_fields.id = contact_field_values.field_id 
+                 WHERE contact_field_values.contact_id = ? ORDER BY custom_fields.id`,
+                [contactId],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting contact field values:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    },
+
+    // values - { ключ поля: значение | null }; null удаляет значение
+    setContactFieldValues: async (contactId, fields, values, actor = null) => {
+        const contact = await database.getContactById(contactId);
+        const current = Object.fromEntries((await database.getContactFieldValues(contactId)).map(row => [row.key, row.value]));
+        const oldValues = {};
+        const newValues = {};
+        
+        for (const field of fields) {
+            if (!(field.key in values)) continue;
+            const value = values[field.key];
+            if ((current[field.key] || null) === value) continue;
+            
+            if (value === null) {
+                await runStatement(`DELETE FROM contact_field_values WHERE contact_id = ? AND field_id = ?`, [contactId, field.id]);
+            } else {
+                await runStatement(
+                    `INSERT INTO contact_field_values (contact_id, field_id, value) VALUES (?, ?, ?) 
+                     ON CONFLICT(contact_id, field_id) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP`,
+                    [contactId, field.id, value]
+                );
+            }
+            oldValues[field.key] = current[field.key] || null;
+            newValues[field.key] = value;
+        }
+        
+        if (Object.keys(newValues).length > 0) {
+            await runStatement(`UPDATE contacts SET updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [contactId]);
+            await database.logHistory({ contactId, workspaceId: contact.workspace_id, action: 'fields', oldValues, newValues, actor });
+        }
+        return Object.keys(newValues).length;
+    },
+
+    // Теги и значения полей переносятся по имени тега и ключу поля; недостающие теги создаются
+    copyContactMetadata: async (sourceId, targetId, workspaceId) => {
+        await runStatement(
+            `INSERT OR IGNORE INTO tags (workspace_id, name) 
+             SELECT ?, tags.name FROM contact_tags JOIN tags ON tags.id = contact_tags.tag_id WHERE contact_tags.contact_id = ?`,
+            [workspaceId, sourceId]
+        );
+        await runStatement(
+            `INSERT OR IGNORE INTO contact_tags (contact_id, tag_id) 
+             SELECT ?, target_tags.id FROM contact_tags 
+             JOIN tags AS source_tags ON source_tags.id = contact_tags.tag_id 
+             JOIN tags AS target_tags ON target_tags.workspace_id = ? AND target_tags.name = source_tags.name 
+             WHERE contact_tags.contact_id = ?`,
+            [targetId, workspaceId, sourceId]
+        );
+        await runStatement(
+            `INSERT OR IGNORE INTO contact_field_values (contact_id, field_id, value) 
+             SELECT ?, target_fields.id, contact_field_values.value FROM contact_field_values 
+             JOIN custom_fields AS source_fields ON source_fields.id = contact_field_values.field_id 
+             JOIN custom_fields AS target_fields ON target_fields.workspace_id = ? AND target_fields.key = source_fields.key 
+             WHERE contact_field_values.contact_id = ?`,
+            [targetId, workspaceId, sourceId]
+        );
+    },
+
+    getDuplicateCandidates: (workspaceId) => {
+        return new Promise((resolve, reject) => {
+            db.all(`SELECT * FROM contacts WHERE workspace_id IS ? AND deleted_at IS NULL`, [workspaceId], (err, contacts) => {
+                if (err) {
+                    console.error('Error getting contacts for duplicates:', err);
+                    return reject(err);
+                }
+                db.all(
+                    `SELECT * FROM contact_phones WHERE workspace_id IS ? 
+                     AND contact_id IN (SELECT id FROM contacts WHERE deleted_at IS NULL)`,
+                    [workspaceId],
+                    (err, phones) => {
+                        if (err) {
+                            console.error('Error getting phones for duplicates:', err);
+                            reject(err);
+                        } else {
+                            resolve({ contacts, phones });
+                        }
+                    }
+                );
+            });
+        });
+    },
+
+    // Перенос номеров, email, мессенджеров и упоминаний в основной контакт и удаление остальных
+    mergeContacts: async (targetId, sourceIds, region = PhoneParser.defaultRegion, actor = null) => {
+        let result;
+        try {
+            // Контакты читаются в той же транзакции: одновременное объединение или удаление их уже не изменит
+            result = await withTransaction(async () => {
+                const target = await database.getContactById(targetId);
+                // Объединяются только контакты одного пространства
+                const sources = (await Promise.all(sourceIds.map(id => database.getContactById(id))))
+                    .filter(source => source && source.id !== target?.id && source.workspace_id === target?.workspace_id);
+                
+                if (!target || sources.length === 0) return null;
+                
+                const merged = mergeFields(target, sources);
+                const ids = sources.map(source => source.id);
+                const placeholders = ids.map(() => '?').join(', ');
+                
+                await runStatement(`UPDATE contact_phones SET contact_id = ? WHERE contact_id IN (${placeholders})`, [target.id, ...ids]);
+                await runStatement(
+                    `INSERT OR IGNORE INTO contact_emails (contact_id, email, created_at) 
+                     SELECT ?, email, created_at FROM contact_emails WHERE contact_id IN (${placeholders})`,
+                    [target.id, ...ids]
+                );
+                await runStatement(`DELETE FROM contact_emails WHERE contact_id IN (${placeholders})`, ids);
+                await runStatement(`UPDATE contact_messengers SET contact_id = ? WHERE contact_id IN (${placeholders})`, [target.id, ...ids]);
+                await runStatement(`UPDATE OR IGNORE contact_suggestions SET contact_id = ? WHERE contact_id IN (${placeholders})`, [target.id, ...ids]);
+                await runStatement(`DELETE FROM contact_suggestions WHERE contact_id IN (${placeholders})`, ids);
+                await runStatement(`UPDATE OR IGNORE parsed_messages SET contact_id = ? WHERE contact_id IN (${placeholders})`, [target.id, ...ids]);
+                await runStatement(`UPDATE reminders SET contact_id = ? WHERE contact_id IN (${placeholders})`, [target.id, ...ids]);
+                await runStatement(`UPDATE OR IGNORE contact_tags SET contact_id = ? WHERE contact_id IN (${placeholders})`, [target.id, ...ids]);
+                await runStatement(`DELETE FROM contact_tags WHERE contact_id IN (${placeholders})`, ids);
+                // Значения дополнительных полей основного контакта не перезаписываются
+                await runStatement(`UPDATE OR IGNORE contact_field_values SET contact_id = ? WHERE contact_id IN (${placeholders})`, [target.id, ...ids]);
+                await runStatement(`DELETE FROM contact_field_values WHERE contact_id IN (${placeholders})`, ids);
+                await runStatement(`DELETE FROM parsed_messages WHERE contact_id IN (${placeholders})`, ids);
+                await runStatement(`DELETE FROM contacts WHERE id IN (${placeholders})`, ids);
+                await runStatement(
+                    `UPDATE contacts SET name = ?, company = ?, context = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                    [merged.name, merged.company, merged.context, target.id]
+                );
+                for (const source of sources) {
+                    await database.logHistory({
+                        contactId: source.id,
+                        workspaceId: source.workspace_id,
+                        action: 'delete',
+                        oldValues: { phone: source.normalized_phone, name: source.name, company: source.company, context: source.context },
+                        newValues: { merged_into: target.id },
+                        actor
+                    });
+                }
+                await database.logHistory({
+                    contactId: target.id,
+                    workspaceId: target.workspace_id,
+                    action: 'merge',
+                    oldValues: { name: target.name, company: target.company, context: target.context },
+                    newValues: { ...merged, merged_ids: ids },
+                    actor
+                });
+                return { targetId: target.id, ids };
+            });
+        } catch (error) {
+            console.error('Error merging contacts:', error);
+            throw error;
+        }
+        if (!result) return null;
+        
+        console.log(`Contacts ${result.ids.join(', ')} merged into ${result.targetId}`);
+        await database.renormalizeContactPhones(result.targetId, region);
+        return database.getContactDetails(result.targetId);
+    },
+
+    // Повторная нормализация номеров контакта: совпавшие после нормализации номера схлопываются
+    renormalizeContactPhones: async (contactId, region = PhoneParser.defaultRegion) => {
+        const contact = await database.getContactById(contactId);
+        const phones = await database.getContactPhones(contactId);
+        const seen = new Set();
+        
+        for (const phone of phones) {
+            const normalized = PhoneParser.normalizePhone(phone.phone, region) || phone.normalized_phone;
+            
+            if (normalized === phone.normalized_phone && !seen.has(normalized)) {
+                seen.add(normalized);
+                continue;
+            }
+            
+            const owner = await database.findContactByPhone(normalized, contact.workspace_id, true);
+            if (owner && owner.id !== contactId) continue;
+            
+            if (owner || seen.has(normalized)) {
+                await runStatement(`DELETE FROM contact_phones WHERE id = ?`, [phone.id]);
+            } else {
+                await runStatement(`UPDATE contact_phones SET normalized_phone = ? WHERE id = ?`, [normalized, phone.id]);
+            }
+            seen.add(normalized);
+            
+            if (contact.normalized_phone === phone.normalized_phone) {
+                await runStatement(`UPDATE OR IGNORE contacts SET normalized_phone = ? WHERE id = ?`, [normalized, contactId]);
+            }
+        }
+    },
+
+    // Упоминание номера в сообщении; повторная обработка того же сообщения игнорируется
+    logMention: (mention) => {
+        return new Promise((resolve, reject) => {
+            db.run(
+                `INSERT OR IGNORE INTO parsed_messages 
+                    (message_id, chat_id, contact_id, original_text, sender_id, sender_name, 
+                     chat_title, chat_username, phone, origin, message_date) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime(?, 'unixepoch'))`,
+                [
+                    mention.messageId, mention.chatId, mention.contactId, mention.text,
+                    mention.senderId, mention.senderName, mention.chatTitle, mention.chatUsername,
+                    mention.phone, mention.origin, mention.messageDate
+                ],
+                function(err) {
+                    if (err) {
+                        console.error('Error logging mention:', err);
+                        reject(err);
+                    } else {
+                        resolve(this.lastID);
+                    }
+                }
+            );
+        });
+    },
+
+    // Контекст, записанный из текста сообщения, очищается по сроку хранения (applyRetention).
+    // Отметка ставится, только если контекст контакта - именно этот текст
+    markMessageContext: (contactId, context) => runStatement(
+        `UPDATE contacts SET message_context_at = CURRENT_TIMESTAMP WHERE id = ? AND context = ?`,
+        [contactId, context]
+    ),
+
+    getContactMentions: (contactId, limit = 20, offset = 0) => {
         return new Promise((resolve, reject) => {
-            this.db.get(
-                `SELECT * FROM contacts WHERE normalized_phone = ?`,
+            db.all(
+                `SELECT * FROM parsed_messages WHERE contact_id = ? 
+                 ORDER BY COALESCE(message_date, created_at) DESC, id DESC 
+                 LIMIT ? OFFSET ?`,
+                [contactId, limit, offset],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting contact mentions:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    },
+
+    // Упоминания номера во всех чатах, в том числе без контакта или с контактом в другом пространстве
+    getMentionsByPhone: (phone) => {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT * FROM parsed_messages WHERE phone = ? ORDER BY COALESCE(message_date, created_at) DESC, id DESC`,
                 [phone],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting mentions by phone:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    },
+
+    // Сколько раз встречался контакт и когда в последний раз (без учета текущего сообщения)
+    getMentionStats: (contactId, chatId = null, messageId = null) => {
+        return new Promise((resolve, reject) => {
+            db.get(
+                `SELECT 
+                    COUNT(*) as times_seen,
+                    MAX(CASE WHEN ? IS NULL OR NOT (chat_id = ? AND message_id = ?) 
+                        THEN COALESCE(message_date, created_at) END) as last_seen
+                 FROM parsed_messages WHERE contact_id = ?`,
+                [chatId, chatId, messageId, contactId],
                 (err, row) => {
-                    if (err) reject(err);
-                    else resolve(row);
+                    if (err) {
+                        console.error('Error getting mention stats:', err);
+                        reject(err);
+                    } else {
+                        resolve(row);
+                    }
                 }
             );
         });
-    }
+    },
+
+    // Контакт вместе со всеми телефонами, email и мессенджерами
+    getContactDetails: async (id) => {
+        const contact = await database.getContactById(id);
+        if (!contact) return null;
+        
+        const [phones, emails, messengers, tags, fields] = await Promise.all([
+            database.getContactPhones(id),
+            database.getContactEmails(id),
+            database.getContactMessengers(id),
+            database.getContactTags(id),
+            database.getContactFieldValues(id)
+        ]);
+        
+        return { ...contact, phones, emails, messengers, tags, fields };
+    },
+
+    // Поиск человека по любому из его номеров в пространстве контактов.
+    // Контакты из корзины номер за собой сохраняют, но находятся только с includeDeleted
+    findContactByPhone: (phone, workspaceId, includeDeleted = false) => {
+        return new Promise((resolve, reject) => {
+            db.get(
+                `SELECT contacts.* FROM contacts 
+                 JOIN contact_phones ON contact_phones.contact_id = contacts.id 
+                 WHERE contact_phones.normalized_phone = ? AND contact_phones.workspace_id IS ?
+                   AND (? OR contacts.deleted_at IS NULL)`,
+                [phone, workspaceId, includeDeleted ? 1 : 0],
+                (err, row) => {
+                    if (err) {
+                        console.error('Error finding contact by phone:', err);
+                        reject(err);
+                    } else {
+                        resolve(row);
+                    }
+                }
+            );
+        });
+    },
 
-    async searchContacts(query) {
+    // Все контакты с этим номером во всех пространствах, включая корзину
+    getContactsByPhone: (phone) => {
         return new Promise((resolve, reject) => {
-            const searchQuery = `%${query}%`;
-            this.db.all(
-                `SELECT * FROM contacts 
-                 WHERE normalized_phone LIKE ? 
-                    OR phone LIKE ? 
-                    OR name LIKE ? 
-                    OR company LIKE ? 
-                    OR context LIKE ?
-                 ORDER BY updated_at DESC`,
-                [searchQuery, searchQuery, searchQuery, searchQuery, searchQuery],
+            db.all(
+                `SELECT * FROM contacts WHERE normalized_phone = ? 
+                    OR id IN (SELECT contact_id FROM contact_phones WHERE normalized_phone = ?) 
+                 ORDER BY id`,
+                [phone, phone],
                 (err, rows) => {
-                    if (err) reject(err);
-                    else resolve(rows);
+                    if (err) {
+                        console.error('Error getting contacts by phone:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
                 }
             );
         });
-    }
+    },
 
-    async updateContact(id, updates) {
-        const fields = [];
-        const values = [];
+    // Поиск с ранжированием: совпадения по номеру выше всех, затем по bm25 (имя важнее компании и контекста).
+    // workspaceId = null - поиск по всем пространствам (для API-ключей); after - [score, id] последней строки;
+    // filter - условия фильтров из buildSearchFilters
+    searchContacts: (query, workspaceId = null, { limit = -1, after = null, filter = NO_FILTER } = {}) => {
+        const terms = buildSearchQuery(query);
+        const sources = [];
+        const params = [];
+        
+        // Функции FTS5 работают только в запросе к самому индексу, поэтому он вычисляется отдельно
+        let ranked = '';
+        if (terms) {
+            ranked = `WITH ranked AS MATERIALIZED (
+                SELECT rowid AS id, bm25(contacts_fts, 10.0, 5.0, 1.0, 2.0) AS score, 
+                    snippet(contacts_fts, -1, ?, ?, '…', 12) AS snippet 
+                FROM contacts_fts WHERE contacts_fts MATCH ?
+            ) `;
+            sources.push('SELECT id, score, snippet FROM ranked');
+            params.push(HIGHLIGHT_START, HIGHLIGHT_END, terms);
+        }
+        for (const digits of phoneSearchDigits(query)) {
+            sources.push(`SELECT contact_id AS id, ${PHONE_MATCH_SCORE} AS score, NULL AS snippet 
+                FROM contact_phones WHERE REPLACE(normalized_phone, '+', '') LIKE ?`);
+            params.push(`%${digits}%`);
+        }
+        
+        if (sources.length === 0) return Promise.resolve([]);
+        
+        const [afterScore = null, afterId = null] = after || [];
+        return new Promise((resolve, reject) => {
+            db.all(
+                `${ranked}SELECT * FROM (
+                    SELECT contacts.*, ${ALL_PHONES_COLUMN}, ${TAGS_COLUMN}, MIN(matches.score) AS score, MAX(matches.snippet) AS snippet 
+                    FROM (${sources.join(' UNION ALL ')}) AS matches 
+                    JOIN contacts ON contacts.id = matches.id 
+                    WHERE (? IS NULL OR contacts.workspace_id = ?) AND contacts.deleted_at IS NULL AND ${filter.sql} 
+                    GROUP BY contacts.id
+                 ) 
+                 WHERE ? IS NULL OR score > ? OR (score = ? AND id < ?) 
+                 ORDER BY score, id DESC LIMIT ?`,
+                [...params, workspaceId, workspaceId, ...filter.params, afterScore, afterScore, afterScore, afterId, limit],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error searching contacts:', err);
+                        reject(err);
+                    } else {
+                        console.log(`Found ${rows.length} contacts for query: ${query}`);
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    },
 
-        for (const [key, value] of Object.entries(updates)) {
-            fields.push(`${key} = ?`);
-            values.push(value);
+    // Изменение полей контакта; в историю попадают только действительно измененные поля.
+    // Возвращает 0, если контакта нет
+    updateContact: async (id, updates, actor = null, action = 'update') => {
+        const contact = await database.getContactById(id);
+        if (!contact) return 0;
+        
+        const changed = Object.entries(updates)
+            .filter(([key, value]) => CONTACT_FIELDS.includes(key) && contact[key] !== value);
+        if (changed.length === 0) return 1;
+        
+        try {
+            // Исправленный вручную контекст - уже заметка, а не текст сообщения, и срок хранения на него не действует
+            const contextChanged = changed.some(([key]) => key === 'context');
+            await runStatement(
+                `UPDATE contacts SET ${changed.map(([key]) => `${key} = ?`).join(', ')}, 
+                    ${contextChanged ? 'message_context_at = NULL, ' : ''}updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [...changed.map(([, value]) => value), contact.id]
+            );
+        } catch (error) {
+            console.error('Error updating contact:', error);
+            throw error;
         }
-        fields.push('updated_at = CURRENT_TIMESTAMP');
+        
+        await database.logHistory({
+            contactId: contact.id,
+            workspaceId: contact.workspace_id,
+            action,
+            oldValues: Object.fromEntries(changed.map(([key]) => [key, contact[key]])),
+            newValues: Object.fromEntries(changed),
+            actor
+        });
+        
+        console.log(`Contact ${contact.id} updated: ${changed.map(([key]) => key).join(', ')}`);
+        return 1;
+    },
 
-        values.push(id);
+    // after - [updated_at, id] последней строки предыдущей страницы
+    getAllContacts: (limit = 50, workspaceId = null, after = null, filter = NO_FILTER) => {
+        const [afterUpdatedAt = null, afterId = null] = after || [];
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT contacts.*, ${ALL_PHONES_COLUMN}, ${TAGS_COLUMN} FROM contacts 
+                 WHERE (? IS NULL OR workspace_id = ?) AND deleted_at IS NULL AND ${filter.sql} 
+                   AND (? IS NULL OR updated_at < ? OR (updated_at = ? AND id < ?)) 
+                 ORDER BY updated_at DESC, id DESC LIMIT ?`,
+                [workspaceId, workspaceId, ...filter.params, afterUpdatedAt, afterUpdatedAt, afterUpdatedAt, afterId, limit],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting all contacts:', err);
+                        reject(err);
+                    } else {
+                        console.log(`Retrieved ${rows.length} contacts`);
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    },
+
+    // Мягкое удаление: контакт попадает в корзину и может быть восстановлен
+    deleteContact: async (id, actor = null) => {
+        const contact = await database.getContactById(id);
+        if (!contact || contact.deleted_at) return 0;
+        
+        await runStatement(`UPDATE contacts SET deleted_at = CURRENT_TIMESTAMP WHERE id = ?`, [contact.id]);
+        await database.logHistory({
+            contactId: contact.id,
+            workspaceId: contact.workspace_id,
+            action: 'delete',
+            oldValues: { phone: contact.normalized_phone, name: contact.name, company: contact.company, context: contact.context },
+            actor
+        });
+        
+        console.log(`Contact ${contact.id} moved to trash`);
+        return 1;
+    },
+
+    restoreContact: async (id, actor = null) => {
+        const contact = await database.getContactById(id);
+        if (!contact || !contact.deleted_at) return 0;
+        
+        await runStatement(
+            `UPDATE contacts SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [contact.id]
+        );
+        await database.logHistory({
+            contactId: contact.id,
+            workspaceId: contact.workspace_id,
+            action: 'restore',
+            newValues: { phone: contact.normalized_phone, name: contact.name, company: contact.company },
+            actor
+        });
+        
+        console.log(`Contact ${contact.id} restored from trash`);
+        return 1;
+    },
+
+    // Удаление без возможности восстановления: контакт, его номера, упоминания, история, напоминания
+    // и доставки вебхуков с его данными. Текст сообщений, где он упоминался вместе с другими номерами,
+    // стирается и у их упоминаний. secure_delete затирает освобожденные страницы файла базы.
+    // Вебхуки получают contact.deleted только с id контакта. Возвращает номера удаленного контакта
+    purgeContact: async (id, actor = null) => {
+        let purged;
+        try {
+            purged = await withTransaction(async () => {
+                const contact = await database.getContactById(id);
+                if (!contact) return null;
+                
+                const phones = (await database.getContactPhones(contact.id)).map(phone => phone.normalized_phone);
+                await runStatement('PRAGMA secure_delete = ON');
+                try {
+                    await runStatement(
+                        `UPDATE parsed_messages SET original_text = NULL 
+                         WHERE (chat_id, message_id) IN (SELECT chat_id, message_id FROM parsed_messages WHERE contact_id = ?)`,
+                        [contact.id]
+                    );
+                    for (const table of CONTACT_DATA_TABLES) {
+                        await runStatement(`DELETE FROM ${table} WHERE contact_id = ?`, [contact.id]);
+                    }
+                    await runStatement(`DELETE FROM webhook_deliveries WHERE json_extract(payload, '$.contact.id') = ?`, [contact.id]);
+                    await runStatement(`DELETE FROM contacts WHERE id = ?`, [contact.id]);
+                } finally {
+                    await runStatement('PRAGMA secure_delete = OFF');
+                }
+                return { contact, phones };
+            });
+        } catch (error) {
+            console.error('Error purging contact:', error);
+            throw error;
+        }
+        if (!purged) return null;
+        
+        const { contact, phones } = purged;
+        await database.queueContactEvent({
+            contactId: contact.id,
+            workspaceId: contact.workspace_id,
+            action: 'purge',
+            oldValues: null,
+            newValues: null,
+            actor: actor || SYSTEM_ACTOR
+        }).catch(error => console.error('Error queueing webhook event:', error));
+        
+        console.log(`Contact ${contact.id} permanently erased`);
+        return { id: contact.id, workspace_id: contact.workspace_id, phones };
+    },
 
+    getDeletedContacts: (workspaceId = null, limit = 100) => {
         return new Promise((resolve, reject) => {
-            this.db.run(
-                `UPDATE contacts SET ${fields.join(', ')} WHERE id = ?`,
-                values,
-                function (err) {
-                    if (err) reject(err);
-                    else resolve(this.changes);
+            db.all(
+                `SELECT contacts.*, ${ALL_PHONES_COLUMN} FROM contacts 
+                 WHERE (? IS NULL OR workspace_id = ?) AND deleted_at IS NOT NULL 
+                 ORDER BY deleted_at DESC LIMIT ?`,
+                [workspaceId, workspaceId, limit],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting deleted contacts:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
                 }
             );
         });
-    }
+    },
 
-    async getAllContacts(limit = 50) {
+    getContactById: (id) => {
         return new Promise((resolve, reject) => {
-            this.db.all(
-                `SELECT * FROM contacts ORDER BY updated_at DESC LIMIT ?`,
-                [limit],
+            db.get(
+                `SELECT * FROM contacts WHERE id = ?`,
+                [id],
+                (err, row) => {
+                    if (err) {
+                        console.error('Error getting contact by ID:', err);
+                        reject(err);
+                    } else {
+                        resolve(row);
+                    }
+                }
+            );
+        });
+    },
+
+    getStats: (workspaceId = null) => {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT 
+                    COUNT(*) as total,
+                    COUNT(CASE WHEN name IS NOT NULL AND name != '' THEN 1 END) as with_names,
+                    COUNT(CASE WHEN company IS NOT NULL AND company != '' THEN 1 END) as with_companies,
+                    COUNT(CASE WHEN name IS NULL OR name = '' OR company IS NULL OR company = '' THEN 1 END) as incomplete
+                 FROM contacts WHERE (? IS NULL OR workspace_id = ?) AND deleted_at IS NULL`,
+                [workspaceId, workspaceId],
                 (err, rows) => {
-                    if (err) reject(err);
-                    else resolve(rows);
+                    if (err) {
+                        console.error('Error getting stats:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows[0]);
+                    }
                 }
             );
         });
-    }
+    },
+
+    // Новые контакты по дням или неделям (с понедельника) начиная с даты since: [{ date, count }]
+    getContactTimeseries: (workspaceId, period, since) => {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT ${PERIOD_BUCKETS[period]} as date, COUNT(*) as count
+                 FROM contacts
+                 WHERE (? IS NULL OR workspace_id = ?) AND deleted_at IS NULL AND created_at >= ?
+                 GROUP BY date ORDER BY date`,
+                [workspaceId, workspaceId, since],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting contact timeseries:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    },
+
+    // Начала основных номеров («+» и пять цифр) с длиной номера - для разбивки по странам
+    getPhonePrefixStats: (workspaceId) => {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT substr(normalized_phone, 1, 6) as prefix, length(normalized_phone) as length, COUNT(*) as count
+                 FROM contacts
+                 WHERE (? IS NULL OR workspace_id = ?) AND deleted_at IS NULL
+                 GROUP BY prefix, length`,
+                [workspaceId, workspaceId],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting phone prefix stats:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    },
+
+    getTopCompanies: (workspaceId, limit = 5) => {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT MIN(TRIM(company)) as company, COUNT(*) as count
+                 FROM contacts
+                 WHERE (? IS NULL OR workspace_id = ?) AND deleted_at IS NULL AND TRIM(COALESCE(company, '')) != ''
+                 GROUP BY TRIM(company) COLLATE NOCASE
+                 ORDER BY count DESC, company LIMIT ?`,
+                [workspaceId, workspaceId, limit],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting top companies:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    },
+
+    // Чаты, в которых найдено больше всего номеров контактов пространства (с даты since или за все время)
+    getTopChats: (workspaceId, since = null, limit = 5) => {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT parsed_messages.chat_id, MAX(parsed_messages.chat_title) as chat_title,
+                        MAX(parsed_messages.chat_username) as chat_username,
+                        COUNT(DISTINCT parsed_messages.contact_id) as numbers, COUNT(*) as messages
+                 FROM parsed_messages
+                 JOIN contacts ON contacts.id = parsed_messages.contact_id
+                 WHERE (? IS NULL OR contacts.workspace_id = ?) AND contacts.deleted_at IS NULL
+                   AND (? IS NULL OR parsed_messages.created_at >= ?)
+                 GROUP BY parsed_messages.chat_id
+                 ORDER BY numbers DESC, messages DESC LIMIT ?`,
+                [workspaceId, workspaceId, since, since, limit],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting top chats:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    },
+
+    // Отправители, в сообщениях которых найдено больше всего номеров контактов пространства
+    getTopSenders: (workspaceId, since = null, limit = 5) => {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT parsed_messages.sender_id, MAX(parsed_messages.sender_name) as sender_name,
+                        COUNT(DISTINCT parsed_messages.contact_id) as numbers, COUNT(*) as messages
+                 FROM parsed_messages
+                 JOIN contacts ON contacts.id = parsed_messages.contact_id
+                 WHERE (? IS NULL OR contacts.workspace_id = ?) AND contacts.deleted_at IS NULL
+                   AND parsed_messages.sender_id IS NOT NULL
+                   AND (? IS NULL OR parsed_messages.created_at >= ?)
+                 GROUP BY parsed_messages.sender_id
+                 ORDER BY numbers DESC, messages DESC LIMIT ?`,
+                [workspaceId, workspaceId, since, since, limit],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting top senders:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    },
+
+    getChatRegion: (chatId) => {
+        return new Promise((resolve, reject) => {
+            db.get(
+                `SELECT default_region FROM chat_settings WHERE chat_id = ?`,
+                [chatId],
+                (err, row) => {
+                    if (err) {
+                        console.error('Error getting chat region:', err);
+                        reject(err);
+                    } else {
+                        resolve(row ? row.default_region : null);
+                    }
+                }
+            );
+        });
+    },
+
+    setChatRegion: (chatId, region) => {
+        return new Promise((resolve, reject) => {
+            db.run(
+                `INSERT INTO chat_settings (chat_id, default_region) VALUES (?, ?)
+                 ON CONFLICT(chat_id) DO UPDATE SET
+                    default_region = excluded.default_region,
+                    updated_at = CURRENT_TIMESTAMP`,
+                [chatId, region],
+                function(err) {
+                    if (err) {
+                        console.error('Error setting chat region:', err);
+                        reject(err);
+                    } else {
+                        console.log(`Chat ${chatId} region set to ${region}`);
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    },
+
+    getChatSettings: async (chatId) => {
+        const row = await getRow(`SELECT * FROM chat_settings WHERE chat_id = ?`, [chatId]);
+        return { ...CHAT_SETTINGS_DEFAULTS, ...row, chat_id: chatId };
+    },
+
+    updateChatSettings: (chatId, changes) => {
+        const columns = Object.keys(changes).filter(column => CHAT_SETTINGS_FIELDS.includes(column));
+        return runStatement(
+            `INSERT INTO chat_settings (chat_id, ${columns.join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')})
+             ON CONFLICT(chat_id) DO UPDATE SET 
+                ${columns.map(column => `${column} = excluded.${column}`).join(', ')}, 
+                updated_at = CURRENT_TIMESTAMP`,
+            [chatId, ...columns.map(column => changes[column])]
+        );
+    },
+
+    getUserLanguage: async (userId) => {
+        const row = await getRow(`SELECT language FROM user_settings WHERE user_id = ?`, [userId]);
+        return row ? row.language : null;
+    },
+
+    // language = null - снова определять язык по настройкам Telegram
+    setUserLanguage: (userId, language) => runStatement(
+        `INSERT INTO user_settings (user_id, language) VALUES (?, ?)
+         ON CONFLICT(user_id) DO UPDATE SET language = excluded.language, updated_at = CURRENT_TIMESTAMP`,
+        [userId, language]
+    ),
+
+    getIgnoredSenders: (chatId) => {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT * FROM chat_ignored_senders WHERE chat_id = ? ORDER BY created_at`,
+                [chatId],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting ignored senders:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    },
+
+    isSenderIgnored: async (chatId, userId) => {
+        const row = await getRow(`SELECT 1 FROM chat_ignored_senders WHERE chat_id = ? AND user_id = ?`, [chatId, userId]);
+        return Boolean(row);
+    },
+
+    ignoreSender: (chatId, user) => runStatement(
+        `INSERT OR REPLACE INTO chat_ignored_senders (chat_id, user_id, username, first_name) VALUES (?, ?, ?, ?)`,
+        [chatId, user.user_id, user.username || null, user.first_name || null]
+    ),
 
-    async logParsedMessage(messageId, chatId, contactId, originalText) {
+    unignoreSender: (chatId, userId) => runStatement(
+        `DELETE FROM chat_ignored_senders WHERE chat_id = ? AND user_id = ?`,
+        [chatId, userId]
+    ),
+
+    getIgnoredPhones: (workspaceId) => {
         return new Promise((resolve, reject) => {
-            this.db.run(
-                `INSERT INTO parsed_messages (message_id, chat_id, contact_id, original_text) 
+            db.all(
+                `SELECT * FROM ignored_phones WHERE workspace_id = ? ORDER BY created_at`,
+                [workspaceId],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting ignored phones:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    },
+
+    saveSuggestion: (contactId, field, value, source) => {
+        return new Promise((resolve, reject) => {
+            db.run(
+                `INSERT OR IGNORE INTO contact_suggestions (contact_id, field, value, source) 
                  VALUES (?, ?, ?, ?)`,
-                [messageId, chatId, contactId, originalText],
-                function (err) {
-                    if (err) reject(err);
-                    else resolve(this.lastID);
+                [contactId, field, value, source],
+                (err) => {
+                    if (err) {
+                        console.error('Error saving suggestion:', err);
+                        return reject(err);
+                    }
+                    db.get(
+                        `SELECT * FROM contact_suggestions WHERE contact_id = ? AND field = ? AND value = ?`,
+                        [contactId, field, value],
+                        (err, row) => {
+                            if (err) {
+                                console.error('Error getting suggestion:', err);
+                                reject(err);
+                            } else {
+                                resolve(row);
+                            }
+                        }
+                    );
+                }
+            );
+        });
+    },
+
+    isPhoneIgnored: async (workspaceId, normalizedPhone) => {
+        const row = await getRow(
+            `SELECT 1 FROM ignored_phones WHERE workspace_id = ? AND normalized_phone = ?`,
+            [workspaceId, normalizedPhone]
+        );
+        return Boolean(row);
+    },
+
+    ignorePhone: (workspaceId, normalizedPhone, userId = null) => runStatement(
+        `INSERT OR IGNORE INTO ignored_phones (workspace_id, normalized_phone, created_by) VALUES (?, ?, ?)`,
+        [workspaceId, normalizedPhone, userId]
+    ),
+
+    unignorePhone: (workspaceId, normalizedPhone) => runStatement(
+        `DELETE FROM ignored_phones WHERE workspace_id = ? AND normalized_phone = ?`,
+        [workspaceId, normalizedPhone]
+    ),
+
+    // Номера, которые не сохраняются ни в одном пространстве
+    getBlockedPhones: () => {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT * FROM privacy_blocklist ORDER BY created_at, normalized_phone`,
+                [],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting blocked phones:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    },
+
+    getBlockedPhone: (normalizedPhone) => getRow(
+        `SELECT * FROM privacy_blocklist WHERE normalized_phone = ?`,
+        [normalizedPhone]
+    ),
+
+    isPhoneBlocked: async (normalizedPhone) => Boolean(await database.getBlockedPhone(normalizedPhone)),
+
+    blockPhone: (normalizedPhone, reason = null, createdBy = null) => runStatement(
+        `INSERT OR IGNORE INTO privacy_blocklist (normalized_phone, reason, created_by) VALUES (?, ?, ?)`,
+        [normalizedPhone, reason, createdBy]
+    ),
+
+    unblockPhone: (normalizedPhone) => runStatement(
+        `DELETE FROM privacy_blocklist WHERE normalized_phone = ?`,
+        [normalizedPhone]
+    ),
+
+    // Упоминания номера, оставшиеся без контакта, и текст сообщений с ним. Возвращает число упоминаний
+    eraseMentionsByPhone: (phone) => withTransaction(async () => {
+        await runStatement('PRAGMA secure_delete = ON');
+        try {
+            await runStatement(
+                `UPDATE parsed_messages SET original_text = NULL 
+                 WHERE (chat_id, message_id) IN (SELECT chat_id, message_id FROM parsed_messages WHERE phone = ?)`,
+                [phone]
+            );
+            return await runStatement(`DELETE FROM parsed_messages WHERE phone = ?`, [phone]);
+        } finally {
+            await runStatement('PRAGMA secure_delete = OFF');
+        }
+    }),
+
+    getBotSession: async (key) => {
+        const row = await getRow(`SELECT data FROM bot_sessions WHERE key = ?`, [key]);
+        return row ? JSON.parse(row.data) : undefined;
+    },
+
+    setBotSession: (key, data) => runStatement(
+        `INSERT INTO bot_sessions (key, data) VALUES (?, ?) 
+         ON CONFLICT(key) DO UPDATE SET data = excluded.data, updated_at = CURRENT_TIMESTAMP`,
+        [key, JSON.stringify(data)]
+    ),
+
+    deleteBotSession: (key) => runStatement(`DELETE FROM bot_sessions WHERE key = ?`, [key]),
+
+    getContactSuggestions: (contactId) => {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT * FROM contact_suggestions WHERE contact_id = ? ORDER BY id`,
+                [contactId],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting contact suggestions:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    },
+
+    getSuggestionById: (id) => {
+        return new Promise((resolve, reject) => {
+            db.get(
+                `SELECT * FROM contact_suggestions WHERE id = ?`,
+                [id],
+                (err, row) => {
+                    if (err) {
+                        console.error('Error getting suggestion by ID:', err);
+                        reject(err);
+                    } else {
+                        resolve(row);
+                    }
+                }
+            );
+        });
+    },
+
+    setSuggestionStatus: (id, status) => {
+        return new Promise((resolve, reject) => {
+            db.run(
+                `UPDATE contact_suggestions SET status = ? WHERE id = ?`,
+                [status, id],
+                function(err) {
+                    if (err) {
+                        console.error('Error updating suggestion status:', err);
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    },
+
+    getWorkspaceById: (id) => {
+        return new Promise((resolve, reject) => {
+            db.get(
+                `SELECT * FROM workspaces WHERE id = ?`,
+                [id],
+                (err, row) => {
+                    if (err) {
+                        console.error('Error getting workspace:', err);
+                        reject(err);
+                    } else {
+                        resolve(row);
+                    }
+                }
+            );
+        });
+    },
+
+    getWorkspaceByChat: (chatId) => {
+        return new Promise((resolve, reject) => {
+            db.get(
+                `SELECT workspaces.* FROM workspaces 
+                 JOIN workspace_chats ON workspace_chats.workspace_id = workspaces.id 
+                 WHERE workspace_chats.chat_id = ?`,
+                [chatId],
+                (err, row) => {
+                    if (err) {
+                        console.error('Error getting chat workspace:', err);
+                        reject(err);
+                    } else {
+                        resolve(row);
+                    }
+                }
+            );
+        });
+    },
+
+    getWorkspaceByInvite: (code) => {
+        return new Promise((resolve, reject) => {
+            db.get(
+                `SELECT * FROM workspaces WHERE invite_code = ?`,
+                [code],
+                (err, row) => {
+                    if (err) {
+                        console.error('Error getting workspace by invite:', err);
+                        reject(err);
+                    } else {
+                        resolve(row);
+                    }
+                }
+            );
+        });
+    },
+
+    createWorkspace: (title, ownerChatId) => {
+        return new Promise((resolve, reject) => {
+            db.run(
+                `INSERT INTO workspaces (title, owner_chat_id) VALUES (?, ?)`,
+                [title, ownerChatId],
+                function(err) {
+                    if (err) {
+                        console.error('Error creating workspace:', err);
+                        reject(err);
+                    } else {
+                        console.log(`Workspace ${this.lastID} created: ${title}`);
+                        resolve(this.lastID);
+                    }
+                }
+            );
+        });
+    },
+
+    setWorkspaceInvite: (workspaceId, code) => {
+        return new Promise((resolve, reject) => {
+            db.run(
+                `UPDATE workspaces SET invite_code = ? WHERE id = ?`,
+                [code, workspaceId],
+                function(err) {
+                    if (err) {
+                        console.error('Error setting workspace invite:', err);
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    },
+
+    linkChatToWorkspace: (chatId, workspaceId, chatTitle = null) => {
+        return new Promise((resolve, reject) => {
+            db.run(
+                `INSERT INTO workspace_chats (chat_id, workspace_id, chat_title) VALUES (?, ?, ?)
+                 ON CONFLICT(chat_id) DO UPDATE SET
+                    workspace_id = excluded.workspace_id,
+                    chat_title = excluded.chat_title,
+                    linked_at = CURRENT_TIMESTAMP`,
+                [chatId, workspaceId, chatTitle],
+                function(err) {
+                    if (err) {
+                        console.error('Error linking chat to workspace:', err);
+                        reject(err);
+                    } else {
+                        console.log(`Chat ${chatId} linked to workspace ${workspaceId}`);
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    },
+
+    getWorkspaceChats: (workspaceId) => {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT * FROM workspace_chats WHERE workspace_id = ? ORDER BY linked_at`,
+                [workspaceId],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting workspace chats:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    },
+
+    touchWorkspaceMember: (workspaceId, user) => {
+        return new Promise((resolve, reject) => {
+            db.run(
+                `INSERT INTO workspace_members (workspace_id, user_id, username, first_name) VALUES (?, ?, ?, ?)
+                 ON CONFLICT(workspace_id, user_id) DO UPDATE SET
+                    username = excluded.username,
+                    first_name = excluded.first_name,
+                    last_seen_at = CURRENT_TIMESTAMP`,
+                [workspaceId, user.id, user.username || null, user.first_name || null],
+                function(err) {
+                    if (err) {
+                        console.error('Error saving workspace member:', err);
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    },
+
+    removeWorkspaceMember: (workspaceId, userId) => {
+        return new Promise((resolve, reject) => {
+            db.run(
+                `DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?`,
+                [workspaceId, userId],
+                function(err) {
+                    if (err) {
+                        console.error('Error removing workspace member:', err);
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    },
+
+    // Роль пользователя в пространстве с учетом роли по умолчанию
+    getMemberRole: (workspaceId, userId) => {
+        return new Promise((resolve, reject) => {
+            db.get(
+                `SELECT COALESCE(workspace_members.role, workspaces.default_role) as role 
+                 FROM workspaces 
+                 LEFT JOIN workspace_members ON workspace_members.workspace_id = workspaces.id 
+                    AND workspace_members.user_id = ?
+                 WHERE workspaces.id = ?`,
+                [userId, workspaceId],
+                (err, row) => {
+                    if (err) {
+                        console.error('Error getting member role:', err);
+                        reject(err);
+                    } else {
+                        resolve(row ? row.role : null);
+                    }
+                }
+            );
+        });
+    },
+
+    setMemberRole: (workspaceId, userId, role) => {
+        return new Promise((resolve, reject) => {
+            db.run(
+                `INSERT INTO workspace_members (workspace_id, user_id, role) VALUES (?, ?, ?)
+                 ON CONFLICT(workspace_id, user_id) DO UPDATE SET role = excluded.role`,
+                [workspaceId, userId, role],
+                function(err) {
+                    if (err) {
+                        console.error('Error setting member role:', err);
+                        reject(err);
+                    } else {
+                        console.log(`User ${userId} is now ${role} in workspace ${workspaceId}`);
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    },
+
+    setWorkspaceDefaultRole: (workspaceId, role) => {
+        return new Promise((resolve, reject) => {
+            db.run(
+                `UPDATE workspaces SET default_role = ? WHERE id = ?`,
+                [role, workspaceId],
+                function(err) {
+                    if (err) {
+                        console.error('Error setting default role:', err);
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    },
+
+    getWorkspaceMembers: (workspaceId) => {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT workspace_members.*, COALESCE(workspace_members.role, workspaces.default_role) as effective_role 
+                 FROM workspace_members 
+                 JOIN workspaces ON workspaces.id = workspace_members.workspace_id 
+                 WHERE workspace_id = ? 
+                 ORDER BY last_seen_at DESC`,
+                [workspaceId],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting workspace members:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    },
+
+    findWorkspaceMember: (workspaceId, username) => {
+        return new Promise((resolve, reject) => {
+            db.get(
+                `SELECT * FROM workspace_members WHERE workspace_id = ? AND LOWER(username) = LOWER(?)`,
+                [workspaceId, username],
+                (err, row) => {
+                    if (err) {
+                        console.error('Error finding workspace member:', err);
+                        reject(err);
+                    } else {
+                        resolve(row);
+                    }
+                }
+            );
+        });
+    },
+
+    // Пространства пользователя, последнее активное первым; userId = null - все пространства
+    getWorkspaces: (userId = null) => {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT workspaces.id, workspaces.title, workspaces.created_at,
+                    COALESCE(workspace_members.role, workspaces.default_role) as role,
+                    (SELECT COUNT(*) FROM contacts 
+                     WHERE contacts.workspace_id = workspaces.id AND deleted_at IS NULL) as contacts_count,
+                    (SELECT GROUP_CONCAT(COALESCE(chat_title, chat_id), ', ') FROM workspace_chats 
+                     WHERE workspace_chats.workspace_id = workspaces.id) as chats
+                 FROM workspaces 
+                 LEFT JOIN workspace_members ON workspace_members.workspace_id = workspaces.id 
+                    AND workspace_members.user_id = ?
+                 WHERE ? IS NULL OR workspace_members.user_id IS NOT NULL
+                 ORDER BY workspace_members.last_seen_at DESC, workspaces.id`,
+                [userId, userId],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting workspaces:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    },
+
+    // Контакты без пространства - созданные до их появления
+    getUnassignedContactIds: (chatId = null) => {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT id FROM contacts WHERE workspace_id IS NULL 
+                 AND (? IS NULL OR id IN (SELECT contact_id FROM parsed_messages WHERE chat_id = ?))`,
+                [chatId, chatId],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting unassigned contacts:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows.map(row => row.id));
+                    }
+                }
+            );
+        });
+    },
+
+    getWorkspaceContactIds: (workspaceId) => {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT id FROM contacts WHERE workspace_id = ?`,
+                [workspaceId],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting workspace contacts:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows.map(row => row.id));
+                    }
                 }
             );
         });
+    },
+
+    // Перенос контакта в другое пространство; если там уже есть человек с тем же номером,
+    // контакты объединяются. Возвращает id контакта в целевом пространстве
+    moveContact: async (contactId, workspaceId, region = PhoneParser.defaultRegion, actor = null) => {
+        try {
+            return await withTransaction(async () => {
+                const contact = await database.getContactById(contactId);
+                if (!contact) return null;
+                if (contact.workspace_id === workspaceId) return contact.id;
+                
+                let existing = null;
+                for (const phone of await database.getContactPhones(contactId)) {
+                    existing = await database.findContactByPhone(phone.normalized_phone, workspaceId, true);
+                    if (existing) break;
+                }
+                
+                // Номера, уже записанные в целевом пространстве, остаются у существующего контакта
+                await runStatement(
+                    `DELETE FROM contact_phones WHERE contact_id = ? AND normalized_phone IN 
+                        (SELECT normalized_phone FROM contact_phones WHERE workspace_id = ?)`,
+                    [contactId, workspaceId]
+                );
+                await runStatement(`UPDATE contact_phones SET workspace_id = ? WHERE contact_id = ?`, [workspaceId, contactId]);
+                await runStatement(
+                    `UPDATE contacts SET workspace_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                    [workspaceId, contactId]
+                );
+                await runStatement(`UPDATE reminders SET workspace_id = ? WHERE contact_id = ?`, [workspaceId, contactId]);
+                // Теги и поля переходят в одноименные теги и поля целевого пространства
+                await database.copyContactMetadata(contactId, contactId, workspaceId);
+                await runStatement(
+                    `DELETE FROM contact_tags WHERE contact_id = ? AND tag_id NOT IN (SELECT id FROM tags WHERE workspace_id = ?)`,
+                    [contactId, workspaceId]
+                );
+                await runStatement(
+                    `DELETE FROM contact_field_values WHERE contact_id = ? 
+                     AND field_id NOT IN (SELECT id FROM custom_fields WHERE workspace_id = ?)`,
+                    [contactId, workspaceId]
+                );
+                await database.logHistory({
+                    contactId,
+                    workspaceId,
+                    action: 'move',
+                    oldValues: { workspace_id: contact.workspace_id },
+                    newValues: { workspace_id: workspaceId },
+                    actor
+                });
+                
+                console.log(`Contact ${contactId} moved to workspace ${workspaceId}`);
+                if (!existing) return contactId;
+                
+                // Объединение - в той же транзакции, чтобы перенос не остался наполовину
+                if (existing.deleted_at) await database.restoreContact(existing.id, actor);
+                await database.mergeContacts(existing.id, [contactId], region, actor);
+                return existing.id;
+            });
+        } catch (error) {
+            console.error('Error moving contact:', error);
+            throw error;
+        }
+    },
+
+    // Вебхуки пространства; pending - доставки в очереди, last_status - результат последней доставки
+    getWebhooks: (workspaceId) => {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT webhooks.*, 
+                        (SELECT COUNT(*) FROM webhook_deliveries 
+                         WHERE webhook_id = webhooks.id AND status = 'pending') AS pending, 
+                        (SELECT status FROM webhook_deliveries 
+                         WHERE webhook_id = webhooks.id ORDER BY id DESC LIMIT 1) AS last_status 
+                 FROM webhooks WHERE workspace_id = ? ORDER BY id`,
+                [workspaceId],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting webhooks:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows.map(readWebhookRow));
+                    }
+                }
+            );
+        });
+    },
+
+    getWebhookById: async (id) => readWebhookRow(await getRow(`SELECT * FROM webhooks WHERE id = ?`, [id])),
+
+    createWebhook: ({ workspaceId, url, events, secret, createdBy = null }) => {
+        return new Promise((resolve, reject) => {
+            db.run(
+                `INSERT INTO webhooks (workspace_id, url, secret, events, created_by) VALUES (?, ?, ?, ?, ?)`,
+                [workspaceId, url, secret, events.join(','), createdBy],
+                function(err) {
+                    if (err) {
+                        console.error('Error creating webhook:', err);
+                        reject(err);
+                    } else {
+                        console.log(`Webhook ${this.lastID} created in workspace ${workspaceId}: ${url}`);
+                        resolve(this.lastID);
+                    }
+                }
+            );
+        });
+    },
+
+    // changes - { url, events, active }, переданные поля
+    updateWebhook: (id, changes) => {
+        const values = {
+            url: changes.url,
+            events: changes.events ? changes.events.join(',') : undefined,
+            active: changes.active === undefined ? undefined : changes.active ? 1 : 0
+        };
+        const columns = Object.keys(values).filter(column => values[column] !== undefined);
+        if (columns.length === 0) return Promise.resolve(0);
+        
+        return runStatement(
+            `UPDATE webhooks SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map(column => values[column]), id]
+        );
+    },
+
+    deleteWebhook: async (id) => {
+        await runStatement(`DELETE FROM webhook_deliveries WHERE webhook_id = ?`, [id]);
+        return runStatement(`DELETE FROM webhooks WHERE id = ?`, [id]);
+    },
+
+    // Доставки события изменения контакта для активных вебхуков пространства, подписанных на него
+    queueContactEvent: async ({ contactId, workspaceId, action, oldValues, newValues, actor }) => {
+        const event = HISTORY_EVENTS[action];
+        if (!event || !workspaceId) return 0;
+        
+        const webhooks = (await database.getWebhooks(workspaceId))
+            .filter(webhook => webhook.active && webhook.events.includes(event));
+        if (webhooks.length === 0) return 0;
+        
+        const contact = await database.getContactDetails(contactId);
+        const payload = buildEventPayload({ event, action, workspaceId, contactId, contact, oldValues, newValues, actor });
+        for (const webhook of webhooks) {
+            await database.createWebhookDelivery(webhook.id, event, payload);
+        }
+        return webhooks.length;
+    },
+
+    // delay - через сколько секунд доставку можно брать из очереди
+    createWebhookDelivery: (webhookId, event, payload, delay = 0) => {
+        return new Promise((resolve, reject) => {
+            db.run(
+                `INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at) 
+                 VALUES (?, ?, ?, datetime('now', ?))`,
+                [webhookId, event, payload, `+${delay} seconds`],
+                function(err) {
+                    if (err) {
+                        console.error('Error creating webhook delivery:', err);
+                        reject(err);
+                    } else {
+                        resolve(this.lastID);
+                    }
+                }
+            );
+        });
+    },
+
+    // Доставка с адресом и секретом вебхука - для отправки
+    getWebhookDelivery: (id) => getRow(
+        `SELECT webhook_deliveries.*, webhooks.url, webhooks.secret FROM webhook_deliveries 
+         JOIN webhooks ON webhooks.id = webhook_deliveries.webhook_id WHERE webhook_deliveries.id = ?`,
+        [id]
+    ),
+
+    getDueWebhookDeliveries: (limit) => {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT webhook_deliveries.*, webhooks.url, webhooks.secret FROM webhook_deliveries 
+                 JOIN webhooks ON webhooks.id = webhook_deliveries.webhook_id 
+                 WHERE webhook_deliveries.status = 'pending' AND webhooks.active = 1 
+                   AND webhook_deliveries.next_attempt_at <= CURRENT_TIMESTAMP 
+                 ORDER BY webhook_deliveries.next_attempt_at, webhook_deliveries.id LIMIT ?`,
+                [limit],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting due webhook deliveries:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    },
+
+    // Доставка откладывается на время отправки, чтобы ее не взяли повторно; 0 - ее уже взяли
+    claimWebhookDelivery: (id, seconds) => runStatement(
+        `UPDATE webhook_deliveries SET next_attempt_at = datetime('now', ?) 
+         WHERE id = ? AND status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP`,
+        [`+${seconds} seconds`, id]
+    ),
+
+    // Результат попытки; retryIn - через сколько секунд повторить доставку в статусе pending
+    finishWebhookDelivery: (id, { status, attempts, responseStatus, response, retryIn = 0 }) => runStatement(
+        `UPDATE webhook_deliveries SET status = ?, attempts = ?, response_status = ?, response = ?, 
+            next_attempt_at = CASE WHEN ? = 'pending' THEN datetime('now', ?) END, 
+            delivered_at = CASE WHEN ? = 'delivered' THEN CURRENT_TIMESTAMP END 
+         WHERE id = ?`,
+        [status, attempts, responseStatus, response, status, `+${retryIn} seconds`, status, id]
+    ),
+
+    getWebhookDeliveries: (webhookId, limit = 20, offset = 0) => {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ? OFFSET ?`,
+                [webhookId, limit, offset],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting webhook deliveries:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows.map(row => ({ ...row, payload: JSON.parse(row.payload) })));
+                    }
+                }
+            );
+        });
+    },
+
+    countWebhookDeliveries: async (webhookId) => (
+        await getRow(`SELECT COUNT(*) AS count FROM webhook_deliveries WHERE webhook_id = ?`, [webhookId])
+    ).count,
+
+    // dueAt - 'YYYY-MM-DD HH:MM:SS' в UTC
+    createReminder: ({ workspaceId, contactId, text, dueAt, assigneeId, assigneeName = null, chatId = null, locale = null, createdBy = null }) => {
+        return new Promise((resolve, reject) => {
+            db.run(
+                `INSERT INTO reminders (workspace_id, contact_id, text, due_at, assignee_id, assignee_name, chat_id, locale, created_by) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [workspaceId, contactId, text, dueAt, assigneeId, assigneeName, chatId, locale, createdBy],
+                function(err) {
+                    if (err) {
+                        console.error('Error creating reminder:', err);
+                        reject(err);
+                    } else {
+                        console.log(`Reminder ${this.lastID} created for contact ${contactId}, due ${dueAt}`);
+                        resolve(this.lastID);
+                    }
+                }
+            );
+        });
+    },
+
+    getReminderById: (id) => getRow(`SELECT ${REMINDER_COLUMNS} WHERE reminders.id = ?`, [id]),
+
+    // Напоминания пространства (workspaceId = null - всех пространств); filters - { status: 'open' | 'done' | 'all', assigneeId, contactId }.
+    // Открытые - по сроку, выполненные - последние сначала
+    getReminders: (workspaceId, filters = {}, limit = 20, offset = 0) => {
+        const filter = reminderFilter(workspaceId, filters);
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT ${REMINDER_COLUMNS} WHERE ${filter.sql} 
+                 ORDER BY reminders.status = 'done', 
+                    CASE WHEN reminders.status = 'open' THEN reminders.due_at END, reminders.completed_at DESC 
+                 LIMIT ? OFFSET ?`,
+                [...filter.params, limit, offset],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting reminders:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    },
+
+    countReminders: async (workspaceId, filters = {}) => {
+        const filter = reminderFilter(workspaceId, filters);
+        return (await getRow(`SELECT COUNT(*) AS count FROM reminders WHERE ${filter.sql}`, filter.params)).count;
+    },
+
+    // changes - { text, due_at, status, assignee_id, assignee_name }, переданные поля.
+    // Новый срок сбрасывает отметку об отправке, выполнение запоминает время
+    updateReminder: (id, changes) => {
+        const columns = ['text', 'due_at', 'status', 'assignee_id', 'assignee_name'].filter(column => changes[column] !== undefined);
+        if (columns.length === 0) return Promise.resolve(0);
+        
+        const assignments = columns.map(column => `${column} = ?`);
+        const params = columns.map(column => changes[column]);
+        if (changes.due_at !== undefined) assignments.push('notified_at = NULL');
+        if (changes.status !== undefined) {
+            assignments.push(`completed_at = CASE WHEN ? = 'done' THEN COALESCE(completed_at, CURRENT_TIMESTAMP) END`);
+            params.push(changes.status);
+        }
+        
+        return runStatement(
+            `UPDATE reminders SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [...params, id]
+        );
+    },
+
+    deleteReminder: (id) => runStatement(`DELETE FROM reminders WHERE id = ?`, [id]),
+
+    // Открытые неотправленные напоминания, срок которых наступил
+    getDueReminders: (limit = 50) => {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT ${REMINDER_COLUMNS} 
+                 WHERE reminders.status = 'open' AND reminders.notified_at IS NULL AND reminders.due_at <= CURRENT_TIMESTAMP 
+                 ORDER BY reminders.due_at LIMIT ?`,
+                [limit],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error getting due reminders:', err);
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    },
+
+    // Отметка об отправке; 0 - напоминание уже отправлено или изменено
+    claimReminder: (id) => runStatement(
+        `UPDATE reminders SET notified_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'open' AND notified_at IS NULL`,
+        [id]
+    ),
+
+    // Срок хранения текста сообщений: старше days дней стираются текст упоминаний, контекст контактов,
+    // записанный из сообщения, контекст в истории изменений и завершенные доставки вебхуков (в них данные контакта)
+    applyRetention: async (days) => {
+        const cutoff = `-${days} days`;
+        const messages = await runStatement(
+            `UPDATE parsed_messages SET original_text = NULL 
+             WHERE original_text IS NOT NULL AND created_at < datetime('now', ?)`,
+            [cutoff]
+        );
+        const contexts = await runStatement(
+            `UPDATE contacts SET context = NULL, message_context_at = NULL WHERE message_context_at < datetime('now', ?)`,
+            [cutoff]
+        );
+        const history = await runStatement(
+            `UPDATE contact_history SET 
+                old_values = json_remove(old_values, '$.context'), 
+                new_values = json_remove(new_values, '$.context') 
+             WHERE created_at < datetime('now', ?) 
+               AND (json_type(old_values, '$.context') IS NOT NULL OR json_type(new_values, '$.context') IS NOT NULL)`,
+            [cutoff]
+        );
+        const deliveries = await runStatement(
+            `DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < datetime('now', ?)`,
+            [cutoff]
+        );
+        return { messages, contexts, history, deliveries };
     }
-}
+};
 
-module.exports = new Database();
\ No newline at end of file
+module.exports = {
+    openDatabase,
+    closeDatabase,
+    backupDatabase,
+    restoreDatabase,
+    withTransaction,
+    database,
+    REPLY_MODES,
+    CUSTOM_FIELD_TYPES,
+    CUSTOM_FIELD_KEY_PATTERN,
+    BUILTIN_FILTERS,
+    HIGHLIGHT_START,
+    HIGHLIGHT_END,
+    NO_FILTER,
+    buildSearchQuery
+};
@@ -0,0 +1,145 @@
+const PhoneParser = require('./phone-parser');
+
+// Поиск дубликатов контактов: одинаковый номер после повторной нормализации,
+// совпадающие имя и компания, похожие имена
+
+const FUZZY_MAX_DISTANCE = 2;
+const FUZZY_MIN_LENGTH = 5;
+
+const normalizeName = (value) => String(value || '')
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(/[^a-zа-я0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+
+const levenshtein = (a, b) => {
+    if (a === b) return 0;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+};
+
+// Объединение пересекающихся групп (union-find по id контактов)
+const collectGroups = (pairs) => {
+    const parent = new Map();
+    const find = (id) => {
+        while (parent.get(id) !== id) id = parent.get(id);
+        return id;
+    };
+
+    const reasons = new Map();
+    for (const { ids, reason } of pairs) {
+        for (const id of ids) {
+            if (!parent.has(id)) parent.set(id, id);
+        }
+        const [first, ...rest] = ids;
+        for (const id of rest) {
+            parent.set(find(id), find(first));
+        }
+        for (const id of ids) {
+            if (!reasons.has(id)) reasons.set(id, new Set());
+            reasons.get(id).add(reason);
+        }
+    }
+
+    const groups = new Map();
+    for (const id of parent.keys()) {
+        const root = find(id);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(id);
+    }
+
+    return [...groups.values()]
+        .filter(ids => ids.length > 1)
+        .map(ids => ({
+            ids: ids.sort((a, b) => a - b),
+            reasons: [...new Set(ids.flatMap(id => [...reasons.get(id)]))]
+        }));
+};
+
+// contacts - строки таблицы contacts, phones - строки contact_phones
+const findDuplicateGroups = (contacts, phones, region = PhoneParser.defaultRegion) => {
+    const pairs = [];
+
+    const byPhone = new Map();
+    for (const phone of phones) {
+        const key = PhoneParser.normalizePhone(phone.phone, region) || phone.normalized_phone;
+        if (!byPhone.has(key)) byPhone.set(key, new Set());
+        byPhone.get(key).add(phone.contact_id);
+    }
+    for (const ids of byPhone.values()) {
+        if (ids.size > 1) pairs.push({ ids: [...ids], reason: 'phone' });
+    }
+
+    const byNameCompany = new Map();
+    for (const contact of contacts) {
+        if (!contact.name || !contact.company) continue;
+        const key = `${normalizeName(contact.name)}|${normalizeName(contact.company)}`;
+        if (!byNameCompany.has(key)) byNameCompany.set(key, []);
+        byNameCompany.get(key).push(contact.id);
+    }
+    for (const ids of byNameCompany.values()) {
+        if (ids.length > 1) pairs.push({ ids, reason: 'name_company' });
+    }
+
+    const named = contacts
+        .map(contact => ({ id: contact.id, name: normalizeName(contact.name), company: normalizeName(contact.company) }))
+        .filter(contact => contact.name.length >= FUZZY_MIN_LENGTH);
+    for (let i = 0; i < named.length; i++) {
+        for (let j = i + 1; j < named.length; j++) {
+            const a = named[i];
+            const b = named[j];
+            // Разные непустые компании - разные люди
+            if (a.company && b.company && a.company !== b.company) continue;
+            if (Math.abs(a.name.length - b.name.length) > FUZZY_MAX_DISTANCE) continue;
+            if (a.name !== b.name && levenshtein(a.name, b.name) <= FUZZY_MAX_DISTANCE) {
+                pairs.push({ ids: [a.id, b.id], reason: 'fuzzy_name' });
+            }
+        }
+    }
+
+    const contactsById = new Map(contacts.map(contact => [contact.id, contact]));
+    return collectGroups(pairs).map(group => ({
+        reasons: group.reasons,
+        contacts: group.ids.map(id => contactsById.get(id)).filter(Boolean)
+    })).filter(group => group.contacts.length > 1);
+};
+
+// Поля объединенного контакта: у основного приоритет, пустые берутся из остальных
+const mergeFields = (target, sources) => {
+    const merged = {};
+
+    for (const field of ['name', 'company']) {
+        merged[field] = target[field] || (sources.find(source => source[field]) || {})[field] || null;
+    }
+
+    const contexts = [target, ...sources]
+        .map(contact => (contact.context || '').trim())
+        .filter(Boolean);
+    merged.context = [...new Set(contexts)].join('\n---\n') || null;
+
+    return merged;
+};
+
+// Основной контакт группы: больше заполненных полей, при равенстве - созданный раньше
+const pickMergeTarget = (contacts) => {
+    const filled = (contact) => ['name', 'company', 'context'].filter(field => contact[field]).length;
+    return [...contacts].sort((a, b) => filled(b) - filled(a) || a.id - b.id)[0];
+};
+
+module.exports = { findDuplicateGroups, mergeFields, pickMergeTarget, normalizeName, levenshtein };
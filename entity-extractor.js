@@ -0,0 +1,165 @@
+// Извлечение имени, компании, email и мессенджеров из текста вокруг найденного номера
+
+const UPPER = 'A-ZА-ЯЁ';
+const LOWER = 'a-zа-яё';
+const WORD = `[${UPPER}][${LOWER}]+(?:-[${UPPER}][${LOWER}]+)?`;
+// Слова имени и названия разделяются только пробелами: перенос строки отделяет строки подписи
+const SPACE = '[ \\t]';
+const NAME = `${WORD}(?:${SPACE}+${WORD}){0,2}`;
+const TITLE = `[${UPPER}0-9][${UPPER}${LOWER}0-9&.'-]*`;
+
+const LEGAL_FORMS_RU = 'ООО|ОАО|ЗАО|ПАО|НАО|АО|ТОО|ИП|ЧП';
+const LEGAL_FORMS_EN = 'LLC|Ltd|Inc|GmbH|Corp|LLP|PLC|AG|SA|BV';
+
+const COMPANY_PATTERNS = [
+    // ООО «Ромашка»
+    { regex: new RegExp(`(${LEGAL_FORMS_RU})${SPACE}*[«"„“]([^»"”“\\n]{2,60})[»"”“]`), build: m => `${m[1]} ${m[2].trim()}` },
+    // ООО Ромашка, ИП Иванов
+    { regex: new RegExp(`(?<![${UPPER}${LOWER}])(${LEGAL_FORMS_RU})${SPACE}+(${TITLE}(?:${SPACE}+${TITLE})?)`), build: m => `${m[1]} ${m[2]}` },
+    // Acme Ltd, Acme Trading GmbH
+    { regex: new RegExp(`(${TITLE}(?:${SPACE}+${TITLE}){0,2}),?${SPACE}+(${LEGAL_FORMS_EN})\\b\\.?`), build: m => `${m[1]} ${m[2]}` },
+    // компания Ромашка, from Acme
+    { regex: new RegExp(`(?:[Кк]омпани[яиюей]|[Фф]ирм[аыуе]|from|at|company)${SPACE}+[«"]?(${TITLE}(?:${SPACE}+${TITLE})?)`), build: m => m[1] }
+];
+
+const NAME_PATTERNS = [
+    // ask Maria, позвонить Ивану, контактное лицо: Иван Петров
+    new RegExp(`(?:ask|call|contact|talk to|speak to|my name is|[Сс]просит[еь]?|[Сс]проси|[Зз]овут|[Кк]онтактное лицо|[Мм]енеджер|[Мм]еня зовут|[Oo]братит[еь]с[яь] к)${SPACE}*:?${SPACE}+(${NAME})`),
+    // Подпись письма: «С уважением,\nИван Петров»
+    new RegExp(`(?:[Сс] уважением|[Сс]пасибо|[Rr]egards|[Bb]est|[Tt]hanks|[Cc]heers),?${SPACE}*\\n\\s*(${NAME})`)
+];
+
+// Строка подписи, целиком состоящая из имени: «John Smith»
+const NAME_LINE = new RegExp(`^${SPACE}*${NAME}${SPACE}*$`);
+
+// Слова с заглавной буквы, которые не являются именами
+const STOP_WORDS = new Set([
+    'привет', 'здравствуйте', 'добрый', 'день', 'вечер', 'утро', 'звоните', 'звони', 'позвоните', 'позвони',
+    'пишите', 'напишите', 'телефон', 'тел', 'моб', 'мобильный', 'рабочий', 'офис', 'компания', 'контакт',
+    'контакты', 'спасибо', 'уважением', 'адрес', 'почта', 'вот', 'это', 'номер', 'наш', 'мой', 'новый',
+    'москва', 'россия', 'санкт', 'петербург', 'киев', 'минск', 'алматы', 'ватсап', 'вайбер', 'телеграм',
+    'hello', 'hi', 'dear', 'call', 'phone', 'tel', 'mobile', 'office', 'company', 'contact', 'thanks',
+    'regards', 'best', 'please', 'email', 'address', 'whatsapp', 'viber', 'telegram', 'the', 'our', 'my'
+]);
+
+const EMAIL_REGEX = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const TELEGRAM_REGEX = /(?:(?<![\w.@])@|t\.me\/)([A-Za-z][A-Za-z0-9_]{4,31})\b/g;
+const WHATSAPP_REGEX = /wa\.me\/\+?(\d{8,15})/g;
+
+const CONTEXT_BEFORE = 150;
+const CONTEXT_AFTER = 80;
+
+class EntityExtractor {
+    // Возвращает предложения вида { field: 'name' | 'company', value, source: 'text' | 'sender' }
+    static extract(text, phone = {}, sender = null) {
+        const context = this.contextWindow(text || '', phone);
+        const company = this.findCompany(context);
+        const name = this.findName(context, company);
+        const suggestions = [];
+
+        if (name) {
+            suggestions.push({ field: 'name', value: name, source: 'text' });
+        } else {
+            const senderName = this.senderName(sender);
+            if (senderName) suggestions.push({ field: 'name', value: senderName, source: 'sender' });
+        }
+
+        if (company) {
+            suggestions.push({ field: 'company', value: company, source: 'text' });
+        }
+
+        return suggestions;
+    }
+
+    // Фрагмент текста вокруг номера; сам номер и другие номера вырезаются
+    static contextWindow(text, phone) {
+        if (typeof phone.index !== 'number') return text;
+
+        const start = Math.max(0, phone.index - CONTEXT_BEFORE);
+        const end = phone.index + (phone.original || '').length + CONTEXT_AFTER;
+        return text.substring(start, end).replace(/\+?\d[\d\s\-().]{5,}\d/g, match => ' '.repeat(match.length));
+    }
+
+    static findCompany(context) {
+        for (const { regex, build } of COMPANY_PATTERNS) {
+            const match = context.match(regex);
+            if (match && !this.isStopWord(match[match.length - 1])) {
+                return build(match);
+            }
+        }
+        return null;
+    }
+
+    static findName(context, company) {
+        for (const regex of NAME_PATTERNS) {
+            const match = context.match(regex);
+            const name = match && this.cleanName(match[1], company);
+            if (name) return name;
+        }
+
+        // Подпись разбирается по строкам: строка, целиком состоящая из имени, надежнее случайных слов в тексте
+        const lines = context.split('\n')
+            .filter(line => NAME_LINE.test(line))
+            .map(line => this.cleanName(line.trim(), company))
+            .filter(name => name && name.includes(' '));
+        if (lines.length > 0) return lines[0];
+
+        // Любая последовательность из 2-3 слов с заглавной буквы, не входящая в название компании
+        const candidates = [...context.matchAll(new RegExp(`(?<![${UPPER}${LOWER}])${NAME}`, 'g'))]
+            .map(match => this.cleanName(match[0], company))
+            .filter(name => name && name.includes(' '));
+
+        return candidates[0] || null;
+    }
+
+    static cleanName(value, company) {
+        const words = value.split(/\s+/).filter(word => !this.isStopWord(word));
+        const name = words.join(' ');
+
+        if (!name || (company && company.includes(name))) return null;
+        return name;
+    }
+
+    static isStopWord(word) {
+        return STOP_WORDS.has(String(word).toLowerCase());
+    }
+
+    // Email, Telegram-логины и ссылки WhatsApp из текста
+    static extractLinks(text) {
+        const source = text || '';
+        const emails = [...source.matchAll(EMAIL_REGEX)].map(match => match[0].toLowerCase());
+        const telegram = [...source.matchAll(TELEGRAM_REGEX)]
+            .map(match => `@${match[1].toLowerCase()}`)
+            .filter(username => !username.endsWith('bot'));
+        const whatsapp = [...source.matchAll(WHATSAPP_REGEX)].map(match => `https://wa.me/${match[1]}`);
+
+        return {
+            emails: [...new Set(emails)],
+            telegram: [...new Set(telegram)],
+            whatsapp: [...new Set(whatsapp)]
+        };
+    }
+
+    // Мессенджер, введенный вручную, в том же виде, что и из extractLinks: @логин или https://wa.me/<цифры>.
+    // null - значение не похоже на логин Telegram или номер WhatsApp
+    static normalizeMessenger(kind, value) {
+        const input = String(value || '').trim();
+        if (kind === 'telegram') {
+            const match = input.match(/^(?:@|(?:https?:\/\/)?t\.me\/)?([A-Za-z][A-Za-z0-9_]{4,31})$/);
+            return match ? `@${match[1].toLowerCase()}` : null;
+        }
+        if (kind === 'whatsapp') {
+            const match = input.replace(/[\s()-]/g, '').match(/^(?:(?:https?:\/\/)?wa\.me\/)?\+?(\d{8,15})$/);
+            return match ? `https://wa.me/${match[1]}` : null;
+        }
+        return null;
+    }
+
+    static senderName(sender) {
+        if (!sender || sender.is_bot) return null;
+        const name = [sender.first_name, sender.last_name].filter(Boolean).join(' ').trim();
+        return name || null;
+    }
+}
+
+module.exports = EntityExtractor;
@@ -0,0 +1,66 @@
+// Переводы бота и веб-интерфейса. Каталоги сообщений - locales/<язык>.json с ключами вида
+// "bot.search.empty" (бот), "web.edit.save" (веб-интерфейс) и "source.import" (источник контакта,
+// общий для бота и API).
+// Значение - строка с подстановками {name} или объект форм множественного числа
+// по категориям Intl.PluralRules (one, few, many, other), форма выбирается по параметру count
+
+const LOCALES = ['ru', 'en'];
+const DEFAULT_LOCALE = 'ru';
+
+// Для этих языков Telegram русский интерфейс понятнее английского
+const RUSSIAN_FALLBACK_LANGUAGES = ['ru', 'uk', 'be', 'kk'];
+
+const catalogs = Object.fromEntries(LOCALES.map(locale => [locale, require(`./locales/${locale}.json`)]));
+const pluralRules = Object.fromEntries(LOCALES.map(locale => [locale, new Intl.PluralRules(locale)]));
+
+// "en-US", "EN" -> "en"; null, если язык не поддерживается
+const normalizeLocale = (code) => {
+    const language = String(code || '').toLowerCase().split(/[-_]/)[0];
+    return LOCALES.includes(language) ? language : null;
+};
+
+// Язык по language_code пользователя Telegram: без кода - язык по умолчанию,
+// неизвестные языки - английский
+const detectLocale = (languageCode) => {
+    if (!languageCode) return DEFAULT_LOCALE;
+
+    const locale = normalizeLocale(languageCode);
+    if (locale) return locale;
+
+    const language = String(languageCode).toLowerCase().split(/[-_]/)[0];
+    return RUSSIAN_FALLBACK_LANGUAGES.includes(language) ? 'ru' : 'en';
+};
+
+const interpolate = (template, params) => template.replace(/\{(\w+)\}/g, (match, name) => (
+    params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+));
+
+// Перевод ключа; если ключа нет в каталоге языка - берется русский вариант, затем сам ключ
+const translate = (locale, key, params = {}) => {
+    const catalog = catalogs[locale] || catalogs[DEFAULT_LOCALE];
+    let message = catalog[key] !== undefined ? catalog[key] : catalogs[DEFAULT_LOCALE][key];
+    if (message === undefined) return key;
+
+    if (typeof message === 'object') {
+        const rules = pluralRules[catalogs[locale] && catalog[key] !== undefined ? locale : DEFAULT_LOCALE];
+        const count = Number(params.count) || 0;
+        message = message[rules.select(count)] || message.other;
+    }
+    return interpolate(message, params);
+};
+
+// Функция перевода для одного языка: t('bot.stats.title', { count: 5 })
+const createTranslator = (locale) => (key, params) => translate(locale, key, params);
+
+// Сообщения с префиксом (например, "web.") без префикса - для передачи в браузер
+const getMessages = (locale, prefix) => {
+    const messages = {};
+    for (const source of [catalogs[DEFAULT_LOCALE], catalogs[locale] || {}]) {
+        for (const [key, value] of Object.entries(source)) {
+            if (key.startsWith(prefix)) messages[key.substring(prefix.length)] = value;
+        }
+    }
+    return messages;
+};
+
+module.exports = { LOCALES, DEFAULT_LOCALE, normalizeLocale, detectLocale, translate, createTranslator, getMessages };
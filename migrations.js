@@ -0,0 +1,581 @@
+// Схема базы данных и миграции. Каждая миграция применяется один раз в своей транзакции,
+// примененные версии записываются в schema_migrations.
+// Новые колонки и таблицы добавляются новой миграцией в конец списка MIGRATIONS,
+// уже выпущенные миграции не меняются
+
+const { redactText } = require('./privacy');
+
+// Таблицы, которые пересоздаются при обновлении схемы, поэтому описаны отдельно.
+// Номер уникален в пределах пространства контактов: один человек может быть в нескольких книгах
+const TABLE_SCHEMAS = {
+    contacts: (table) => `
+        CREATE TABLE IF NOT EXISTS ${table} (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            workspace_id INTEGER,
+            phone TEXT NOT NULL,
+            normalized_phone TEXT NOT NULL,
+            name TEXT,
+            company TEXT,
+            context TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            deleted_at DATETIME,
+            FOREIGN KEY (workspace_id) REFERENCES workspaces(id)
+        )
+    `,
+    contact_phones: (table) => `
+        CREATE TABLE IF NOT EXISTS ${table} (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            contact_id INTEGER NOT NULL,
+            workspace_id INTEGER,
+            phone TEXT NOT NULL,
+            normalized_phone TEXT NOT NULL,
+            type TEXT NOT NULL DEFAULT 'other',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (workspace_id, normalized_phone),
+            FOREIGN KEY (contact_id) REFERENCES contacts(id)
+        )
+    `,
+    contact_messengers: (table) => `
+        CREATE TABLE IF NOT EXISTS ${table} (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            contact_id INTEGER NOT NULL,
+            kind TEXT NOT NULL,
+            value TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (contact_id, kind, value),
+            FOREIGN KEY (contact_id) REFERENCES contacts(id)
+        )
+    `
+};
+
+// Колонки, добавленные в таблицы после их первой версии, - для баз, созданных до появления миграций
+const ADDED_COLUMNS = {
+    contacts: {
+        deleted_at: 'DATETIME'
+    },
+    parsed_messages: {
+        sender_id: 'INTEGER',
+        sender_name: 'TEXT',
+        chat_title: 'TEXT',
+        chat_username: 'TEXT',
+        phone: 'TEXT',
+        origin: 'TEXT',
+        message_date: 'DATETIME'
+    },
+    workspaces: {
+        owner_chat_id: 'INTEGER',
+        default_role: "TEXT NOT NULL DEFAULT 'editor'"
+    },
+    workspace_members: {
+        role: 'TEXT'
+    },
+    chat_settings: {
+        reply_mode: "TEXT NOT NULL DEFAULT 'always'",
+        web_app_button: 'INTEGER NOT NULL DEFAULT 1',
+        ignore_bots: 'INTEGER NOT NULL DEFAULT 0',
+        rate_limit: 'INTEGER NOT NULL DEFAULT 0'
+    }
+};
+
+// Полнотекстовый индекс контактов (FTS5): имя, компания, контекст, email и мессенджеры.
+// rowid индекса - id контакта, индекс поддерживается триггерами.
+// unicode61 не приравнивает «ё» к «е», поэтому буква заменяется при индексации и в запросе
+const foldSearchText = (expression) => `REPLACE(REPLACE(${expression}, 'ё', 'е'), 'Ё', 'Е')`;
+
+const searchChannels = (contactId) => `(SELECT GROUP_CONCAT(value, ' ') FROM (
+    SELECT email AS value FROM contact_emails WHERE contact_id = ${contactId}
+    UNION ALL SELECT value FROM contact_messengers WHERE contact_id = ${contactId}
+))`;
+
+const SEARCH_INDEX_TRIGGERS = [
+    `CREATE TRIGGER IF NOT EXISTS contacts_fts_insert AFTER INSERT ON contacts BEGIN
+        INSERT INTO contacts_fts (rowid, name, company, context, channels) 
+        VALUES (new.id, ${foldSearchText('new.name')}, ${foldSearchText('new.company')}, ${foldSearchText('new.context')}, ${searchChannels('new.id')});
+    END`,
+    `CREATE TRIGGER IF NOT EXISTS contacts_fts_update AFTER UPDATE OF name, company, context ON contacts BEGIN
+        UPDATE contacts_fts SET name = ${foldSearchText('new.name')}, company = ${foldSearchText('new.company')}, 
+            context = ${foldSearchText('new.context')} WHERE rowid = new.id;
+    END`,
+    `CREATE TRIGGER IF NOT EXISTS contacts_fts_delete AFTER DELETE ON contacts BEGIN
+        DELETE FROM contacts_fts WHERE rowid = old.id;
+    END`,
+    ...['INSERT', 'DELETE'].map(event => `CREATE TRIGGER IF NOT EXISTS contact_emails_fts_${event.toLowerCase()} AFTER ${event} ON contact_emails BEGIN
+        UPDATE contacts_fts SET channels = ${searchChannels(`${event === 'INSERT' ? 'new' : 'old'}.contact_id`)} 
+        WHERE rowid = ${event === 'INSERT' ? 'new' : 'old'}.contact_id;
+    END`),
+    ...['INSERT', 'UPDATE', 'DELETE'].map(event => `CREATE TRIGGER IF NOT EXISTS contact_messengers_fts_${event.toLowerCase()} AFTER ${event} ON contact_messengers BEGIN
+        ${event !== 'DELETE' ? `UPDATE contacts_fts SET channels = ${searchChannels('new.contact_id')} WHERE rowid = new.contact_id;` : ''}
+        ${event !== 'INSERT' ? `UPDATE contacts_fts SET channels = ${searchChannels('old.contact_id')} WHERE rowid = old.contact_id;` : ''}
+    END`)
+];
+
+// Таблицы и индексы на момент появления миграций
+const INITIAL_TABLES = [
+    TABLE_SCHEMAS.contacts('contacts'),
+    `
+        CREATE TABLE IF NOT EXISTS parsed_messages (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            message_id INTEGER NOT NULL,
+            chat_id INTEGER NOT NULL,
+            contact_id INTEGER,
+            original_text TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (contact_id) REFERENCES contacts(id)
+        )
+    `,
+    `
+        CREATE TABLE IF NOT EXISTS chat_settings (
+            chat_id INTEGER PRIMARY KEY,
+            default_region TEXT,
+            reply_mode TEXT NOT NULL DEFAULT 'always',
+            web_app_button INTEGER NOT NULL DEFAULT 1,
+            ignore_bots INTEGER NOT NULL DEFAULT 0,
+            rate_limit INTEGER NOT NULL DEFAULT 0,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `,
+    // Язык, выбранный пользователем командой /lang; без записи язык берется из Telegram
+    `
+        CREATE TABLE IF NOT EXISTS user_settings (
+            user_id INTEGER PRIMARY KEY,
+            language TEXT,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `,
+    // Отправители, сообщения которых бот не обрабатывает в этом чате
+    `
+        CREATE TABLE IF NOT EXISTS chat_ignored_senders (
+            chat_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            username TEXT,
+            first_name TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (chat_id, user_id)
+        )
+    `,
+    `
+        CREATE TABLE IF NOT EXISTS contact_suggestions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            contact_id INTEGER NOT NULL,
+            field TEXT NOT NULL,
+            value TEXT NOT NULL,
+            source TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (contact_id, field, value),
+            FOREIGN KEY (contact_id) REFERENCES contacts(id)
+        )
+    `,
+    // Телефоны, email и мессенджеры контакта; contacts.phone хранит основной номер
+    TABLE_SCHEMAS.contact_phones('contact_phones'),
+    `
+        CREATE TABLE IF NOT EXISTS contact_emails (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            contact_id INTEGER NOT NULL,
+            email TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (contact_id, email),
+            FOREIGN KEY (contact_id) REFERENCES contacts(id)
+        )
+    `,
+    TABLE_SCHEMAS.contact_messengers('contact_messengers'),
+    // Пространства контактов: у каждого чата своя книга, несколько чатов можно связать в одну.
+    // Администраторы чата, создавшего пространство (owner_chat_id), - его владельцы
+    `
+        CREATE TABLE IF NOT EXISTS workspaces (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            title TEXT,
+            invite_code TEXT UNIQUE,
+            owner_chat_id INTEGER,
+            default_role TEXT NOT NULL DEFAULT 'editor',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `,
+    `
+        CREATE TABLE IF NOT EXISTS workspace_chats (
+            chat_id INTEGER PRIMARY KEY,
+            workspace_id INTEGER NOT NULL,
+            chat_title TEXT,
+            linked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (workspace_id) REFERENCES workspaces(id)
+        )
+    `,
+    // Пользователи, писавшие в чатах пространства, - им доступна книга в веб-интерфейсе.
+    // role = NULL - роль по умолчанию из workspaces.default_role
+    `
+        CREATE TABLE IF NOT EXISTS workspace_members (
+            workspace_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            username TEXT,
+            first_name TEXT,
+            role TEXT,
+            last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (workspace_id, user_id),
+            FOREIGN KEY (workspace_id) REFERENCES workspaces(id)
+        )
+    `,
+    // История изменений контактов: кто, откуда и какие значения поменял
+    `
+        CREATE TABLE IF NOT EXISTS contact_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            contact_id INTEGER NOT NULL,
+            workspace_id INTEGER,
+            action TEXT NOT NULL,
+            old_values TEXT,
+            new_values TEXT,
+            actor_type TEXT NOT NULL DEFAULT 'system',
+            actor_id TEXT,
+            actor_name TEXT,
+            source TEXT NOT NULL DEFAULT 'system',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `,
+    `CREATE INDEX IF NOT EXISTS idx_contact_history_contact ON contact_history (contact_id)`,
+    // Теги и дополнительные поля задаются отдельно для каждого пространства
+    `
+        CREATE TABLE IF NOT EXISTS tags (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            workspace_id INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (workspace_id, name),
+            FOREIGN KEY (workspace_id) REFERENCES workspaces(id)
+        )
+    `,
+    `
+        CREATE TABLE IF NOT EXISTS contact_tags (
+            contact_id INTEGER NOT NULL,
+            tag_id INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (contact_id, tag_id),
+            FOREIGN KEY (contact_id) REFERENCES contacts(id),
+            FOREIGN KEY (tag_id) REFERENCES tags(id)
+        )
+    `,
+    `
+        CREATE TABLE IF NOT EXISTS custom_fields (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            workspace_id INTEGER NOT NULL,
+            key TEXT NOT NULL,
+            label TEXT NOT NULL,
+            type TEXT NOT NULL DEFAULT 'text',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (workspace_id, key),
+            FOREIGN KEY (workspace_id) REFERENCES workspaces(id)
+        )
+    `,
+    `
+        CREATE TABLE IF NOT EXISTS contact_field_values (
+            contact_id INTEGER NOT NULL,
+            field_id INTEGER NOT NULL,
+            value TEXT NOT NULL,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (contact_id, field_id),
+            FOREIGN KEY (contact_id) REFERENCES contacts(id),
+            FOREIGN KEY (field_id) REFERENCES custom_fields(id)
+        )
+    `,
+    // Номера, которые бот не сохраняет в этом пространстве (артикулы, номера заказов и т.п.)
+    `
+        CREATE TABLE IF NOT EXISTS ignored_phones (
+            workspace_id INTEGER NOT NULL,
+            normalized_phone TEXT NOT NULL,
+            created_by INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (workspace_id, normalized_phone),
+            FOREIGN KEY (workspace_id) REFERENCES workspaces(id)
+        )
+    `,
+    // Сессии бота (сцены ввода значений), чтобы начатый диалог пережил перезапуск сервера
+    `
+        CREATE TABLE IF NOT EXISTS bot_sessions (
+            key TEXT PRIMARY KEY,
+            data TEXT NOT NULL,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `
+];
+
+// Пересоздание таблицы с новой схемой и копированием данных (SQLite не меняет ограничения через ALTER)
+const rebuildTable = async ({ run }, table, copySql) => {
+    await run(`DROP TABLE IF EXISTS ${table}_new`);
+    await run(TABLE_SCHEMAS[table](`${table}_new`));
+    await run(copySql.replace('{table}', `${table}_new`));
+    await run(`DROP TABLE ${table}`);
+    await run(`ALTER TABLE ${table}_new RENAME TO ${table}`);
+    console.log(`Table ${table} rebuilt`);
+};
+
+const addColumns = async ({ run }, table, columns) => {
+    for (const [column, type] of Object.entries(columns)) {
+        try {
+            await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+        } catch (err) {
+            if (!/duplicate column name/.test(err.message)) throw err;
+        }
+    }
+};
+
+const tableSql = async ({ get }, table) => {
+    const row = await get(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?`, [table]);
+    return row ? row.sql : '';
+};
+
+// up({ run, get, all }) - шаги миграции; run, get и all возвращают Promise
+const MIGRATIONS = [
+    {
+        // Схема на момент появления миграций. Базы предыдущих версий, созданные без учета версий,
+        // доводятся до нее: недостающие колонки добавляются, таблицы со старыми ограничениями пересоздаются
+        version: 1,
+        name: 'initial_schema',
+        up: async (sql) => {
+            for (const statement of INITIAL_TABLES) {
+                await sql.run(statement);
+            }
+            for (const [table, columns] of Object.entries(ADDED_COLUMNS)) {
+                await addColumns(sql, table, columns);
+            }
+
+            await sql.run(`
+                CREATE UNIQUE INDEX IF NOT EXISTS idx_parsed_messages_unique 
+                ON parsed_messages (chat_id, message_id, contact_id)
+            `);
+
+            // До появления пространств номер был уникален во всей базе
+            if (!/workspace_id/.test(await tableSql(sql, 'contacts'))) {
+                await rebuildTable(sql, 'contacts', `
+                    INSERT INTO {table} (id, phone, normalized_phone, name, company, context, created_at, updated_at)
+                    SELECT id, phone, normalized_phone, name, company, context, created_at, updated_at FROM contacts
+                `);
+            }
+            if (!/workspace_id/.test(await tableSql(sql, 'contact_phones'))) {
+                await rebuildTable(sql, 'contact_phones', `
+                    INSERT INTO {table} (id, contact_id, workspace_id, phone, normalized_phone, type, created_at)
+                    SELECT contact_phones.id, contact_id, contacts.workspace_id, contact_phones.phone, 
+                           contact_phones.normalized_phone, type, contact_phones.created_at 
+                    FROM contact_phones LEFT JOIN contacts ON contacts.id = contact_phones.contact_id
+                `);
+            }
+            if (/UNIQUE \(kind, value\)/.test(await tableSql(sql, 'contact_messengers'))) {
+                await rebuildTable(sql, 'contact_messengers', `
+                    INSERT INTO {table} (id, contact_id, kind, value, created_at)
+                    SELECT id, contact_id, kind, value, created_at FROM contact_messengers
+                `);
+            }
+
+            await sql.run(`CREATE INDEX IF NOT EXISTS idx_contacts_workspace ON contacts (workspace_id)`);
+
+            // Триггеры создаются после пересоздания таблиц: DROP TABLE удаляет и их
+            await sql.run(`
+                CREATE VIRTUAL TABLE IF NOT EXISTS contacts_fts 
+                USING fts5(name, company, context, channels, tokenize = 'unicode61 remove_diacritics 2')
+            `);
+            for (const trigger of SEARCH_INDEX_TRIGGERS) {
+                await sql.run(trigger);
+            }
+
+            const indexed = await sql.get(`SELECT (SELECT COUNT(*) FROM contacts) AS contacts, (SELECT COUNT(*) FROM contacts_fts) AS entries`);
+            if (indexed.contacts !== indexed.entries) {
+                await sql.run(`DELETE FROM contacts_fts`);
+                await sql.run(`
+                    INSERT INTO contacts_fts (rowid, name, company, context, channels) 
+                    SELECT id, ${foldSearchText('name')}, ${foldSearchText('company')}, ${foldSearchText('context')}, ${searchChannels('contacts.id')} 
+                    FROM contacts
+                `);
+                console.log(`Search index rebuilt: ${indexed.contacts} contacts`);
+            }
+
+            await sql.run(`
+                UPDATE workspaces SET owner_chat_id = (
+                    SELECT chat_id FROM workspace_chats WHERE workspace_chats.workspace_id = workspaces.id 
+                    ORDER BY linked_at LIMIT 1
+                ) WHERE owner_chat_id IS NULL
+            `);
+
+            // Основной номер контакта всегда есть среди его телефонов
+            await sql.run(`
+                INSERT OR IGNORE INTO contact_phones (contact_id, workspace_id, phone, normalized_phone)
+                SELECT id, workspace_id, phone, normalized_phone FROM contacts 
+                WHERE id NOT IN (SELECT contact_id FROM contact_phones)
+            `);
+        }
+    },
+    {
+        // Исходящие вебхуки пространства и очередь их доставок; events - события через запятую
+        version: 2,
+        name: 'webhooks',
+        up: async (sql) => {
+            await sql.run(`
+                CREATE TABLE IF NOT EXISTS webhooks (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    workspace_id INTEGER NOT NULL,
+                    url TEXT NOT NULL,
+                    secret TEXT NOT NULL,
+                    events TEXT NOT NULL,
+                    active INTEGER NOT NULL DEFAULT 1,
+                    created_by TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (workspace_id) REFERENCES workspaces(id)
+                )
+            `);
+            // status: pending - ждет отправки или повтора, delivered - доставлено, failed - попытки исчерпаны
+            await sql.run(`
+                CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    webhook_id INTEGER NOT NULL,
+                    event TEXT NOT NULL,
+                    payload TEXT NOT NULL,
+                    status TEXT NOT NULL DEFAULT 'pending',
+                    attempts INTEGER NOT NULL DEFAULT 0,
+                    next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    response_status INTEGER,
+                    response TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    delivered_at DATETIME,
+                    FOREIGN KEY (webhook_id) REFERENCES webhooks(id)
+                )
+            `);
+            await sql.run(`CREATE INDEX IF NOT EXISTS idx_webhooks_workspace ON webhooks (workspace_id)`);
+            await sql.run(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_queue ON webhook_deliveries (status, next_attempt_at)`);
+            await sql.run(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, id)`);
+        }
+    },
+    {
+        // Напоминания о контактах. Время - UTC, как CURRENT_TIMESTAMP; notified_at - когда напоминание отправлено,
+        // перенос срока сбрасывает его. chat_id - чат, где создано напоминание, locale - язык создателя
+        version: 3,
+        name: 'reminders',
+        up: async (sql) => {
+            await sql.run(`
+                CREATE TABLE IF NOT EXISTS reminders (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    workspace_id INTEGER NOT NULL,
+                    contact_id INTEGER NOT NULL,
+                    text TEXT NOT NULL,
+                    due_at DATETIME NOT NULL,
+                    status TEXT NOT NULL DEFAULT 'open',
+                    assignee_id INTEGER NOT NULL,
+                    assignee_name TEXT,
+                    chat_id INTEGER,
+                    locale TEXT,
+                    created_by TEXT,
+                    notified_at DATETIME,
+                    completed_at DATETIME,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (workspace_id) REFERENCES workspaces(id),
+                    FOREIGN KEY (contact_id) REFERENCES contacts(id)
+                )
+            `);
+            await sql.run(`CREATE INDEX IF NOT EXISTS idx_reminders_due ON reminders (status, notified_at, due_at)`);
+            await sql.run(`CREATE INDEX IF NOT EXISTS idx_reminders_workspace ON reminders (workspace_id, status, due_at)`);
+            await sql.run(`CREATE INDEX IF NOT EXISTS idx_reminders_contact ON reminders (contact_id)`);
+        }
+    },
+    {
+        // Персональные данные. privacy_blocklist - номера, которые не сохраняются ни в одном пространстве
+        // (человек попросил удалить его данные). contacts.message_context_at - когда в контекст записан текст
+        // сообщения; такой контекст очищается по сроку хранения, заметка, исправленная вручную, - нет.
+        // Текст, сохраненный до вычистки, - email, карты и адреса в parsed_messages и контекстах из сообщений -
+        // заменяется метками (redactText)
+        version: 4,
+        name: 'privacy',
+        up: async (sql) => {
+            await sql.run(`
+                CREATE TABLE IF NOT EXISTS privacy_blocklist (
+                    normalized_phone TEXT PRIMARY KEY,
+                    reason TEXT,
+                    created_by TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await addColumns(sql, 'contacts', { message_context_at: 'DATETIME' });
+            // Контекст уже сохраненных контактов - текст сообщения, если он совпадает с началом упоминания
+            await sql.run(`
+                UPDATE contacts SET message_context_at = created_at 
+                WHERE context IS NOT NULL AND EXISTS (
+                    SELECT 1 FROM parsed_messages 
+                    WHERE parsed_messages.contact_id = contacts.id AND substr(parsed_messages.original_text, 1, 200) = contacts.context
+                )
+            `);
+            // ...или если его не правили вручную: у контактов из базы до миграций записей parsed_messages нет
+            await sql.run(`
+                UPDATE contacts SET message_context_at = created_at 
+                WHERE context IS NOT NULL AND message_context_at IS NULL AND NOT EXISTS (
+                    SELECT 1 FROM contact_history 
+                    WHERE contact_history.contact_id = contacts.id 
+                      AND json_extract(contact_history.new_values, '$.context') IS NOT NULL 
+                      AND NOT (contact_history.action = 'create' AND contact_history.source = 'bot')
+                )
+            `);
+            await sql.run(`CREATE INDEX IF NOT EXISTS idx_parsed_messages_phone ON parsed_messages (phone)`);
+
+            const messages = await sql.all(`SELECT id, original_text FROM parsed_messages WHERE original_text IS NOT NULL`);
+            for (const message of messages) {
+                const text = redactText(message.original_text);
+                if (text !== message.original_text) {
+                    await sql.run(`UPDATE parsed_messages SET original_text = ? WHERE id = ?`, [text, message.id]);
+                }
+            }
+
+            const contacts = await sql.all(`SELECT id, context FROM contacts WHERE message_context_at IS NOT NULL`);
+            for (const contact of contacts) {
+                const context = redactText(contact.context);
+                if (context !== contact.context) {
+                    await sql.run(`UPDATE contacts SET context = ? WHERE id = ?`, [context, contact.id]);
+                }
+            }
+        }
+    }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Транзакция на отдельном соединении, где нет других запросов
+const plainTransaction = (sql) => async (work) => {
+    await sql.run('BEGIN TRANSACTION');
+    try {
+        await work();
+        await sql.run('COMMIT');
+    } catch (error) {
+        await sql.run('ROLLBACK');
+        throw error;
+    }
+};
+
+// Применение новых миграций по порядку; ошибка откатывает миграцию целиком и останавливает запуск.
+// sql.transaction - выполнение в транзакции (withTransaction из database.js), без него - BEGIN ... COMMIT
+const runMigrations = async (sql) => {
+    const transaction = sql.transaction || plainTransaction(sql);
+    await sql.run(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    const { version: current } = await sql.get(`SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations`);
+    if (current > LATEST_VERSION) {
+        console.warn(`⚠️ Database schema version ${current} is newer than this server (${LATEST_VERSION})`);
+        return current;
+    }
+
+    for (const migration of MIGRATIONS.filter(migration => migration.version > current)) {
+        try {
+            await transaction(async () => {
+                await migration.up(sql);
+                await sql.run(`INSERT INTO schema_migrations (version, name) VALUES (?, ?)`, [migration.version, migration.name]);
+            });
+            console.log(`Migration ${migration.version} applied: ${migration.name}`);
+        } catch (error) {
+            throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+        }
+    }
+
+    console.log(`Database schema is up to date (version ${LATEST_VERSION})`);
+    return LATEST_VERSION;
+};
+
+module.exports = { MIGRATIONS, LATEST_VERSION, runMigrations };
@@ -0,0 +1,50 @@
+// Метаданные телефонных планов нумерации по регионам (ISO 3166-1 alpha-2)
+//
+// code           - код страны (calling code) без "+"
+// trunkPrefixes  - национальные префиксы выхода на междугороднюю связь ("8", "0")
+// intlPrefixes   - префиксы выхода на международную связь ("00", "810", "011")
+// lengths        - допустимые длины национального номера (без кода страны и префикса)
+// leadingDigits  - первые цифры национального номера, если код страны общий у нескольких регионов
+
+const range = (min, max) => Array.from({ length: max - min + 1 }, (_, i) => min + i);
+
+const REGIONS = {
+    RU: { code: '7', trunkPrefixes: ['8'], intlPrefixes: ['810', '00'], lengths: [10], leadingDigits: /^[3489]/ },
+    KZ: { code: '7', trunkPrefixes: ['8'], intlPrefixes: ['810', '00'], lengths: [10], leadingDigits: /^[67]/ },
+    UA: { code: '380', trunkPrefixes: ['0'], intlPrefixes: ['00'], lengths: [9] },
+    BY: { code: '375', trunkPrefixes: ['80', '8', '0'], intlPrefixes: ['810', '00'], lengths: [9] },
+    UZ: { code: '998', trunkPrefixes: ['8'], intlPrefixes: ['810', '00'], lengths: [9] },
+    KG: { code: '996', trunkPrefixes: ['0'], intlPrefixes: ['00'], lengths: [9] },
+    TJ: { code: '992', trunkPrefixes: ['8'], intlPrefixes: ['810', '00'], lengths: [9] },
+    AM: { code: '374', trunkPrefixes: ['0'], intlPrefixes: ['00'], lengths: [8] },
+    AZ: { code: '994', trunkPrefixes: ['0'], intlPrefixes: ['00'], lengths: [9] },
+    GE: { code: '995', trunkPrefixes: ['0'], intlPrefixes: ['00'], lengths: [9] },
+    MD: { code: '373', trunkPrefixes: ['0'], intlPrefixes: ['00'], lengths: [8] },
+    LV: { code: '371', trunkPrefixes: [], intlPrefixes: ['00'], lengths: [8] },
+    LT: { code: '370', trunkPrefixes: ['8'], intlPrefixes: ['00'], lengths: [8] },
+    EE: { code: '372', trunkPrefixes: [], intlPrefixes: ['00'], lengths: [7, 8] },
+    FI: { code: '358', trunkPrefixes: ['0'], intlPrefixes: ['00', '990'], lengths: range(5, 12) },
+    PL: { code: '48', trunkPrefixes: [], intlPrefixes: ['00'], lengths: [9] },
+    CZ: { code: '420', trunkPrefixes: [], intlPrefixes: ['00'], lengths: [9] },
+    DE: { code: '49', trunkPrefixes: ['0'], intlPrefixes: ['00'], lengths: range(6, 13) },
+    NL: { code: '31', trunkPrefixes: ['0'], intlPrefixes: ['00'], lengths: [9] },
+    FR: { code: '33', trunkPrefixes: ['0'], intlPrefixes: ['00'], lengths: [9] },
+    ES: { code: '34', trunkPrefixes: [], intlPrefixes: ['00'], lengths: [9] },
+    IT: { code: '39', trunkPrefixes: [], intlPrefixes: ['00'], lengths: range(6, 11) },
+    GB: { code: '44', trunkPrefixes: ['0'], intlPrefixes: ['00'], lengths: [9, 10] },
+    TR: { code: '90', trunkPrefixes: ['0'], intlPrefixes: ['00'], lengths: [10] },
+    IL: { code: '972', trunkPrefixes: ['0'], intlPrefixes: ['00'], lengths: [8, 9] },
+    AE: { code: '971', trunkPrefixes: ['0'], intlPrefixes: ['00'], lengths: [8, 9] },
+    CN: { code: '86', trunkPrefixes: ['0'], intlPrefixes: ['00'], lengths: [10, 11] },
+    US: { code: '1', trunkPrefixes: ['1'], intlPrefixes: ['011'], lengths: [10], leadingDigits: /^[2-9]/ },
+    CA: { code: '1', trunkPrefixes: ['1'], intlPrefixes: ['011'], lengths: [10], leadingDigits: /^[2-9]/ }
+};
+
+// Код страны -> список регионов с этим кодом (в порядке приоритета)
+const CALLING_CODES = {};
+for (const [region, meta] of Object.entries(REGIONS)) {
+    if (!CALLING_CODES[meta.code]) CALLING_CODES[meta.code] = [];
+    CALLING_CODES[meta.code].push(region);
+}
+
+module.exports = { REGIONS, CALLING_CODES };
@@ -0,0 +1,229 @@
+const { REGIONS, CALLING_CODES } = require('./phone-metadata');
+
+// Длины номера E.164 для стран, которых нет в метаданных
+const E164_MIN_LENGTH = 8;
+const E164_MAX_LENGTH = 15;
+
+// Кандидат в номер: цифры с пробелами, дефисами, точками и скобками
+const CANDIDATE_REGEX = /\+?\(?\d[\d \t\-().\u00a0]{6,}\d/g;
+
+// Фрагменты, похожие на номер, но ими не являющиеся: даты, время, IBAN
+const NON_PHONE_PATTERNS = [
+    /\b\d{1,2}[./-]\d{1,2}[./-](?:\d{4}|\d{2})\b/g,
+    /\b\d{4}[./-]\d{1,2}[./-]\d{1,2}\b/g,
+    /\b\d{1,2}:\d{2}(?::\d{2})?\b/g,
+    /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g
+];
+
+// Слова перед номером, повышающие и понижающие уверенность
+const POSITIVE_KEYWORDS = [
+    'тел', 'моб', 'сотов', 'звон', 'номер телефона', 'контакт', 'whatsapp', 'ватсап', 'вотсап',
+    'viber', 'вайбер', 'telegram', 'телеграм', 'phone', 'tel', 'mob', 'cell', 'call', 'contact'
+];
+const NEGATIVE_KEYWORDS = [
+    'инн', 'огрн', 'кпп', 'бик', 'окпо', 'снилс', 'паспорт', 'р/с', 'к/с', 'счет', 'счёт', 'iban',
+    'заказ', 'накладн', 'трек', 'артикул', 'карта', 'карты', 'карту', 'картой', '№', 'order', 'invoice', 'track', 'card', 'account'
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+const keywordRegex = (keywords) =>
+    new RegExp(`(?:^|[^a-zа-яё])(?:${keywords.map(escapeRegex).join('|')})`, 'i');
+
+const POSITIVE_REGEX = keywordRegex(POSITIVE_KEYWORDS);
+const NEGATIVE_REGEX = keywordRegex(NEGATIVE_KEYWORDS);
+
+const CONTEXT_BEFORE = 30;
+const CONTEXT_AFTER = 15;
+
+const maskNonPhones = (text) => NON_PHONE_PATTERNS.reduce(
+    (masked, pattern) => masked.replace(pattern, match => '#'.repeat(match.length)),
+    text
+);
+
+const innChecksum = (digits, weights) =>
+    weights.reduce((sum, weight, i) => sum + weight * Number(digits[i]), 0) % 11 % 10;
+
+const isValidInn = (digits) => {
+    if (digits.length === 10) {
+        return innChecksum(digits, [2, 4, 10, 3, 5, 9, 4, 6, 8]) === Number(digits[9]);
+    }
+    if (digits.length === 12) {
+        return innChecksum(digits, [7, 2, 4, 10, 3, 5, 9, 4, 6, 8]) === Number(digits[10])
+            && innChecksum(digits, [3, 7, 2, 4, 10, 3, 5, 9, 4, 6, 8]) === Number(digits[11]);
+    }
+    return false;
+};
+
+const isValidOgrn = (digits) => {
+    if (digits.length !== 13 && digits.length !== 15) return false;
+    const divisor = digits.length === 13 ? 11n : 13n;
+    const body = BigInt(digits.substring(0, digits.length - 1));
+    return Number(body % divisor % 10n) === Number(digits[digits.length - 1]);
+};
+
+// Утилиты для парсинга телефонов
+class PhoneParser {
+    static get defaultRegion() {
+        const region = (process.env.DEFAULT_REGION || '').toUpperCase();
+        return this.isSupportedRegion(region) ? region : 'RU';
+    }
+
+    static get supportedRegions() {
+        return Object.keys(REGIONS);
+    }
+
+    static isSupportedRegion(region) {
+        return Boolean(region) && Object.prototype.hasOwnProperty.call(REGIONS, region);
+    }
+
+    // Разбор номера в структуру { e164, countryCode, nationalNumber, region } или null
+    static parse(phone, region = this.defaultRegion) {
+        if (!phone) return null;
+
+        const trimmed = String(phone).trim();
+        const digits = trimmed.replace(/\D/g, '');
+        if (!digits) return null;
+
+        if (trimmed.replace(/^[^\d+]+/, '').startsWith('+')) {
+            return this.parseInternational(digits, true);
+        }
+
+        const meta = REGIONS[region] || REGIONS[this.defaultRegion];
+
+        for (const prefix of meta.intlPrefixes) {
+            if (digits.startsWith(prefix)) {
+                const parsed = this.parseInternational(digits.substring(prefix.length), true);
+                if (parsed) return parsed;
+            }
+        }
+
+        // Сначала считаем номер национальным, затем - записанным с кодом страны, но без "+"
+        return this.parseNational(digits, meta) || this.parseInternational(digits);
+    }
+
+    static parseNational(digits, meta) {
+        const candidates = meta.trunkPrefixes
+            .filter(prefix => digits.startsWith(prefix))
+            .sort((a, b) => b.length - a.length)
+            .map(prefix => digits.substring(prefix.length));
+        candidates.push(digits);
+
+        for (const nationalNumber of candidates) {
+            if (!meta.lengths.includes(nationalNumber.length)) continue;
+
+            const region = this.resolveRegion(meta.code, nationalNumber);
+            if (region) {
+                return this.buildResult(meta.code, nationalNumber, region);
+            }
+        }
+
+        return null;
+    }
+
+    static parseInternational(digits, explicit = false) {
+        for (let length = 1; length <= 3; length++) {
+            const countryCode = digits.substring(0, length);
+            if (!CALLING_CODES[countryCode]) continue;
+
+            const nationalNumber = digits.substring(length);
+            const region = this.resolveRegion(countryCode, nationalNumber);
+            return region ? this.buildResult(countryCode, nationalNumber, region) : null;
+        }
+
+        // Код страны неизвестен - принимаем явно международный номер допустимой для E.164 длины
+        if (explicit && digits.length >= E164_MIN_LENGTH && digits.length <= E164_MAX_LENGTH) {
+            return { e164: `+${digits}`, countryCode: null, nationalNumber: null, region: null };
+        }
+
+        return null;
+    }
+
+    // Выбор региона для кода страны по длине и первым цифрам национального номера
+    static resolveRegion(countryCode, nationalNumber) {
+        const region = (CALLING_CODES[countryCode] || []).find(candidate => {
+            const { lengths, leadingDigits } = REGIONS[candidate];
+            return lengths.includes(nationalNumber.length)
+                && (!leadingDigits || leadingDigits.test(nationalNumber));
+        });
+
+        return region || null;
+    }
+
+    static buildResult(countryCode, nationalNumber, region) {
+        return {
+            e164: `+${countryCode}${nationalNumber}`,
+            countryCode,
+            nationalNumber,
+            region
+        };
+    }
+
+    static normalizePhone(phone, region = this.defaultRegion) {
+        const parsed = this.parse(phone, region);
+        return parsed ? parsed.e164 : null;
+    }
+
+    // Поиск номеров в тексте с оценкой уверенности: кандидат принимается при score > 0
+    static parsePhoneNumbers(text, region = this.defaultRegion) {
+        if (!text) return [];
+
+        const masked = maskNonPhones(text);
+        const seen = new Set();
+        const phones = [];
+
+        for (const match of masked.matchAll(CANDIDATE_REGEX)) {
+            const original = match[0].trim();
+            const normalized = this.normalizePhone(original, region);
+            if (!normalized || seen.has(normalized)) continue;
+
+            const score = this.scoreCandidate(text, match.index, original);
+            if (score <= 0) continue;
+
+            seen.add(normalized);
+            phones.push({ original, normalized, score, index: match.index });
+        }
+
+        return phones;
+    }
+
+    // Контрольная сумма номеров карт (алгоритм Луна); ей же пользуется вычистка текста в privacy.js
+    static isLuhnValid(digits) {
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            let digit = Number(digits[digits.length - 1 - i]);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+        }
+        return sum % 10 === 0;
+    }
+
+    static scoreCandidate(text, index, candidate) {
+        const before = text.substring(Math.max(0, index - CONTEXT_BEFORE), index);
+        const after = text.substring(index + candidate.length, index + candidate.length + CONTEXT_AFTER);
+
+        // Номер, склеенный с буквами: трек-номера, артикулы, IBAN
+        if (/[A-Za-zА-Яа-яЁё]$/.test(before) || /^[A-Za-zА-Яа-яЁё]/.test(after)) return 0;
+
+        const digits = candidate.replace(/\D/g, '');
+        const international = candidate.startsWith('+');
+        const bare = /^\d+$/.test(candidate);
+
+        if (!international && digits.length >= 13 && digits.length <= 19 && this.isLuhnValid(digits)) return 0;
+
+        let score = 2;
+        if (POSITIVE_REGEX.test(before)) score += 3;
+        if (NEGATIVE_REGEX.test(before)) score -= 4;
+        if (international) score += 2;
+        if (!bare && !international) score += 1;
+        if (bare && !international) score -= 1;
+        if (bare && isValidInn(digits)) score -= 2;
+        if (bare && isValidOgrn(digits)) score -= 3;
+
+        return score;
+    }
+}
+
+module.exports = PhoneParser;
@@ -0,0 +1,134 @@
+// Персональные данные: вычистка email, номеров карт и адресов из сохраняемого текста сообщений,
+// срок хранения текста, полное удаление человека по номеру (/forget) и отчет обо всем, что о номере хранится.
+// Номера из privacy_blocklist не сохраняются ни в одном пространстве
+
+const PhoneParser = require('./phone-parser');
+
+// Карта - 16-19 цифр группами по 4 с проверкой Луна; телефон (до 15 цифр по E.164) так не записывается
+const CARD_REGEX = /(?<![\d+])\d{4}([ -]?)\d{4}\1\d{4}\1\d{4}(?:\1?\d{1,3})?(?!\d)/g;
+const EMAIL_REGEX = /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}.-]+\.\p{L}{2,}/gu;
+
+const capitalize = (word) => word[0].toUpperCase() + word.substring(1);
+const withCapitals = (words) => words.flatMap(word => [word, capitalize(word)]).map(word => word.replace(/\./g, '\\.')).join('|');
+
+// Улица с названием с заглавной буквы или цифры, номер дома, корпус, квартира: «ул. Ленина, д. 5, кв. 12»
+const STREETS_RU = ['ул.', 'ул', 'улица', 'пр-т', 'просп.', 'проспект', 'пер.', 'переулок', 'б-р', 'бульвар', 'ш.', 'шоссе', 'наб.', 'набережная', 'пл.', 'площадь'];
+const BUILDING_PARTS_RU = ['д.', 'дом', 'корп.', 'корпус', 'к.', 'стр.', 'строение', 'кв.', 'квартира', 'оф.', 'офис'];
+const STREETS_EN = ['Street', 'St', 'Avenue', 'Ave', 'Road', 'Rd', 'Boulevard', 'Blvd', 'Lane', 'Ln', 'Drive', 'Dr', 'Court', 'Ct', 'Place', 'Pl', 'Square', 'Sq'];
+const HOUSE_NUMBER = '\\d{1,4}[а-яa-z]?(?:\\/\\d{1,4})?(?!\\d)';
+
+const ADDRESS_REGEXES = [
+    new RegExp(`(?<!\\p{L})(?:${withCapitals(STREETS_RU)})\\s*[\\p{Lu}\\d][\\p{L}\\d.-]*(?:\\s+\\p{Lu}[\\p{L}.-]*){0,3}` +
+        `(?:,?\\s*(?:(?:${withCapitals(BUILDING_PARTS_RU)})\\s*)?${HOUSE_NUMBER})*`, 'gu'),
+    new RegExp(`(?<![\\d\\p{L}])\\d{1,5}\\s+(?:\\p{Lu}\\p{Ll}+\\s+){1,3}(?:${STREETS_EN.join('|')})\\b\\.?` +
+        `(?:,?\\s*(?:Apt|Apartment|Suite|Ste|Unit|#)\\.?\\s*\\w+)?`, 'gu')
+];
+
+// Текст сообщения для хранения: email, карты и адреса заменяются метками.
+// phones - найденные номера ({ original }), которые тоже нужно убрать, например номера из privacy_blocklist
+const redactText = (text, phones = []) => {
+    if (!text) return text;
+
+    let result = phones.reduce((current, phone) => current.split(phone.original).join('[phone]'), text);
+    result = result.replace(EMAIL_REGEX, '[email]');
+    result = result.replace(CARD_REGEX, (match) => PhoneParser.isLuhnValid(match.replace(/\D/g, '')) ? '[card]' : match);
+    for (const regex of ADDRESS_REGEXES) {
+        result = result.replace(regex, '[address]');
+    }
+    return result;
+};
+
+// Все, что хранится о номере, во всех пространствах: контакты со всеми данными, история, напоминания,
+// упоминания и запись в privacy_blocklist
+const buildPrivacyReport = async (database, phone) => {
+    const contacts = await database.getContactsByPhone(phone);
+    const blocked = await database.getBlockedPhone(phone);
+    const linked = new Set(contacts.map(contact => contact.id));
+
+    const entries = [];
+    for (const contact of contacts) {
+        const [details, workspace, suggestions, reminders, history, mentions] = await Promise.all([
+            database.getContactDetails(contact.id),
+            contact.workspace_id ? database.getWorkspaceById(contact.workspace_id) : null,
+            database.getContactSuggestions(contact.id),
+            database.getReminders(contact.workspace_id, { status: 'all', contactId: contact.id }, -1, 0),
+            database.getContactHistory(contact.id, -1, 0),
+            database.getContactMentions(contact.id, -1, 0)
+        ]);
+        entries.push({
+            ...details,
+            workspace: workspace ? { id: workspace.id, title: workspace.title } : null,
+            suggestions,
+            reminders,
+            history,
+            mentions
+        });
+    }
+
+    return {
+        phone,
+        generated_at: new Date().toISOString(),
+        blocked: blocked ? { reason: blocked.reason, created_by: blocked.created_by, created_at: blocked.created_at } : null,
+        contacts: entries,
+        // Упоминания без контакта или с контактом, у которого этого номера уже нет
+        other_mentions: (await database.getMentionsByPhone(phone)).filter(mention => !linked.has(mention.contact_id))
+    };
+};
+
+// Удаление человека по номеру во всех пространствах: контакты с этим номером удаляются целиком
+// (со всеми их номерами), упоминания номера стираются, номер попадает в privacy_blocklist
+const forgetPhone = async (database, phone, { actor = null, reason = null, createdBy = null } = {}) => {
+    const contacts = await database.getContactsByPhone(phone);
+    for (const contact of contacts) {
+        await database.purgeContact(contact.id, actor);
+    }
+    const mentions = await database.eraseMentionsByPhone(phone);
+    await database.blockPhone(phone, reason, createdBy);
+
+    console.log(`Phone ${phone} forgotten: ${contacts.length} contacts, ${mentions} more mentions erased`);
+    return { contacts: contacts.length, mentions };
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+const RETENTION_CHECK_INTERVAL = 6 * 60 * 60 * 1000;
+
+// Очистка по сроку хранения: при запуске и раз в RETENTION_CHECK_INTERVAL. days = 0 - хранить без срока
+const createRetentionWorker = (database, days) => {
+    const retentionDays = Math.max(Math.floor(parseFloat(days)) || 0, 0);
+    let timer = null;
+
+    const applyRetention = async () => {
+        try {
+            const result = await database.applyRetention(retentionDays);
+            if (Object.values(result).some(Boolean)) {
+                console.log(`Retention (${retentionDays} days): ${result.messages} messages, ${result.contexts} contexts, ` +
+                    `${result.history} history entries cleared, ${result.deliveries} webhook deliveries removed`);
+            }
+        } catch (error) {
+            console.error('Error applying retention:', error);
+        }
+    };
+
+    return {
+        days: retentionDays,
+        start: () => {
+            if (timer || !retentionDays) return;
+            timer = setInterval(applyRetention, Math.min(RETENTION_CHECK_INTERVAL, retentionDays * DAY));
+            timer.unref();
+            applyRetention();
+            console.log(`🧹 Message text retention: ${retentionDays} days`);
+        },
+        stop: () => {
+            clearInterval(timer);
+            timer = null;
+        },
+        applyRetention
+    };
+};
+
+module.exports = {
+    redactText,
+    buildPrivacyReport,
+    forgetPhone,
+    createRetentionWorker
+};
@@ -0,0 +1,212 @@
+// Напоминания о контактах: разбор времени из текста («завтра 10:00 перезвонить», «in 2 hours call back»)
+// и фоновая отправка. Напоминания хранятся в таблице reminders, поэтому переживают перезапуск сервера:
+// просроченные за время простоя отправляются при первой проверке очереди.
+// Даты без часового пояса понимаются в часовом поясе сервера: переменная окружения TZ, для Render она задана
+// в render.yaml (Europe/Moscow), иначе «завтра в 10:00» было бы 10:00 по UTC
+
+const REMINDER_STATUSES = ['open', 'done'];
+
+// Время, если в тексте указан только день, и время для «утром», «вечером»...
+const DEFAULT_TIME = { hours: 10, minutes: 0 };
+const DAY_PARTS = {
+    'утром': 9, 'morning': 9,
+    'днем': 13, 'днём': 13, 'afternoon': 13,
+    'вечером': 18, 'evening': 18, 'tonight': 20
+};
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const WEEKDAYS = [
+    ['воскресенье', 'sunday', 'sun'],
+    ['понедельник', 'monday', 'mon'],
+    ['вторник', 'tuesday', 'tue'],
+    ['среду', 'среда', 'wednesday', 'wed'],
+    ['четверг', 'thursday', 'thu'],
+    ['пятницу', 'пятница', 'friday', 'fri'],
+    ['субботу', 'суббота', 'saturday', 'sat']
+];
+
+const NUMBER_WORDS = { 'a': 1, 'an': 1, 'one': 1, 'один': 1, 'одну': 1, 'два': 2, 'две': 2, 'two': 2, 'три': 3, 'three': 3, 'пол': 0.5, 'half an': 0.5, 'half a': 0.5 };
+
+// Длинные слова раньше коротких, иначе «an» совпадет как «a»
+const NUMBER_PATTERN = Object.keys(NUMBER_WORDS).sort((a, b) => b.length - a.length).join('|');
+
+const UNITS = [
+    [/^(?:минут[уы]?|мин|min(?:ute)?s?|m)$/, { ms: MINUTE }],
+    [/^(?:час(?:а|ов)?|hours?|hrs?|h)$/, { ms: HOUR }],
+    [/^(?:д(?:ень|ня|ней)|days?|d)$/, { days: 1 }],
+    [/^(?:недел[юиь]|weeks?|w)$/, { days: 7 }]
+];
+
+// Граница слова после совпадения: пробел, знак препинания или конец текста
+const END = '(?=[\\s,.!?;]|$)';
+
+// Шаблоны разбираются с начала текста по очереди, пока хоть один совпадает.
+// Обработчик получает совпадение и состояние { date, time, offset } и возвращает false, если совпадение не подходит
+const MATCHERS = [
+    // через 2 часа, через полчаса, in 15 minutes, in an hour
+    [new RegExp(`^(?:через|in)\\s+(\\d+(?:[.,]\\d+)?|${NUMBER_PATTERN})?\\s*([a-zа-я]+)${END}`, 'iu'), (match, state) => {
+        const amount = match[1] === undefined ? 1
+            : NUMBER_WORDS[match[1].toLowerCase()] || parseFloat(match[1].replace(',', '.'));
+        const unit = UNITS.find(([pattern]) => pattern.test(match[2].toLowerCase()));
+        if (!unit || !amount) return false;
+
+        if (unit[1].ms) {
+            state.offset = (state.offset || 0) + amount * unit[1].ms;
+        } else {
+            state.date = addDays(state.date || today(state.now), Math.round(amount * unit[1].days));
+        }
+    }],
+    [new RegExp(`^(сегодня|today|послезавтра|завтра|tomorrow)${END}`, 'iu'), (match, state) => {
+        const word = match[1].toLowerCase();
+        const days = word === 'послезавтра' ? 2 : ['завтра', 'tomorrow'].includes(word) ? 1 : 0;
+        state.date = addDays(today(state.now), days);
+    }],
+    // в пятницу, on friday, next monday - ближайший такой день после сегодняшнего
+    [new RegExp(`^(?:(?:в|во|on|next)\\s+)?([a-zа-я]+)${END}`, 'iu'), (match, state) => {
+        const weekday = WEEKDAYS.findIndex(names => names.includes(match[1].toLowerCase()));
+        if (weekday === -1) return false;
+
+        const current = today(state.now);
+        state.date = addDays(current, (weekday - current.getDay() + 7) % 7 || 7);
+    }],
+    // 2026-10-25
+    [new RegExp(`^(\\d{4})-(\\d{2})-(\\d{2})${END}`, 'u'), (match, state) => {
+        return setDate(state, Number(match[1]), Number(match[2]), Number(match[3]));
+    }],
+    // 25.10 или 25.10.2026; дата без года - ближайшая в будущем
+    [new RegExp(`^(\\d{1,2})\\.(\\d{1,2})(?:\\.(\\d{2}|\\d{4}))?${END}`, 'u'), (match, state) => {
+        const day = Number(match[1]);
+        const month = Number(match[2]);
+        if (match[3]) {
+            return setDate(state, Number(match[3].padStart(4, '20')), month, day);
+        }
+
+        const current = today(state.now);
+        const year = new Date(current.getFullYear(), month - 1, day) < current ? current.getFullYear() + 1 : current.getFullYear();
+        return setDate(state, year, month, day);
+    }],
+    // 10:00, в 15:30, at 9am, 7 pm, в 8 вечера. Число без минут и суффикса - время только после «в» или «at»
+    [new RegExp(`^(в|at)?\\s*(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm|утра|дня|вечера|ночи)?${END}`, 'iu'), (match, state) => {
+        const [, preposition, hoursText, minutesText, suffix] = match;
+        if (!preposition && minutesText === undefined && !suffix) return false;
+
+        let hours = Number(hoursText);
+        const minutes = Number(minutesText || 0);
+        const period = (suffix || '').toLowerCase();
+        if (['pm', 'дня', 'вечера'].includes(period) && hours < 12) hours += 12;
+        if (['am', 'ночи', 'утра'].includes(period) && hours === 12) hours = 0;
+        if (hours > 23 || minutes > 59) return false;
+
+        state.time = { hours, minutes };
+    }],
+    [new RegExp(`^(?:in the\\s+)?(${Object.keys(DAY_PARTS).join('|')})${END}`, 'iu'), (match, state) => {
+        state.time = { hours: DAY_PARTS[match[1].toLowerCase()], minutes: 0 };
+    }]
+];
+
+const today = (now) => new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const setDate = (state, year, month, day) => {
+    const date = new Date(year, month - 1, day);
+    if (date.getMonth() !== month - 1 || date.getDate() !== day) return false;
+    state.date = date;
+};
+
+// Время из начала текста. Возвращает { dueAt, text } - время и текст без него - или null, если время не найдено.
+// Только время без дня - сегодня, а если оно уже прошло - завтра; только день - в DEFAULT_TIME
+const parseReminderTime = (input, now = new Date()) => {
+    const state = { now, date: null, time: null, offset: null };
+    let rest = String(input || '').trim();
+    let found = false;
+
+    for (let matched = true; matched && rest;) {
+        matched = false;
+        for (const [pattern, apply] of MATCHERS) {
+            const match = pattern.exec(rest);
+            if (!match || apply(match, state) === false) continue;
+
+            rest = rest.substring(match[0].length).replace(/^[\s,.;]+/, '');
+            matched = found = true;
+            break;
+        }
+    }
+    if (!found) return null;
+
+    let dueAt;
+    if (state.offset !== null && !state.date && !state.time) {
+        dueAt = new Date(now.getTime() + state.offset);
+    } else {
+        const date = state.date || today(now);
+        const time = state.time || DEFAULT_TIME;
+        dueAt = new Date(date.getFullYear(), date.getMonth(), date.getDate(), time.hours, time.minutes);
+        if (!state.date && dueAt <= now) dueAt = new Date(dueAt.getTime() + DAY);
+        if (state.offset) dueAt = new Date(dueAt.getTime() + state.offset);
+    }
+
+    return { dueAt, text: rest };
+};
+
+// Дата для столбца DATETIME: 'YYYY-MM-DD HH:MM:SS' в UTC, как CURRENT_TIMESTAMP
+const toSqlDate = (date) => date.toISOString().replace('T', ' ').substring(0, 19);
+
+const fromSqlDate = (value) => new Date(`${value.replace(' ', 'T')}Z`);
+
+const POLL_INTERVAL = 30 * 1000;
+const POLL_BATCH = 50;
+
+// Фоновая проверка: раз в POLL_INTERVAL напоминания, время которых подошло, передаются в notify(reminder).
+// Напоминание помечается отправленным до вызова notify, поэтому при ошибке оно не повторяется каждые 30 секунд
+const createReminderScheduler = (database, notify) => {
+    let timer = null;
+    let processing = false;
+
+    const processDue = async () => {
+        if (processing) return;
+        processing = true;
+
+        try {
+            const reminders = await database.getDueReminders(POLL_BATCH);
+            for (const reminder of reminders) {
+                if (!await database.claimReminder(reminder.id)) continue;
+                try {
+                    await notify(reminder);
+                    console.log(`Reminder ${reminder.id} sent to user ${reminder.assignee_id}`);
+                } catch (error) {
+                    console.error(`Error sending reminder ${reminder.id}:`, error);
+                }
+            }
+        } catch (error) {
+            console.error('Error processing reminders:', error);
+        } finally {
+            processing = false;
+        }
+    };
+
+    return {
+        start: () => {
+            if (timer) return;
+            timer = setInterval(processDue, POLL_INTERVAL);
+            timer.unref();
+            processDue();
+            console.log('⏰ Reminder scheduler started');
+        },
+        stop: () => {
+            clearInterval(timer);
+            timer = null;
+        },
+        processDue
+    };
+};
+
+module.exports = {
+    REMINDER_STATUSES,
+    parseReminderTime,
+    toSqlDate,
+    fromSqlDate,
+    createReminderScheduler
+};
@@ -0,0 +1,20 @@
+// Роли участников пространства контактов:
+//   owner  - управляет пространством и ролями
+//   editor - добавляет, редактирует и объединяет контакты
+//   viewer - только просмотр и поиск
+
+const ROLES = ['viewer', 'editor', 'owner'];
+
+const isValidRole = (role) => ROLES.includes(role);
+
+const hasRole = (role, required) => isValidRole(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+
+// Express middleware: req.role заполняется при выборе пространства запроса
+const requireRole = (required) => (req, res, next) => {
+    if (hasRole(req.role, required)) return next();
+
+    console.warn(`Forbidden API request: ${req.method} ${req.originalUrl}, role: ${req.role || 'none'}`);
+    res.status(403).json({ success: false, error: 'Insufficient permissions' });
+};
+
+module.exports = { ROLES, isValidRole, hasRole, requireRole };
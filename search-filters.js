@@ -0,0 +1,43 @@
+// Разбор строки поиска с фильтрами:
+//   tag:supplier -tag:courier company:Acme name:"Иван Петров" added:>2026-01-01 updated:<=2026-02-01 город:Москва
+// Ключи, которые вызывающий код не распознал, возвращаются в текст запроса как есть
+
+const TOKEN_PATTERN = /(-?)([\p{L}_][\p{L}\p{N}_]*):(>=|<=|>|<|=)?("([^"]*)"|\S+)|"([^"]*)"|\S+/gu;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Возвращает { text, filters: [{ key, op, value, negate, raw }] }
+const parseSearchFilters = (query) => {
+    const filters = [];
+    const words = [];
+
+    for (const match of String(query || '').matchAll(TOKEN_PATTERN)) {
+        const [raw, negate, key, op, value, quotedValue, quotedText] = match;
+
+        if (key) {
+            filters.push({
+                key: key.toLowerCase(),
+                op: op || '=',
+                value: quotedValue !== undefined ? quotedValue : value,
+                negate: negate === '-',
+                raw
+            });
+        } else {
+            words.push(quotedText !== undefined ? quotedText : raw);
+        }
+    }
+
+    return { text: words.join(' '), filters };
+};
+
+// Тег хранится в нижнем регистре без «#», пробелы и запятые заменяются дефисами
+const normalizeTagName = (name) => String(name || '')
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/[\s,]+/g, '-')
+    .substring(0, 50);
+
+const isValidDate = (value) => DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+
+module.exports = { parseSearchFilters, normalizeTagName, isValidDate };
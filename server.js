@@ -2,525 +2,3961 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const { Telegraf, Markup } = require('telegraf');
-const sqlite3 = require('sqlite3').verbose();
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const { Telegraf, Markup, Scenes, session } = require('telegraf');
+const PhoneParser = require('./phone-parser');
+const EntityExtractor = require('./entity-extractor');
+const { parseVCards } = require('./vcard');
+const { EXPORT_FORMATS, IMPORT_FORMATS, IMPORT_FIELDS, detectImportFormat, readImportFile, formatContacts } = require('./contact-files');
+const { findDuplicateGroups, pickMergeTarget } = require('./duplicates');
+const { createAuthMiddleware, parseApiKeys } = require('./auth');
+const { ROLES, isValidRole, hasRole, requireRole } = require('./roles');
+const { validate, sendValidationError } = require('./validation');
+const { parseSearchFilters, normalizeTagName, isValidDate } = require('./search-filters');
+const { LOCALES, DEFAULT_LOCALE, normalizeLocale, detectLocale, translate, createTranslator, getMessages } = require('./i18n');
+const {
+    openDatabase,
+    closeDatabase,
+    backupDatabase,
+    restoreDatabase,
+    withTransaction,
+    database,
+    REPLY_MODES,
+    CUSTOM_FIELD_TYPES,
+    CUSTOM_FIELD_KEY_PATTERN,
+    BUILTIN_FILTERS,
+    HIGHLIGHT_START,
+    HIGHLIGHT_END,
+    NO_FILTER,
+    buildSearchQuery
+} = require('./database');
+const { WEBHOOK_EVENTS, generateSecret, checkWebhookUrl, createWebhookWorker } = require('./webhooks');
+const { STATS_PERIODS, timeseriesStart, regionFlag, collectStats, collectTimeseries } = require('./stats');
+const { REMINDER_STATUSES, parseReminderTime, toSqlDate, fromSqlDate, createReminderScheduler } = require('./reminders');
+const { checkRestoreFile, createBackupManager } = require('./backup');
+const { redactText, buildPrivacyReport, forgetPhone, createRetentionWorker } = require('./privacy');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware - правильная настройка CORS
 app.use(cors({
-    origin: '*',
+    origin: process.env.CORS_ORIGIN || '*',
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Telegram-Init-Data', 'X-API-Key']
 }));
 
-app.use(express.json());
+// Файлы для импорта передаются в теле JSON, поэтому лимит больше стандартного
+app.use(express.json({ limit: '3mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
 
-// Инициализация базы данных
-const db = new sqlite3.Database(process.env.DATABASE_URL || './data/database.db', (err) => {
-    if (err) {
-        console.error('Error opening database:', err);
+// Авторизация API: initData Telegram Mini App или API-ключ
+const authDisabled = process.env.AUTH_DISABLED === 'true' && process.env.NODE_ENV !== 'production';
+if (authDisabled) {
+    console.warn('⚠️ API authorization is disabled (AUTH_DISABLED=true)');
+}
+app.use('/api', createAuthMiddleware({
+    botToken: process.env.BOT_TOKEN,
+    apiKeys: parseApiKeys(process.env.API_KEYS),
+    maxAge: parseInt(process.env.AUTH_MAX_AGE) || undefined,
+    // Переводы доступны и без авторизации; с initData учитывается язык пользователя
+    publicPaths: ['/test', '/i18n'],
+    disabled: authDisabled
+}));
+
+// Отправка очереди вебхуков; события ставятся в очередь при записи в историю изменений контакта
+const webhookWorker = createWebhookWorker(database);
+const reminderScheduler = createReminderScheduler(database, (reminder) => sendReminderNotification(reminder));
+// Снимки базы: BACKUP_DIR (по умолчанию data/backups), BACKUP_INTERVAL_HOURS (0 - без расписания), BACKUP_KEEP
+const backupManager = createBackupManager(backupDatabase, {
+    dir: process.env.BACKUP_DIR,
+    intervalHours: process.env.BACKUP_INTERVAL_HOURS,
+    keep: process.env.BACKUP_KEEP
+});
+// Срок хранения текста сообщений в днях (MESSAGE_RETENTION_DAYS), 0 или пусто - без срока
+const retentionWorker = createRetentionWorker(database, process.env.MESSAGE_RETENTION_DAYS);
+
+// Регион по умолчанию для разбора национальных номеров в чате
+const getChatRegion = async (chatId) => {
+    const region = chatId ? await database.getChatRegion(chatId) : null;
+    return PhoneParser.isSupportedRegion(region) ? region : PhoneParser.defaultRegion;
+};
+
+// Пространство контактов чата; при первом обращении создается и забирает
+// старые контакты без пространства, упомянутые в этом чате
+const resolveChatWorkspace = async (chat) => {
+    const workspace = await database.getWorkspaceByChat(chat.id);
+    if (workspace) return workspace;
+    
+    const title = chat.title || [chat.first_name, chat.last_name].filter(Boolean).join(' ') || chat.username || String(chat.id);
+    const workspaceId = await database.createWorkspace(title, chat.id);
+    await database.linkChatToWorkspace(chat.id, workspaceId, title);
+    
+    const legacyIds = await database.getUnassignedContactIds(chat.id);
+    for (const contactId of legacyIds) {
+        await database.moveContact(contactId, workspaceId);
+    }
+    if (legacyIds.length > 0) {
+        console.log(`Workspace ${workspaceId} adopted ${legacyIds.length} contacts from chat ${chat.id}`);
+    }
+    
+    return database.getWorkspaceById(workspaceId);
+};
+
+// Администраторы бота (ADMIN_USER_IDS) могут забрать контакты, созданные до появления пространств
+const ADMIN_USER_IDS = String(process.env.ADMIN_USER_IDS || '')
+    .split(',')
+    .map(id => parseInt(id))
+    .filter(Number.isInteger);
+
+const isChatAdmin = async (ctx) => {
+    if (ctx.chat.type === 'private') return true;
+    try {
+        const member = await ctx.getChatMember(ctx.from.id);
+        return ['creator', 'administrator'].includes(member.status);
+    } catch (error) {
+        console.error('Error checking chat admin:', error);
+        return false;
+    }
+};
+
+// Проверка роли в боте. Администраторы чата, создавшего пространство, всегда его владельцы
+const checkRole = async (ctx, required) => {
+    if (hasRole(ctx.state.role, required)) return true;
+    
+    if (ctx.state.workspace.owner_chat_id === ctx.chat.id && await isChatAdmin(ctx)) {
+        await database.setMemberRole(ctx.state.workspace.id, ctx.from.id, 'owner');
+        ctx.state.role = 'owner';
+        return true;
+    }
+    
+    const message = ctx.t('bot.errors.role_required', { role: ctx.t(`bot.roles.${required}`) });
+    if (ctx.callbackQuery) await ctx.answerCbQuery(message);
+    else await ctx.reply(message);
+    return false;
+};
+
+// Копия контакта со всеми номерами, email и мессенджерами в другом пространстве
+const copyContactToWorkspace = async (contactId, workspaceId, region, actor = null) => {
+    const source = await database.getContactDetails(contactId);
+    if (!source) return null;
+    
+    const result = await saveStructuredContact({
+        phones: source.phones.map(phone => ({ value: phone.normalized_phone, type: phone.type })),
+        name: source.name,
+        company: source.company,
+        emails: source.emails.map(email => email.email)
+    }, region, source.context, workspaceId, actor);
+    
+    if (result) {
+        for (const messenger of source.messengers) {
+            await database.addContactMessenger(result.contact.id, messenger.kind, messenger.value);
+        }
+        await database.copyContactMetadata(source.id, result.contact.id, workspaceId);
+    }
+    return result;
+};
+
+const SUGGESTION_ICONS = { name: '👤', company: '🏢' };
+// Сколько ждать ответа на запрос значения, секунды
+const CONTACT_INPUT_TTL = 10 * 60;
+const RATE_LIMIT_OPTIONS = [0, 5, 10, 30];
+const RATE_LIMIT_WINDOW = 60 * 1000;
+const VCARD_MAX_SIZE = 1024 * 1024;
+const IMPORT_MAX_SIZE = 2 * 1024 * 1024;
+const IMPORT_MAX_ROWS = 5000;
+const IMPORT_PREVIEW_ROWS = 10;
+const REMINDER_TEXT_MAX_LENGTH = 500;
+// Напоминаний в списке /remind
+const REMINDER_LIST_LIMIT = 10;
+// Ограничения Bot API: бот скачивает файлы до 20 МБ и отправляет до 50 МБ
+const RESTORE_MAX_SIZE = 20 * 1024 * 1024;
+const BACKUP_SEND_MAX_SIZE = 50 * 1024 * 1024;
+// Кнопка «Через час» в напоминании
+const REMINDER_SNOOZE = 60 * 60 * 1000;
+const EXPORT_MAX_CONTACTS = 10000;
+// Контактов на страницу инлайн-поиска; каждый дает два результата (карточка и контакт Telegram), максимум - 50
+const INLINE_PAGE_SIZE = 25;
+const INLINE_CACHE_TIME = 10;
+
+// Источник номера: текст, подпись к медиа, пересланное, отредактированное сообщение, контакт или vCard
+const getMessageOrigin = (ctx, message) => {
+    if (ctx.editedMessage) return 'edited';
+    if (message.forward_origin || message.forward_from || message.forward_from_chat) return 'forward';
+    if (message.contact) return 'contact';
+    if (isVCardDocument(message.document)) return 'vcard';
+    if (message.caption) return 'caption';
+    return 'text';
+};
+
+const isVCardDocument = (document) => Boolean(document) && (
+    /^text\/(x-)?vcard$/i.test(document.mime_type || '') ||
+    /\.vcf$/i.test(document.file_name || '')
+);
+
+const downloadFile = (url) => {
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith('https:') ? https : http;
+        client.get(url, (res) => {
+            if (res.statusCode !== 200) {
+                res.resume();
+                return reject(new Error(`Failed to download file: HTTP ${res.statusCode}`));
+            }
+            const chunks = [];
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('end', () => resolve(Buffer.concat(chunks)));
+        }).on('error', reject);
+    });
+};
+
+// Сохранение контакта из карточки Telegram или vCard: все номера привязываются к одному человеку,
+// пустые имя и компания дополняются
+const saveStructuredContact = async (entry, region, context, workspaceId, actor = null) => {
+    const phones = [];
+    for (const phone of entry.phones) {
+        const normalized = PhoneParser.normalizePhone(phone.value, region);
+        // Номера из privacy_blocklist не сохраняются, в том числе вторыми номерами контакта
+        if (normalized && !await database.isPhoneBlocked(normalized)) phones.push({ ...phone, normalized });
+    }
+    
+    if (phones.length === 0) return null;
+    
+    let contact = null;
+    for (const phone of phones) {
+        contact = await database.findContactByPhone(phone.normalized, workspaceId);
+        if (contact) break;
+    }
+    
+    const created = !contact;
+    
+    if (created) {
+        const [primary] = phones;
+        await database.saveContact(primary.value, primary.normalized, entry.name || null, entry.company || null, context, primary.type, workspaceId, actor);
+        contact = await database.findContactByPhone(primary.normalized, workspaceId);
     } else {
-        console.log('Database connected successfully');
+        const updates = {};
+        if (!contact.name && entry.name) updates.name = entry.name;
+        if (!contact.company && entry.company) updates.company = entry.company;
+        
+        if (Object.keys(updates).length > 0) {
+            await database.updateContact(contact.id, updates, actor);
+            contact = { ...contact, ...updates };
+        }
     }
-});
+    
+    for (const phone of phones) {
+        await database.addContactPhone(contact.id, phone.value, phone.normalized, phone.type);
+    }
+    for (const email of entry.emails || []) {
+        await database.addContactEmail(contact.id, email);
+    }
+    
+    return { contact, created };
+};
 
-// Создаем папку data если её нет
-const fs = require('fs');
-if (!fs.existsSync('./data')) {
-    fs.mkdirSync('./data');
-}
+const everyPhoneBlocked = async (phones) => {
+    for (const phone of phones) {
+        if (!await database.isPhoneBlocked(phone)) return false;
+    }
+    return true;
+};
 
-// Инициализация таблиц
-db.serialize(() => {
-    db.run(`
-        CREATE TABLE IF NOT EXISTS contacts (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            phone TEXT UNIQUE NOT NULL,
-            normalized_phone TEXT UNIQUE NOT NULL,
-            name TEXT,
-            company TEXT,
-            context TEXT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-    `, (err) => {
-        if (err) console.error('Error creating contacts table:', err);
-        else console.log('Contacts table ready');
-    });
-
-    db.run(`
-        CREATE TABLE IF NOT EXISTS parsed_messages (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            message_id INTEGER NOT NULL,
-            chat_id INTEGER NOT NULL,
-            contact_id INTEGER,
-            original_text TEXT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (contact_id) REFERENCES contacts(id)
-        )
-    `, (err) => {
-        if (err) console.error('Error creating parsed_messages table:', err);
-        else console.log('Parsed messages table ready');
-    });
-});
-
-// Утилиты для работы с базой данных
-const database = {
-    saveContact: (phone, normalizedPhone, name = null, company = null, context = null) => {
-        return new Promise((resolve, reject) => {
-            db.run(
-                `INSERT OR REPLACE INTO contacts (phone, normalized_phone, name, company, context) 
-                 VALUES (?, ?, ?, ?, ?)`,
-                [phone, normalizedPhone, name, company, context],
-                function(err) {
-                    if (err) {
-                        console.error('Error saving contact:', err);
-                        reject(err);
-                    } else {
-                        console.log('Contact saved with ID:', this.lastID);
-                        resolve(this.lastID);
-                    }
-                }
-            );
+// Импорт записей из CSV или vCard. Существующие контакты только дополняются (пустые имя и компания,
+// новые номера и email); dryRun - отчет о том, что будет создано, обновлено и пропущено, без записи в базу
+const importContacts = async (records, { workspaceId, region, actor, dryRun, source }) => {
+    const report = { created: 0, updated: 0, skipped: 0, rows: [] };
+    const seen = new Set();
+    
+    for (const record of records) {
+        const phones = record.phones
+            .map(phone => PhoneParser.normalizePhone(phone.value, region))
+            .filter(Boolean);
+        let status = 'skipped';
+        let reason = null;
+        let contact = null;
+        
+        if (phones.length === 0) {
+            reason = 'invalid_phone';
+        } else if (await everyPhoneBlocked(phones)) {
+            reason = 'blocked';
+        } else if (phones.some(phone => seen.has(phone))) {
+            reason = 'duplicate_in_file';
+        } else {
+            for (const phone of phones) {
+                contact = await database.findContactByPhone(phone, workspaceId);
+                if (contact) break;
+            }
+            
+            if (!contact) {
+                status = 'created';
+            } else {
+                const details = await database.getContactDetails(contact.id);
+                const changed = (!details.name && record.name) ||
+                    (!details.company && record.company) ||
+                    phones.some(phone => !details.phones.some(existing => existing.normalized_phone === phone)) ||
+                    record.emails.some(email => !details.emails.some(existing => existing.email === email.toLowerCase()));
+                status = changed ? 'updated' : 'skipped';
+                reason = changed ? null : 'no_changes';
+            }
+        }
+        
+        phones.forEach(phone => seen.add(phone));
+        
+        if (!dryRun && status !== 'skipped') {
+            const result = await saveStructuredContact(record, region, record.context || source, workspaceId, actor);
+            contact = result ? result.contact : contact;
+        }
+        
+        report[status]++;
+        report.rows.push({
+            row: record.row,
+            status,
+            reason,
+            phone: phones[0] || (record.phones[0] || {}).value || null,
+            name: record.name,
+            contact_id: contact ? contact.id : null
         });
-    },
+    }
+    
+    console.log(`Import${dryRun ? ' (dry run)' : ''} into workspace ${workspaceId}: ${report.created} created, ${report.updated} updated, ${report.skipped} skipped`);
+    return report;
+};
 
-    findContactByPhone: (phone) => {
-        return new Promise((resolve, reject) => {
-            db.get(
-                `SELECT * FROM contacts WHERE normalized_phone = ?`,
-                [phone],
-                (err, row) => {
-                    if (err) {
-                        console.error('Error finding contact by phone:', err);
-                        reject(err);
-                    } else {
-                        resolve(row);
-                    }
-                }
-            );
+const FILTER_OPERATORS = { '=': '=', '>': '>', '<': '<', '>=': '>=', '<=': '<=' };
+
+// Условия SQL для фильтров строки поиска (tag:, company:, added:>…, ключи дополнительных полей).
+// Возвращает { text, filter }: text - оставшийся текст для полнотекстового поиска
+const buildSearchFilters = async (query, workspaceId) => {
+    const { text, filters } = parseSearchFilters(query);
+    if (filters.length === 0) return { text: text.trim(), filter: NO_FILTER };
+    
+    const fields = await database.getCustomFields(workspaceId);
+    const conditions = [];
+    const params = [];
+    const rest = [text];
+    
+    for (const filter of filters) {
+        const not = filter.negate ? 'NOT ' : '';
+        const operator = FILTER_OPERATORS[filter.op];
+        const field = fields.find(item => item.key === filter.key);
+        
+        if (filter.key === 'tag') {
+            conditions.push(`contacts.id ${not}IN (SELECT contact_id FROM contact_tags 
+                JOIN tags ON tags.id = contact_tags.tag_id WHERE tags.name = ?)`);
+            params.push(normalizeTagName(filter.value));
+        } else if (['name', 'company', 'context'].includes(filter.key) && buildSearchQuery(filter.value)) {
+            conditions.push(`contacts.id ${not}IN (SELECT rowid FROM contacts_fts WHERE contacts_fts MATCH ?)`);
+            params.push(`${filter.key} : (${buildSearchQuery(filter.value)})`);
+        } else if (['added', 'updated'].includes(filter.key) && isValidDate(filter.value)) {
+            const column = filter.key === 'added' ? 'created_at' : 'updated_at';
+            conditions.push(`${not}(DATE(contacts.${column}) ${operator} ?)`);
+            params.push(filter.value);
+        } else if (field && field.type === 'number' && !Number.isNaN(parseFloat(filter.value))) {
+            conditions.push(`contacts.id ${not}IN (SELECT contact_id FROM contact_field_values 
+                WHERE field_id = ? AND CAST(value AS REAL) ${operator} ?)`);
+            params.push(field.id, parseFloat(filter.value));
+        } else if (field && field.type === 'date' && isValidDate(filter.value)) {
+            conditions.push(`contacts.id ${not}IN (SELECT contact_id FROM contact_field_values 
+                WHERE field_id = ? AND value ${operator} ?)`);
+            params.push(field.id, filter.value);
+        } else if (field && field.type === 'text') {
+            // LIKE в SQLite не различает регистр только для латиницы, поэтому кириллица проверяется в трех написаниях
+            const value = filter.value.toLowerCase();
+            const variants = [value, value.charAt(0).toUpperCase() + value.slice(1), value.toUpperCase()];
+            conditions.push(`contacts.id ${not}IN (SELECT contact_id FROM contact_field_values 
+                WHERE field_id = ? AND (value LIKE ? OR value LIKE ? OR value LIKE ?))`);
+            params.push(field.id, ...variants.map(variant => `%${variant}%`));
+        } else {
+            rest.push(filter.raw);
+        }
+    }
+    
+    return {
+        text: rest.join(' ').trim(),
+        filter: conditions.length > 0 ? { sql: conditions.map(condition => `(${condition})`).join(' AND '), params } : NO_FILTER
+    };
+};
+
+// Поиск по строке с фильтрами: без текста - список по дате изменения, с текстом - полнотекстовый поиск.
+// scope - дополнительное условие на контакты (например, пространства пользователя).
+// ranked = true - строки отсортированы по релевантности
+const findContacts = async (query, workspaceId, { limit = -1, after = null, scope = null } = {}) => {
+    const { text, filter: searchFilter } = await buildSearchFilters(query, workspaceId);
+    const filter = scope
+        ? { sql: `(${scope.sql}) AND (${searchFilter.sql})`, params: [...scope.params, ...searchFilter.params] }
+        : searchFilter;
+    
+    if (!text) {
+        return { contacts: await database.getAllContacts(limit, workspaceId, after, filter), ranked: false };
+    }
+    return { contacts: await database.searchContacts(text, workspaceId, { limit, after, filter }), ranked: true };
+};
+
+// Контакты для выгрузки со всеми номерами, email и мессенджерами
+const loadExportContacts = async (workspaceId, search = '') => {
+    const { contacts } = await findContacts(search, workspaceId, { limit: EXPORT_MAX_CONTACTS });
+    return Promise.all(contacts.map(contact => database.getContactDetails(contact.id)));
+};
+
+// t - функция перевода на язык пользователя (ctx.t)
+const formatImportReport = (t, report, mapping, dryRun) => {
+    const mode = dryRun ? 'preview' : 'done';
+    const lines = [t(`bot.import.${mode}.title`)];
+    lines.push(t(`bot.import.${mode}.created`, { count: report.created }));
+    lines.push(t(`bot.import.${mode}.updated`, { count: report.updated }));
+    lines.push(t('bot.import.skipped', { count: report.skipped }));
+    
+    if (mapping) {
+        const columns = Object.entries(mapping).map(([column, field]) => `${column} → ${t(`bot.import.fields.${field}`)}`);
+        lines.push('', t('bot.import.columns', { columns: columns.join(', ') || t('bot.import.columns_unknown') }));
+    }
+    
+    const skipped = report.rows.filter(row => row.status === 'skipped' && row.reason !== 'no_changes');
+    if (skipped.length > 0) {
+        lines.push('', t('bot.import.skipped_rows'));
+        skipped.slice(0, IMPORT_PREVIEW_ROWS).forEach(row => {
+            lines.push(`• ${row.row}: ${row.phone || row.name || '—'} - ${t(`bot.import.reasons.${row.reason}`)}`);
         });
+        if (skipped.length > IMPORT_PREVIEW_ROWS) lines.push(t('bot.import.more_rows', { count: skipped.length - IMPORT_PREVIEW_ROWS }));
+    }
+    
+    return lines.join('\n');
+};
+
+const TAG_BUTTONS_LIMIT = 6;
+const TAG_BUTTONS_PER_ROW = 3;
+
+// Кнопки самых популярных тегов пространства; у тегов контакта - отметка ✅
+const buildTagButtons = async (contactId, workspaceId) => {
+    const [tags, contactTags] = await Promise.all([
+        database.getTags(workspaceId),
+        database.getContactTags(contactId)
+    ]);
+    const applied = new Set(contactTags.map(tag => tag.id));
+    const shown = [...contactTags, ...tags.filter(tag => !applied.has(tag.id))].slice(0, TAG_BUTTONS_LIMIT);
+    
+    const rows = [];
+    for (let i = 0; i < shown.length; i += TAG_BUTTONS_PER_ROW) {
+        rows.push(shown.slice(i, i + TAG_BUTTONS_PER_ROW).map(tag =>
+            Markup.button.callback(`${applied.has(tag.id) ? '✅' : '🏷'} ${tag.name}`, `tag:${contactId}:${tag.id}`)
+        ));
+    }
+    return rows;
+};
+
+// Кнопки действий с контактом. Данные кнопки содержат только действие и id контакта,
+// поэтому кнопки работают и в старых сообщениях после перезапуска сервера.
+// Подписи кнопок и вопросы при вводе значения - bot.inputs.<поле>.button и bot.inputs.<поле>.prompt
+const buildContactActionButtons = (t, contactId) => [
+    ['name', 'company'].map(field => Markup.button.callback(t(`bot.inputs.${field}.button`), `contact:${field}:${contactId}`)),
+    ['note', 'tag', 'remind'].map(field => Markup.button.callback(t(`bot.inputs.${field}.button`), `contact:${field}:${contactId}`)),
+    [
+        Markup.button.callback(t('bot.contact.delete_button'), `contact:delete:${contactId}`),
+        Markup.button.callback(t('bot.contact.ignore_button'), `contact:ignore:${contactId}`)
+    ]
+];
+
+// Время последних ответов бота по чатам для ограничения частоты; хранится в памяти,
+// после перезапуска счет начинается заново
+const recentReplies = new Map();
+
+// Можно ли ответить в чат, не превысив лимит ответов в минуту; при true ответ засчитывается
+const takeReplySlot = (chatId, limit) => {
+    if (!limit) return true;
+    
+    const now = Date.now();
+    const times = (recentReplies.get(chatId) || []).filter(time => now - time < RATE_LIMIT_WINDOW);
+    if (times.length >= limit) {
+        recentReplies.set(chatId, times);
+        return false;
+    }
+    times.push(now);
+    recentReplies.set(chatId, times);
+    return true;
+};
+
+// Сообщение от игнорируемого отправителя или бота (в том числе отправленное через инлайн-бота)
+const isIgnoredMessage = async (ctx, message, settings) => {
+    if (settings.ignore_bots && (message.from?.is_bot || message.via_bot || message.forward_from?.is_bot)) {
+        return true;
+    }
+    return Boolean(message.from) && database.isSenderIgnored(ctx.chat.id, message.from.id);
+};
+
+// Пользователь по @username, ответу на его сообщение или номер телефона - для /ignore и /unignore
+const resolveIgnoreTarget = async (ctx, argument) => {
+    const replyTo = ctx.message.reply_to_message;
+    if (argument.startsWith('@')) {
+        const member = await database.findWorkspaceMember(ctx.state.workspace.id, argument.substring(1));
+        return member ? { user: member } : { error: ctx.t('bot.errors.unknown_member', { user: argument }) };
+    }
+    if (argument) {
+        const phone = PhoneParser.normalizePhone(argument, await getChatRegion(ctx.chat.id));
+        return phone ? { phone } : { error: ctx.t('bot.errors.invalid_phone') };
+    }
+    if (replyTo && replyTo.from) {
+        await database.touchWorkspaceMember(ctx.state.workspace.id, replyTo.from);
+        return { user: { user_id: replyTo.from.id, username: replyTo.from.username, first_name: replyTo.from.first_name } };
+    }
+    return {};
+};
+
+const describeUser = (user) => user.username ? `@${user.username}` : user.first_name || String(user.user_id);
+
+const formatChatSettings = async (t, settings, workspaceId) => {
+    const [senders, phones] = await Promise.all([
+        database.getIgnoredSenders(settings.chat_id),
+        database.getIgnoredPhones(workspaceId)
+    ]);
+    const none = t('bot.settings.none');
+    return [
+        t('bot.settings.title'),
+        t('bot.settings.reply_mode', { mode: t(`bot.settings.modes.${settings.reply_mode}`) }),
+        t('bot.settings.web_app_button', { value: t(settings.web_app_button ? 'bot.settings.yes' : 'bot.settings.no') }),
+        t('bot.settings.bots', { value: t(settings.ignore_bots ? 'bot.settings.bots_ignore' : 'bot.settings.bots_process') }),
+        t('bot.settings.rate_limit', { value: settings.rate_limit ? t('bot.settings.per_minute', { count: settings.rate_limit }) : none }),
+        t('bot.settings.ignored_senders', { value: senders.map(describeUser).join(', ') || none }),
+        t('bot.settings.ignored_phones', { value: phones.map(phone => phone.normalized_phone).join(', ') || none }),
+        '',
+        t('bot.settings.ignore_help')
+    ].join('\n');
+};
+
+const buildSettingsKeyboard = (t, settings) => {
+    const mark = (selected, text) => `${selected ? '✅ ' : ''}${text}`;
+    const modeButton = (mode) => Markup.button.callback(mark(settings.reply_mode === mode, t(`bot.settings.modes.${mode}`)), `settings:mode:${mode}`);
+    
+    return [
+        [modeButton('always'), modeButton('new')],
+        [modeButton('silent'), modeButton('dm')],
+        [Markup.button.callback(mark(settings.web_app_button, t('bot.settings.web_app_button_toggle')), 'settings:webapp')],
+        [Markup.button.callback(mark(settings.ignore_bots, t('bot.settings.bots_toggle')), 'settings:bots')],
+        RATE_LIMIT_OPTIONS.map(limit => Markup.button.callback(
+            mark(settings.rate_limit === limit, limit ? t('bot.settings.rate_button', { count: limit }) : '⏱ ∞'),
+            `settings:rate:${limit}`
+        ))
+    ];
+};
+
+// Хранилище сессий Telegraf в SQLite. Пустые сессии не хранятся: запись появляется,
+// только пока пользователь находится в сцене ввода
+const botSessionStore = {
+    get: (key) => database.getBotSession(key),
+    set: (key, value) => {
+        const active = value && value.__scenes && value.__scenes.current;
+        return active ? database.setBotSession(key, value) : database.deleteBotSession(key);
     },
+    delete: (key) => database.deleteBotSession(key)
+};
 
-    searchContacts: (query) => {
-        return new Promise((resolve, reject) => {
-            const searchQuery = `%${query}%`;
-            db.all(
-                `SELECT * FROM contacts 
-                 WHERE normalized_phone LIKE ? 
-                    OR phone LIKE ? 
-                    OR name LIKE ? 
-                    OR company LIKE ? 
-                    OR context LIKE ?
-                 ORDER BY updated_at DESC`,
-                [searchQuery, searchQuery, searchQuery, searchQuery, searchQuery],
-                (err, rows) => {
-                    if (err) {
-                        console.error('Error searching contacts:', err);
-                        reject(err);
-                    } else {
-                        console.log(`Found ${rows.length} contacts for query: ${query}`);
-                        resolve(rows);
-                    }
+const formatStructuredContact = async (t, { contact, created }, title = null) => {
+    let response = `${title || t(created ? 'bot.contact.new' : 'bot.contact.known')}:\n\`${contact.normalized_phone}\``;
+    if (contact.name) response += `\n👤 \`${contact.name}\``;
+    if (contact.company) response += `\n🏢 \`${contact.company}\``;
+    response += await describeContactChannels(t, contact, contact.normalized_phone);
+    return response;
+};
+
+// Автор изменения для истории: пользователь Telegram в боте или вызывающий API.
+// Запросы с initData приходят из веб-интерфейса, с API-ключом - от скриптов
+const botActor = (ctx) => ({
+    type: 'telegram',
+    id: ctx.from ? ctx.from.id : null,
+    name: ctx.from ? [ctx.from.first_name, ctx.from.last_name].filter(Boolean).join(' ') || ctx.from.username || null : null,
+    source: 'bot'
+});
+
+// Срок напоминания в часовом поясе сервера
+const formatReminderDate = (t, reminder) => fromSqlDate(reminder.due_at)
+    .toLocaleString(t('bot.date_locale'), { dateStyle: 'short', timeStyle: 'short' });
+
+const formatReminder = (t, reminder) => [
+    t('bot.reminders.notification', { text: reminder.text }),
+    `📞 ${reminder.normalized_phone}`,
+    ...[reminder.contact_name && `👤 ${reminder.contact_name}`, reminder.contact_company && `🏢 ${reminder.contact_company}`].filter(Boolean),
+    t('bot.reminders.due', { date: formatReminderDate(t, reminder) })
+].join('\n');
+
+const buildReminderButtons = (t, reminderId) => [[
+    Markup.button.callback(t('bot.reminders.done_button'), `reminder:done:${reminderId}`),
+    Markup.button.callback(t('bot.reminders.snooze_button'), `reminder:snooze:${reminderId}`),
+    Markup.button.callback(t('bot.reminders.tomorrow_button'), `reminder:tomorrow:${reminderId}`)
+]];
+
+// Напоминание исполнителю в личные сообщения на его языке. Если бот не может написать первым
+// (пользователь не открывал бота) - в чат, где напоминание создано
+const sendReminderNotification = async (reminder) => {
+    const language = await database.getUserLanguage(reminder.assignee_id);
+    const t = createTranslator(normalizeLocale(language) || normalizeLocale(reminder.locale) || DEFAULT_LOCALE);
+    const extra = { reply_markup: { inline_keyboard: buildReminderButtons(t, reminder.id) } };
+    
+    try {
+        await bot.telegram.sendMessage(reminder.assignee_id, formatReminder(t, reminder), extra);
+    } catch (error) {
+        if (!reminder.chat_id || reminder.chat_id === reminder.assignee_id) throw error;
+        
+        console.warn(`Cannot send reminder ${reminder.id} to user ${reminder.assignee_id}: ${error.message}, sending to chat ${reminder.chat_id}`);
+        const user = reminder.assignee_name || String(reminder.assignee_id);
+        await bot.telegram.sendMessage(reminder.chat_id, `${user}\n${formatReminder(t, reminder)}`, extra);
+    }
+};
+
+// Напоминание о контакте из текста «<когда> [что сделать]»; assignee - { user_id, username, first_name }
+const createReminderFromText = async (ctx, contact, input, assignee) => {
+    const parsed = parseReminderTime(input);
+    if (!parsed) {
+        return ctx.reply(ctx.t('bot.reminders.bad_time'));
+    }
+    if (parsed.dueAt <= new Date()) {
+        return ctx.reply(ctx.t('bot.reminders.in_past'));
+    }
+    
+    const id = await database.createReminder({
+        workspaceId: contact.workspace_id,
+        contactId: contact.id,
+        text: parsed.text.substring(0, REMINDER_TEXT_MAX_LENGTH) || ctx.t('bot.reminders.default_text'),
+        dueAt: toSqlDate(parsed.dueAt),
+        assigneeId: assignee.user_id,
+        assigneeName: describeUser(assignee),
+        chatId: ctx.chat.id,
+        locale: ctx.state.locale,
+        createdBy: `telegram:${ctx.from.id}`
+    });
+    const reminder = await database.getReminderById(id);
+    
+    const lines = [ctx.t('bot.reminders.created', {
+        date: formatReminderDate(ctx.t, reminder),
+        phone: reminder.normalized_phone,
+        text: reminder.text,
+        user: reminder.assignee_name
+    })];
+    // Бот может написать в личные сообщения только тем, кто его уже открывал
+    if (ctx.chat.type !== 'private') {
+        lines.push(ctx.t('bot.reminders.private_hint', { bot: ctx.botInfo.username }));
+    }
+    return ctx.reply(lines.join('\n\n'));
+};
+
+// Язык запроса к API. Пользователю Telegram - язык, выбранный в боте командой /lang,
+// или язык его Telegram; без initData - ?lang= или Accept-Language
+const getRequestLocale = async (req) => {
+    const user = req.auth && req.auth.type === 'telegram' ? req.auth.user : null;
+    return user
+        ? normalizeLocale(await database.getUserLanguage(user.id)) || detectLocale(user.language_code)
+        : normalizeLocale(req.query.lang) || req.acceptsLanguages(...LOCALES) || detectLocale(null);
+};
+
+const apiActor = (req) => {
+    if (req.auth.type === 'telegram') {
+        const user = req.auth.user;
+        return {
+            type: 'telegram',
+            id: user.id,
+            name: [user.first_name, user.last_name].filter(Boolean).join(' ') || user.username || null,
+            source: 'web'
+        };
+    }
+    if (req.auth.type === 'api_key') {
+        return { type: 'api_key', id: null, name: req.auth.name, source: 'api' };
+    }
+    return { type: req.auth.type, id: null, name: null, source: 'web' };
+};
+
+// Кто вызывает API - для логов
+const describeCaller = (req) => {
+    if (!req.auth) return 'anonymous';
+    if (req.auth.type === 'telegram') return `telegram:${req.auth.user.id}`;
+    if (req.auth.type === 'api_key') return `api_key:${req.auth.name}`;
+    return req.auth.type;
+};
+
+// Данные сообщения для журнала упоминаний; email, карты и адреса в тексте заменяются метками (redactText)
+const buildMention = (ctx, message, origin, text = redactText(message.text || message.caption || null)) => ({
+    messageId: message.message_id,
+    chatId: ctx.chat.id,
+    text,
+    senderId: ctx.from ? ctx.from.id : null,
+    senderName: ctx.from ? [ctx.from.first_name, ctx.from.last_name].filter(Boolean).join(' ') || ctx.from.username || null : null,
+    chatTitle: ctx.chat.title || null,
+    chatUsername: ctx.chat.username || null,
+    origin,
+    messageDate: message.date
+});
+
+// Ссылка на сообщение: публичные чаты по username, супергруппы и каналы через t.me/c/
+const buildMessageLink = (chatId, chatUsername, messageId) => {
+    if (chatUsername) return `https://t.me/${chatUsername}/${messageId}`;
+    const id = String(chatId);
+    if (id.startsWith('-100')) return `https://t.me/c/${id.substring(4)}/${messageId}`;
+    return null;
+};
+
+const formatMentionStats = (t, stats) => {
+    if (!stats || stats.times_seen <= 1) return '';
+    const lastSeen = stats.last_seen
+        ? new Date(`${stats.last_seen.replace(' ', 'T')}Z`).toLocaleDateString(t('bot.date_locale'))
+        : null;
+    return `\n${t('bot.contact.mentions', { count: stats.times_seen })}${lastSeen ? t('bot.contact.last_seen', { date: lastSeen }) : ''}`;
+};
+
+// Изменения, которые можно откатить из истории: правки полей и предыдущие откаты
+const REVERTIBLE_ACTIONS = ['update', 'revert'];
+
+const MERGE_GROUPS_LIMIT = 5;
+
+const PHONE_TYPES = ['mobile', 'work', 'home', 'fax', 'other'];
+const MESSENGER_ICONS = { telegram: '✈️', whatsapp: '🟢' };
+
+// Остальные номера, email и мессенджеры человека для ответа бота
+const describeContactChannels = async (t, contact, exceptPhone) => {
+    const [phones, emails, messengers, tags] = await Promise.all([
+        database.getContactPhones(contact.id),
+        database.getContactEmails(contact.id),
+        database.getContactMessengers(contact.id),
+        database.getContactTags(contact.id)
+    ]);
+    
+    let response = '';
+    for (const phone of phones.filter(phone => phone.normalized_phone !== exceptPhone)) {
+        response += `\n📱 \`${phone.normalized_phone}\` (${t(`bot.phone_types.${phone.type}`)})`;
+    }
+    for (const email of emails) {
+        response += `\n✉️ \`${email.email}\``;
+    }
+    for (const messenger of messengers) {
+        response += `\n${MESSENGER_ICONS[messenger.kind] || '💬'} \`${messenger.value}\``;
+    }
+    if (tags.length > 0) {
+        response += `\n🏷 ${tags.map(tag => `\`${tag.name}\``).join(' ')}`;
+    }
+    return response;
+};
+
+// Email и мессенджеры из текста сообщения
+const attachContactLinks = async (contactId, links) => {
+    for (const email of links.emails) {
+        await database.addContactEmail(contactId, email);
+    }
+    for (const username of links.telegram) {
+        await database.addContactMessenger(contactId, 'telegram', username);
+    }
+    for (const link of links.whatsapp) {
+        await database.addContactMessenger(contactId, 'whatsapp', link);
+    }
+};
+
+// Инициализация бота только если есть токен
+let bot = null;
+if (process.env.BOT_TOKEN) {
+    bot = new Telegraf(process.env.BOT_TOKEN);
+} else {
+    console.warn('⚠️ BOT_TOKEN not found in environment variables');
+}
+
+// Обработчик сообщений (только если бот инициализирован)
+if (bot) {
+    // Язык ответов: выбранный командой /lang или язык Telegram пользователя
+    bot.use(async (ctx, next) => {
+        let language = null;
+        if (ctx.from) {
+            try {
+                language = await database.getUserLanguage(ctx.from.id);
+            } catch (error) {
+                console.error('Error loading user language:', error);
+            }
+        }
+        ctx.state.locale = normalizeLocale(language) || detectLocale(ctx.from && ctx.from.language_code);
+        ctx.t = createTranslator(ctx.state.locale);
+        return next();
+    });
+
+    // Пространство контактов чата и его участники
+    bot.use(async (ctx, next) => {
+        if (ctx.chat) {
+            try {
+                ctx.state.workspace = await resolveChatWorkspace(ctx.chat);
+                
+                const leftMember = ctx.message && ctx.message.left_chat_member;
+                if (leftMember) {
+                    await database.removeWorkspaceMember(ctx.state.workspace.id, leftMember.id);
+                } else if (ctx.from && !ctx.from.is_bot) {
+                    await database.touchWorkspaceMember(ctx.state.workspace.id, ctx.from);
+                    ctx.state.role = await database.getMemberRole(ctx.state.workspace.id, ctx.from.id);
                 }
-            );
-        });
-    },
+            } catch (error) {
+                console.error('Error resolving workspace:', error);
+            }
+        }
+        return next();
+    });
+
+    // Ввод значения для контакта после нажатия кнопки: бот спрашивает значение,
+    // следующий ответ пользователя сохраняется в контакт. Состояние сцены: { contactId, input, promptId }
+    const contactInputScene = new Scenes.BaseScene('contact-input', { ttl: CONTACT_INPUT_TTL });
+
+    contactInputScene.enter(async (ctx) => {
+        const { contactId, input } = ctx.scene.state;
+        const contact = await database.getContactById(contactId);
+        const user = ctx.from.username ? `@${ctx.from.username}` : ctx.from.first_name;
+        
+        // ForceReply с selective: в группе поле ответа откроется только у упомянутого пользователя
+        const prompt = await ctx.reply(
+            ctx.t(`bot.inputs.${input}.prompt`, { user, phone: contact.normalized_phone }),
+            { reply_markup: { force_reply: true, selective: true } }
+        );
+        ctx.scene.state.promptId = prompt.message_id;
+    });
 
-    updateContact: (id, updates) => {
-        const fields = [];
-        const values = [];
+    contactInputScene.command('cancel', async (ctx) => {
+        await ctx.scene.leave();
+        await ctx.reply(ctx.t('bot.inputs.cancelled'));
+    });
+
+    contactInputScene.on('text', async (ctx, next) => {
+        const { contactId, input, promptId } = ctx.scene.state;
+        const text = ctx.message.text.trim();
+        const reply = ctx.message.reply_to_message;
         
-        for (const [key, value] of Object.entries(updates)) {
-            fields.push(`${key} = ?`);
-            values.push(value);
+        // Другие команды выполняются как обычно и завершают ввод
+        if (text.startsWith('/')) {
+            await ctx.scene.leave();
+            return next();
+        }
+        // В группе значением считается только ответ на вопрос бота, остальная переписка обрабатывается как обычно
+        if (ctx.chat.type !== 'private' && (!reply || reply.message_id !== promptId)) {
+            return next();
         }
-        fields.push('updated_at = CURRENT_TIMESTAMP');
-        values.push(id);
         
-        return new Promise((resolve, reject) => {
-            const sql = `UPDATE contacts SET ${fields.join(', ')} WHERE id = ?`;
-            console.log('Update SQL:', sql, 'Values:', values);
+        await ctx.scene.leave();
+        try {
+            if (!await checkRole(ctx, 'editor')) return;
             
-            db.run(
-                sql,
-                values,
-                function(err) {
-                    if (err) {
-                        console.error('Error updating contact:', err);
-                        reject(err);
-                    } else {
-                        console.log(`Contact ${id} updated, changes: ${this.changes}`);
-                        resolve(this.changes);
-                    }
+            const contact = await database.getContactById(contactId);
+            if (!contact || contact.deleted_at || contact.workspace_id !== ctx.state.workspace.id) {
+                return ctx.reply(ctx.t('bot.errors.contact_not_found'));
+            }
+            
+            if (input === 'remind') {
+                return await createReminderFromText(ctx, contact, text, {
+                    user_id: ctx.from.id,
+                    username: ctx.from.username,
+                    first_name: ctx.from.first_name
+                });
+            }
+            
+            if (input === 'tag') {
+                const names = [...new Set(text.split(/[\s,]+/).map(normalizeTagName).filter(Boolean))];
+                for (const name of names) {
+                    const tag = await database.getOrCreateTag(contact.workspace_id, name);
+                    await database.setContactTag(contact.id, tag.id, true, botActor(ctx));
                 }
-            );
-        });
-    },
+            } else {
+                // Заметка дописывается к контексту тем же разделителем, что и при объединении контактов
+                const changes = input === 'note'
+                    ? { context: contact.context ? `${contact.context}\n---\n${text}` : text }
+                    : { [input]: text };
+                const { value, errors } = validate(CONTACT_UPDATE_SCHEMA, changes, { partial: true });
+                if (errors.length > 0) {
+                    return ctx.reply(`❌ ${errors.map(error => error.message).join(', ')}`);
+                }
+                await database.updateContact(contact.id, value, botActor(ctx));
+            }
+            
+            const updated = await database.getContactById(contact.id);
+            await ctx.reply(await formatStructuredContact(ctx.t, { contact: updated, created: false }, ctx.t('bot.contact.updated')), {
+                parse_mode: 'Markdown',
+                reply_to_message_id: ctx.message.message_id
+            });
+        } catch (error) {
+            console.error('Error saving contact input:', error);
+            await ctx.reply(ctx.t('bot.errors.save_failed'));
+        }
+    });
 
-    getAllContacts: (limit = 50) => {
-        return new Promise((resolve, reject) => {
-            db.all(
-                `SELECT * FROM contacts ORDER BY updated_at DESC LIMIT ?`,
-                [limit],
-                (err, rows) => {
-                    if (err) {
-                        console.error('Error getting all contacts:', err);
-                        reject(err);
-                    } else {
-                        console.log(`Retrieved ${rows.length} contacts`);
-                        resolve(rows);
+    const contactStage = new Scenes.Stage([contactInputScene]);
+    bot.use(session({ store: botSessionStore }));
+    bot.use(contactStage.middleware());
+
+    const handleMessage = async (ctx, next) => {
+        const message = ctx.message || ctx.editedMessage;
+        
+        try {
+            const settings = await database.getChatSettings(ctx.chat.id);
+            ctx.state.chatSettings = settings;
+            
+            // Команды игнорируемых отправителей выполняются как обычно
+            if (await isIgnoredMessage(ctx, message, settings)) {
+                return (message.text || '').startsWith('/') ? next() : undefined;
+            }
+            
+            if (message.contact) {
+                return await handleSharedContact(ctx, message);
+            }
+            if (isVCardDocument(message.document)) {
+                return await handleVCardDocument(ctx, message);
+            }
+            
+            const text = message.text || message.caption || '';
+            
+            // Команды обрабатываются отдельными обработчиками ниже
+            if (text.startsWith('/')) return next();
+            if (!text.trim()) return;
+            
+            const origin = getMessageOrigin(ctx, message);
+            const region = await getChatRegion(ctx.chat.id);
+            const phones = PhoneParser.parsePhoneNumbers(text, region);
+            
+            if (phones.length === 0) return;
+            
+            console.log(`Found ${phones.length} phones in chat ${ctx.chat.id}, origin: ${origin}`);
+            
+            const responses = [];
+            const suggestionButtons = [];
+            const tagButtons = [];
+            const actionButtons = [];
+            // Имя отправителя предлагаем, только если номер один и сообщение не переслано
+            const sender = phones.length === 1 && origin !== 'forward' ? ctx.from : null;
+            // Email и мессенджеры однозначно относятся к номеру, только если он в сообщении один
+            const links = phones.length === 1 ? EntityExtractor.extractLinks(text) : null;
+            const workspaceId = ctx.state.workspace.id;
+            
+            // Номера из privacy_blocklist не сохраняются и вырезаются из текста, сохраняемого для остальных
+            const blocked = [];
+            for (const phone of phones) {
+                if (await database.isPhoneBlocked(phone.normalized)) blocked.push(phone);
+            }
+            const storedText = redactText(text, blocked);
+            const mention = buildMention(ctx, message, origin, storedText);
+            
+            for (const phone of phones) {
+                if (blocked.includes(phone) || await database.isPhoneIgnored(workspaceId, phone.normalized)) continue;
+                
+                // Поиск, создание контакта и упоминание - одна транзакция: два сообщения с новым номером
+                // не создадут двух контактов, а сбой не оставит контакт без контекста и упоминания
+                const { contact, isKnown } = await withTransaction(async () => {
+                    const known = await database.findContactByPhone(phone.normalized, workspaceId);
+                    if (known) {
+                        await database.logMention({ ...mention, contactId: known.id, phone: phone.normalized });
+                        return { contact: known, isKnown: true };
                     }
+                    
+                    const context = storedText.substring(0, 200);
+                    const contactId = await database.saveContact(
+                        phone.original,
+                        phone.normalized,
+                        null,
+                        null,
+                        context,
+                        'other',
+                        workspaceId,
+                        botActor(ctx)
+                    );
+                    await database.markMessageContext(contactId, context);
+                    await database.logMention({ ...mention, contactId, phone: phone.normalized });
+                    return { contact: await database.findContactByPhone(phone.normalized, workspaceId), isKnown: false };
+                });
+                
+                // В отредактированном сообщении и в режиме «только новые» отвечаем только о новых номерах
+                if (isKnown && (origin === 'edited' || settings.reply_mode === 'new')) continue;
+                
+                let response = `${ctx.t('bot.contact.found')}:\n\`${phone.normalized}\``;
+                
+                if (contact && contact.name) {
+                    response += `\n👤 \`${contact.name}\``;
                 }
-            );
-        });
-    },
-
-    getContactById: (id) => {
-        return new Promise((resolve, reject) => {
-            db.get(
-                `SELECT * FROM contacts WHERE id = ?`,
-                [id],
-                (err, row) => {
-                    if (err) {
-                        console.error('Error getting contact by ID:', err);
-                        reject(err);
+                if (contact && contact.company) {
+                    response += `\n🏢 \`${contact.company}\``;
+                }
+                
+                if (contact) {
+                    if (links) await attachContactLinks(contact.id, links);
+                    response += await describeContactChannels(ctx.t, contact, phone.normalized);
+                    response += formatMentionStats(ctx.t, await database.getMentionStats(contact.id, ctx.chat.id, message.message_id));
+                    
+                    const suggestions = EntityExtractor.extract(text, phone, sender)
+                        .filter(suggestion => !contact[suggestion.field]);
+                    
+                    for (const suggestion of suggestions) {
+                        const saved = await database.saveSuggestion(contact.id, suggestion.field, suggestion.value, suggestion.source);
+                        if (!saved || saved.status !== 'pending') continue;
+                        
+                        const icon = SUGGESTION_ICONS[suggestion.field];
+                        response += `\n💡 ${icon} \`${suggestion.value}\`?`;
+                        suggestionButtons.push([
+                            Markup.button.callback(`✅ ${icon} ${suggestion.value}`, `suggest:${saved.id}`)
+                        ]);
+                    }
+                    
+                    // Кнопки тегов и действий - только когда номер в сообщении один,
+                    // для нескольких номеров - по кнопке, открывающей действия с каждым
+                    if (phones.length === 1) {
+                        tagButtons.push(...await buildTagButtons(contact.id, workspaceId));
+                        actionButtons.push(...buildContactActionButtons(ctx.t, contact.id));
                     } else {
-                        resolve(row);
+                        actionButtons.push([Markup.button.callback(`⚙️ ${phone.normalized}`, `contact:menu:${contact.id}`)]);
                     }
                 }
-            );
+                
+                responses.push(response);
+            }
+            
+            await replyWithContacts(ctx, message, responses, [...suggestionButtons, ...tagButtons, ...actionButtons]);
+        } catch (error) {
+            console.error('Error processing message:', error);
+            try {
+                await ctx.reply(ctx.t('bot.errors.message_failed'));
+            } catch (e) {
+                console.error('Failed to send error message:', e);
+            }
+        }
+    };
+
+    // Контакт, отправленный через «Поделиться контактом»
+    const handleSharedContact = async (ctx, message) => {
+        const { phone_number: phone, first_name: firstName, last_name: lastName, vcard } = message.contact;
+        const card = vcard ? parseVCards(vcard)[0] : null;
+        const entry = {
+            phones: [{ value: phone, type: 'mobile' }],
+            name: [firstName, lastName].filter(Boolean).join(' ') || null,
+            company: card ? card.company : null,
+            emails: card ? card.emails : []
+        };
+        
+        console.log(`Shared contact received in chat ${ctx.chat.id}, origin: contact`);
+        
+        const region = await getChatRegion(ctx.chat.id);
+        const result = await saveStructuredContact(entry, region, ctx.t('source.telegram_contact'), ctx.state.workspace.id, botActor(ctx));
+        
+        if (!result) {
+            return ctx.reply(ctx.t('bot.errors.invalid_phone'), { reply_to_message_id: message.message_id });
+        }
+        
+        await database.logMention({
+            ...buildMention(ctx, message, 'contact'),
+            contactId: result.contact.id,
+            phone: result.contact.normalized_phone
+        });
+        
+        if (!result.created && ctx.state.chatSettings.reply_mode === 'new') return;
+        await replyWithContacts(ctx, message, [await formatStructuredContact(ctx.t, result)]);
+    };
+
+    // Файл .vcf с одним или несколькими контактами
+    const handleVCardDocument = async (ctx, message) => {
+        const { document } = message;
+        
+        if (document.file_size && document.file_size > VCARD_MAX_SIZE) {
+            return ctx.reply(ctx.t('bot.vcard.too_large'), { reply_to_message_id: message.message_id });
+        }
+        
+        const link = await ctx.telegram.getFileLink(document.file_id);
+        const content = await downloadFile(link.href);
+        const cards = parseVCards(content.toString('utf8'));
+        
+        console.log(`vCard ${document.file_name} received in chat ${ctx.chat.id}: ${cards.length} contacts, origin: vcard`);
+        
+        const region = await getChatRegion(ctx.chat.id);
+        const responses = [];
+        let saved = 0;
+        
+        const mention = buildMention(ctx, message, 'vcard');
+        
+        for (const card of cards) {
+            const result = await saveStructuredContact(card, region, `vCard: ${document.file_name || 'contacts.vcf'}`, ctx.state.workspace.id, botActor(ctx));
+            if (!result) continue;
+            saved++;
+            
+            await database.logMention({ ...mention, contactId: result.contact.id, phone: result.contact.normalized_phone });
+            if (!result.created && ctx.state.chatSettings.reply_mode === 'new') continue;
+            responses.push(await formatStructuredContact(ctx.t, result));
+        }
+        
+        if (saved === 0) {
+            return ctx.reply(ctx.t('bot.vcard.empty'), { reply_to_message_id: message.message_id });
+        }
+        
+        await replyWithContacts(ctx, message, responses);
+    };
+
+    // Ответ о найденных номерах с учетом настроек чата (ctx.state.chatSettings)
+    const replyWithContacts = async (ctx, message, responses, buttons = []) => {
+        if (responses.length === 0) return;
+        
+        const settings = ctx.state.chatSettings || await database.getChatSettings(ctx.chat.id);
+        if (settings.reply_mode === 'silent') return;
+        if (!takeReplySlot(ctx.chat.id, settings.rate_limit)) {
+            console.log(`Reply rate limit reached in chat ${ctx.chat.id}, contacts saved silently`);
+            return;
+        }
+        
+        const webAppUrl = process.env.RENDER_EXTERNAL_URL || process.env.WEB_APP_URL || `http://localhost:${PORT}`;
+        
+        // В личных сообщениях кнопки действий не отправляются: они работают только в чате пространства
+        if (settings.reply_mode === 'dm' && ctx.chat.type !== 'private' && message.from) {
+            const chatTitle = ctx.chat.title || ctx.chat.username || ctx.chat.id;
+            try {
+                await ctx.telegram.sendMessage(message.from.id, `${ctx.t('bot.contact.from_chat', { chat: chatTitle })}:\n\n${responses.join('\n\n')}`, {
+                    parse_mode: 'Markdown',
+                    reply_markup: settings.web_app_button && webAppUrl
+                        ? { inline_keyboard: [[Markup.button.webApp(ctx.t('bot.web.edit_button'), webAppUrl)]] }
+                        : undefined
+                });
+            } catch (error) {
+                // Пользователь не начинал диалог с ботом - сообщение в личку недоступно
+                console.warn(`Cannot send DM to user ${message.from.id}: ${error.message}`);
+            }
+            return;
+        }
+        
+        await ctx.reply(responses.join('\n\n'), {
+            reply_to_message_id: message.message_id,
+            parse_mode: 'Markdown',
+            reply_markup: buttons.length > 0 ? { inline_keyboard: buttons } : undefined
+        });
+        
+        if (webAppUrl && settings.web_app_button) {
+            await ctx.reply(ctx.t('bot.web.actions'), {
+                reply_markup: {
+                    inline_keyboard: [
+                        [
+                            Markup.button.webApp(
+                                ctx.t('bot.web.edit_button'),
+                                webAppUrl
+                            )
+                        ]
+                    ]
+                }
+            });
+        }
+    };
+
+    bot.on('message', handleMessage);
+    bot.on('edited_message', handleMessage);
+
+    // Команды бота
+    bot.command('start', (ctx) => {
+        const webAppUrl = process.env.RENDER_EXTERNAL_URL || process.env.WEB_APP_URL || `http://localhost:${PORT}`;
+        ctx.reply(
+            ctx.t('bot.start', { bot: ctx.botInfo.username }),
+            webAppUrl ? {
+                reply_markup: {
+                    inline_keyboard: [
+                        [Markup.button.webApp(ctx.t('bot.web.open_button'), webAppUrl)]
+                    ]
+                }
+            } : {}
+        );
+    });
+
+    bot.command('web', (ctx) => {
+        const webAppUrl = process.env.RENDER_EXTERNAL_URL || process.env.WEB_APP_URL || `http://localhost:${PORT}`;
+        if (webAppUrl) {
+            ctx.reply(ctx.t('bot.web.title'), {
+                reply_markup: {
+                    inline_keyboard: [
+                        [Markup.button.webApp(ctx.t('bot.web.search_button'), webAppUrl)]
+                    ]
+                }
+            });
+        } else {
+            ctx.reply(ctx.t('bot.web.not_configured'));
+        }
+    });
+
+    bot.command('add', async (ctx) => {
+        const args = ctx.message.text.split(' ').slice(1);
+        
+        if (args.length < 1) {
+            return ctx.reply(ctx.t('bot.add.usage'));
+        }
+        
+        const name = args[1] || null;
+        const company = args[2] || null;
+        
+        try {
+            if (!await checkRole(ctx, 'editor')) return;
+            
+            const phone = PhoneParser.normalizePhone(args[0], await getChatRegion(ctx.chat.id));
+            if (!phone) {
+                return ctx.reply(ctx.t('bot.errors.invalid_phone'));
+            }
+            
+            if (await database.isPhoneBlocked(phone)) {
+                return ctx.reply(ctx.t('bot.privacy.blocked', { phone }));
+            }
+            
+            const workspaceId = ctx.state.workspace.id;
+            const existing = await database.findContactByPhone(phone, workspaceId);
+            
+            if (existing) {
+                const updates = {};
+                if (name) updates.name = name;
+                if (company) updates.company = company;
+                if (Object.keys(updates).length > 0) {
+                    await database.updateContact(existing.id, updates, botActor(ctx));
+                }
+            } else {
+                await database.saveContact(args[0], phone, name, company, null, 'other', workspaceId, botActor(ctx));
+            }
+            
+            const contact = await database.findContactByPhone(phone, workspaceId);
+            const channels = await describeContactChannels(ctx.t, contact, phone);
+            await ctx.reply(`${ctx.t('bot.add.saved')}:\n\`${phone}\`${contact.name ? `\n👤 \`${contact.name}\`` : ''}${contact.company ? `\n🏢 \`${contact.company}\`` : ''}${channels}`, {
+                parse_mode: 'Markdown'
+            });
+        } catch (error) {
+            console.error('Error adding contact:', error);
+            await ctx.reply(ctx.t('bot.add.failed'));
+        }
+    });
+
+    bot.command('addphone', async (ctx) => {
+        let input = ctx.message.text.split(' ').slice(1).join(' ').trim();
+        let type = 'other';
+        
+        const lastWord = input.split(/\s+/).pop();
+        if (PHONE_TYPES.includes(lastWord)) {
+            type = lastWord;
+            input = input.slice(0, -lastWord.length).trim();
+        }
+        
+        // Номера с пробелами разделяются запятой: /addphone 8 916 123-45-67, 8 495 123-45-67
+        const args = (input.includes(',') ? input.split(',') : input.split(/\s+/))
+            .map(arg => arg.trim())
+            .filter(Boolean);
+        
+        if (args.length !== 2) {
+            return ctx.reply(ctx.t('bot.addphone.usage', { types: PHONE_TYPES.join(', ') }));
+        }
+        
+        try {
+            if (!await checkRole(ctx, 'editor')) return;
+            
+            const region = await getChatRegion(ctx.chat.id);
+            const knownPhone = PhoneParser.normalizePhone(args[0], region);
+            const newPhone = PhoneParser.normalizePhone(args[1], region);
+            
+            if (!knownPhone || !newPhone) {
+                return ctx.reply(ctx.t('bot.errors.invalid_phone'));
+            }
+            
+            const contact = await database.findContactByPhone(knownPhone, ctx.state.workspace.id);
+            if (!contact) {
+                return ctx.reply(ctx.t('bot.errors.phone_not_found', { phone: knownPhone }));
+            }
+            
+            const owner = await database.findContactByPhone(newPhone, ctx.state.workspace.id);
+            if (owner && owner.id !== contact.id) {
+                return ctx.reply(ctx.t('bot.addphone.taken', { phone: newPhone }));
+            }
+            if (await database.isPhoneBlocked(newPhone)) {
+                return ctx.reply(ctx.t('bot.privacy.blocked', { phone: newPhone }));
+            }
+            
+            await database.addContactPhone(contact.id, args[1], newPhone, type);
+            const channels = await describeContactChannels(ctx.t, contact, contact.normalized_phone);
+            await ctx.reply(`${ctx.t('bot.addphone.added')}:\n\`${contact.normalized_phone}\`${contact.name ? `\n👤 \`${contact.name}\`` : ''}${channels}`, {
+                parse_mode: 'Markdown'
+            });
+        } catch (error) {
+            console.error('Error adding phone:', error);
+            await ctx.reply(ctx.t('bot.addphone.failed'));
+        }
+    });
+
+    bot.command('merge', async (ctx) => {
+        const input = ctx.message.text.split(' ').slice(1).join(' ').trim();
+        
+        try {
+            // /merge <основной номер>, <номер дубликата> - объединить два контакта
+            if (input) {
+                if (!await checkRole(ctx, 'editor')) return;
+                
+                const args = (input.includes(',') ? input.split(',') : input.split(/\s+/))
+                    .map(arg => arg.trim())
+                    .filter(Boolean);
+                const region = await getChatRegion(ctx.chat.id);
+                const contacts = await Promise.all(args.map(arg => {
+                    const phone = PhoneParser.normalizePhone(arg, region);
+                    return phone ? database.findContactByPhone(phone, ctx.state.workspace.id) : null;
+                }));
+                
+                if (args.length !== 2 || contacts.some(contact => !contact)) {
+                    return ctx.reply(ctx.t('bot.merge.usage'));
+                }
+                if (contacts[0].id === contacts[1].id) {
+                    return ctx.reply(ctx.t('bot.merge.same_contact'));
+                }
+                
+                const merged = await database.mergeContacts(contacts[0].id, [contacts[1].id], region, botActor(ctx));
+                return ctx.reply(await formatStructuredContact(ctx.t, { contact: merged, created: false }, ctx.t('bot.merge.merged')), { parse_mode: 'Markdown' });
+            }
+            
+            const { contacts, phones } = await database.getDuplicateCandidates(ctx.state.workspace.id);
+            const groups = findDuplicateGroups(contacts, phones).slice(0, MERGE_GROUPS_LIMIT);
+            
+            if (groups.length === 0) {
+                return ctx.reply(ctx.t('bot.merge.no_duplicates'));
+            }
+            
+            const buttons = [];
+            const message = groups.map((group, index) => {
+                const target = pickMergeTarget(group.contacts);
+                const sourceIds = group.contacts.filter(contact => contact.id !== target.id).map(contact => contact.id);
+                buttons.push([Markup.button.callback(ctx.t('bot.merge.group_button', { number: index + 1 }), `merge:${target.id}:${sourceIds.join(',')}`)]);
+                
+                const reasons = group.reasons.map(reason => ctx.t(`bot.merge.reasons.${reason}`)).join(', ');
+                return `*${ctx.t('bot.merge.group', { number: index + 1 })}* (${reasons}):\n` +
+                    group.contacts.map(contact =>
+                        `${contact.id === target.id ? '⭐' : '▫️'} \`${contact.normalized_phone}\`${contact.name ? ` 👤 ${contact.name}` : ''}${contact.company ? ` 🏢 ${contact.company}` : ''}`
+                    ).join('\n');
+            }).join('\n\n');
+            
+            await ctx.reply(ctx.t('bot.merge.candidates', { groups: message }), {
+                parse_mode: 'Markdown',
+                reply_markup: { inline_keyboard: buttons }
+            });
+        } catch (error) {
+            console.error('Error merging contacts:', error);
+            await ctx.reply(ctx.t('bot.merge.failed'));
+        }
+    });
+
+    bot.action(/^merge:(\d+):([\d,]+)$/, async (ctx) => {
+        try {
+            if (!await checkRole(ctx, 'editor')) return;
+            
+            const sourceIds = ctx.match[2].split(',').map(id => parseInt(id));
+            const target = await database.getContactById(ctx.match[1]);
+            const merged = target && target.workspace_id === ctx.state.workspace.id
+                ? await database.mergeContacts(target.id, sourceIds, await getChatRegion(ctx.chat.id), botActor(ctx))
+                : null;
+            
+            if (!merged) {
+                return ctx.answerCbQuery(ctx.t('bot.merge.outdated'));
+            }
+            
+            await ctx.answerCbQuery(ctx.t('bot.merge.merged_short'));
+            await ctx.reply(await formatStructuredContact(ctx.t, { contact: merged, created: false }, ctx.t('bot.merge.merged')), { parse_mode: 'Markdown' });
+        } catch (error) {
+            console.error('Error merging contacts:', error);
+            await ctx.answerCbQuery(ctx.t('bot.merge.failed_short'));
+        }
+    });
+
+    bot.command('search', async (ctx) => {
+        const query = ctx.message.text.split(' ').slice(1).join(' ');
+        
+        if (!query) {
+            return ctx.reply(ctx.t('bot.search.usage'));
+        }
+        
+        try {
+            const { contacts } = await findContacts(query, ctx.state.workspace.id, { limit: 5 });
+            
+            if (contacts.length === 0) {
+                return ctx.reply(ctx.t('bot.search.empty'));
+            }
+            
+            const message = contacts.slice(0, 5).map(contact => 
+                `📞 \`${contact.all_phones || contact.normalized_phone}\`\n${contact.name ? `👤 ${contact.name}\n` : ''}${contact.company ? `🏢 ${contact.company}\n` : ''}` +
+                `${contact.tags ? `🏷 ${contact.tags.split(',').map(tag => `\`${tag}\``).join(' ')}\n` : ''}`
+            ).join('\n');
+            
+            const webAppUrl = process.env.RENDER_EXTERNAL_URL || process.env.WEB_APP_URL || `http://localhost:${PORT}`;
+            const replyMarkup = webAppUrl ? {
+                inline_keyboard: [
+                    [Markup.button.webApp(ctx.t('bot.web.search_button'), webAppUrl)]
+                ]
+            } : undefined;
+            
+            await ctx.reply(`${message}\n\n${ctx.t('bot.search.more_in_web')}`, {
+                parse_mode: 'Markdown',
+                reply_markup: replyMarkup
+            });
+        } catch (error) {
+            console.error('Error searching contacts:', error);
+            await ctx.reply(ctx.t('bot.search.failed'));
+        }
+    });
+
+    // Инлайн-режим: «@бот запрос» в любом чате ищет по пространствам, в которых состоит пользователь.
+    // Смещение (offset) - курсор следующей страницы, как в /api/contacts
+    bot.on('inline_query', async (ctx) => {
+        const { query, offset } = ctx.inlineQuery;
+        
+        try {
+            const workspaces = await database.getWorkspaces(ctx.from.id);
+            if (workspaces.length === 0) {
+                return ctx.answerInlineQuery([], {
+                    cache_time: INLINE_CACHE_TIME,
+                    is_personal: true,
+                    button: { text: ctx.t('bot.inline.no_workspaces'), start_parameter: 'inline' }
+                });
+            }
+            
+            const scope = {
+                sql: 'contacts.workspace_id IN (SELECT workspace_id FROM workspace_members WHERE user_id = ?)',
+                params: [ctx.from.id]
+            };
+            // Фильтры дополнительных полей берутся из первого пространства, если оно единственное
+            const workspaceId = workspaces.length === 1 ? workspaces[0].id : null;
+            const { contacts: rows, ranked } = await findContacts(query.trim(), workspaceId, {
+                limit: INLINE_PAGE_SIZE + 1,
+                after: offset ? decodeCursor(offset) : null,
+                scope
+            });
+            const contacts = rows.slice(0, INLINE_PAGE_SIZE);
+            const last = contacts[contacts.length - 1];
+            const titles = new Map(workspaces.map(workspace => [workspace.id, workspace.title]));
+            
+            const results = [];
+            for (const contact of contacts) {
+                const title = contact.name || contact.normalized_phone;
+                const description = [
+                    contact.name ? contact.normalized_phone : null,
+                    contact.company,
+                    workspaces.length > 1 ? `📒 ${titles.get(contact.workspace_id)}` : null
+                ].filter(Boolean).join(' · ');
+                const [firstName, ...lastName] = (contact.name || contact.normalized_phone).split(' ');
+                
+                results.push({
+                    type: 'article',
+                    id: `card:${contact.id}`,
+                    title: `📇 ${title}`,
+                    description,
+                    input_message_content: {
+                        message_text: await formatStructuredContact(ctx.t, { contact, created: false }, ctx.t('bot.contact.card')),
+                        parse_mode: 'Markdown'
+                    }
+                });
+                results.push({
+                    type: 'contact',
+                    id: `contact:${contact.id}`,
+                    phone_number: contact.normalized_phone,
+                    first_name: firstName,
+                    last_name: lastName.join(' ') || undefined
+                });
+            }
+            
+            await ctx.answerInlineQuery(results, {
+                cache_time: INLINE_CACHE_TIME,
+                is_personal: true,
+                next_offset: rows.length > INLINE_PAGE_SIZE
+                    ? encodeCursor(ranked ? [last.score, last.id] : [last.updated_at, last.id])
+                    : ''
+            });
+        } catch (error) {
+            console.error('Error answering inline query:', error);
+            await ctx.answerInlineQuery([], { cache_time: 0, is_personal: true });
+        }
+    });
+
+    bot.command('export', async (ctx) => {
+        const args = ctx.message.text.split(' ').slice(1);
+        const format = EXPORT_FORMATS[(args[0] || '').toLowerCase()] ? args.shift().toLowerCase() : 'csv';
+        const search = args.join(' ').trim();
+        
+        try {
+            const contacts = await loadExportContacts(ctx.state.workspace.id, search);
+            
+            if (contacts.length === 0) {
+                return ctx.reply(ctx.t(search ? 'bot.search.empty' : 'bot.export.empty'));
+            }
+            
+            console.log(`Export of ${contacts.length} contacts as ${format} in chat ${ctx.chat.id}`);
+            await ctx.replyWithDocument(
+                {
+                    source: Buffer.from(formatContacts(contacts, format), 'utf8'),
+                    filename: `contacts.${EXPORT_FORMATS[format].extension}`
+                },
+                { caption: ctx.t('bot.export.caption', { count: contacts.length }) + (search ? `\n${ctx.t('bot.export.search', { search })}` : '') }
+            );
+        } catch (error) {
+            console.error('Error exporting contacts:', error);
+            await ctx.reply(ctx.t('bot.export.failed'));
+        }
+    });
+
+    // Проверенные импорты ждут подтверждения кнопкой
+    const pendingImports = new Map();
+    const IMPORT_CONFIRM_TTL = 30 * 60 * 1000;
+
+    bot.command('import', async (ctx) => {
+        const reply = ctx.message.reply_to_message;
+        const document = reply && reply.document;
+        
+        if (!document) {
+            return ctx.reply(ctx.t('bot.import.usage'));
+        }
+        if (!await checkRole(ctx, 'editor')) return;
+        if (document.file_size && document.file_size > IMPORT_MAX_SIZE) {
+            return ctx.reply(ctx.t('bot.import.too_large'));
+        }
+        
+        try {
+            const link = await ctx.telegram.getFileLink(document.file_id);
+            const content = (await downloadFile(link.href)).toString('utf8');
+            const format = detectImportFormat(document.file_name, content);
+            const { mapping, records } = readImportFile(content, format);
+            
+            if (records.length === 0) {
+                return ctx.reply(ctx.t('bot.import.empty'));
+            }
+            if (records.length > IMPORT_MAX_ROWS) {
+                return ctx.reply(ctx.t('bot.import.too_many_rows', { count: records.length, max: IMPORT_MAX_ROWS }));
+            }
+            
+            const region = await getChatRegion(ctx.chat.id);
+            const source = ctx.t('source.import', { file: document.file_name || `contacts.${format}` });
+            const report = await importContacts(records, {
+                workspaceId: ctx.state.workspace.id,
+                region,
+                actor: botActor(ctx),
+                dryRun: true,
+                source
+            });
+            
+            if (report.created + report.updated === 0) {
+                return ctx.reply(`${formatImportReport(ctx.t, report, mapping, true)}\n\n${ctx.t('bot.import.nothing')}`);
+            }
+            
+            const now = Date.now();
+            for (const [key, pending] of pendingImports) {
+                if (pending.expiresAt < now) pendingImports.delete(key);
+            }
+            const token = crypto.randomBytes(6).toString('hex');
+            pendingImports.set(token, { records, region, source, workspaceId: ctx.state.workspace.id, expiresAt: now + IMPORT_CONFIRM_TTL });
+            
+            await ctx.reply(formatImportReport(ctx.t, report, mapping, true), {
+                reply_markup: {
+                    inline_keyboard: [[Markup.button.callback(ctx.t('bot.import.confirm_button'), `import:${token}`)]]
+                }
+            });
+        } catch (error) {
+            console.error('Error checking import file:', error);
+            await ctx.reply(ctx.t('bot.import.read_failed'));
+        }
+    });
+
+    bot.action(/^import:([0-9a-f]+)$/, async (ctx) => {
+        try {
+            if (!await checkRole(ctx, 'editor')) return;
+            
+            const pending = pendingImports.get(ctx.match[1]);
+            if (!pending || pending.expiresAt < Date.now() || pending.workspaceId !== ctx.state.workspace.id) {
+                return ctx.answerCbQuery(ctx.t('bot.import.outdated'));
+            }
+            pendingImports.delete(ctx.match[1]);
+            
+            await ctx.answerCbQuery(ctx.t('bot.import.in_progress'));
+            const report = await importContacts(pending.records, {
+                workspaceId: pending.workspaceId,
+                region: pending.region,
+                actor: botActor(ctx),
+                dryRun: false,
+                source: pending.source
+            });
+            
+            await ctx.editMessageReplyMarkup(undefined);
+            await ctx.reply(formatImportReport(ctx.t, report, null, false));
+        } catch (error) {
+            console.error('Error importing contacts:', error);
+            await ctx.reply(ctx.t('bot.import.failed'));
+        }
+    });
+
+    // Переключение тега кнопкой под сообщением о найденном номере
+    bot.action(/^tag:(\d+):(\d+)$/, async (ctx) => {
+        try {
+            if (!await checkRole(ctx, 'editor')) return;
+            
+            const contact = await database.getContactById(ctx.match[1]);
+            const tag = await database.getTagById(ctx.match[2]);
+            if (!contact || !tag || contact.deleted_at || contact.workspace_id !== ctx.state.workspace.id || tag.workspace_id !== contact.workspace_id) {
+                return ctx.answerCbQuery(ctx.t('bot.tags.not_found'));
+            }
+            
+            const tagged = (await database.getContactTags(contact.id)).some(item => item.id === tag.id);
+            await database.setContactTag(contact.id, tag.id, !tagged, botActor(ctx));
+            await ctx.answerCbQuery(ctx.t(tagged ? 'bot.tags.removed' : 'bot.tags.added', { tag: tag.name }));
+            
+            // Обновляются только кнопки тегов этого контакта, остальные кнопки сообщения остаются
+            const keyboard = ctx.callbackQuery.message.reply_markup.inline_keyboard;
+            const tagRows = await buildTagButtons(contact.id, contact.workspace_id);
+            const prefix = `tag:${contact.id}:`;
+            const otherRows = keyboard.filter(row => !row.some(button => (button.callback_data || '').startsWith(prefix)));
+            await ctx.editMessageReplyMarkup({ inline_keyboard: [...otherRows, ...tagRows] });
+        } catch (error) {
+            console.error('Error toggling tag:', error);
+            await ctx.answerCbQuery(ctx.t('bot.tags.toggle_failed'));
+        }
+    });
+
+    // Кнопки действий под найденным номером: contact:<действие>:<id контакта>
+    bot.action(/^contact:(name|company|note|tag|remind|delete|ignore|restore|menu):(\d+)$/, async (ctx) => {
+        const [, action, contactId] = ctx.match;
+        
+        try {
+            const contact = await database.getContactById(contactId);
+            if (!contact || contact.workspace_id !== ctx.state.workspace.id) {
+                return ctx.answerCbQuery(ctx.t('bot.errors.contact_not_found'));
+            }
+            
+            if (action === 'menu') {
+                if (contact.deleted_at) return ctx.answerCbQuery(ctx.t('bot.contact.in_trash'));
+                await ctx.answerCbQuery();
+                return ctx.reply(await formatStructuredContact(ctx.t, { contact, created: false }, ctx.t('bot.contact.card')), {
+                    parse_mode: 'Markdown',
+                    reply_markup: { inline_keyboard: [...await buildTagButtons(contact.id, contact.workspace_id), ...buildContactActionButtons(ctx.t, contact.id)] }
+                });
+            }
+            
+            if (!await checkRole(ctx, 'editor')) return;
+            
+            // Остальные кнопки сообщения остаются, кнопки этого контакта заменяются
+            const keyboard = ctx.callbackQuery.message.reply_markup?.inline_keyboard || [];
+            const otherRows = keyboard.filter(row => !row.some(button => (
+                /^(contact:\w+|tag):(\d+)/.exec(button.callback_data || '') || []
+            )[2] === String(contact.id)));
+            
+            if (action === 'delete' || action === 'ignore') {
+                if (action === 'ignore') {
+                    await database.ignorePhone(contact.workspace_id, contact.normalized_phone, ctx.from.id);
+                }
+                await database.deleteContact(contact.id, botActor(ctx));
+                await ctx.answerCbQuery(action === 'ignore'
+                    ? ctx.t('bot.contact.ignored', { phone: contact.normalized_phone })
+                    : ctx.t('bot.contact.deleted'));
+                return ctx.editMessageReplyMarkup({
+                    inline_keyboard: [...otherRows, [Markup.button.callback(ctx.t('bot.contact.undo_button'), `contact:restore:${contact.id}`)]]
+                });
+            }
+            
+            if (action === 'restore') {
+                await database.unignorePhone(contact.workspace_id, contact.normalized_phone);
+                await database.restoreContact(contact.id, botActor(ctx));
+                await ctx.answerCbQuery(ctx.t('bot.contact.restored'));
+                return ctx.editMessageReplyMarkup({
+                    inline_keyboard: [...otherRows, ...await buildTagButtons(contact.id, contact.workspace_id), ...buildContactActionButtons(ctx.t, contact.id)]
+                });
+            }
+            
+            if (contact.deleted_at) return ctx.answerCbQuery(ctx.t('bot.contact.in_trash'));
+            await ctx.answerCbQuery();
+            await ctx.scene.enter('contact-input', { contactId: contact.id, input: action });
+        } catch (error) {
+            console.error('Error handling contact action:', error);
+            await ctx.answerCbQuery(ctx.t('bot.errors.generic'));
+        }
+    });
+
+    // /remind - открытые напоминания пользователя; /remind [@user] <номер> <когда> [текст] - новое напоминание.
+    // Ответом на сообщение с номером номер можно не указывать
+    bot.command('remind', async (ctx) => {
+        const args = ctx.message.text.split(/\s+/).slice(1);
+        
+        try {
+            if (args.length === 0) {
+                const reminders = await database.getReminders(null, { assigneeId: ctx.from.id }, REMINDER_LIST_LIMIT);
+                if (reminders.length === 0) {
+                    return ctx.reply(ctx.t('bot.reminders.empty'));
+                }
+                return ctx.reply(
+                    [ctx.t('bot.reminders.list'), ...reminders.map(reminder => (
+                        `#${reminder.id} ${formatReminderDate(ctx.t, reminder)} - ${reminder.normalized_phone}: ${reminder.text}`
+                    ))].join('\n'),
+                    { reply_markup: { inline_keyboard: reminders.map(reminder => [Markup.button.callback(
+                        `✅ #${reminder.id} ${reminder.contact_name || reminder.normalized_phone}`, `reminder:done:${reminder.id}`
+                    )]) } }
+                );
+            }
+            
+            if (!await checkRole(ctx, 'editor')) return;
+            const workspaceId = ctx.state.workspace.id;
+            
+            let assignee = { user_id: ctx.from.id, username: ctx.from.username, first_name: ctx.from.first_name };
+            if (args[0].startsWith('@')) {
+                const username = args.shift();
+                assignee = await database.findWorkspaceMember(workspaceId, username.substring(1));
+                if (!assignee) {
+                    return ctx.reply(ctx.t('bot.errors.unknown_member', { user: username }));
+                }
+            }
+            
+            const region = await getChatRegion(ctx.chat.id);
+            let phone = PhoneParser.normalizePhone(args[0] || '', region);
+            if (phone) {
+                args.shift();
+            } else {
+                const reply = ctx.message.reply_to_message;
+                const found = reply ? PhoneParser.parsePhoneNumbers(reply.text || reply.caption || '', region) : [];
+                phone = found.length > 0 ? found[0].normalized : null;
+            }
+            if (!phone || args.length === 0) {
+                return ctx.reply(ctx.t('bot.reminders.usage'));
+            }
+            
+            const contact = await database.findContactByPhone(phone, workspaceId);
+            if (!contact) {
+                return ctx.reply(ctx.t('bot.errors.contact_not_found'));
+            }
+            await createReminderFromText(ctx, contact, args.join(' '), assignee);
+        } catch (error) {
+            console.error('Error creating reminder:', error);
+            await ctx.reply(ctx.t('bot.reminders.failed'));
+        }
+    });
+
+    // Кнопки напоминания: выполнено, через час, завтра утром. Исполнитель нажимает их в личных сообщениях,
+    // остальным нужна роль редактора в пространстве напоминания
+    bot.action(/^reminder:(done|snooze|tomorrow):(\d+)$/, async (ctx) => {
+        const [, action, reminderId] = ctx.match;
+        
+        try {
+            const reminder = await database.getReminderById(reminderId);
+            if (!reminder || (reminder.assignee_id !== ctx.from.id && reminder.workspace_id !== ctx.state.workspace.id)) {
+                return ctx.answerCbQuery(ctx.t('bot.reminders.not_found'));
+            }
+            if (reminder.assignee_id !== ctx.from.id && !await checkRole(ctx, 'editor')) return;
+            
+            if (action === 'done') {
+                await database.updateReminder(reminder.id, { status: 'done' });
+                await ctx.answerCbQuery(ctx.t('bot.reminders.done'));
+                return ctx.editMessageReplyMarkup({
+                    inline_keyboard: (ctx.callbackQuery.message.reply_markup?.inline_keyboard || [])
+                        .filter(row => !row.some(button => button.callback_data === `reminder:done:${reminder.id}`))
+                });
+            }
+            
+            const dueAt = action === 'snooze'
+                ? new Date(Date.now() + REMINDER_SNOOZE)
+                : parseReminderTime('tomorrow').dueAt;
+            await database.updateReminder(reminder.id, { due_at: toSqlDate(dueAt), status: 'open' });
+            const updated = await database.getReminderById(reminder.id);
+            await ctx.answerCbQuery(ctx.t('bot.reminders.snoozed', { date: formatReminderDate(ctx.t, updated) }));
+            await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+        } catch (error) {
+            console.error('Error handling reminder action:', error);
+            await ctx.answerCbQuery(ctx.t('bot.errors.generic'));
+        }
+    });
+
+    // /ignore @user | <номер> | ответом на сообщение - не обрабатывать отправителя или номер;
+    // номер игнорируется во всем пространстве, а его контакт перемещается в корзину
+    bot.command('ignore', async (ctx) => {
+        const argument = ctx.message.text.split(/\s+/).slice(1).join('');
+        
+        try {
+            const { user, phone, error } = await resolveIgnoreTarget(ctx, argument);
+            if (error) return ctx.reply(error);
+            
+            // Отправителей игнорирует владелец, номера - редактор, как и кнопкой «Игнорировать» и в /unignore
+            if (!await checkRole(ctx, user ? 'owner' : 'editor')) return;
+            
+            if (user) {
+                await database.ignoreSender(ctx.chat.id, user);
+                return ctx.reply(ctx.t('bot.ignore.sender_ignored', { user: describeUser(user) }));
+            }
+            if (phone) {
+                await database.ignorePhone(ctx.state.workspace.id, phone, ctx.from.id);
+                const contact = await database.findContactByPhone(phone, ctx.state.workspace.id);
+                if (contact) await database.deleteContact(contact.id, botActor(ctx));
+                return ctx.reply(ctx.t(contact ? 'bot.ignore.phone_ignored_trashed' : 'bot.ignore.phone_ignored', { phone }));
+            }
+            await ctx.reply(ctx.t('bot.ignore.usage'));
+        } catch (error) {
+            console.error('Error adding to ignore list:', error);
+            await ctx.reply(ctx.t('bot.ignore.failed'));
+        }
+    });
+
+    bot.command('unignore', async (ctx) => {
+        const argument = ctx.message.text.split(/\s+/).slice(1).join('');
+        
+        try {
+            const { user, phone, error } = await resolveIgnoreTarget(ctx, argument);
+            if (error) return ctx.reply(error);
+            
+            // Те же права, что и в /ignore: отправители - владелец, номера - редактор
+            if (!await checkRole(ctx, user ? 'owner' : 'editor')) return;
+            
+            if (user) {
+                const changes = await database.unignoreSender(ctx.chat.id, user.user_id);
+                return ctx.reply(changes > 0
+                    ? ctx.t('bot.ignore.sender_restored', { user: describeUser(user) })
+                    : ctx.t('bot.ignore.sender_not_ignored'));
+            }
+            if (phone) {
+                const changes = await database.unignorePhone(ctx.state.workspace.id, phone);
+                return ctx.reply(changes > 0 ? ctx.t('bot.ignore.phone_restored', { phone }) : ctx.t('bot.ignore.phone_not_ignored'));
+            }
+            await ctx.reply(ctx.t('bot.ignore.unignore_usage'));
+        } catch (error) {
+            console.error('Error removing from ignore list:', error);
+            await ctx.reply(ctx.t('bot.ignore.failed'));
+        }
+    });
+
+    bot.command('settings', async (ctx) => {
+        try {
+            const settings = await database.getChatSettings(ctx.chat.id);
+            await ctx.reply(await formatChatSettings(ctx.t, settings, ctx.state.workspace.id), {
+                reply_markup: { inline_keyboard: buildSettingsKeyboard(ctx.t, settings) }
+            });
+        } catch (error) {
+            console.error('Error showing settings:', error);
+            await ctx.reply(ctx.t('bot.settings.load_failed'));
+        }
+    });
+
+    // Кнопки меню /settings: settings:mode:<режим>, settings:webapp, settings:bots, settings:rate:<лимит>
+    bot.action(/^settings:(mode|webapp|bots|rate)(?::(\w+))?$/, async (ctx) => {
+        const [, setting, value] = ctx.match;
+        
+        try {
+            if (!await checkRole(ctx, 'owner')) return;
+            
+            const settings = await database.getChatSettings(ctx.chat.id);
+            const changes = {};
+            if (setting === 'mode' && REPLY_MODES.includes(value)) changes.reply_mode = value;
+            if (setting === 'webapp') changes.web_app_button = settings.web_app_button ? 0 : 1;
+            if (setting === 'bots') changes.ignore_bots = settings.ignore_bots ? 0 : 1;
+            if (setting === 'rate' && RATE_LIMIT_OPTIONS.includes(parseInt(value))) changes.rate_limit = parseInt(value);
+            
+            if (Object.keys(changes).length === 0) return ctx.answerCbQuery();
+            
+            await database.updateChatSettings(ctx.chat.id, changes);
+            console.log(`Chat ${ctx.chat.id} settings changed: ${JSON.stringify(changes)}`);
+            
+            const updated = await database.getChatSettings(ctx.chat.id);
+            await ctx.answerCbQuery(ctx.t('bot.settings.saved'));
+            await ctx.editMessageText(await formatChatSettings(ctx.t, updated, ctx.state.workspace.id), {
+                reply_markup: { inline_keyboard: buildSettingsKeyboard(ctx.t, updated) }
+            });
+        } catch (error) {
+            console.error('Error changing settings:', error);
+            await ctx.answerCbQuery(ctx.t('bot.settings.save_failed'));
+        }
+    });
+
+    // /tag <номер> <тег> [тег...] и /untag <номер> <тег> [тег...]
+    const changeTags = async (ctx, enabled) => {
+        const args = ctx.message.text.split(/\s+/).slice(1);
+        const command = enabled ? '/tag' : '/untag';
+        
+        if (args.length < 2) {
+            return ctx.reply(ctx.t('bot.tags.usage', { command }));
+        }
+        if (!await checkRole(ctx, 'editor')) return;
+        
+        try {
+            const region = await getChatRegion(ctx.chat.id);
+            const phone = PhoneParser.normalizePhone(args[0], region);
+            const contact = phone ? await database.findContactByPhone(phone, ctx.state.workspace.id) : null;
+            
+            if (!contact) {
+                return ctx.reply(ctx.t('bot.errors.contact_not_found'));
+            }
+            
+            const names = [...new Set(args.slice(1).map(normalizeTagName).filter(Boolean))];
+            for (const name of names) {
+                const tag = enabled
+                    ? await database.getOrCreateTag(ctx.state.workspace.id, name)
+                    : (await database.getContactTags(contact.id)).find(item => item.name === name);
+                if (tag) await database.setContactTag(contact.id, tag.id, enabled, botActor(ctx));
+            }
+            
+            const tags = await database.getContactTags(contact.id);
+            await ctx.reply(
+                `🏷 \`${contact.normalized_phone}\`: ${tags.map(tag => `\`${tag.name}\``).join(' ') || ctx.t('bot.tags.no_tags')}`,
+                { parse_mode: 'Markdown' }
+            );
+        } catch (error) {
+            console.error('Error changing tags:', error);
+            await ctx.reply(ctx.t('bot.tags.change_failed'));
+        }
+    };
+
+    bot.command('tag', (ctx) => changeTags(ctx, true));
+    bot.command('untag', (ctx) => changeTags(ctx, false));
+
+    bot.command('tags', async (ctx) => {
+        try {
+            const tags = await database.getTags(ctx.state.workspace.id);
+            
+            if (tags.length === 0) {
+                return ctx.reply(ctx.t('bot.tags.empty'));
+            }
+            
+            await ctx.reply(
+                ctx.t('bot.tags.list', { tags: tags.map(tag => `\`${tag.name}\` - ${tag.contacts_count}`).join('\n') }),
+                { parse_mode: 'Markdown' }
+            );
+        } catch (error) {
+            console.error('Error listing tags:', error);
+            await ctx.reply(ctx.t('bot.tags.load_failed'));
+        }
+    });
+
+    bot.command('region', async (ctx) => {
+        const region = (ctx.message.text.split(' ')[1] || '').trim().toUpperCase();
+        
+        try {
+            if (!region) {
+                const current = await getChatRegion(ctx.chat.id);
+                return ctx.reply(ctx.t('bot.region.current', { region: current, regions: PhoneParser.supportedRegions.join(', ') }));
+            }
+            
+            if (!await checkRole(ctx, 'editor')) return;
+            if (!PhoneParser.isSupportedRegion(region)) {
+                return ctx.reply(ctx.t('bot.region.unknown', { region, regions: PhoneParser.supportedRegions.join(', ') }));
+            }
+            
+            await database.setChatRegion(ctx.chat.id, region);
+            await ctx.reply(ctx.t('bot.region.saved', { region }));
+        } catch (error) {
+            console.error('Error setting region:', error);
+            await ctx.reply(ctx.t('bot.region.failed'));
+        }
+    });
+
+    // Принятие предложенного имени или компании
+    bot.action(/^suggest:(\d+)$/, async (ctx) => {
+        try {
+            if (!await checkRole(ctx, 'editor')) return;
+            
+            const suggestion = await database.getSuggestionById(ctx.match[1]);
+            const contact = suggestion ? await database.getContactById(suggestion.contact_id) : null;
+            
+            if (!contact || contact.workspace_id !== ctx.state.workspace.id || suggestion.status !== 'pending') {
+                return ctx.answerCbQuery(ctx.t('bot.suggestions.outdated'));
+            }
+            
+            await database.updateContact(suggestion.contact_id, { [suggestion.field]: suggestion.value }, botActor(ctx));
+            await database.setSuggestionStatus(suggestion.id, 'accepted');
+            await ctx.answerCbQuery(ctx.t('bot.suggestions.accepted', { value: suggestion.value }));
+            
+            const keyboard = (ctx.callbackQuery.message.reply_markup?.inline_keyboard || [])
+                .filter(row => !row.some(button => button.callback_data === ctx.callbackQuery.data));
+            await ctx.editMessageReplyMarkup(keyboard.length > 0 ? { inline_keyboard: keyboard } : undefined);
+        } catch (error) {
+            console.error('Error accepting suggestion:', error);
+            await ctx.answerCbQuery(ctx.t('bot.errors.save_failed'));
+        }
+    });
+
+    bot.command('workspace', async (ctx) => {
+        const [action = '', argument = ''] = ctx.message.text.split(/\s+/).slice(1);
+        const workspace = ctx.state.workspace;
+        
+        try {
+            if (!action) {
+                const [chats, stats] = await Promise.all([
+                    database.getWorkspaceChats(workspace.id),
+                    database.getStats(workspace.id)
+                ]);
+                return ctx.reply(
+                    ctx.t('bot.workspace.info', {
+                        id: workspace.id,
+                        title: workspace.title,
+                        chats: chats.map(chat => chat.chat_title || chat.chat_id).join(', ')
+                    }) + '\n' +
+                    ctx.t('bot.workspace.contacts', { count: stats.total || 0 }) + '\n\n' +
+                    ctx.t('bot.workspace.usage')
+                );
+            }
+            
+            if (action === 'claim') {
+                if (!ADMIN_USER_IDS.includes(ctx.from.id)) {
+                    return ctx.reply(ctx.t('bot.errors.admin_only'));
+                }
+                const region = await getChatRegion(ctx.chat.id);
+                const legacyIds = await database.getUnassignedContactIds();
+                for (const contactId of legacyIds) {
+                    await database.moveContact(contactId, workspace.id, region, botActor(ctx));
+                }
+                return ctx.reply(ctx.t('bot.workspace.claimed', { count: legacyIds.length }));
+            }
+            
+            if (!['invite', 'join', 'leave'].includes(action)) {
+                return ctx.reply(ctx.t('bot.workspace.usage'));
+            }
+            if (!await checkRole(ctx, 'owner')) return;
+            
+            if (action === 'invite') {
+                const code = crypto.randomBytes(6).toString('hex');
+                await database.setWorkspaceInvite(workspace.id, code);
+                return ctx.reply(ctx.t('bot.workspace.invite', { code }), { parse_mode: 'Markdown' });
+            }
+            
+            if (action === 'join') {
+                const target = argument ? await database.getWorkspaceByInvite(argument) : null;
+                if (!target) {
+                    return ctx.reply(ctx.t('bot.workspace.invalid_invite'));
+                }
+                if (target.id === workspace.id) {
+                    return ctx.reply(ctx.t('bot.workspace.already_joined'));
+                }
+                
+                // Если чат был единственным в своем пространстве, его контакты переходят в общую книгу
+                const chats = await database.getWorkspaceChats(workspace.id);
+                await database.linkChatToWorkspace(ctx.chat.id, target.id, ctx.chat.title || null);
+                await database.touchWorkspaceMember(target.id, ctx.from);
+                
+                let moved = 0;
+                if (chats.length === 1) {
+                    const region = await getChatRegion(ctx.chat.id);
+                    for (const contactId of await database.getWorkspaceContactIds(workspace.id)) {
+                        await database.moveContact(contactId, target.id, region, botActor(ctx));
+                        moved++;
+                    }
+                }
+                
+                return ctx.reply(
+                    ctx.t('bot.workspace.joined', { id: target.id, title: target.title }) +
+                    (moved > 0 ? `\n${ctx.t('bot.workspace.moved', { count: moved })}` : '')
+                );
+            }
+            
+            const chats = await database.getWorkspaceChats(workspace.id);
+            if (chats.length === 1) {
+                return ctx.reply(ctx.t('bot.workspace.not_shared'));
+            }
+            
+            const title = ctx.chat.title || String(ctx.chat.id);
+            const workspaceId = await database.createWorkspace(title, ctx.chat.id);
+            await database.linkChatToWorkspace(ctx.chat.id, workspaceId, title);
+            await database.touchWorkspaceMember(workspaceId, ctx.from);
+            await ctx.reply(ctx.t('bot.workspace.left', { id: workspaceId }));
+        } catch (error) {
+            console.error('Error managing workspace:', error);
+            await ctx.reply(ctx.t('bot.workspace.failed'));
+        }
+    });
+
+    // Копирование (share) или перенос (move) контакта в другое пространство пользователя
+    const transferContact = async (ctx, mode) => {
+        const args = ctx.message.text.split(/\s+/).slice(1);
+        const targetId = parseInt(args.pop());
+        const input = args.join(' ');
+        
+        if (!input || !Number.isInteger(targetId)) {
+            return ctx.reply(ctx.t('bot.transfer.usage', { command: mode }));
+        }
+        
+        try {
+            const target = (await database.getWorkspaces(ctx.from.id)).find(workspace => workspace.id === targetId);
+            if (!target) {
+                return ctx.reply(ctx.t('bot.transfer.not_member'));
+            }
+            if (targetId === ctx.state.workspace.id) {
+                return ctx.reply(ctx.t('bot.transfer.same_workspace'));
+            }
+            if (!hasRole(target.role, 'editor')) {
+                return ctx.reply(ctx.t('bot.transfer.no_rights', { id: targetId }));
+            }
+            if (mode === 'move' && !await checkRole(ctx, 'editor')) return;
+            
+            const region = await getChatRegion(ctx.chat.id);
+            const phone = PhoneParser.normalizePhone(input, region);
+            const contact = phone ? await database.findContactByPhone(phone, ctx.state.workspace.id) : null;
+            if (!contact) {
+                return ctx.reply(ctx.t('bot.errors.phone_not_found', { phone: phone || input }));
+            }
+            
+            let resultId;
+            if (mode === 'move') {
+                resultId = await database.moveContact(contact.id, targetId, region, botActor(ctx));
+            } else {
+                resultId = (await copyContactToWorkspace(contact.id, targetId, region, botActor(ctx))).contact.id;
+            }
+            
+            const title = ctx.t(`bot.transfer.${mode}_done`, { id: targetId });
+            await ctx.reply(await formatStructuredContact(ctx.t, { contact: await database.getContactById(resultId), created: false }, title), {
+                parse_mode: 'Markdown'
+            });
+        } catch (error) {
+            console.error(`Error in /${mode}:`, error);
+            await ctx.reply(ctx.t('bot.transfer.failed'));
+        }
+    };
+
+    bot.command('roles', async (ctx) => {
+        try {
+            const members = await database.getWorkspaceMembers(ctx.state.workspace.id);
+            const list = members.map(member =>
+                `${member.username ? `@${member.username}` : member.first_name || member.user_id} - ${ctx.t(`bot.roles.${member.effective_role}`)}`
+            ).join('\n');
+            
+            await ctx.reply(ctx.t('bot.roles.list', {
+                id: ctx.state.workspace.id,
+                members: list,
+                default_role: ctx.t(`bot.roles.${ctx.state.workspace.default_role}`),
+                role: ctx.state.role ? ctx.t(`bot.roles.${ctx.state.role}`) : ctx.t('bot.roles.none')
+            }));
+        } catch (error) {
+            console.error('Error listing roles:', error);
+            await ctx.reply(ctx.t('bot.roles.load_failed'));
+        }
+    });
+
+    // /grant @user <роль>, ответом на сообщение: /grant <роль>, для новых участников: /grant default <роль>
+    bot.command('grant', async (ctx) => {
+        const args = ctx.message.text.split(/\s+/).slice(1);
+        const role = (args.pop() || '').toLowerCase();
+        const target = args[0] || '';
+        const usage = ctx.t('bot.roles.grant_usage', { roles: ROLES.join(', ') });
+        
+        if (!isValidRole(role)) {
+            return ctx.reply(usage);
+        }
+        
+        try {
+            if (!await checkRole(ctx, 'owner')) return;
+            const workspaceId = ctx.state.workspace.id;
+            
+            if (target === 'default') {
+                await database.setWorkspaceDefaultRole(workspaceId, role);
+                return ctx.reply(ctx.t('bot.roles.default_set', { role: ctx.t(`bot.roles.${role}`) }));
+            }
+            
+            let user = null;
+            const replyTo = ctx.message.reply_to_message;
+            if (target.startsWith('@')) {
+                user = await database.findWorkspaceMember(workspaceId, target.substring(1));
+                if (!user) {
+                    return ctx.reply(ctx.t('bot.errors.unknown_member', { user: target }));
+                }
+            } else if (replyTo && replyTo.from && !replyTo.from.is_bot) {
+                await database.touchWorkspaceMember(workspaceId, replyTo.from);
+                user = { user_id: replyTo.from.id, username: replyTo.from.username, first_name: replyTo.from.first_name };
+            } else {
+                return ctx.reply(usage);
+            }
+            
+            await database.setMemberRole(workspaceId, user.user_id, role);
+            await ctx.reply(`✅ ${describeUser(user)}: ${ctx.t(`bot.roles.${role}`)}`);
+        } catch (error) {
+            console.error('Error granting role:', error);
+            await ctx.reply(ctx.t('bot.roles.grant_failed'));
+        }
+    });
+
+    // Событие вебхука из аргумента команды: «created» или «contact.created»
+    const parseWebhookEvent = (value) => {
+        const event = value.toLowerCase();
+        return event.includes('.') ? event : `contact.${event}`;
+    };
+
+    const formatWebhookEvents = (events) => events.map(event => event.replace('contact.', '')).join(', ');
+
+    const replyWebhookTest = async (ctx, delivery) => {
+        await ctx.reply(delivery.status === 'delivered'
+            ? ctx.t('bot.webhooks.test_ok', { id: delivery.webhook_id, status: delivery.response_status })
+            : ctx.t('bot.webhooks.test_failed', {
+                id: delivery.webhook_id,
+                error: delivery.response_status ? `HTTP ${delivery.response_status}` : delivery.response
+            }));
+    };
+
+    // /webhooks - список, /webhooks add <url> [событие...], /webhooks test <id>, /webhooks remove <id>
+    bot.command('webhooks', async (ctx) => {
+        const [action = '', argument = '', ...rest] = ctx.message.text.split(/\s+/).slice(1);
+        const usage = ctx.t('bot.webhooks.usage', { events: formatWebhookEvents(WEBHOOK_EVENTS) });
+        
+        try {
+            if (!await checkRole(ctx, 'owner')) return;
+            const workspaceId = ctx.state.workspace.id;
+            
+            if (action === 'add') {
+                const urlError = await checkWebhookUrl(argument);
+                if (urlError) {
+                    return ctx.reply(ctx.t(`bot.webhooks.${urlError}`));
+                }
+                const events = [...new Set(rest.map(parseWebhookEvent))];
+                const unknown = events.find(event => !WEBHOOK_EVENTS.includes(event));
+                if (unknown) {
+                    return ctx.reply(ctx.t('bot.webhooks.invalid_event', { event: unknown, events: formatWebhookEvents(WEBHOOK_EVENTS) }));
+                }
+                
+                const secret = generateSecret();
+                const id = await database.createWebhook({
+                    workspaceId,
+                    url: argument,
+                    events: events.length > 0 ? events : WEBHOOK_EVENTS,
+                    secret,
+                    createdBy: `telegram:${ctx.from.id}`
+                });
+                const added = ctx.t('bot.webhooks.added', {
+                    id,
+                    url: argument,
+                    events: formatWebhookEvents(events.length > 0 ? events : WEBHOOK_EVENTS)
+                });
+                const secretText = ctx.t('bot.webhooks.secret', { id, url: argument, secret });
+                if (ctx.chat.type === 'private') {
+                    return ctx.reply(`${added}\n\n${secretText}`);
+                }
+                
+                // В группе секрет увидели бы все участники, и подпись ничего бы не доказывала,
+                // поэтому он отправляется в личные сообщения; если это невозможно, вебхук не создается
+                try {
+                    await ctx.telegram.sendMessage(ctx.from.id, secretText);
+                } catch (error) {
+                    console.warn(`Cannot send DM to user ${ctx.from.id}: ${error.message}`);
+                    await database.deleteWebhook(id);
+                    return ctx.reply(ctx.t('bot.webhooks.secret_dm_failed'));
+                }
+                return ctx.reply(`${added}\n\n${ctx.t('bot.webhooks.secret_sent')}`);
+            }
+            
+            if (action === 'test' || action === 'remove') {
+                const webhook = await database.getWebhookById(parseInt(argument) || 0);
+                if (!webhook || webhook.workspace_id !== workspaceId) {
+                    return ctx.reply(ctx.t('bot.webhooks.not_found', { id: argument }));
+                }
+                
+                if (action === 'remove') {
+                    await database.deleteWebhook(webhook.id);
+                    return ctx.reply(ctx.t('bot.webhooks.removed', { id: webhook.id }));
+                }
+                return replyWebhookTest(ctx, await webhookWorker.ping(webhook));
+            }
+            
+            if (action) {
+                return ctx.reply(usage);
+            }
+            
+            const webhooks = await database.getWebhooks(workspaceId);
+            if (webhooks.length === 0) {
+                return ctx.reply(ctx.t('bot.webhooks.empty'));
+            }
+            
+            const list = webhooks.map(webhook => ctx.t('bot.webhooks.item', {
+                icon: webhook.active ? '✅' : '⏸',
+                id: webhook.id,
+                url: webhook.url,
+                events: formatWebhookEvents(webhook.events),
+                pending: webhook.pending,
+                last: webhook.last_status ? ctx.t(`bot.webhooks.statuses.${webhook.last_status}`) : '—'
+            })).join('\n\n');
+            
+            await ctx.reply(ctx.t('bot.webhooks.list', { webhooks: list }), {
+                disable_web_page_preview: true,
+                reply_markup: {
+                    inline_keyboard: webhooks.map(webhook => [
+                        Markup.button.callback(ctx.t('bot.webhooks.test_button', { id: webhook.id }), `webhook:test:${webhook.id}`)
+                    ])
+                }
+            });
+        } catch (error) {
+            console.error('Error in /webhooks:', error);
+            await ctx.reply(ctx.t('bot.webhooks.failed'));
+        }
+    });
+
+    bot.action(/^webhook:test:(\d+)$/, async (ctx) => {
+        try {
+            if (!await checkRole(ctx, 'owner')) return;
+            
+            const webhook = await database.getWebhookById(ctx.match[1]);
+            if (!webhook || webhook.workspace_id !== ctx.state.workspace.id) {
+                return ctx.answerCbQuery(ctx.t('bot.webhooks.not_found', { id: ctx.match[1] }));
+            }
+            
+            await ctx.answerCbQuery(ctx.t('bot.webhooks.testing'));
+            await replyWebhookTest(ctx, await webhookWorker.ping(webhook));
+        } catch (error) {
+            console.error('Error testing webhook:', error);
+            await ctx.answerCbQuery(ctx.t('bot.webhooks.failed'));
+        }
+    });
+
+    bot.command('share', (ctx) => transferContact(ctx, 'share'));
+    bot.command('move', (ctx) => transferContact(ctx, 'move'));
+
+    const STATS_BAR_WIDTH = 10;
+
+    const formatStatsDate = (ctx, date, options) => new Date(`${date}T00:00:00Z`)
+        .toLocaleDateString(ctx.t('bot.date_locale'), { timeZone: 'UTC', ...options });
+
+    const formatCountries = (ctx, countries) => countries.length ? [
+        '',
+        ctx.t('bot.stats.countries'),
+        ...countries.slice(0, 5).map(country => ctx.t('bot.stats.country', {
+            flag: regionFlag(country.region),
+            country: country.region
+                ? `${country.region} +${country.calling_code}`
+                : ctx.t('bot.stats.other_countries'),
+            percent: country.percent
+        }))
+    ] : [];
+
+    // Текстовая сводка за 7 дней: новые контакты по дням, активные чаты и отправители, компании, страны
+    const buildWeekSummary = async (ctx) => {
+        const workspaceId = ctx.state.workspace.id;
+        const since = timeseriesStart('day', 7);
+        const [timeseries, stats] = await Promise.all([
+            collectTimeseries(database, workspaceId, 'day', 7),
+            collectStats(database, workspaceId, { since })
+        ]);
+        const points = timeseries.points;
+        const added = points.reduce((sum, point) => sum + point.count, 0);
+        const maxCount = Math.max(...points.map(point => point.count), 1);
+        
+        const lines = [
+            ctx.t('bot.stats.week_title', {
+                from: formatStatsDate(ctx, points[0].date, { day: 'numeric', month: 'short' }),
+                to: formatStatsDate(ctx, points[points.length - 1].date, { day: 'numeric', month: 'short' })
+            }),
+            '',
+            ctx.t('bot.stats.week_added', { count: added }),
+            ...points.map(point => {
+                const bar = '▇'.repeat(Math.round(point.count / maxCount * STATS_BAR_WIDTH)) || '▁';
+                return `${formatStatsDate(ctx, point.date, { weekday: 'short', day: '2-digit' })} ${bar} ${point.count}`;
+            })
+        ];
+        
+        if (stats.top_chats.length) {
+            lines.push('', ctx.t('bot.stats.top_chats'), ...stats.top_chats.map(chat => ctx.t('bot.stats.numbers', {
+                name: chat.chat_title || (chat.chat_username ? `@${chat.chat_username}` : chat.chat_id),
+                count: chat.numbers
+            })));
+        }
+        if (stats.top_senders.length) {
+            lines.push('', ctx.t('bot.stats.top_senders'), ...stats.top_senders.map(sender => ctx.t('bot.stats.numbers', {
+                name: sender.sender_name || sender.sender_id,
+                count: sender.numbers
+            })));
+        }
+        if (stats.top_companies.length) {
+            lines.push('', ctx.t('bot.stats.top_companies'), ...stats.top_companies.map(company => ctx.t('bot.stats.contacts', {
+                name: company.company,
+                count: company.count
+            })));
+        }
+        
+        lines.push(...formatCountries(ctx, stats.countries));
+        lines.push('', ctx.t('bot.stats.incomplete', { percent: stats.incomplete_percent, count: stats.incomplete }));
+        return lines.join('\n');
+    };
+
+    bot.command('stats', async (ctx) => {
+        try {
+            if (ctx.message.text.split(/\s+/)[1] === 'week') {
+                await ctx.reply(await buildWeekSummary(ctx));
+                return;
+            }
+            
+            const stats = await collectStats(database, ctx.state.workspace.id);
+            const totalContacts = stats.total || 0;
+            const withNames = stats.with_names || 0;
+            const withCompanies = stats.with_companies || 0;
+            
+            await ctx.reply([
+                ctx.t('bot.stats.title'),
+                '',
+                ctx.t('bot.stats.total', { count: totalContacts }),
+                ctx.t('bot.stats.with_names', { count: withNames }),
+                ctx.t('bot.stats.with_companies', { count: withCompanies }),
+                ctx.t('bot.stats.incomplete', { percent: stats.incomplete_percent, count: stats.incomplete }),
+                ...formatCountries(ctx, stats.countries),
+                '',
+                ctx.t('bot.stats.week_hint')
+            ].join('\n'));
+        } catch (error) {
+            console.error('Error getting stats:', error);
+            await ctx.reply(ctx.t('bot.stats.failed'));
+        }
+    });
+
+    const buildLanguageKeyboard = (ctx, selected) => [[
+        ...LOCALES.map(locale => Markup.button.callback(
+            `${locale === selected ? '✅ ' : ''}${ctx.t(`bot.lang.names.${locale}`)}`,
+            `lang:${locale}`
+        )),
+        Markup.button.callback(`${selected ? '' : '✅ '}${ctx.t('bot.lang.auto')}`, 'lang:auto')
+    ]];
+
+    // /lang [ru|en|auto] - язык ответов бота и веб-интерфейса для пользователя;
+    // auto - снова брать язык из настроек Telegram
+    const setLanguage = async (ctx, value) => {
+        const language = value === 'auto' ? null : normalizeLocale(value);
+        await database.setUserLanguage(ctx.from.id, language);
+        ctx.state.locale = language || detectLocale(ctx.from.language_code);
+        ctx.t = createTranslator(ctx.state.locale);
+        console.log(`User ${ctx.from.id} language set to ${language || 'auto'}`);
+        return language;
+    };
+
+    bot.command('lang', async (ctx) => {
+        const value = (ctx.message.text.split(/\s+/)[1] || '').toLowerCase();
+        
+        try {
+            if (value && value !== 'auto' && !normalizeLocale(value)) {
+                return ctx.reply(ctx.t('bot.lang.usage', { locales: LOCALES.join('|') }));
+            }
+            if (value) {
+                const language = await setLanguage(ctx, value);
+                return ctx.reply(ctx.t('bot.lang.saved', { language: ctx.t(`bot.lang.names.${ctx.state.locale}`) }), {
+                    reply_markup: { inline_keyboard: buildLanguageKeyboard(ctx, language) }
+                });
+            }
+            
+            const language = await database.getUserLanguage(ctx.from.id);
+            await ctx.reply(ctx.t('bot.lang.current', { language: ctx.t(`bot.lang.names.${ctx.state.locale}`) }), {
+                reply_markup: { inline_keyboard: buildLanguageKeyboard(ctx, normalizeLocale(language)) }
+            });
+        } catch (error) {
+            console.error('Error setting language:', error);
+            await ctx.reply(ctx.t('bot.lang.failed'));
+        }
+    });
+
+    bot.action(/^lang:(\w+)$/, async (ctx) => {
+        try {
+            const language = await setLanguage(ctx, ctx.match[1]);
+            await ctx.answerCbQuery(ctx.t('bot.lang.saved', { language: ctx.t(`bot.lang.names.${ctx.state.locale}`) }));
+            await ctx.editMessageText(ctx.t('bot.lang.current', { language: ctx.t(`bot.lang.names.${ctx.state.locale}`) }), {
+                reply_markup: { inline_keyboard: buildLanguageKeyboard(ctx, language) }
+            });
+        } catch (error) {
+            console.error('Error setting language:', error);
+            await ctx.answerCbQuery(ctx.t('bot.lang.failed'));
+        }
+    });
+
+    // Резервные копии содержат все пространства, поэтому доступны только администраторам бота в личном чате
+    const checkBackupAccess = async (ctx) => {
+        if (!ADMIN_USER_IDS.includes(ctx.from.id)) {
+            await ctx.reply(ctx.t('bot.errors.admin_only'));
+            return false;
+        }
+        if (ctx.chat.type !== 'private') {
+            await ctx.reply(ctx.t('bot.backup.private_only'));
+            return false;
+        }
+        return true;
+    };
+
+    const formatFileSize = (bytes) => bytes >= 1024 * 1024
+        ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+        : `${Math.ceil(bytes / 1024)} KB`;
+
+    bot.command('backup', async (ctx) => {
+        if (!await checkBackupAccess(ctx)) return;
+        
+        try {
+            const backup = await backupManager.create('manual');
+            const size = formatFileSize(backup.size);
+            console.log(`Database backup ${backup.name} requested by user ${ctx.from.id}`);
+            
+            if (backup.size > BACKUP_SEND_MAX_SIZE) {
+                return ctx.reply(ctx.t('bot.backup.too_large', { name: backup.name, size }));
+            }
+            await ctx.replyWithDocument(
+                { source: backup.file, filename: backup.name },
+                { caption: ctx.t('bot.backup.caption', { name: backup.name, size }) }
+            );
+        } catch (error) {
+            console.error('Error creating database backup:', error);
+            await ctx.reply(ctx.t('bot.backup.failed'));
+        }
+    });
+
+    // Проверенные файлы для восстановления ждут подтверждения кнопкой
+    const pendingRestores = new Map();
+    const RESTORE_CONFIRM_TTL = 15 * 60 * 1000;
+
+    const discardRestore = (token) => {
+        const pending = pendingRestores.get(token);
+        pendingRestores.delete(token);
+        if (pending) fs.promises.rm(pending.file, { force: true }).catch(() => {});
+    };
+
+    bot.command('restore', async (ctx) => {
+        const reply = ctx.message.reply_to_message;
+        const document = reply && reply.document;
+        
+        if (!await checkBackupAccess(ctx)) return;
+        if (!document) {
+            return ctx.reply(ctx.t('bot.restore.usage'));
+        }
+        if (document.file_size && document.file_size > RESTORE_MAX_SIZE) {
+            return ctx.reply(ctx.t('bot.restore.too_large'));
+        }
+        
+        const token = crypto.randomBytes(6).toString('hex');
+        const file = path.join(os.tmpdir(), `restore-${token}.db`);
+        try {
+            const link = await ctx.telegram.getFileLink(document.file_id);
+            await fs.promises.writeFile(file, await downloadFile(link.href));
+            
+            const { info, error, details } = await checkRestoreFile(file);
+            if (error) {
+                await fs.promises.rm(file, { force: true });
+                console.warn(`Rejected restore file ${document.file_name} from user ${ctx.from.id}: ${error}${details ? ` (${details})` : ''}`);
+                return ctx.reply(ctx.t(`bot.restore.invalid.${error}`, { details }));
+            }
+            
+            const now = Date.now();
+            for (const [key, pending] of pendingRestores) {
+                if (pending.expiresAt < now) discardRestore(key);
+            }
+            pendingRestores.set(token, { file, userId: ctx.from.id, fileName: document.file_name, expiresAt: now + RESTORE_CONFIRM_TTL });
+            
+            await ctx.reply(ctx.t('bot.restore.check', { ...info, file: document.file_name || 'database.db' }), {
+                reply_markup: {
+                    inline_keyboard: [[Markup.button.callback(ctx.t('bot.restore.confirm_button'), `restore:${token}`)]]
+                }
+            });
+        } catch (error) {
+            await fs.promises.rm(file, { force: true });
+            console.error('Error checking restore file:', error);
+            await ctx.reply(ctx.t('bot.restore.read_failed'));
+        }
+    });
+
+    // Перед заменой текущая база сохраняется снимком before-restore, из него можно вернуться тем же /restore
+    bot.action(/^restore:([0-9a-f]+)$/, async (ctx) => {
+        try {
+            if (!ADMIN_USER_IDS.includes(ctx.from.id)) {
+                return ctx.answerCbQuery(ctx.t('bot.errors.admin_only'));
+            }
+            
+            const pending = pendingRestores.get(ctx.match[1]);
+            if (!pending || pending.expiresAt < Date.now() || pending.userId !== ctx.from.id) {
+                return ctx.answerCbQuery(ctx.t('bot.restore.outdated'));
+            }
+            pendingRestores.delete(ctx.match[1]);
+            
+            await ctx.answerCbQuery(ctx.t('bot.restore.in_progress'));
+            await ctx.editMessageReplyMarkup(undefined);
+            try {
+                const previous = await backupManager.create('before-restore');
+                await restoreDatabase(pending.file);
+                console.log(`Database restored from ${pending.fileName} by user ${ctx.from.id}, previous data saved to ${previous.name}`);
+                
+                const stats = await database.getStats(null);
+                await ctx.reply(ctx.t('bot.restore.done', { contacts: stats.total || 0, backup: previous.name }));
+            } finally {
+                await fs.promises.rm(pending.file, { force: true });
+            }
+        } catch (error) {
+            console.error('Error restoring database:', error);
+            await ctx.reply(ctx.t('bot.restore.failed'));
+        }
+    });
+
+    // Удаление человека по номеру во всех пространствах: только администраторы бота и только после подтверждения
+    const pendingForgets = new Map();
+    const FORGET_CONFIRM_TTL = 15 * 60 * 1000;
+
+    bot.command('forget', async (ctx) => {
+        const input = ctx.message.text.split(' ').slice(1).join(' ').trim();
+        
+        if (!ADMIN_USER_IDS.includes(ctx.from.id)) {
+            return ctx.reply(ctx.t('bot.errors.admin_only'));
+        }
+        if (!input) {
+            return ctx.reply(ctx.t('bot.forget.usage'));
+        }
+        
+        try {
+            const phone = PhoneParser.normalizePhone(input, await getChatRegion(ctx.chat.id));
+            if (!phone) {
+                return ctx.reply(ctx.t('bot.errors.invalid_phone'));
+            }
+            
+            const report = await buildPrivacyReport(database, phone);
+            const mentions = report.contacts.reduce((sum, contact) => sum + contact.mentions.length, report.other_mentions.length);
+            
+            const now = Date.now();
+            for (const [key, pending] of pendingForgets) {
+                if (pending.expiresAt < now) pendingForgets.delete(key);
+            }
+            const token = crypto.randomBytes(6).toString('hex');
+            pendingForgets.set(token, { phone, userId: ctx.from.id, expiresAt: now + FORGET_CONFIRM_TTL });
+            
+            await ctx.reply(ctx.t('bot.forget.confirm', {
+                phone,
+                contacts: report.contacts.length,
+                workspaces: new Set(report.contacts.map(contact => contact.workspace_id)).size,
+                mentions
+            }), {
+                reply_markup: {
+                    inline_keyboard: [[Markup.button.callback(ctx.t('bot.forget.confirm_button'), `forget:${token}`)]]
+                }
+            });
+        } catch (error) {
+            console.error('Error checking phone to forget:', error);
+            await ctx.reply(ctx.t('bot.forget.failed'));
+        }
+    });
+
+    bot.action(/^forget:([0-9a-f]+)$/, async (ctx) => {
+        try {
+            if (!ADMIN_USER_IDS.includes(ctx.from.id)) {
+                return ctx.answerCbQuery(ctx.t('bot.errors.admin_only'));
+            }
+            
+            const pending = pendingForgets.get(ctx.match[1]);
+            if (!pending || pending.expiresAt < Date.now() || pending.userId !== ctx.from.id) {
+                return ctx.answerCbQuery(ctx.t('bot.forget.outdated'));
+            }
+            pendingForgets.delete(ctx.match[1]);
+            
+            await ctx.answerCbQuery(ctx.t('bot.forget.in_progress'));
+            const result = await forgetPhone(database, pending.phone, { actor: botActor(ctx), createdBy: `telegram:${ctx.from.id}` });
+            await ctx.editMessageReplyMarkup(undefined);
+            await ctx.reply(ctx.t('bot.forget.done', { phone: pending.phone, contacts: result.contacts }));
+        } catch (error) {
+            console.error('Error forgetting phone:', error);
+            await ctx.reply(ctx.t('bot.forget.failed'));
+        }
+    });
+
+    // /privacy - срок хранения и список «не сохранять», /privacy report <номер> - отчет файлом,
+    // /privacy block <номер>[, причина], /privacy unblock <номер>
+    bot.command('privacy', async (ctx) => {
+        const [action = '', ...rest] = ctx.message.text.split(' ').slice(1).filter(Boolean);
+        
+        if (!ADMIN_USER_IDS.includes(ctx.from.id)) {
+            return ctx.reply(ctx.t('bot.errors.admin_only'));
+        }
+        
+        try {
+            if (!action) {
+                const blocked = await database.getBlockedPhones();
+                const retention = retentionWorker.days
+                    ? ctx.t('bot.privacy.retention_days', { count: retentionWorker.days })
+                    : ctx.t('bot.privacy.retention_off');
+                let text = ctx.t('bot.privacy.status', { retention, count: blocked.length });
+                if (blocked.length > 0) {
+                    text += `\n${ctx.t('bot.privacy.blocklist', { phones: blocked.map(row => row.normalized_phone).join(', ') })}`;
+                }
+                return ctx.reply(`${text}\n\n${ctx.t('bot.privacy.usage')}`);
+            }
+            
+            if (!['report', 'block', 'unblock'].includes(action.toLowerCase())) {
+                return ctx.reply(ctx.t('bot.privacy.usage'));
+            }
+            
+            // Номер с пробелами занимает несколько слов, причина блокировки отделяется запятой
+            const [phoneInput, ...reason] = rest.join(' ').split(',');
+            const phone = PhoneParser.normalizePhone(phoneInput || '', await getChatRegion(ctx.chat.id));
+            if (!phone) {
+                return ctx.reply(ctx.t('bot.errors.invalid_phone'));
+            }
+            
+            if (action.toLowerCase() === 'report') {
+                if (ctx.chat.type !== 'private') {
+                    return ctx.reply(ctx.t('bot.privacy.private_only'));
+                }
+                
+                const report = await buildPrivacyReport(database, phone);
+                const mentions = report.contacts.reduce((sum, contact) => sum + contact.mentions.length, report.other_mentions.length);
+                console.log(`Privacy report for ${phone} requested by user ${ctx.from.id}`);
+                return ctx.replyWithDocument(
+                    {
+                        source: Buffer.from(JSON.stringify(report, null, 2), 'utf8'),
+                        filename: `privacy-${phone.replace(/\D/g, '')}.json`
+                    },
+                    { caption: ctx.t('bot.privacy.report_caption', { phone, contacts: report.contacts.length, mentions }) }
+                );
+            }
+            
+            if (action.toLowerCase() === 'block') {
+                await database.blockPhone(phone, reason.join(',').trim() || null, `telegram:${ctx.from.id}`);
+                console.log(`Phone ${phone} blocked by user ${ctx.from.id}`);
+                return ctx.reply(ctx.t('bot.privacy.block_added', { phone }));
+            }
+            
+            if (!await database.unblockPhone(phone)) {
+                return ctx.reply(ctx.t('bot.privacy.not_blocked', { phone }));
+            }
+            console.log(`Phone ${phone} unblocked by user ${ctx.from.id}`);
+            await ctx.reply(ctx.t('bot.privacy.block_removed', { phone }));
+        } catch (error) {
+            console.error('Error in /privacy:', error);
+            await ctx.reply(ctx.t('bot.privacy.failed'));
+        }
+    });
+}
+
+// Пространство контактов запроса: X-Workspace-Id или ?workspace_id.
+// Пользователю Telegram доступны только его пространства (по умолчанию - последнее активное)
+// с его ролью, API-ключ без пространства работает со всеми контактами как владелец
+const resolveWorkspace = async (req, res, next) => {
+    const requested = parseInt(req.get('X-Workspace-Id') || req.query.workspace_id) || null;
+    
+    try {
+        if (req.auth.type !== 'telegram') {
+            req.workspaceId = requested;
+            req.role = 'owner';
+            return next();
+        }
+        
+        const workspaces = await database.getWorkspaces(req.auth.user.id);
+        const workspace = requested ? workspaces.find(item => item.id === requested) : workspaces[0];
+        
+        if (!workspace) {
+            return res.status(403).json({ success: false, error: 'Workspace not available' });
+        }
+        
+        req.workspaceId = workspace.id;
+        req.role = workspace.role;
+        next();
+    } catch (error) {
+        console.error('Error resolving API workspace:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+};
+
+app.use(['/api/contacts', '/api/stats', '/api/export', '/api/import', '/api/tags', '/api/fields', '/api/webhooks', '/api/reminders'], resolveWorkspace);
+
+// Теги и поля настраиваются в конкретном пространстве
+const requireWorkspace = (req, res, next) => {
+    if (req.workspaceId) return next();
+    res.status(400).json({ success: false, error: 'workspace_id is required' });
+};
+
+// Контакт из пространства запроса; чужие контакты и контакты из корзины выглядят как несуществующие
+const loadWorkspaceContact = async (req, res, id = req.params.id, { includeDeleted = false } = {}) => {
+    const contact = await database.getContactById(id);
+    
+    if (!contact || (req.workspaceId && contact.workspace_id !== req.workspaceId) || (contact.deleted_at && !includeDeleted)) {
+        res.status(404).json({ success: false, error: 'Contact not found' });
+        return null;
+    }
+    return contact;
+};
+
+// Схемы тел запросов для создания и изменения контактов
+const CONTACT_UPDATE_SCHEMA = {
+    name: { type: 'string', nullable: true, maxLength: 200 },
+    company: { type: 'string', nullable: true, maxLength: 200 },
+    context: { type: 'string', nullable: true, maxLength: 2000 }
+};
+
+const CONTACT_CREATE_SCHEMA = {
+    phone: { type: 'string', required: true, maxLength: 50 },
+    type: { type: 'string', enum: PHONE_TYPES },
+    region: { type: 'string', enum: PhoneParser.supportedRegions },
+    ...CONTACT_UPDATE_SCHEMA
+};
+
+// Номера, email, мессенджеры и теги контакта
+const CONTACT_PHONE_SCHEMA = {
+    phone: { type: 'string', required: true, maxLength: 50 },
+    type: { type: 'string', enum: PHONE_TYPES },
+    region: { type: 'string', enum: PhoneParser.supportedRegions }
+};
+
+const CONTACT_EMAIL_SCHEMA = {
+    email: { type: 'string', required: true, maxLength: 254, pattern: /^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$/, patternMessage: 'must be an email address' }
+};
+
+const CONTACT_MESSENGER_SCHEMA = {
+    kind: { type: 'string', required: true, enum: Object.keys(MESSENGER_ICONS) },
+    value: { type: 'string', required: true, maxLength: 100 }
+};
+
+const MESSENGER_VALUE_MESSAGES = {
+    telegram: 'must be a Telegram username or t.me link',
+    whatsapp: 'must be a WhatsApp number or wa.me link'
+};
+
+const CONTACT_TAG_SCHEMA = {
+    name: { type: 'string', required: true, maxLength: 100 }
+};
+
+// Ответ API на номер из privacy_blocklist
+const BLOCKED_PHONE_MESSAGE = 'Phone is on the do-not-store list';
+
+const IMPORT_SCHEMA = {
+    content: { type: 'string', required: true, maxLength: IMPORT_MAX_SIZE },
+    format: { type: 'string', enum: IMPORT_FORMATS },
+    file_name: { type: 'string', nullable: true, maxLength: 255 },
+    mapping: { type: 'object', nullable: true },
+    dry_run: { type: 'boolean' }
+};
+
+const BULK_ACTIONS = ['update', 'delete', 'restore'];
+const BULK_MAX_IDS = 500;
+
+const BULK_SCHEMA = {
+    action: { type: 'string', required: true, enum: BULK_ACTIONS },
+    ids: { type: 'array', required: true, maxItems: BULK_MAX_IDS, items: { type: 'integer' } },
+    fields: { type: 'object' }
+};
+
+const MERGE_SCHEMA = {
+    target_id: { type: 'integer', required: true },
+    source_ids: { type: 'array', required: true, minItems: 1, maxItems: BULK_MAX_IDS, items: { type: 'integer' } }
+};
+
+// Курсор страницы списка: значения сортировки последней строки в base64url
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return Array.isArray(values) && values.length === 2 ? values : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Фрагмент с совпадениями для веб-интерфейса: текст экранируется, совпадения оборачиваются в <mark>
+const formatSnippet = (snippet) => {
+    if (!snippet) return null;
+    return snippet
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .split(HIGHLIGHT_START).join('<mark>')
+        .split(HIGHLIGHT_END).join('</mark>');
+};
+
+// API endpoints с улучшенной обработкой ошибок
+app.get('/api/contacts', async (req, res) => {
+    try {
+        const { search, limit = 50, cursor } = req.query;
+        const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+        const query = (search || '').trim();
+        console.log('API request - search:', search, 'limit:', pageSize, 'caller:', describeCaller(req), 'workspace:', req.workspaceId);
+        
+        const after = cursor ? decodeCursor(cursor) : null;
+        if (cursor && !after) {
+            return sendValidationError(res, [{ field: 'cursor', message: 'Invalid cursor' }]);
+        }
+        
+        // Одна лишняя строка показывает, есть ли следующая страница
+        const { contacts: rows, ranked } = await findContacts(query, req.workspaceId, { limit: pageSize + 1, after });
+        const contacts = rows.slice(0, pageSize);
+        const last = contacts[contacts.length - 1];
+        const nextCursor = rows.length > pageSize
+            ? encodeCursor(ranked ? [last.score, last.id] : [last.updated_at, last.id])
+            : null;
+        
+        console.log(`Returning ${contacts.length} contacts`);
+        res.json({ 
+            success: true, 
+            data: contacts.map(contact => ({
+                ...contact,
+                tags: contact.tags ? contact.tags.split(',') : [],
+                snippet: formatSnippet(contact.snippet)
+            })),
+            count: contacts.length,
+            next_cursor: nextCursor
+        });
+        
+    } catch (error) {
+        console.error('Error in /api/contacts:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Server error',
+            message: error.message 
+        });
+    }
+});
+
+app.post('/api/contacts', requireRole('editor'), async (req, res) => {
+    try {
+        const { value, errors } = validate(CONTACT_CREATE_SCHEMA, req.body);
+        if (errors.length > 0) return sendValidationError(res, errors);
+        
+        if (!req.workspaceId) {
+            return res.status(400).json({ success: false, error: 'workspace_id is required' });
+        }
+        
+        const normalized = PhoneParser.normalizePhone(value.phone, value.region || PhoneParser.defaultRegion);
+        if (!normalized) {
+            return sendValidationError(res, [{ field: 'phone', message: 'Invalid phone number' }]);
+        }
+        if (await database.isPhoneBlocked(normalized)) {
+            return sendValidationError(res, [{ field: 'phone', message: BLOCKED_PHONE_MESSAGE }]);
+        }
+        
+        const existing = await database.findContactByPhone(normalized, req.workspaceId);
+        if (existing) {
+            return res.status(409).json({ success: false, error: 'Contact already exists', contact_id: existing.id });
+        }
+        
+        console.log(`API create contact ${normalized}, caller: ${describeCaller(req)}, workspace: ${req.workspaceId}`);
+        const contactId = await database.saveContact(
+            value.phone,
+            normalized,
+            value.name || null,
+            value.company || null,
+            value.context || null,
+            value.type,
+            req.workspaceId,
+            apiActor(req)
+        );
+        
+        res.status(201).json({ success: true, data: await database.getContactDetails(contactId) });
+    } catch (error) {
+        console.error('Error in POST /api/contacts:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+// Корзина: удаленные контакты пространства, которые можно восстановить
+app.get('/api/contacts/trash', async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+        const contacts = await database.getDeletedContacts(req.workspaceId, limit);
+        res.json({ success: true, data: contacts, count: contacts.length });
+    } catch (error) {
+        console.error('Error in /api/contacts/trash:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+// Массовые операции: { action: 'update' | 'delete' | 'restore', ids: [...], fields: {...} }
+app.post('/api/contacts/bulk', requireRole('editor'), async (req, res) => {
+    try {
+        const { value, errors } = validate(BULK_SCHEMA, req.body);
+        if (errors.length > 0) return sendValidationError(res, errors);
+        
+        let fields = {};
+        if (value.action === 'update') {
+            const checked = validate(CONTACT_UPDATE_SCHEMA, value.fields || {}, { partial: true });
+            if (checked.errors.length > 0) {
+                return sendValidationError(res, checked.errors.map(error => ({ ...error, field: `fields.${error.field}` })));
+            }
+            if (Object.keys(checked.value).length === 0) {
+                return sendValidationError(res, [{ field: 'fields', message: 'Field is required' }]);
+            }
+            fields = checked.value;
+        }
+        
+        const actor = apiActor(req);
+        const notFound = [];
+        let processed = 0;
+        
+        for (const id of [...new Set(value.ids)]) {
+            const contact = await database.getContactById(id);
+            const visible = contact && (!req.workspaceId || contact.workspace_id === req.workspaceId);
+            
+            if (!visible) {
+                notFound.push(id);
+                continue;
+            }
+            
+            if (value.action === 'update') {
+                processed += contact.deleted_at ? 0 : await database.updateContact(contact.id, fields, actor);
+            } else if (value.action === 'delete') {
+                processed += await database.deleteContact(contact.id, actor);
+            } else {
+                processed += await database.restoreContact(contact.id, actor);
+            }
+        }
+        
+        console.log(`Bulk ${value.action}: ${processed} of ${value.ids.length} contacts, caller: ${describeCaller(req)}`);
+        res.json({ success: true, data: { action: value.action, processed, not_found: notFound } });
+    } catch (error) {
+        console.error('Error in POST /api/contacts/bulk:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+app.get('/api/contacts/duplicates', async (req, res) => {
+    try {
+        if (!req.workspaceId) {
+            return res.status(400).json({ success: false, error: 'workspace_id is required' });
+        }
+        
+        const { contacts, phones } = await database.getDuplicateCandidates(req.workspaceId);
+        const groups = findDuplicateGroups(contacts, phones).map(group => ({
+            ...group,
+            suggested_target_id: pickMergeTarget(group.contacts).id
+        }));
+        
+        console.log(`Found ${groups.length} duplicate groups`);
+        res.json({ success: true, data: groups, count: groups.length });
+    } catch (error) {
+        console.error('Error in /api/contacts/duplicates:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+app.post('/api/contacts/merge', requireRole('editor'), async (req, res) => {
+    try {
+        const { value, errors } = validate(MERGE_SCHEMA, req.body);
+        const sourceIds = (value.source_ids || []).filter(id => id !== value.target_id);
+        if (errors.length === 0 && sourceIds.length === 0) {
+            errors.push({ field: 'source_ids', message: 'must contain ids other than target_id' });
+        }
+        if (errors.length > 0) return sendValidationError(res, errors);
+        
+        const target = await loadWorkspaceContact(req, res, value.target_id);
+        if (!target) return;
+        
+        const contact = await database.mergeContacts(target.id, sourceIds, PhoneParser.defaultRegion, apiActor(req));
+        
+        if (contact) {
+            res.json({ success: true, data: contact });
+        } else {
+            res.status(404).json({ success: false, error: 'Contacts not found' });
+        }
+    } catch (error) {
+        console.error('Error in POST /api/contacts/merge:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+app.get('/api/contacts/:id', async (req, res) => {
+    try {
+        console.log('API request for contact ID:', req.params.id);
+        const contact = await loadWorkspaceContact(req, res);
+        
+        if (contact) {
+            res.json({ success: true, data: await database.getContactDetails(contact.id) });
+        }
+    } catch (error) {
+        console.error('Error in /api/contacts/:id:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+app.put('/api/contacts/:id', requireRole('editor'), async (req, res) => {
+    try {
+        console.log('API update for contact ID:', req.params.id, 'data:', req.body, 'caller:', describeCaller(req));
+        const { value: updates, errors } = validate(CONTACT_UPDATE_SCHEMA, req.body, { partial: true });
+        if (errors.length > 0) return sendValidationError(res, errors);
+        
+        if (!await loadWorkspaceContact(req, res)) return;
+        
+        const changes = await database.updateContact(req.params.id, updates, apiActor(req));
+        
+        if (changes > 0) {
+            res.json({ success: true, message: 'Contact updated successfully' });
+        } else {
+            res.status(404).json({ success: false, error: 'Contact not found or no changes made' });
+        }
+    } catch (error) {
+        console.error('Error in PUT /api/contacts/:id:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+// Удаление в корзину; ?purge=true - полное удаление контакта со всеми упоминаниями и историей
+// без возможности восстановления (владелец пространства), в том числе контакта из корзины
+app.delete('/api/contacts/:id', requireRole('editor'), async (req, res) => {
+    try {
+        const purge = req.query.purge === 'true';
+        if (purge && !hasRole(req.role, 'owner')) {
+            console.warn(`Forbidden API request: ${req.method} ${req.originalUrl}, role: ${req.role || 'none'}`);
+            return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+        }
+        
+        const contact = await loadWorkspaceContact(req, res, req.params.id, { includeDeleted: purge });
+        if (!contact) return;
+        
+        if (purge) {
+            console.log(`API purge contact ${contact.id}, caller: ${describeCaller(req)}`);
+            const result = await database.purgeContact(contact.id, apiActor(req));
+            return res.json({ success: true, message: 'Contact permanently deleted', data: result });
+        }
+        
+        console.log(`API delete contact ${contact.id}, caller: ${describeCaller(req)}`);
+        await database.deleteContact(contact.id, apiActor(req));
+        res.json({ success: true, message: 'Contact moved to trash' });
+    } catch (error) {
+        console.error('Error in DELETE /api/contacts/:id:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+app.post('/api/contacts/:id/restore', requireRole('editor'), async (req, res) => {
+    try {
+        const contact = await loadWorkspaceContact(req, res, req.params.id, { includeDeleted: true });
+        if (!contact) return;
+        
+        if (!contact.deleted_at) {
+            return res.status(400).json({ success: false, error: 'Contact is not deleted' });
+        }
+        
+        console.log(`API restore contact ${contact.id}, caller: ${describeCaller(req)}`);
+        await database.restoreContact(contact.id, apiActor(req));
+        res.json({ success: true, data: await database.getContactDetails(contact.id) });
+    } catch (error) {
+        console.error('Error in POST /api/contacts/:id/restore:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+app.get('/api/contacts/:id/mentions', async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const contact = await loadWorkspaceContact(req, res);
+        if (!contact) return;
+        
+        const [mentions, stats] = await Promise.all([
+            database.getContactMentions(contact.id, limit, (page - 1) * limit),
+            database.getMentionStats(contact.id)
+        ]);
+        
+        res.json({
+            success: true,
+            data: mentions.map(mention => ({
+                ...mention,
+                link: buildMessageLink(mention.chat_id, mention.chat_username, mention.message_id)
+            })),
+            pagination: {
+                page,
+                limit,
+                total: stats.times_seen,
+                pages: Math.ceil(stats.times_seen / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error in /api/contacts/:id/mentions:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+// Журнал изменений контакта
+app.get('/api/contacts/:id/history', async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+        const contact = await loadWorkspaceContact(req, res, req.params.id, { includeDeleted: true });
+        if (!contact) return;
+        
+        const history = await database.getContactHistory(contact.id, limit, (page - 1) * limit);
+        res.json({
+            success: true,
+            data: history.map(entry => ({ ...entry, revertible: REVERTIBLE_ACTIONS.includes(entry.action) })),
+            pagination: { page, limit }
+        });
+    } catch (error) {
+        console.error('Error in /api/contacts/:id/history:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+// Возврат полей к значениям до выбранного изменения; откат сам записывается в историю
+app.post('/api/contacts/:id/history/:historyId/revert', requireRole('editor'), async (req, res) => {
+    try {
+        const contact = await loadWorkspaceContact(req, res);
+        if (!contact) return;
+        
+        const entry = await database.getHistoryEntry(req.params.historyId);
+        if (!entry || entry.contact_id !== contact.id) {
+            return res.status(404).json({ success: false, error: 'History entry not found' });
+        }
+        if (!REVERTIBLE_ACTIONS.includes(entry.action)) {
+            return res.status(400).json({ success: false, error: `Action "${entry.action}" cannot be reverted` });
+        }
+        
+        console.log(`Reverting history entry ${entry.id} of contact ${contact.id}, caller: ${describeCaller(req)}`);
+        await database.updateContact(contact.id, entry.old_values, apiActor(req), 'revert');
+        res.json({ success: true, data: await database.getContactDetails(contact.id) });
+    } catch (error) {
+        console.error('Error in POST /api/contacts/:id/history/:historyId/revert:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+app.post('/api/contacts/:id/phones', requireRole('editor'), async (req, res) => {
+    try {
+        const { value, errors } = validate(CONTACT_PHONE_SCHEMA, req.body);
+        if (errors.length > 0) return sendValidationError(res, errors);
+        
+        const contact = await loadWorkspaceContact(req, res);
+        if (!contact) return;
+        
+        const normalized = PhoneParser.normalizePhone(value.phone, value.region || PhoneParser.defaultRegion);
+        if (!normalized) {
+            return sendValidationError(res, [{ field: 'phone', message: 'Invalid phone number' }]);
+        }
+        if (await database.isPhoneBlocked(normalized)) {
+            return sendValidationError(res, [{ field: 'phone', message: BLOCKED_PHONE_MESSAGE }]);
+        }
+        
+        const owner = await database.findContactByPhone(normalized, contact.workspace_id, true);
+        if (owner && owner.id !== contact.id) {
+            return res.status(409).json({ success: false, error: 'Phone belongs to another contact', contact_id: owner.id });
+        }
+        
+        await database.addContactPhone(contact.id, value.phone, normalized, value.type || 'other');
+        res.json({ success: true, data: await database.getContactPhones(contact.id) });
+    } catch (error) {
+        console.error('Error in POST /api/contacts/:id/phones:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+app.post('/api/contacts/:id/tags', requireRole('editor'), async (req, res) => {
+    try {
+        const { value, errors } = validate(CONTACT_TAG_SCHEMA, req.body);
+        const name = normalizeTagName(value.name);
+        if (errors.length === 0 && !name) {
+            errors.push({ field: 'name', message: 'Field is required' });
+        }
+        if (errors.length > 0) return sendValidationError(res, errors);
+        
+        const contact = await loadWorkspaceContact(req, res);
+        if (!contact) return;
+        
+        const tag = await database.getOrCreateTag(contact.workspace_id, name);
+        await database.setContactTag(contact.id, tag.id, true, apiActor(req));
+        res.json({ success: true, data: await database.getContactTags(contact.id) });
+    } catch (error) {
+        console.error('Error in POST /api/contacts/:id/tags:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+app.delete('/api/contacts/:id/tags/:tagId', requireRole('editor'), async (req, res) => {
+    try {
+        const contact = await loadWorkspaceContact(req, res);
+        if (!contact) return;
+        
+        const changes = await database.setContactTag(contact.id, parseInt(req.params.tagId), false, apiActor(req));
+        if (changes === 0) {
+            return res.status(404).json({ success: false, error: 'Tag not found' });
+        }
+        res.json({ success: true, data: await database.getContactTags(contact.id) });
+    } catch (error) {
+        console.error('Error in DELETE /api/contacts/:id/tags/:tagId:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+// Значения дополнительных полей: { "ключ": "значение" | null }
+app.put('/api/contacts/:id/fields', requireRole('editor'), async (req, res) => {
+    try {
+        const contact = await loadWorkspaceContact(req, res);
+        if (!contact) return;
+        
+        const fields = await database.getCustomFields(contact.workspace_id);
+        const schema = Object.fromEntries(fields.map(field => [
+            field.key,
+            { type: 'string', nullable: true, maxLength: 500 }
+        ]));
+        // Числовые поля можно передавать числом JSON
+        const input = Array.isArray(req.body) ? req.body : Object.fromEntries(Object.entries(req.body || {})
+            .map(([key, fieldValue]) => [key, typeof fieldValue === 'number' ? String(fieldValue) : fieldValue]));
+        const { value, errors } = validate(schema, input, { partial: true });
+        
+        for (const field of fields) {
+            const fieldValue = value[field.key];
+            if (fieldValue === undefined || fieldValue === null) continue;
+            if (field.type === 'number' && Number.isNaN(Number(fieldValue))) {
+                errors.push({ field: field.key, message: 'must be a number' });
+            }
+            if (field.type === 'date' && !isValidDate(fieldValue)) {
+                errors.push({ field: field.key, message: 'must be a date (YYYY-MM-DD)' });
+            }
+        }
+        if (errors.length > 0) return sendValidationError(res, errors);
+        
+        await database.setContactFieldValues(contact.id, fields, value, apiActor(req));
+        res.json({ success: true, data: await database.getContactFieldValues(contact.id) });
+    } catch (error) {
+        console.error('Error in PUT /api/contacts/:id/fields:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+app.delete('/api/contacts/:id/phones/:phoneId', requireRole('editor'), async (req, res) => {
+    try {
+        if (!await loadWorkspaceContact(req, res)) return;
+        
+        const changes = await database.removeContactPhone(req.params.id, req.params.phoneId);
+        
+        if (changes > 0) {
+            res.json({ success: true, message: 'Phone removed' });
+        } else {
+            res.status(404).json({ success: false, error: 'Phone not found or is the primary number' });
+        }
+    } catch (error) {
+        console.error('Error in DELETE /api/contacts/:id/phones/:phoneId:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+app.post('/api/contacts/:id/emails', requireRole('editor'), async (req, res) => {
+    try {
+        const { value, errors } = validate(CONTACT_EMAIL_SCHEMA, req.body);
+        if (errors.length > 0) return sendValidationError(res, errors);
+        
+        const contact = await loadWorkspaceContact(req, res);
+        if (!contact) return;
+        
+        // Email хранятся в нижнем регистре, как и найденные в сообщениях
+        await database.addContactEmail(contact.id, value.email.toLowerCase());
+        res.json({ success: true, data: await database.getContactEmails(contact.id) });
+    } catch (error) {
+        console.error('Error in POST /api/contacts/:id/emails:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+app.delete('/api/contacts/:id/emails/:emailId', requireRole('editor'), async (req, res) => {
+    try {
+        if (!await loadWorkspaceContact(req, res)) return;
+        
+        const changes = await database.removeContactEmail(req.params.id, req.params.emailId);
+        
+        if (changes > 0) {
+            res.json({ success: true, message: 'Email removed' });
+        } else {
+            res.status(404).json({ success: false, error: 'Email not found' });
+        }
+    } catch (error) {
+        console.error('Error in DELETE /api/contacts/:id/emails/:emailId:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+app.post('/api/contacts/:id/messengers', requireRole('editor'), async (req, res) => {
+    try {
+        const { value, errors } = validate(CONTACT_MESSENGER_SCHEMA, req.body);
+        const messenger = errors.length === 0 ? EntityExtractor.normalizeMessenger(value.kind, value.value) : null;
+        if (errors.length === 0 && !messenger) {
+            errors.push({ field: 'value', message: MESSENGER_VALUE_MESSAGES[value.kind] });
+        }
+        if (errors.length > 0) return sendValidationError(res, errors);
+        
+        const contact = await loadWorkspaceContact(req, res);
+        if (!contact) return;
+        
+        await database.addContactMessenger(contact.id, value.kind, messenger);
+        res.json({ success: true, data: await database.getContactMessengers(contact.id) });
+    } catch (error) {
+        console.error('Error in POST /api/contacts/:id/messengers:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+app.delete('/api/contacts/:id/messengers/:messengerId', requireRole('editor'), async (req, res) => {
+    try {
+        if (!await loadWorkspaceContact(req, res)) return;
+        
+        const changes = await database.removeContactMessenger(req.params.id, req.params.messengerId);
+        
+        if (changes > 0) {
+            res.json({ success: true, message: 'Messenger removed' });
+        } else {
+            res.status(404).json({ success: false, error: 'Messenger not found' });
+        }
+    } catch (error) {
+        console.error('Error in DELETE /api/contacts/:id/messengers/:messengerId:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+app.get('/api/tags', requireWorkspace, async (req, res) => {
+    try {
+        res.json({ success: true, data: await database.getTags(req.workspaceId) });
+    } catch (error) {
+        console.error('Error in /api/tags:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+app.delete('/api/tags/:id', requireWorkspace, requireRole('editor'), async (req, res) => {
+    try {
+        const tag = await database.getTagById(req.params.id);
+        if (!tag || tag.workspace_id !== req.workspaceId) {
+            return res.status(404).json({ success: false, error: 'Tag not found' });
+        }
+        
+        console.log(`Deleting tag ${tag.name} in workspace ${tag.workspace_id}, caller: ${describeCaller(req)}`);
+        await database.deleteTag(tag.id);
+        res.json({ success: true, message: 'Tag deleted' });
+    } catch (error) {
+        console.error('Error in DELETE /api/tags/:id:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+const CUSTOM_FIELD_SCHEMA = {
+    key: { type: 'string', required: true, maxLength: 30 },
+    label: { type: 'string', required: true, maxLength: 100 },
+    type: { type: 'string', enum: CUSTOM_FIELD_TYPES }
+};
+
+app.get('/api/fields', requireWorkspace, async (req, res) => {
+    try {
+        res.json({ success: true, data: await database.getCustomFields(req.workspaceId) });
+    } catch (error) {
+        console.error('Error in /api/fields:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+// Набор дополнительных полей пространства меняет только владелец
+app.post('/api/fields', requireWorkspace, requireRole('owner'), async (req, res) => {
+    try {
+        const { value, errors } = validate(CUSTOM_FIELD_SCHEMA, req.body);
+        const key = (value.key || '').toLowerCase();
+        
+        if (value.key && !CUSTOM_FIELD_KEY_PATTERN.test(key)) {
+            errors.push({ field: 'key', message: 'must contain only letters, digits and underscores' });
+        } else if (BUILTIN_FILTERS.includes(key)) {
+            errors.push({ field: 'key', message: 'is reserved' });
+        }
+        if (errors.length > 0) return sendValidationError(res, errors);
+        
+        const fields = await database.getCustomFields(req.workspaceId);
+        if (fields.some(field => field.key === key)) {
+            return res.status(409).json({ success: false, error: 'Field already exists' });
+        }
+        
+        const id = await database.createCustomField(req.workspaceId, key, value.label, value.type || 'text');
+        res.status(201).json({ success: true, data: await database.getCustomFieldById(id) });
+    } catch (error) {
+        console.error('Error in POST /api/fields:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+app.delete('/api/fields/:id', requireWorkspace, requireRole('owner'), async (req, res) => {
+    try {
+        const field = await database.getCustomFieldById(req.params.id);
+        if (!field || field.workspace_id !== req.workspaceId) {
+            return res.status(404).json({ success: false, error: 'Field not found' });
+        }
+        
+        console.log(`Deleting custom field ${field.key} in workspace ${field.workspace_id}, caller: ${describeCaller(req)}`);
+        await database.deleteCustomField(field.id);
+        res.json({ success: true, message: 'Field deleted' });
+    } catch (error) {
+        console.error('Error in DELETE /api/fields/:id:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+const WEBHOOK_SCHEMA = {
+    url: { type: 'string', required: true, maxLength: 500 },
+    events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS }, maxItems: WEBHOOK_EVENTS.length },
+    active: { type: 'boolean' }
+};
+
+const WEBHOOK_URL_ERRORS = {
+    invalid_url: 'must be an http or https URL',
+    unresolved: 'host could not be resolved',
+    private_address: 'must not point to a private network address'
+};
+
+// Проверки, которых нет в схеме: адрес http(s) вне внутренних сетей и хотя бы одно событие
+const validateWebhook = async (value, errors) => {
+    const urlError = value.url ? await checkWebhookUrl(value.url) : null;
+    if (urlError) {
+        errors.push({ field: 'url', message: WEBHOOK_URL_ERRORS[urlError] });
+    }
+    if (value.events && value.events.length === 0) {
+        errors.push({ field: 'events', message: 'must contain at least one event' });
+    }
+    return errors;
+};
+
+// Секрет вебхука возвращается только при создании
+const formatWebhook = ({ secret, ...webhook }) => webhook;
+
+const loadWorkspaceWebhook = async (req, res) => {
+    const webhook = await database.getWebhookById(req.params.id);
+    if (!webhook || webhook.workspace_id !== req.workspaceId) {
+        res.status(404).json({ success: false, error: 'Webhook not found' });
+        return null;
+    }
+    return webhook;
+};
+
+// Вебхуки пространства настраивает только владелец
+app.get('/api/webhooks', requireWorkspace, requireRole('owner'), async (req, res) => {
+    try {
+        res.json({ success: true, data: (await database.getWebhooks(req.workspaceId)).map(formatWebhook) });
+    } catch (error) {
+        console.error('Error in /api/webhooks:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+app.post('/api/webhooks', requireWorkspace, requireRole('owner'), async (req, res) => {
+    try {
+        const { value, errors } = validate(WEBHOOK_SCHEMA, req.body);
+        if ((await validateWebhook(value, errors)).length > 0) return sendValidationError(res, errors);
+        
+        const id = await database.createWebhook({
+            workspaceId: req.workspaceId,
+            url: value.url,
+            events: value.events ? [...new Set(value.events)] : WEBHOOK_EVENTS,
+            secret: generateSecret(),
+            createdBy: describeCaller(req)
+        });
+        if (value.active === false) await database.updateWebhook(id, { active: false });
+        
+        res.status(201).json({ success: true, data: await database.getWebhookById(id) });
+    } catch (error) {
+        console.error('Error in POST /api/webhooks:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+app.put('/api/webhooks/:id', requireWorkspace, requireRole('owner'), async (req, res) => {
+    try {
+        const webhook = await loadWorkspaceWebhook(req, res);
+        if (!webhook) return;
+        
+        const { value, errors } = validate(WEBHOOK_SCHEMA, req.body, { partial: true });
+        if ((await validateWebhook(value, errors)).length > 0) return sendValidationError(res, errors);
+        
+        await database.updateWebhook(webhook.id, { ...value, events: value.events && [...new Set(value.events)] });
+        console.log(`Webhook ${webhook.id} updated, caller: ${describeCaller(req)}`);
+        res.json({ success: true, data: formatWebhook(await database.getWebhookById(webhook.id)) });
+    } catch (error) {
+        console.error('Error in PUT /api/webhooks/:id:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+app.delete('/api/webhooks/:id', requireWorkspace, requireRole('owner'), async (req, res) => {
+    try {
+        const webhook = await loadWorkspaceWebhook(req, res);
+        if (!webhook) return;
+        
+        console.log(`Deleting webhook ${webhook.id} in workspace ${webhook.workspace_id}, caller: ${describeCaller(req)}`);
+        await database.deleteWebhook(webhook.id);
+        res.json({ success: true, message: 'Webhook deleted' });
+    } catch (error) {
+        console.error('Error in DELETE /api/webhooks/:id:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+// Проверочное событие ping отправляется сразу; результат - запись журнала доставок
+app.post('/api/webhooks/:id/test', requireWorkspace, requireRole('owner'), async (req, res) => {
+    try {
+        const webhook = await loadWorkspaceWebhook(req, res);
+        if (!webhook) return;
+        
+        const { url, secret, ...delivery } = await webhookWorker.ping(webhook);
+        res.json({ success: true, data: { ...delivery, payload: JSON.parse(delivery.payload) } });
+    } catch (error) {
+        console.error('Error in POST /api/webhooks/:id/test:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+// Журнал доставок вебхука, новые сначала
+app.get('/api/webhooks/:id/deliveries', requireWorkspace, requireRole('owner'), async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const webhook = await loadWorkspaceWebhook(req, res);
+        if (!webhook) return;
+        
+        const [deliveries, total] = await Promise.all([
+            database.getWebhookDeliveries(webhook.id, limit, (page - 1) * limit),
+            database.countWebhookDeliveries(webhook.id)
+        ]);
+        
+        res.json({
+            success: true,
+            data: deliveries,
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        });
+    } catch (error) {
+        console.error('Error in /api/webhooks/:id/deliveries:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+// due_at - ISO 8601 («2026-10-20T10:00:00+03:00») или фраза, как в /remind («завтра 10:00»)
+const REMINDER_SCHEMA = {
+    contact_id: { type: 'integer', required: true },
+    text: { type: 'string', required: true, maxLength: REMINDER_TEXT_MAX_LENGTH },
+    due_at: { type: 'string', required: true, maxLength: 100 },
+    assignee_id: { type: 'integer' },
+    status: { type: 'string', enum: REMINDER_STATUSES }
+};
+
+const parseDueAt = (value) => {
+    const date = /^\d{4}-\d{2}-\d{2}T/.test(value) ? new Date(value) : (parseReminderTime(value) || {}).dueAt;
+    return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+// Проверки, которых нет в схеме: срок в будущем и исполнитель - участник пространства.
+// Возвращает изменения для базы: due_at в формате базы, имя исполнителя
+const validateReminder = async (req, value, errors) => {
+    const changes = { text: value.text, status: value.status };
+    
+    if (value.due_at !== undefined) {
+        const dueAt = parseDueAt(value.due_at);
+        if (!dueAt) errors.push({ field: 'due_at', message: 'must be an ISO 8601 date or a phrase like "tomorrow 10:00"' });
+        else if (dueAt <= new Date()) errors.push({ field: 'due_at', message: 'must be in the future' });
+        else changes.due_at = toSqlDate(dueAt);
+    }
+    if (value.assignee_id !== undefined) {
+        const member = (await database.getWorkspaceMembers(req.workspaceId)).find(item => item.user_id === value.assignee_id);
+        if (!member) errors.push({ field: 'assignee_id', message: 'must be a member of the workspace' });
+        else Object.assign(changes, { assignee_id: member.user_id, assignee_name: describeUser(member) });
+    }
+    return changes;
+};
+
+const loadWorkspaceReminder = async (req, res) => {
+    const reminder = await database.getReminderById(req.params.id);
+    if (!reminder || reminder.workspace_id !== req.workspaceId) {
+        res.status(404).json({ success: false, error: 'Reminder not found' });
+        return null;
+    }
+    return reminder;
+};
+
+// Напоминания пространства: ?status=open|done|all&assignee=me|<id>&contact_id=<id>
+app.get('/api/reminders', requireWorkspace, async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const status = req.query.status || 'open';
+        if (![...REMINDER_STATUSES, 'all'].includes(status)) {
+            return sendValidationError(res, [{ field: 'status', message: `must be one of: ${[...REMINDER_STATUSES, 'all'].join(', ')}` }]);
+        }
+        if (req.query.assignee === 'me' && req.auth.type !== 'telegram') {
+            return sendValidationError(res, [{ field: 'assignee', message: 'me is available only for Telegram users' }]);
+        }
+        
+        const filters = {
+            status,
+            assigneeId: req.query.assignee === 'me' ? req.auth.user.id : parseInt(req.query.assignee) || null,
+            contactId: parseInt(req.query.contact_id) || null
+        };
+        const [reminders, total] = await Promise.all([
+            database.getReminders(req.workspaceId, filters, limit, (page - 1) * limit),
+            database.countReminders(req.workspaceId, filters)
+        ]);
+        
+        res.json({
+            success: true,
+            data: reminders,
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
         });
-    },
+    } catch (error) {
+        console.error('Error in /api/reminders:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
 
-    getStats: () => {
-        return new Promise((resolve, reject) => {
-            db.all(
-                `SELECT 
-                    COUNT(*) as total,
-                    COUNT(CASE WHEN name IS NOT NULL AND name != '' THEN 1 END) as with_names,
-                    COUNT(CASE WHEN company IS NOT NULL AND company != '' THEN 1 END) as with_companies
-                 FROM contacts`,
-                [],
-                (err, rows) => {
-                    if (err) {
-                        console.error('Error getting stats:', err);
-                        reject(err);
-                    } else {
-                        resolve(rows[0]);
-                    }
-                }
-            );
+// Исполнитель по умолчанию - пользователь Telegram, создающий напоминание; запросам с API-ключом он обязателен
+app.post('/api/reminders', requireWorkspace, requireRole('editor'), async (req, res) => {
+    try {
+        const { value, errors } = validate(REMINDER_SCHEMA, req.body);
+        if (value.assignee_id === undefined && req.auth.type === 'telegram') {
+            value.assignee_id = req.auth.user.id;
+        }
+        if (value.assignee_id === undefined && errors.length === 0) {
+            errors.push({ field: 'assignee_id', message: 'Field is required' });
+        }
+        const changes = await validateReminder(req, value, errors);
+        if (errors.length > 0) return sendValidationError(res, errors);
+        
+        const contact = await loadWorkspaceContact(req, res, value.contact_id);
+        if (!contact) return;
+        
+        const id = await database.createReminder({
+            workspaceId: req.workspaceId,
+            contactId: contact.id,
+            text: changes.text,
+            dueAt: changes.due_at,
+            assigneeId: changes.assignee_id,
+            assigneeName: changes.assignee_name,
+            locale: req.auth.type === 'telegram' ? detectLocale(req.auth.user.language_code) : null,
+            createdBy: describeCaller(req)
         });
+        res.status(201).json({ success: true, data: await database.getReminderById(id) });
+    } catch (error) {
+        console.error('Error in POST /api/reminders:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
     }
-};
+});
 
-// Утилиты для парсинга телефонов
-class PhoneParser {
-    static normalizePhone(phone) {
-        let normalized = phone.replace(/[^\d+]/g, '');
+app.put('/api/reminders/:id', requireWorkspace, requireRole('editor'), async (req, res) => {
+    try {
+        const reminder = await loadWorkspaceReminder(req, res);
+        if (!reminder) return;
         
-        if (normalized.startsWith('8')) {
-            normalized = '+7' + normalized.substring(1);
-        } else if (normalized.startsWith('7') && !normalized.startsWith('+7')) {
-            normalized = '+' + normalized;
-        } else if (/^9\d{9}$/.test(normalized)) {
-            normalized = '+7' + normalized;
-        } else if (/^\d{10}$/.test(normalized)) {
-            normalized = '+7' + normalized;
+        const { value, errors } = validate(REMINDER_SCHEMA, req.body, { partial: true });
+        if (value.contact_id !== undefined) {
+            errors.push({ field: 'contact_id', message: 'cannot be changed' });
         }
+        const changes = await validateReminder(req, value, errors);
+        if (errors.length > 0) return sendValidationError(res, errors);
         
-        return normalized;
+        await database.updateReminder(reminder.id, changes);
+        res.json({ success: true, data: await database.getReminderById(reminder.id) });
+    } catch (error) {
+        console.error('Error in PUT /api/reminders/:id:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
     }
+});
 
-    static parsePhoneNumbers(text) {
-        const phoneRegex = /(?:\+?\d[\d\s\-\(\)]{7,}\d|\d[\d\s\-\(\)]{7,}\d)/g;
-        const matches = text.match(phoneRegex) || [];
+app.delete('/api/reminders/:id', requireWorkspace, requireRole('editor'), async (req, res) => {
+    try {
+        const reminder = await loadWorkspaceReminder(req, res);
+        if (!reminder) return;
         
-        return matches.map(phone => ({
-            original: phone.trim(),
-            normalized: this.normalizePhone(phone)
-        }));
+        await database.deleteReminder(reminder.id);
+        res.json({ success: true, message: 'Reminder deleted' });
+    } catch (error) {
+        console.error('Error in DELETE /api/reminders/:id:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
     }
-}
-
-// Инициализация бота только если есть токен
-let bot = null;
-if (process.env.BOT_TOKEN) {
-    bot = new Telegraf(process.env.BOT_TOKEN);
-} else {
-    console.warn('⚠️ BOT_TOKEN not found in environment variables');
-}
+});
 
-// Обработчик сообщений (только если бот инициализирован)
-if (bot) {
-    bot.on('message', async (ctx) => {
-        try {
-            const text = ctx.message.text || '';
-            
-            if (!text.trim()) return;
-            
-            const phones = PhoneParser.parsePhoneNumbers(text);
-            
-            if (phones.length === 0) return;
-            
-            const responses = [];
-            const webAppUrl = process.env.RENDER_EXTERNAL_URL || process.env.WEB_APP_URL || `http://localhost:${PORT}`;
-            
-            for (const phone of phones) {
-                let contact = await database.findContactByPhone(phone.normalized);
-                
-                if (!contact) {
-                    const contactId = await database.saveContact(
-                        phone.original,
-                        phone.normalized,
-                        null,
-                        null,
-                        text.substring(0, 200)
-                    );
-                    contact = await database.findContactByPhone(phone.normalized);
-                }
-                
-                let response = `📞 Найден телефон:\n\`${phone.normalized}\``;
-                
-                if (contact && contact.name) {
-                    response += `\n👤 \`${contact.name}\``;
-                }
-                if (contact && contact.company) {
-                    response += `\n🏢 \`${contact.company}\``;
-                }
-                
-                responses.push(response);
-            }
-            
-            if (responses.length > 0) {
-                await ctx.reply(responses.join('\n\n'), {
-                    reply_to_message_id: ctx.message.message_id,
-                    parse_mode: 'Markdown'
-                });
-                
-                if (webAppUrl) {
-                    await ctx.reply('Действия с контактами:', {
-                        reply_markup: {
-                            inline_keyboard: [
-                                [
-                                    Markup.button.webApp(
-                                        '🔍 Поиск и редактирование',
-                                        webAppUrl
-                                    )
-                                ]
-                            ]
-                        }
-                    });
-                }
-            }
-            
-        } catch (error) {
-            console.error('Error processing message:', error);
-            try {
-                await ctx.reply('Произошла ошибка при обработке сообщения');
-            } catch (e) {
-                console.error('Failed to send error message:', e);
-            }
+// Выгрузка контактов пространства; search - тот же фильтр, что и в списке
+app.get('/api/export', async (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+        if (!EXPORT_FORMATS[format]) {
+            return sendValidationError(res, [{ field: 'format', message: `must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` }]);
         }
-    });
-
-    // Команды бота
-    bot.command('start', (ctx) => {
-        const webAppUrl = process.env.RENDER_EXTERNAL_URL || process.env.WEB_APP_URL || `http://localhost:${PORT}`;
-        ctx.reply(
-            '🤖 Бот для парсинга телефонных номеров\n\n' +
-            'Я автоматически нахожу номера телефонов в сообщениях и сохраняю их в базу.\n\n' +
-            'Доступные команды:\n' +
-            '/add <номер> [имя] [компания] - добавить контакт\n' +
-            '/search <запрос> - поиск контактов\n' +
-            '/web - открыть веб-интерфейс\n' +
-            '/stats - статистика контактов',
-            webAppUrl ? {
-                reply_markup: {
-                    inline_keyboard: [
-                        [Markup.button.webApp('📱 Открыть веб-интерфейс', webAppUrl)]
-                    ]
-                }
-            } : {}
-        );
-    });
+        
+        const contacts = await loadExportContacts(req.workspaceId, (req.query.search || '').trim());
+        console.log(`API export of ${contacts.length} contacts as ${format}, caller: ${describeCaller(req)}`);
+        
+        res.type(`${EXPORT_FORMATS[format].mimeType}; charset=utf-8`);
+        res.attachment(`contacts.${EXPORT_FORMATS[format].extension}`);
+        res.send(formatContacts(contacts, format));
+    } catch (error) {
+        console.error('Error in /api/export:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
 
-    bot.command('web', (ctx) => {
-        const webAppUrl = process.env.RENDER_EXTERNAL_URL || process.env.WEB_APP_URL || `http://localhost:${PORT}`;
-        if (webAppUrl) {
-            ctx.reply('Веб-интерфейс для управления контактами:', {
-                reply_markup: {
-                    inline_keyboard: [
-                        [Markup.button.webApp('🔍 Открыть поиск', webAppUrl)]
-                    ]
-                }
-            });
-        } else {
-            ctx.reply('Веб-интерфейс не настроен');
+// Импорт CSV или vCard. По умолчанию только проверка (dry_run): сопоставление колонок,
+// первые записи и отчет; контакты сохраняются при dry_run: false
+app.post('/api/import', requireRole('editor'), async (req, res) => {
+    try {
+        const { value, errors } = validate(IMPORT_SCHEMA, req.body);
+        for (const [column, field] of Object.entries(value.mapping || {})) {
+            if (field !== null && !IMPORT_FIELDS.includes(field)) {
+                errors.push({ field: `mapping.${column}`, message: `must be one of: ${IMPORT_FIELDS.join(', ')}` });
+            }
         }
-    });
-
-    bot.command('add', async (ctx) => {
-        const args = ctx.message.text.split(' ').slice(1);
+        if (errors.length > 0) return sendValidationError(res, errors);
         
-        if (args.length < 1) {
-            return ctx.reply('Использование: /add <номер телефона> [имя] [компания]');
+        if (!req.workspaceId) {
+            return res.status(400).json({ success: false, error: 'workspace_id is required' });
         }
         
-        const phone = PhoneParser.normalizePhone(args[0]);
-        const name = args[1] || null;
-        const company = args[2] || null;
-        
-        try {
-            await database.saveContact(args[0], phone, name, company);
-            await ctx.reply(`✅ Контакт сохранен:\n\`${phone}\`${name ? `\n👤 \`${name}\`` : ''}${company ? `\n🏢 \`${company}\`` : ''}`, {
-                parse_mode: 'Markdown'
-            });
-        } catch (error) {
-            console.error('Error adding contact:', error);
-            await ctx.reply('❌ Ошибка при сохранении контакта');
+        const format = value.format || detectImportFormat(value.file_name, value.content);
+        const { columns, mapping, records } = readImportFile(value.content, format, value.mapping);
+        if (records.length > IMPORT_MAX_ROWS) {
+            return sendValidationError(res, [{ field: 'content', message: `must contain at most ${IMPORT_MAX_ROWS} rows` }]);
         }
-    });
-
-    bot.command('search', async (ctx) => {
-        const query = ctx.message.text.split(' ').slice(1).join(' ');
         
-        if (!query) {
-            return ctx.reply('Использование: /search <запрос>');
-        }
+        const dryRun = value.dry_run !== false;
+        const report = await importContacts(records, {
+            workspaceId: req.workspaceId,
+            region: PhoneParser.defaultRegion,
+            actor: apiActor(req),
+            dryRun,
+            source: translate(await getRequestLocale(req), 'source.import', { file: value.file_name || `contacts.${format}` })
+        });
         
-        try {
-            const contacts = await database.searchContacts(query);
-            
-            if (contacts.length === 0) {
-                return ctx.reply('Ничего не найдено');
+        res.json({
+            success: true,
+            data: {
+                format,
+                dry_run: dryRun,
+                columns,
+                mapping,
+                fields: IMPORT_FIELDS,
+                preview: records.slice(0, IMPORT_PREVIEW_ROWS),
+                report
             }
-            
-            const message = contacts.slice(0, 5).map(contact => 
-                `📞 \`${contact.normalized_phone}\`\n${contact.name ? `👤 ${contact.name}\n` : ''}${contact.company ? `🏢 ${contact.company}\n` : ''}`
-            ).join('\n');
-            
-            const webAppUrl = process.env.RENDER_EXTERNAL_URL || process.env.WEB_APP_URL || `http://localhost:${PORT}`;
-            const replyMarkup = webAppUrl ? {
-                inline_keyboard: [
-                    [Markup.button.webApp('🔍 Открыть поиск', webAppUrl)]
-                ]
-            } : undefined;
-            
-            await ctx.reply(message + '\n\nДля полного поиска используйте веб-интерфейс:', {
-                parse_mode: 'Markdown',
-                reply_markup: replyMarkup
-            });
-        } catch (error) {
-            console.error('Error searching contacts:', error);
-            await ctx.reply('❌ Ошибка при поиске');
-        }
-    });
+        });
+    } catch (error) {
+        console.error('Error in POST /api/import:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
 
-    bot.command('stats', async (ctx) => {
-        try {
-            const stats = await database.getStats();
-            const totalContacts = stats.total || 0;
-            const withNames = stats.with_names || 0;
-            const withCompanies = stats.with_companies || 0;
-            
-            await ctx.reply(
-                `📊 Статистика контактов:\n\n` +
-                `📞 Всего контактов: ${totalContacts}\n` +
-                `👤 С именами: ${withNames}\n` +
-                `🏢 С компаниями: ${withCompanies}`
-            );
-        } catch (error) {
-            console.error('Error getting stats:', error);
-            await ctx.reply('❌ Ошибка при получении статистики');
-        }
-    });
-}
+// Итоги, доля неполных контактов, страны по кодам номеров, топ компаний, чатов и отправителей
+app.get('/api/stats', async (req, res) => {
+    try {
+        const stats = await collectStats(database, req.workspaceId);
+        res.json({ success: true, data: stats });
+    } catch (error) {
+        console.error('Error in /api/stats:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
 
-// API endpoints с улучшенной обработкой ошибок
-app.get('/api/contacts', async (req, res) => {
+// Новые контакты по дням или неделям: ?period=day|week&limit=<число точек>
+app.get('/api/stats/timeseries', async (req, res) => {
     try {
-        const { search, limit = 50 } = req.query;
-        console.log('API request - search:', search, 'limit:', limit);
-        
-        let contacts;
-        if (search && search.trim() !== '') {
-            contacts = await database.searchContacts(search.trim());
-        } else {
-            contacts = await database.getAllContacts(parseInt(limit));
+        const period = req.query.period || 'day';
+        if (!STATS_PERIODS[period]) {
+            return res.status(400).json({ success: false, error: `Period must be one of: ${Object.keys(STATS_PERIODS).join(', ')}` });
         }
         
-        console.log(`Returning ${contacts.length} contacts`);
-        res.json({ 
-            success: true, 
-            data: contacts,
-            count: contacts.length
-        });
-        
+        const { defaultLimit, maxLimit } = STATS_PERIODS[period];
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || defaultLimit, 1), maxLimit);
+        const timeseries = await collectTimeseries(database, req.workspaceId, period, limit);
+        res.json({ success: true, data: timeseries });
     } catch (error) {
-        console.error('Error in /api/contacts:', error);
-        res.status(500).json({ 
-            success: false, 
-            error: 'Server error',
-            message: error.message 
-        });
+        console.error('Error in /api/stats/timeseries:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
     }
 });
 
-app.get('/api/contacts/:id', async (req, res) => {
+// Пространства контактов, доступные вызывающему
+app.get('/api/workspaces', async (req, res) => {
     try {
-        console.log('API request for contact ID:', req.params.id);
-        const contact = await database.getContactById(req.params.id);
+        const isTelegram = req.auth.type === 'telegram';
+        const workspaces = (await database.getWorkspaces(isTelegram ? req.auth.user.id : null))
+            .map(workspace => isTelegram ? workspace : { ...workspace, role: 'owner' });
+        res.json({ success: true, data: workspaces, count: workspaces.length });
+    } catch (error) {
+        console.error('Error in /api/workspaces:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+// Имена ключей из API_KEYS с правами администратора через запятую, например ADMIN_API_KEYS=backup
+const ADMIN_API_KEYS = String(process.env.ADMIN_API_KEYS || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+// Администраторы API: ключи из ADMIN_API_KEYS и пользователи Telegram из ADMIN_USER_IDS
+const requireAdmin = (req, res, next) => {
+    const { type, user, name } = req.auth;
+    const isAdmin = type === 'development' ||
+        (type === 'api_key' && ADMIN_API_KEYS.includes(name)) ||
+        (type === 'telegram' && ADMIN_USER_IDS.includes(user.id));
+    if (isAdmin) return next();
+    
+    console.warn(`Forbidden API request: ${req.method} ${req.originalUrl}, caller: ${describeCaller(req)}`);
+    res.status(403).json({ success: false, error: 'Insufficient permissions' });
+};
+
+// Новый снимок всей базы файлом SQLite; он же остается в каталоге резервных копий
+app.get('/api/admin/backup', requireAdmin, async (req, res) => {
+    try {
+        const backup = await backupManager.create('manual');
+        console.log(`API database backup ${backup.name}, caller: ${describeCaller(req)}`);
         
-        if (contact) {
-            res.json({ success: true, data: contact });
-        } else {
-            res.status(404).json({ success: false, error: 'Contact not found' });
-        }
+        res.type('application/vnd.sqlite3');
+        res.download(backup.file, backup.name, (error) => {
+            if (error) console.error('Error sending database backup:', error);
+        });
     } catch (error) {
-        console.error('Error in /api/contacts/:id:', error);
+        console.error('Error in /api/admin/backup:', error);
         res.status(500).json({ success: false, error: 'Server error' });
     }
 });
 
-app.put('/api/contacts/:id', async (req, res) => {
+// Номер из запроса администратора: region - регион для номеров без кода страны
+const normalizeAdminPhone = (phone, region) => PhoneParser.normalizePhone(
+    String(phone || ''),
+    PhoneParser.isSupportedRegion(region) ? region : PhoneParser.defaultRegion
+);
+
+// Все, что хранится о номере во всех пространствах, - для ответа на запрос человека о его данных
+app.get('/api/admin/privacy/report', requireAdmin, async (req, res) => {
     try {
-        console.log('API update for contact ID:', req.params.id, 'data:', req.body);
-        const { name, company, context } = req.body;
-        const updates = {};
+        const phone = normalizeAdminPhone(req.query.phone, req.query.region);
+        if (!phone) {
+            return sendValidationError(res, [{ field: 'phone', message: 'Invalid phone number' }]);
+        }
         
-        if (name !== undefined) updates.name = name;
-        if (company !== undefined) updates.company = company;
-        if (context !== undefined) updates.context = context;
+        console.log(`API privacy report for ${phone}, caller: ${describeCaller(req)}`);
+        res.json({ success: true, data: await buildPrivacyReport(database, phone) });
+    } catch (error) {
+        console.error('Error in /api/admin/privacy/report:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+const BLOCKLIST_SCHEMA = {
+    phone: { type: 'string', required: true, maxLength: 50 },
+    region: { type: 'string', enum: PhoneParser.supportedRegions },
+    reason: { type: 'string', nullable: true, maxLength: 200 },
+    forget: { type: 'boolean' }
+};
+
+// Номера, которые бот не сохраняет ни в одном пространстве
+app.get('/api/admin/blocklist', requireAdmin, async (req, res) => {
+    try {
+        const phones = await database.getBlockedPhones();
+        res.json({ success: true, data: phones, count: phones.length });
+    } catch (error) {
+        console.error('Error in /api/admin/blocklist:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+// Добавление номера; forget: true - заодно удалить все данные о нем, как /forget
+app.post('/api/admin/blocklist', requireAdmin, async (req, res) => {
+    try {
+        const { value, errors } = validate(BLOCKLIST_SCHEMA, req.body);
+        if (errors.length > 0) return sendValidationError(res, errors);
         
-        const changes = await database.updateContact(req.params.id, updates);
+        const phone = normalizeAdminPhone(value.phone, value.region);
+        if (!phone) {
+            return sendValidationError(res, [{ field: 'phone', message: 'Invalid phone number' }]);
+        }
         
-        if (changes > 0) {
-            res.json({ success: true, message: 'Contact updated successfully' });
+        console.log(`API block phone ${phone}${value.forget ? ' and forget' : ''}, caller: ${describeCaller(req)}`);
+        let erased = null;
+        if (value.forget) {
+            erased = await forgetPhone(database, phone, { actor: apiActor(req), reason: value.reason || null, createdBy: describeCaller(req) });
         } else {
-            res.status(404).json({ success: false, error: 'Contact not found or no changes made' });
+            await database.blockPhone(phone, value.reason || null, describeCaller(req));
         }
+        
+        res.status(201).json({ success: true, data: { ...await database.getBlockedPhone(phone), erased } });
     } catch (error) {
-        console.error('Error in PUT /api/contacts/:id:', error);
+        console.error('Error in POST /api/admin/blocklist:', error);
         res.status(500).json({ success: false, error: 'Server error' });
     }
 });
 
-app.get('/api/stats', async (req, res) => {
+app.delete('/api/admin/blocklist/:phone', requireAdmin, async (req, res) => {
     try {
-        const stats = await database.getStats();
-        res.json({ success: true, data: stats });
+        const phone = normalizeAdminPhone(req.params.phone, req.query.region);
+        if (!phone || !await database.unblockPhone(phone)) {
+            return res.status(404).json({ success: false, error: 'Phone is not blocked' });
+        }
+        
+        console.log(`API unblock phone ${phone}, caller: ${describeCaller(req)}`);
+        res.json({ success: true, message: 'Phone removed from the blocklist' });
     } catch (error) {
-        console.error('Error in /api/stats:', error);
+        console.error('Error in DELETE /api/admin/blocklist/:phone:', error);
         res.status(500).json({ success: false, error: 'Server error' });
     }
 });
 
+// Текущий пользователь API
+app.get('/api/me', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            type: req.auth.type,
+            user: req.auth.user,
+            name: req.auth.name || null
+        }
+    });
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.status(200).json({ 
@@ -540,14 +3976,44 @@ app.get('/api/test', (req, res) => {
     });
 });
 
+// Переводы веб-интерфейса
+app.get('/api/i18n', async (req, res) => {
+    try {
+        const locale = await getRequestLocale(req);
+        res.json({ success: true, data: { locale, locales: LOCALES, messages: getMessages(locale, 'web.') } });
+    } catch (error) {
+        console.error('Error in /api/i18n:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
 // Веб-интерфейс
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Секрет вебхука: Telegram присылает его в заголовке X-Telegram-Bot-Api-Secret-Token,
+// обновления без него отклоняются. В токене допустимы только A-Z, a-z, 0-9, _ и -,
+// поэтому в Telegram уходит sha256 от WEBHOOK_SECRET
+const getWebhookSecretToken = () => {
+    if (!process.env.WEBHOOK_SECRET) {
+        console.warn('⚠️ WEBHOOK_SECRET is not set, deriving the webhook secret from BOT_TOKEN');
+    }
+    
+    const secret = process.env.WEBHOOK_SECRET || `webhook:${process.env.BOT_TOKEN}`;
+    return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
 // Запуск сервера
 const startServer = async () => {
     try {
+        // Бот и API начинают работу только после применения миграций
+        await openDatabase(process.env.DATABASE_URL);
+        webhookWorker.start();
+        if (bot) reminderScheduler.start();
+        backupManager.start();
+        retentionWorker.start();
+        
         // Запускаем веб-сервер
         app.listen(PORT, '0.0.0.0', () => {
             console.log(`🚀 Server running on port ${PORT}`);
@@ -557,7 +4023,8 @@ const startServer = async () => {
             if (bot) {
                 if (process.env.NODE_ENV === 'production') {
                     const webhookUrl = `${process.env.RENDER_EXTERNAL_URL || process.env.WEB_APP_URL || `http://localhost:${PORT}`}/webhook`;
-                    bot.telegram.setWebhook(webhookUrl)
+                    const secretToken = getWebhookSecretToken();
+                    bot.telegram.setWebhook(webhookUrl, { secret_token: secretToken })
                         .then(() => {
                             console.log(`🌐 Webhook set to: ${webhookUrl}`);
                         })
@@ -566,7 +4033,7 @@ const startServer = async () => {
                         });
                     
                     // Обработчик webhook
-                    app.use(bot.webhookCallback('/webhook'));
+                    app.use(bot.webhookCallback('/webhook', { secretToken }));
                     console.log('🤖 Bot running in webhook mode');
                 } else {
                     // В development используем polling
@@ -579,13 +4046,18 @@ const startServer = async () => {
         // Graceful shutdown
         process.once('SIGINT', () => {
             if (bot) bot.stop('SIGINT');
-            db.close();
-            process.exit(0);
+            webhookWorker.stop();
+            reminderScheduler.stop();
+            retentionWorker.stop();
+            // Начатый снимок дописывается до закрытия базы
+            backupManager.stop().then(closeDatabase).finally(() => process.exit(0));
         });
         process.once('SIGTERM', () => {
             if (bot) bot.stop('SIGTERM');
-            db.close();
-            process.exit(0);
+            webhookWorker.stop();
+            reminderScheduler.stop();
+            retentionWorker.stop();
+            backupManager.stop().then(closeDatabase).finally(() => process.exit(0));
         });
         
     } catch (error) {
@@ -0,0 +1,101 @@
+const PhoneParser = require('./phone-parser');
+
+// Статистика адресной книги: ряды новых контактов по дням и неделям, страны номеров,
+// самые активные чаты, отправители и компании. Запросы к базе - в database.js
+
+// step - длина отрезка ряда в днях; limit - число точек по умолчанию и максимум
+const STATS_PERIODS = {
+    day: { step: 1, defaultLimit: 30, maxLimit: 365 },
+    week: { step: 7, defaultLimit: 12, maxLimit: 104 }
+};
+
+const TOP_LIMIT = 5;
+
+const toDate = (date) => date.toISOString().substring(0, 10);
+
+// Начало отрезка с датой date (UTC): сам день или понедельник недели
+const periodStart = (date, period) => {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    if (period === 'week') start.setUTCDate(start.getUTCDate() - (start.getUTCDay() + 6) % 7);
+    return start;
+};
+
+// Первая дата ряда из limit точек, последняя из которых - текущий день или неделя
+const timeseriesStart = (period, limit, now = new Date()) => {
+    const start = periodStart(now, period);
+    start.setUTCDate(start.getUTCDate() - STATS_PERIODS[period].step * (limit - 1));
+    return toDate(start);
+};
+
+// Ряд без пропусков: в отрезках без новых контактов - 0. rows - [{ date, count }] из базы
+const fillTimeseries = (rows, period, since, limit) => {
+    const counts = new Map(rows.map(row => [row.date, row.count]));
+    const date = new Date(`${since}T00:00:00Z`);
+
+    return Array.from({ length: limit }, () => {
+        const key = toDate(date);
+        date.setUTCDate(date.getUTCDate() + STATS_PERIODS[period].step);
+        return { date: key, count: counts.get(key) || 0 };
+    });
+};
+
+// Страны номеров. rows - [{ prefix, length, count }]: начало номера «+XXXXX» и длина номера.
+// Регион определяется по номеру-образцу с теми же первыми цифрами и длиной, как при разборе номера
+const summarizeCountries = (rows) => {
+    const countries = new Map();
+
+    for (const row of rows) {
+        const parsed = PhoneParser.parse(row.prefix.padEnd(row.length, '0'));
+        const region = parsed ? parsed.region : null;
+        const key = region || 'other';
+
+        if (!countries.has(key)) {
+            countries.set(key, { region, calling_code: region ? parsed.countryCode : null, count: 0 });
+        }
+        countries.get(key).count += row.count;
+    }
+
+    return [...countries.values()].sort((a, b) => b.count - a.count);
+};
+
+const percent = (part, total) => total > 0 ? Math.round(part * 1000 / total) / 10 : 0;
+
+// Флаг по коду региона ISO 3166-1: буквы заменяются региональными символами Unicode
+const regionFlag = (region) => region
+    ? String.fromCodePoint(...[...region].map(letter => 0x1F1E6 + letter.charCodeAt(0) - 65))
+    : '🏳';
+
+// Сводка пространства. since - дата YYYY-MM-DD, с которой считаются активные чаты и отправители
+const collectStats = async (database, workspaceId, { since = null, limit = TOP_LIMIT } = {}) => {
+    const [totals, prefixes, topCompanies, topChats, topSenders] = await Promise.all([
+        database.getStats(workspaceId),
+        database.getPhonePrefixStats(workspaceId),
+        database.getTopCompanies(workspaceId, limit),
+        database.getTopChats(workspaceId, since, limit),
+        database.getTopSenders(workspaceId, since, limit)
+    ]);
+
+    return {
+        ...totals,
+        incomplete_percent: percent(totals.incomplete, totals.total),
+        countries: summarizeCountries(prefixes).map(country => ({ ...country, percent: percent(country.count, totals.total) })),
+        top_companies: topCompanies,
+        top_chats: topChats,
+        top_senders: topSenders
+    };
+};
+
+const collectTimeseries = async (database, workspaceId, period, limit = STATS_PERIODS[period].defaultLimit) => {
+    const since = timeseriesStart(period, limit);
+    const rows = await database.getContactTimeseries(workspaceId, period, since);
+    return { period, since, points: fillTimeseries(rows, period, since, limit) };
+};
+
+module.exports = {
+    STATS_PERIODS,
+    timeseriesStart,
+    percent,
+    regionFlag,
+    collectStats,
+    collectTimeseries
+};
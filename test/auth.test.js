@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateInitData, parseApiKeys } = require('../auth');
+const { startServer } = require('./helpers/server');
+const { BOT_TOKEN, signInitData } = require('./helpers/init-data');
+
+const now = () => String(Math.floor(Date.now() / 1000));
+const user = JSON.stringify({ id: 42, first_name: 'Ivan' });
+
+test('accepts initData signed with the bot token', () => {
+    const result = validateInitData(signInitData({ auth_date: now(), user }), BOT_TOKEN);
+    assert.deepStrictEqual(result.user, { id: 42, first_name: 'Ivan' });
+});
+
+test('rejects forged, expired and userless initData', () => {
+    const forged = signInitData({ auth_date: now(), user }, '654321:other-token');
+    assert.strictEqual(validateInitData(forged, BOT_TOKEN), null);
+
+    const tampered = signInitData({ auth_date: now(), user }).replace('Ivan', 'Oleg');
+    assert.strictEqual(validateInitData(tampered, BOT_TOKEN), null);
+
+    const expired = signInitData({ auth_date: String(Math.floor(Date.now() / 1000) - 7200), user });
+    assert.strictEqual(validateInitData(expired, BOT_TOKEN, 3600), null);
+
+    assert.strictEqual(validateInitData(signInitData({ auth_date: now() }), BOT_TOKEN), null);
+});
+
+test('parses named and unnamed API keys', () => {
+    assert.deepStrictEqual(parseApiKeys('ci:secret1, crm:sec:ret2,plain'), [
+        { name: 'ci', key: 'secret1' },
+        { name: 'crm', key: 'sec:ret2' },
+        { name: 'key3', key: 'plain' }
+    ]);
+    assert.deepStrictEqual(parseApiKeys(undefined), []);
+});
+
+test('protects the API with initData or API keys', async () => {
+    const server = await startServer();
+    try {
+        const anonymous = await server.api('/api/contacts', { headers: { 'X-API-Key': '' } });
+        assert.strictEqual(anonymous.status, 401);
+
+        const wrongKey = await server.api('/api/contacts', { headers: { 'X-API-Key': 'wrong' } });
+        assert.strictEqual(wrongKey.status, 401);
+
+        const bearer = await server.api('/api/me', { headers: { 'X-API-Key': '', Authorization: 'Bearer test-api-key' } });
+        assert.deepStrictEqual(bearer.body.data, { type: 'api_key', user: null, name: 'test' });
+
+        const miniApp = await server.api('/api/me', {
+            headers: { 'X-API-Key': '', Authorization: `tma ${signInitData({ auth_date: now(), user })}` }
+        });
+        assert.strictEqual(miniApp.body.data.type, 'telegram');
+        assert.strictEqual(miniApp.body.data.user.id, 42);
+
+        assert.strictEqual((await server.api('/api/test', { headers: { 'X-API-Key': '' } })).status, 200);
+        assert.strictEqual((await server.api('/health', { headers: { 'X-API-Key': '' } })).status, 200);
+    } finally {
+        await server.stop();
+    }
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { BACKUP_FILE_PATTERN, checkRestoreFile, createBackupManager } = require('../backup');
+const { startServer, replies } = require('./helpers/server');
+const { telegramHeaders } = require('./helpers/init-data');
+
+// Резервные копии: ротация снимков, проверка файла для восстановления, /backup, /restore и API
+const ADMIN = { id: 1, first_name: 'Admin' };
+const USER = { id: 2, first_name: 'User' };
+const PRIVATE = { id: ADMIN.id, type: 'private', first_name: 'Admin' };
+
+let directory;
+
+test.before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'phone-bot-backup-'));
+});
+
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+const createDatabase = (file, sql) => new Promise((resolve, reject) => {
+    const connection = new sqlite3.Database(file);
+    connection.exec(sql, (err) => connection.close(() => (err ? reject(err) : resolve())));
+});
+
+test('keeps only the latest snapshots', async () => {
+    const dir = path.join(directory, 'rotation');
+    const manager = createBackupManager((file) => fs.promises.writeFile(file, 'snapshot'), { dir, keep: 2 });
+
+    for (let i = 0; i < 3; i++) {
+        await manager.create('manual');
+        // Имена снимков различаются секундами
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+
+    const backups = await manager.list();
+    assert.strictEqual(backups.length, 2);
+    assert.ok(backups.every(backup => BACKUP_FILE_PATTERN.test(backup.name)));
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), backups.map(backup => backup.name).sort());
+});
+
+test('checks a file before restoring it', async () => {
+    const text = path.join(directory, 'notes.db');
+    fs.writeFileSync(text, 'not a database');
+    assert.deepStrictEqual(await checkRestoreFile(text), { error: 'not_sqlite' });
+
+    const other = path.join(directory, 'other.db');
+    await createDatabase(other, 'CREATE TABLE notes (id INTEGER PRIMARY KEY, text TEXT)');
+    assert.deepStrictEqual(await checkRestoreFile(other), { error: 'not_contacts' });
+
+    // База без миграций обновляется до текущей схемы
+    const baseline = path.join(directory, 'baseline.db');
+    fs.copyFileSync(path.join(__dirname, '..', 'data', 'database.db'), baseline);
+    const { info } = await checkRestoreFile(baseline);
+    assert.strictEqual(info.version, 0);
+});
+
+test('gives backups only to admins', async () => {
+    const server = await startServer({
+        env: {
+            API_KEYS: 'test:test-api-key,backup:backup-key',
+            ADMIN_API_KEYS: 'backup',
+            ADMIN_USER_IDS: String(ADMIN.id),
+            BACKUP_DIR: path.join(directory, 'server'),
+            BACKUP_INTERVAL_HOURS: '0'
+        }
+    });
+    try {
+        await server.sendMessage('тел +7 916 190-00-01');
+
+        assert.strictEqual((await server.api('/api/admin/backup')).status, 403);
+        assert.strictEqual((await server.api('/api/admin/backup', { headers: telegramHeaders(USER) })).status, 403);
+        assert.strictEqual((await server.api('/api/admin/backup', { headers: telegramHeaders(ADMIN) })).status, 200);
+        const response = await fetch(`${server.url}/api/admin/backup`, { headers: { 'X-API-Key': 'backup-key' } });
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(Buffer.from(await response.arrayBuffer()).subarray(0, 15).toString('latin1'), 'SQLite format 3');
+
+        assert.ok(replies(await server.sendMessage('/backup', { from: USER })).join('\n').includes('только администраторам'));
+        assert.ok(replies(await server.sendMessage('/backup', { from: ADMIN })).join('\n').includes('только в личном чате'));
+        const sent = (await server.sendMessage('/backup', { chat: PRIVATE, from: ADMIN })).find(call => call.method === 'sendDocument');
+        assert.match(sent.payload.caption, /database-\d{8}-\d{6}-manual\.db/);
+    } finally {
+        await server.stop();
+    }
+});
+
+test('restores a backup after confirmation', async () => {
+    const env = {
+        ADMIN_USER_IDS: String(ADMIN.id),
+        BACKUP_DIR: path.join(directory, 'restore'),
+        BACKUP_INTERVAL_HOURS: '0'
+    };
+    const source = await startServer({ env });
+    await source.sendMessage('тел +7 916 190-00-02');
+    await source.sendMessage('/backup', { chat: PRIVATE, from: ADMIN });
+    await source.stop();
+    const [snapshot] = await createBackupManager(null, { dir: env.BACKUP_DIR }).list();
+
+    const server = await startServer({ env });
+    try {
+        fs.copyFileSync(snapshot.file, path.join(server.directory, 'backup.db'));
+        const document = { file_id: 'backup.db', file_unique_id: 'backup', file_name: 'backup.db', file_size: fs.statSync(snapshot.file).size };
+        const check = await server.sendMessage('/restore', {
+            chat: PRIVATE,
+            from: ADMIN,
+            reply_to_message: { message_id: 1, date: 0, chat: PRIVATE, document }
+        });
+        const message = check.find(call => call.method === 'sendMessage');
+        assert.ok(message.payload.text.includes('Контактов: 1'));
+
+        const [button] = message.payload.reply_markup.inline_keyboard.flat();
+        const restored = replies(await server.pressButton(button.callback_data, { chat: PRIVATE, from: ADMIN })).join('\n');
+        assert.ok(restored.includes('База восстановлена, контактов: 1'));
+
+        const { body } = await server.api('/api/contacts?search=9161900002');
+        assert.strictEqual(body.data[0].normalized_phone, '+79161900002');
+    } finally {
+        await server.stop();
+    }
+});
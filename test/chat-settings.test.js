@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, replies } = require('./helpers/server');
+
+// Настройки ответов бота в чате, игнорируемые отправители и номера
+const ADMIN = { id: 1, first_name: 'Admin', username: 'admin' };
+const ALICE = { id: 2, first_name: 'Alice', username: 'alice' };
+const BOB = { id: 3, first_name: 'Bob', username: 'bob' };
+const chat = (id) => ({ id, type: 'supergroup', title: `Chat ${id}` });
+
+let server;
+
+test.before(async () => {
+    server = await startServer({ env: { FAKE_TELEGRAM_ADMINS: String(ADMIN.id) } });
+});
+
+test.after(() => server.stop());
+
+const send = (chatId, text, from = ADMIN, fields = {}) => server.sendMessage(text, { chat: chat(chatId), from, ...fields });
+const say = async (chatId, text, from = ADMIN) => replies(await send(chatId, text, from)).join('\n');
+const setting = (chatId, data, from = ADMIN) => server.pressButton(`settings:${data}`, { chat: chat(chatId), from });
+const answers = (calls) => calls.filter(call => call.method === 'answerCallbackQuery').map(call => call.payload.text);
+const isSaved = async (phone) => {
+    const { body } = await server.api(`/api/contacts?search=${encodeURIComponent(phone)}`);
+    return body.data.some(contact => contact.normalized_phone === phone);
+};
+
+test('changes reply settings only as the owner', async () => {
+    await say(-401, 'привет', ALICE);
+    assert.ok(answers(await setting(-401, 'mode:silent', ALICE))[0].includes('нужна роль «владелец»'));
+    assert.ok(answers(await setting(-401, 'mode:silent')).includes('✅ Сохранено'));
+
+    const settings = await say(-401, '/settings');
+    assert.ok(settings.includes('Ответ на номера: 🤫 Молча'));
+    assert.ok(settings.includes('Лимит ответов: нет'));
+
+    // Молча: номер сохраняется без ответа
+    assert.strictEqual(await say(-401, 'тел +7 916 140-00-01'), '');
+    assert.ok(await isSaved('+79161400001'));
+});
+
+test('answers only about new numbers in the "new" mode', async () => {
+    await setting(-402, 'mode:new');
+    assert.ok((await say(-402, 'тел +7 916 140-00-02')).includes('+79161400002'));
+    assert.strictEqual(await say(-402, 'снова тел +7 916 140-00-02'), '');
+});
+
+test('answers in private messages in the "dm" mode', async () => {
+    await setting(-403, 'mode:dm');
+    const calls = await send(-403, 'тел +7 916 140-00-03', ALICE);
+    const [message] = calls.filter(call => call.method === 'sendMessage');
+    assert.strictEqual(message.payload.chat_id, ALICE.id);
+    assert.ok(message.payload.text.startsWith('Из чата «Chat -403»'));
+});
+
+test('limits replies per minute and keeps saving numbers', async () => {
+    await setting(-404, 'rate:5');
+    let answered = 0;
+    for (let index = 10; index < 16; index++) {
+        if (await say(-404, `тел +7 916 141-00-${index}`)) answered++;
+    }
+    assert.strictEqual(answered, 5);
+    assert.ok(await isSaved('+79161410015'));
+});
+
+test('ignores senders and bots', async () => {
+    await say(-405, 'привет', BOB);
+    assert.ok((await say(-405, '/ignore @bob', ALICE)).includes('нужна роль «владелец»'));
+    assert.ok((await say(-405, '/ignore @bob')).includes('Сообщения @bob в этом чате больше не обрабатываются'));
+    assert.strictEqual(await say(-405, 'тел +7 916 140-00-05', BOB), '');
+    assert.ok(!await isSaved('+79161400005'));
+    assert.ok((await say(-405, '/unignore @bob')).includes('снова обрабатываются'));
+
+    await setting(-405, 'bots');
+    const robot = { id: 77, first_name: 'Robot', is_bot: true };
+    assert.deepStrictEqual(replies(await send(-405, 'тел +7 916 140-00-06', robot, { from: { ...robot } })), []);
+    assert.ok(!await isSaved('+79161400006'));
+});
+
+test('ignores numbers with the editor role in every path', async () => {
+    await say(-406, 'тел +7 916 140-00-07');
+    await say(-406, 'привет', ALICE);
+    await say(-406, 'привет', BOB);
+    await say(-406, '/grant default viewer');
+    await say(-406, '/grant @alice editor');
+
+    assert.ok((await say(-406, '/ignore +79161400007', BOB)).includes('нужна роль «редактор»'));
+    assert.ok((await say(-406, '/ignore +79161400007', ALICE)).includes('контакт перемещен в корзину'));
+    assert.ok(!await isSaved('+79161400007'));
+    assert.strictEqual(await say(-406, 'тел +7 916 140-00-07'), '');
+
+    assert.ok((await say(-406, '/unignore +79161400007', BOB)).includes('нужна роль «редактор»'));
+    assert.ok((await say(-406, '/unignore +79161400007', ALICE)).includes('снова будет сохраняться'));
+    assert.ok((await say(-406, 'тел +7 916 140-00-07')).includes('+79161400007'));
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, replies } = require('./helpers/server');
+
+// Кнопки действий под найденным номером и ввод значения ответом на вопрос бота
+const CHAT = { id: -100, type: 'supergroup', title: 'Test chat' };
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'phone-bot-actions-'));
+const env = { DATABASE_URL: path.join(directory, 'database.db') };
+let server;
+
+test.before(async () => {
+    server = await startServer({ env });
+});
+
+test.after(async () => {
+    await server.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+// Сообщение с номером: callback_data кнопок ответа бота по действию
+const postPhone = async (text) => {
+    const message = (await server.sendMessage(text)).find(call => call.method === 'sendMessage');
+    return Object.fromEntries(message.payload.reply_markup.inline_keyboard.flat()
+        .filter(button => button.callback_data.startsWith('contact:'))
+        .map(button => [button.callback_data.split(':')[1], button.callback_data]));
+};
+const contactByPhone = async (phone) => {
+    const { body } = await server.api(`/api/contacts?search=${encodeURIComponent(phone)}`);
+    return body.data.find(contact => contact.normalized_phone === phone);
+};
+// Вопрос бота после нажатия кнопки и ответ на него
+const ask = async (data) => (await server.pressButton(data)).find(call => call.method === 'sendMessage');
+const answer = (prompt, text) => server.sendMessage(text, {
+    reply_to_message: { message_id: prompt.result.message_id, date: 0, chat: CHAT, text: prompt.payload.text }
+});
+
+test('offers actions under the found phone', async () => {
+    const buttons = await postPhone('тел +7 916 120-00-01');
+    assert.deepStrictEqual(Object.keys(buttons), ['name', 'company', 'note', 'tag', 'remind', 'delete', 'ignore']);
+});
+
+test('asks for a value and saves the reply to the question', async () => {
+    const buttons = await postPhone('тел +7 916 120-00-02');
+    const prompt = await ask(buttons.name);
+    assert.ok(prompt.payload.text.includes('введите имя для +79161200002'));
+    assert.deepStrictEqual(prompt.payload.reply_markup, { force_reply: true, selective: true });
+
+    // Обычная переписка в группе значением не считается
+    await server.sendMessage('кто-нибудь видел Олега?');
+    assert.strictEqual((await contactByPhone('+79161200002')).name, null);
+
+    assert.ok(replies(await answer(prompt, 'Анна Смирнова')).join('\n').includes('Контакт обновлен'));
+    assert.strictEqual((await contactByPhone('+79161200002')).name, 'Анна Смирнова');
+
+    await answer(await ask(buttons.note), 'перезвонить в пятницу');
+    await answer(await ask(buttons.tag), 'vip поставщик');
+    const contact = await contactByPhone('+79161200002');
+    assert.strictEqual(contact.context, 'тел +7 916 120-00-02\n---\nперезвонить в пятницу');
+    const { body } = await server.api(`/api/contacts?search=${encodeURIComponent('tag:vip tag:поставщик')}`);
+    assert.deepStrictEqual(body.data.map(tagged => tagged.id), [contact.id]);
+});
+
+test('cancels the input with /cancel or another command', async () => {
+    const buttons = await postPhone('тел +7 916 120-00-03');
+    const prompt = await ask(buttons.company);
+    assert.ok(replies(await server.sendMessage('/cancel')).includes('Ввод отменен'));
+    await answer(prompt, 'Acme');
+    assert.strictEqual((await contactByPhone('+79161200003')).company, null);
+});
+
+test('keeps waiting for the value after a restart', async () => {
+    const buttons = await postPhone('тел +7 916 120-00-04');
+    const prompt = await ask(buttons.company);
+
+    await server.stop();
+    server = await startServer({ env });
+
+    await answer(prompt, 'Globex');
+    assert.strictEqual((await contactByPhone('+79161200004')).company, 'Globex');
+});
+
+test('deletes or ignores a number and undoes it', async () => {
+    const buttons = await postPhone('тел +7 916 120-00-05');
+    const deleted = await server.pressButton(buttons.delete);
+    const undo = deleted.find(call => call.method === 'editMessageReplyMarkup').payload.reply_markup.inline_keyboard.flat()
+        .find(button => button.text === '↩️ Отменить');
+    assert.strictEqual(await contactByPhone('+79161200005'), undefined);
+    await server.pressButton(undo.callback_data);
+    assert.ok(await contactByPhone('+79161200005'));
+
+    await server.pressButton(buttons.ignore);
+    const again = await server.sendMessage('тел +7 916 120-00-05');
+    assert.deepStrictEqual(replies(again), []);
+    assert.strictEqual(await contactByPhone('+79161200005'), undefined);
+
+    assert.ok(replies(await server.sendMessage('/unignore +79161200005')).join('\n').includes('снова будет сохраняться'));
+    assert.ok(replies(await server.sendMessage('тел +7 916 120-00-05')).length > 0);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, replies } = require('./helpers/server');
+
+// Контакт - человек с несколькими номерами, email и мессенджерами
+let server;
+
+test.before(async () => {
+    server = await startServer();
+});
+
+test.after(() => server.stop());
+
+const contactByPhone = async (phone) => {
+    const { body } = await server.api(`/api/contacts?search=${encodeURIComponent(phone)}`);
+    const found = body.data.find(contact => (contact.all_phones || contact.normalized_phone).includes(phone));
+    return found && (await server.api(`/api/contacts/${found.id}`)).body.data;
+};
+
+test('stores emails and messengers found next to the phone', async () => {
+    await server.sendMessage('Иван: +7 916 100-00-01, ivan@example.com, t.me/ivan_petrov');
+
+    const contact = await contactByPhone('+79161000001');
+    assert.deepStrictEqual(contact.emails.map(email => email.email), ['ivan@example.com']);
+    assert.deepStrictEqual(contact.messengers.map(messenger => [messenger.kind, messenger.value]), [['telegram', '@ivan_petrov']]);
+});
+
+test('resolves any of the numbers to the same person', async () => {
+    await server.sendMessage('тел +7 916 100-00-02');
+    const contact = await contactByPhone('+79161000002');
+
+    const added = await server.api(`/api/contacts/${contact.id}/phones`, { method: 'POST', body: { phone: '8 495 100-00-02', type: 'work' } });
+    assert.strictEqual(added.status, 200);
+    assert.deepStrictEqual(added.body.data.map(phone => [phone.normalized_phone, phone.type]).sort(), [
+        ['+74951000002', 'work'],
+        ['+79161000002', 'other']
+    ]);
+
+    // Сообщение с рабочим номером относится к тому же человеку, в ответе - все его номера
+    const calls = await server.sendMessage('офис 8 (495) 100-00-02');
+    const text = replies(calls).join('\n');
+    assert.ok(text.includes('+74951000002'));
+    assert.ok(text.includes('+79161000002'));
+    assert.strictEqual((await contactByPhone('+74951000002')).id, contact.id);
+});
+
+test('does not give one number to two people', async () => {
+    await server.sendMessage('тел +7 916 100-00-03');
+    await server.sendMessage('тел +7 916 100-00-04');
+    const first = await contactByPhone('+79161000003');
+
+    const result = await server.api(`/api/contacts/${first.id}/phones`, { method: 'POST', body: { phone: '+79161000004' } });
+    assert.strictEqual(result.status, 409);
+});
+
+test('adds and removes emails and messengers', async () => {
+    await server.sendMessage('тел +7 916 100-00-05');
+    const contact = await contactByPhone('+79161000005');
+
+    const email = await server.api(`/api/contacts/${contact.id}/emails`, { method: 'POST', body: { email: 'anna@example.com' } });
+    assert.strictEqual(email.status, 200);
+    const messenger = await server.api(`/api/contacts/${contact.id}/messengers`, { method: 'POST', body: { kind: 'whatsapp', value: 'https://wa.me/79161000005' } });
+    assert.strictEqual(messenger.status, 200);
+
+    assert.strictEqual((await server.api(`/api/contacts/${contact.id}/emails`, { method: 'POST', body: { email: 'not an email' } })).status, 400);
+    assert.strictEqual((await server.api(`/api/contacts/${contact.id}/messengers`, { method: 'POST', body: { kind: 'icq', value: '1' } })).status, 400);
+
+    const removed = await server.api(`/api/contacts/${contact.id}/emails/${email.body.data[0].id}`, { method: 'DELETE' });
+    assert.strictEqual(removed.status, 200);
+    assert.deepStrictEqual((await contactByPhone('+79161000005')).emails, []);
+});
+
+test('keeps the primary number', async () => {
+    await server.sendMessage('тел +7 916 100-00-06');
+    const contact = await contactByPhone('+79161000006');
+
+    const result = await server.api(`/api/contacts/${contact.id}/phones/${contact.phones[0].id}`, { method: 'DELETE' });
+    assert.strictEqual(result.status, 404);
+});
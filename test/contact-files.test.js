@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { guessMapping, detectImportFormat, readImportFile, formatContacts } = require('../contact-files');
+const { parseVCards } = require('../vcard');
+
+const CONTACTS = [{
+    id: 1,
+    normalized_phone: '+79161234567',
+    name: 'Иван Петров',
+    company: 'ООО Ромашка; филиал',
+    context: '=1+1',
+    phones: [{ normalized_phone: '+79161234567', type: 'mobile' }, { normalized_phone: '+74951234567', type: 'work' }],
+    emails: [{ email: 'ivan@example.com' }],
+    messengers: [{ kind: 'telegram', value: '@ivan' }],
+    created_at: '2024-01-01 10:00:00',
+    updated_at: '2024-01-02 10:00:00'
+}];
+
+test('maps columns by their headers', () => {
+    assert.deepStrictEqual(guessMapping(['Фамилия', 'Имя', 'Мобильный телефон', 'Рабочий телефон', 'Organization Name', 'E-mail', 'Заметки', 'Unknown']), {
+        'Фамилия': 'last_name',
+        'Имя': 'first_name',
+        'Мобильный телефон': 'phone',
+        'Рабочий телефон': 'phone',
+        'Organization Name': 'company',
+        'E-mail': 'email',
+        'Заметки': 'context'
+    });
+});
+
+test('reads CSV rows into contacts', () => {
+    const content = 'Фамилия;Имя;Мобильный;Рабочий телефон;Компания\nПетров;Иван;+7 916 123-45-67;8 495 123-45-67, 8 495 765-43-21;Acme\n';
+    const { records } = readImportFile(content, detectImportFormat('contacts.csv', content));
+
+    assert.deepStrictEqual(records, [{
+        row: 2,
+        name: 'Иван Петров',
+        company: 'Acme',
+        context: null,
+        phones: [
+            { value: '+7 916 123-45-67', type: 'mobile' },
+            { value: '8 495 123-45-67', type: 'work' },
+            { value: '8 495 765-43-21', type: 'work' }
+        ],
+        emails: []
+    }]);
+
+    const mapped = readImportFile('a,b\nАнна,+79160000000\n', 'csv', { a: 'name', b: 'phone' });
+    assert.strictEqual(mapped.records[0].name, 'Анна');
+});
+
+test('reads its own CSV export back', () => {
+    const { records } = readImportFile(formatContacts(CONTACTS, 'csv'), 'csv');
+
+    assert.strictEqual(records[0].company, 'ООО Ромашка; филиал');
+    assert.strictEqual(records[0].context, '=1+1');
+    assert.deepStrictEqual(records[0].phones.map(phone => phone.value), ['+79161234567', '+79161234567', '+74951234567']);
+});
+
+test('exports vCard and JSON', () => {
+    const [card] = parseVCards(formatContacts(CONTACTS, 'vcf'));
+    assert.strictEqual(card.name, 'Иван Петров');
+    assert.strictEqual(card.company, 'ООО Ромашка; филиал');
+    assert.deepStrictEqual(card.phones, [{ value: '+79161234567', type: 'mobile' }, { value: '+74951234567', type: 'work' }]);
+    assert.strictEqual(detectImportFormat('export.txt', 'BEGIN:VCARD\nEND:VCARD'), 'vcf');
+
+    const [json] = JSON.parse(formatContacts(CONTACTS, 'json'));
+    assert.deepStrictEqual(json.phones, [{ phone: '+79161234567', type: 'mobile' }, { phone: '+74951234567', type: 'work' }]);
+    assert.deepStrictEqual(json.messengers, [{ kind: 'telegram', value: '@ivan' }]);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+// Создание, удаление в корзину, восстановление и массовые операции через API
+let server;
+let workspaceId;
+
+test.before(async () => {
+    server = await startServer();
+    await server.sendMessage('привет');
+    workspaceId = (await server.api('/api/workspaces')).body.data[0].id;
+});
+
+test.after(() => server.stop());
+
+const api = (requestPath, options = {}) => server.api(requestPath, {
+    ...options,
+    headers: { 'X-Workspace-Id': String(workspaceId), ...options.headers }
+});
+const create = (body) => api('/api/contacts', { method: 'POST', body });
+
+test('creates a contact with a normalized phone', async () => {
+    const created = await create({ phone: '8 (916) 800-00-01', name: 'Анна', company: 'Acme', type: 'mobile' });
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual(created.body.data.normalized_phone, '+79168000001');
+    assert.strictEqual(created.body.data.workspace_id, workspaceId);
+
+    const duplicate = await create({ phone: '+7 916 800-00-01' });
+    assert.strictEqual(duplicate.status, 409);
+    assert.strictEqual(duplicate.body.contact_id, created.body.data.id);
+});
+
+test('rejects unknown fields and invalid values', async () => {
+    const invalid = await create({ phone: '123', name: 'x'.repeat(201), id: 5 });
+    assert.strictEqual(invalid.status, 400);
+    assert.deepStrictEqual(invalid.body.details.map(error => error.field), ['id', 'name']);
+
+    const badPhone = await create({ phone: '123' });
+    assert.deepStrictEqual(badPhone.body.details, [{ field: 'phone', message: 'Invalid phone number' }]);
+
+    const contact = (await create({ phone: '+7 916 800-00-02' })).body.data;
+    const update = await api(`/api/contacts/${contact.id}`, { method: 'PUT', body: { normalized_phone: '+1' } });
+    assert.strictEqual(update.status, 400);
+
+    const merge = await api('/api/contacts/merge', { method: 'POST', body: { target_id: contact.id, source_ids: [contact.id] } });
+    assert.deepStrictEqual(merge.body.details, [{ field: 'source_ids', message: 'must contain ids other than target_id' }]);
+
+    const messenger = await api(`/api/contacts/${contact.id}/messengers`, { method: 'POST', body: { kind: 'telegram', value: 't.me/Anna_Work' } });
+    assert.deepStrictEqual(messenger.body.data.map(item => item.value), ['@anna_work']);
+    const badEmail = await api(`/api/contacts/${contact.id}/emails`, { method: 'POST', body: { email: 'anna@' } });
+    assert.deepStrictEqual(badEmail.body.details, [{ field: 'email', message: 'must be an email address' }]);
+});
+
+test('moves deleted contacts to the trash and restores them', async () => {
+    const contact = (await create({ phone: '+7 916 800-00-03', name: 'Олег' })).body.data;
+
+    assert.strictEqual((await api(`/api/contacts/${contact.id}`, { method: 'DELETE' })).status, 200);
+    assert.strictEqual((await api(`/api/contacts/${contact.id}`)).status, 404);
+    assert.ok((await api('/api/contacts/trash')).body.data.some(item => item.id === contact.id));
+
+    const restored = await api(`/api/contacts/${contact.id}/restore`, { method: 'POST' });
+    assert.strictEqual(restored.body.data.name, 'Олег');
+    assert.strictEqual((await api(`/api/contacts/${contact.id}/restore`, { method: 'POST' })).status, 400);
+});
+
+test('updates and deletes contacts in bulk', async () => {
+    const ids = [];
+    for (const phone of ['+79168000004', '+79168000005']) {
+        ids.push((await create({ phone })).body.data.id);
+    }
+
+    const updated = await api('/api/contacts/bulk', { method: 'POST', body: { action: 'update', ids: [...ids, 999999], fields: { company: 'Globex' } } });
+    assert.deepStrictEqual(updated.body.data, { action: 'update', processed: 2, not_found: [999999] });
+    assert.strictEqual((await api(`/api/contacts/${ids[1]}`)).body.data.company, 'Globex');
+
+    const badFields = await api('/api/contacts/bulk', { method: 'POST', body: { action: 'update', ids, fields: { phone: '1' } } });
+    assert.deepStrictEqual(badFields.body.details, [{ field: 'fields.phone', message: 'Unknown field' }]);
+
+    const deleted = await api('/api/contacts/bulk', { method: 'POST', body: { action: 'delete', ids } });
+    assert.strictEqual(deleted.body.data.processed, 2);
+    const restored = await api('/api/contacts/bulk', { method: 'POST', body: { action: 'restore', ids } });
+    assert.strictEqual(restored.body.data.processed, 2);
+});
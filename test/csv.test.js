@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, formatCsv, detectDelimiter, unescapeFormula } = require('../csv');
+
+test('reads quoted fields, escaped quotes and line breaks', () => {
+    const text = '﻿Name,Phone,Note\r\n"Smith, John",+1 555 0100,"said ""hi""\nand left"\r\n\r\nAnna,+7 916 123-45-67,\r\n';
+    assert.deepStrictEqual(parseCsv(text), [
+        ['Name', 'Phone', 'Note'],
+        ['Smith, John', '+1 555 0100', 'said "hi"\nand left'],
+        ['Anna', '+7 916 123-45-67', '']
+    ]);
+});
+
+test('detects the delimiter Excel used', () => {
+    assert.strictEqual(detectDelimiter('Имя;Телефон;Компания\nАнна;+7 916;Acme'), ';');
+    assert.strictEqual(detectDelimiter('name\tphone'), '\t');
+    assert.deepStrictEqual(parseCsv('Имя;Телефон\nАнна;+79161234567'), [['Имя', 'Телефон'], ['Анна', '+79161234567']]);
+});
+
+test('quotes fields that need it and prefixes a BOM', () => {
+    assert.strictEqual(formatCsv([['a', 'b,c', 'say "x"', null]]), '﻿a,"b,c","say ""x""",\r\n');
+});
+
+test('keeps spreadsheet formulas from running', () => {
+    const csv = formatCsv([['=HYPERLINK("http://evil")', '+79161234567', '@SUM(A1)', '-1', 'plain']]);
+    const [row] = parseCsv(csv);
+
+    assert.deepStrictEqual(row, ['\'=HYPERLINK("http://evil")', '\'+79161234567', '\'@SUM(A1)', '\'-1', 'plain']);
+    assert.deepStrictEqual(row.map(unescapeFormula), ['=HYPERLINK("http://evil")', '+79161234567', '@SUM(A1)', '-1', 'plain']);
+    assert.strictEqual(unescapeFormula("'quoted text"), "'quoted text");
+});
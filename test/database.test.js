@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { openDatabase, closeDatabase, database } = require('../database');
+
+// Репозиторий на временной базе в памяти: миграции применяются при открытии, как на сервере
+let workspaceId;
+
+test.before(async () => {
+    await openDatabase(':memory:');
+    workspaceId = await database.createWorkspace('Test', -100);
+});
+
+test.after(() => closeDatabase());
+
+const addContact = (phone, name = null, company = null, context = null) =>
+    database.saveContact(phone, phone, name, company, context, 'mobile', workspaceId);
+
+test('saves a contact with its primary phone', async () => {
+    const id = await addContact('+79161230001', 'Иван Петров', 'ООО Ромашка');
+
+    const found = await database.findContactByPhone('+79161230001', workspaceId);
+    assert.strictEqual(found.id, id);
+
+    const details = await database.getContactDetails(id);
+    assert.deepStrictEqual(details.phones.map(phone => [phone.normalized_phone, phone.type]), [['+79161230001', 'mobile']]);
+    assert.strictEqual((await database.getContactHistory(id))[0].action, 'create');
+});
+
+test('keeps phones unique within a workspace only', async () => {
+    const otherWorkspaceId = await database.createWorkspace('Other', -200);
+    await addContact('+79161230002');
+    await database.saveContact('+79161230002', '+79161230002', null, null, null, 'other', otherWorkspaceId);
+
+    const [own, other] = await Promise.all([
+        database.findContactByPhone('+79161230002', workspaceId),
+        database.findContactByPhone('+79161230002', otherWorkspaceId)
+    ]);
+    assert.notStrictEqual(own.id, other.id);
+});
+
+test('updates only changed fields and records them in history', async () => {
+    const id = await addContact('+79161230003', 'Анна');
+
+    assert.strictEqual(await database.updateContact(id, { name: 'Анна', company: 'Globex Inc' }), 1);
+    const [entry] = await database.getContactHistory(id);
+    assert.strictEqual(entry.action, 'update');
+    assert.deepStrictEqual(entry.new_values, { company: 'Globex Inc' });
+
+    assert.strictEqual(await database.updateContact(0, { name: 'Nobody' }), 0);
+});
+
+test('a manually edited context is no longer message text', async () => {
+    const id = await addContact('+79161230004', null, null, 'Текст сообщения');
+    await database.markMessageContext(id, 'Текст сообщения');
+    assert.ok((await database.getContactById(id)).message_context_at);
+
+    await database.updateContact(id, { context: 'Заметка' });
+    assert.strictEqual((await database.getContactById(id)).message_context_at, null);
+});
+
+test('finds contacts by name, company and context', async () => {
+    const id = await addContact('+79161230005', 'Мария Соколова', 'Initech', 'Поставщик бумаги');
+
+    for (const query of ['соколова', 'Initech', 'бумаги']) {
+        const results = await database.searchContacts(query, workspaceId);
+        assert.ok(results.some(contact => contact.id === id), query);
+    }
+});
+
+test('merges contacts into the target', async () => {
+    const targetId = await addContact('+79161230006', 'Олег');
+    const sourceId = await addContact('+79161230007', null, 'Acme Ltd');
+    await database.addContactEmail(sourceId, 'oleg@example.com');
+
+    const merged = await database.mergeContacts(targetId, [sourceId]);
+    assert.strictEqual(merged.id, targetId);
+    assert.strictEqual(merged.company, 'Acme Ltd');
+
+    const details = await database.getContactDetails(targetId);
+    assert.deepStrictEqual(details.phones.map(phone => phone.normalized_phone).sort(), ['+79161230006', '+79161230007']);
+    assert.deepStrictEqual(details.emails.map(email => email.email), ['oleg@example.com']);
+    assert.strictEqual(await database.getContactById(sourceId), undefined);
+});
+
+test('deletes to trash, restores and purges a contact', async () => {
+    const id = await addContact('+79161230008', 'Петр');
+
+    await database.deleteContact(id);
+    assert.strictEqual(await database.findContactByPhone('+79161230008', workspaceId), undefined);
+    assert.ok((await database.getDeletedContacts(workspaceId)).some(contact => contact.id === id));
+
+    await database.restoreContact(id);
+    assert.strictEqual((await database.findContactByPhone('+79161230008', workspaceId)).id, id);
+
+    const purged = await database.purgeContact(id);
+    assert.deepStrictEqual(purged.phones, ['+79161230008']);
+    assert.strictEqual(await database.getContactById(id), undefined);
+    assert.deepStrictEqual(await database.getContactPhones(id), []);
+});
+
+test('runs concurrent writes through one transaction at a time', async () => {
+    const ids = [];
+    for (let i = 10; i < 16; i++) {
+        ids.push(await addContact(`+791612300${i}`, `Контакт ${i}`));
+    }
+
+    const results = await Promise.allSettled([
+        database.mergeContacts(ids[0], [ids[1]]),
+        database.mergeContacts(ids[2], [ids[3]]),
+        database.purgeContact(ids[4]),
+        addContact('+79161230020', 'Новый'),
+        database.updateContact(ids[5], { company: 'Umbrella' })
+    ]);
+
+    assert.deepStrictEqual(results.map(result => result.status), Array(5).fill('fulfilled'));
+    assert.strictEqual((await database.getContactById(ids[5])).company, 'Umbrella');
+    assert.strictEqual(await database.getContactById(ids[4]), undefined);
+});
+
+test('blocked phones are reported until unblocked', async () => {
+    await database.blockPhone('+79161230030', 'request');
+    assert.ok(await database.isPhoneBlocked('+79161230030'));
+
+    await database.unblockPhone('+79161230030');
+    assert.ok(!(await database.isPhoneBlocked('+79161230030')));
+});
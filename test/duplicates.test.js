@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findDuplicateGroups, mergeFields, pickMergeTarget } = require('../duplicates');
+
+const contact = (id, name = null, company = null, context = null) => ({ id, normalized_phone: `+7916000000${id}`, name, company, context });
+const groupIds = (groups) => groups.map(group => [group.contacts.map(item => item.id), group.reasons.sort()]);
+
+test('groups contacts whose numbers match after normalization', () => {
+    const contacts = [contact(1), contact(2), contact(3)];
+    const phones = [
+        { contact_id: 1, phone: '+7 916 123-45-67', normalized_phone: '+79161234567' },
+        // Сохранен до исправления нормализации
+        { contact_id: 2, phone: '8 (916) 123-45-67', normalized_phone: '89161234567' },
+        { contact_id: 3, phone: '+7 916 765-43-21', normalized_phone: '+79167654321' }
+    ];
+
+    assert.deepStrictEqual(groupIds(findDuplicateGroups(contacts, phones, 'RU')), [[[1, 2], ['phone']]]);
+});
+
+test('groups contacts with the same name and company', () => {
+    const contacts = [contact(1, 'Иван Петров', 'ООО Ромашка'), contact(2, 'петров иван', 'ооо «ромашка»'), contact(3, 'Иван Петров', 'Globex')];
+
+    assert.deepStrictEqual(groupIds(findDuplicateGroups(contacts, [], 'RU')), [[[1, 2], ['name_company']]]);
+});
+
+test('groups similar names unless the companies differ', () => {
+    const contacts = [
+        contact(1, 'Александр Смирнов'),
+        contact(2, 'Александр Смирнав', 'Acme'),
+        contact(3, 'Мария Иванова', 'Acme'),
+        contact(4, 'Мария Иванава', 'Globex')
+    ];
+
+    assert.deepStrictEqual(groupIds(findDuplicateGroups(contacts, [], 'RU')), [[[1, 2], ['fuzzy_name']]]);
+});
+
+test('keeps the fullest contact and fills its empty fields', () => {
+    const sparse = contact(1, 'Иван');
+    const full = contact(2, null, 'Acme', 'встреча в офисе');
+    const target = pickMergeTarget([sparse, full]);
+
+    assert.strictEqual(target.id, 2);
+    assert.deepStrictEqual(mergeFields(target, [{ ...sparse, context: 'звонил вчера' }]), {
+        name: 'Иван',
+        company: 'Acme',
+        context: 'встреча в офисе\n---\nзвонил вчера'
+    });
+});
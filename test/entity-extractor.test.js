@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EntityExtractor = require('../entity-extractor');
+const PhoneParser = require('../phone-parser');
+
+// Предложения для первого номера в тексте в виде { name, company } с источником имени
+const suggest = (text, sender = null) => {
+    const [phone] = PhoneParser.parsePhoneNumbers(text, 'RU');
+    const suggestions = EntityExtractor.extract(text, phone, sender);
+    return Object.fromEntries(suggestions.map(suggestion => [suggestion.field, `${suggestion.value} (${suggestion.source})`]));
+};
+
+test('finds a name and company next to the phone', () => {
+    assert.deepStrictEqual(suggest('Иван Петров, ООО Ромашка, +7 916 123-45-67'), {
+        name: 'Иван Петров (text)',
+        company: 'ООО Ромашка (text)'
+    });
+    assert.deepStrictEqual(suggest('Контактное лицо: Анна Смирнова, ООО «Вектор Плюс», тел. 8 903 765-43-21'), {
+        name: 'Анна Смирнова (text)',
+        company: 'ООО Вектор Плюс (text)'
+    });
+});
+
+test('understands "ask Maria from Acme"', () => {
+    assert.deepStrictEqual(suggest('Please ask Maria from Acme, phone +49 151 23456789'), {
+        name: 'Maria (text)',
+        company: 'Acme (text)'
+    });
+});
+
+test('reads signature blocks line by line', () => {
+    assert.deepStrictEqual(suggest('--\nJohn Smith\nSales Manager\nGlobex Inc.\n+49 30 1234567'), {
+        name: 'John Smith (text)',
+        company: 'Globex Inc (text)'
+    });
+    assert.deepStrictEqual(suggest('С уважением,\nИван Петров\nООО «Ромашка»\n+7 916 123-45-67'), {
+        name: 'Иван Петров (text)',
+        company: 'ООО Ромашка (text)'
+    });
+});
+
+test('falls back to the sender name', () => {
+    assert.deepStrictEqual(suggest('мой номер +7 916 123-45-67', { first_name: 'Олег', last_name: 'Иванов' }), {
+        name: 'Олег Иванов (sender)'
+    });
+    assert.deepStrictEqual(suggest('мой номер +7 916 123-45-67', { first_name: 'Helper', is_bot: true }), {});
+});
+
+test('ignores greetings and other capitalized words', () => {
+    assert.deepStrictEqual(suggest('Привет! Звоните +7 916 123-45-67'), {});
+});
+
+test('collects emails, Telegram usernames and WhatsApp links', () => {
+    const links = EntityExtractor.extractLinks(
+        'Пишите Ivan.Petrov@Example.com или @ivan_petrov, t.me/IvanWork, https://wa.me/79161234567, бот @helper_bot'
+    );
+
+    assert.deepStrictEqual(links, {
+        emails: ['ivan.petrov@example.com'],
+        telegram: ['@ivan_petrov', '@ivanwork'],
+        whatsapp: ['https://wa.me/79161234567']
+    });
+});
@@ -0,0 +1,54 @@
+// Подмена Telegram Bot API для тестов сервера (подключается через node -r): запросы не уходят в сеть,
+// а печатаются в stdout строками TELEGRAM_CALL <json>. Файлы для getFileLink отдаются из каталога FAKE_TELEGRAM_FILES,
+// администраторы чатов для getChatMember перечисляются в FAKE_TELEGRAM_ADMINS
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { Telegram } = require('telegraf');
+
+const ADMINS = String(process.env.FAKE_TELEGRAM_ADMINS || '').split(',').filter(Boolean);
+
+const fileServer = http.createServer((req, res) => {
+    const file = path.join(process.env.FAKE_TELEGRAM_FILES || '.', path.basename(decodeURIComponent(req.url)));
+    if (!fs.existsSync(file)) {
+        res.statusCode = 404;
+        return res.end();
+    }
+    res.end(fs.readFileSync(file));
+});
+const fileServerReady = new Promise(resolve => fileServer.listen(0, '127.0.0.1', resolve));
+fileServer.unref();
+
+let messageId = 1000;
+
+const reply = (method, payload) => {
+    switch (method) {
+        case 'getMe':
+            return { id: 1, is_bot: true, first_name: 'Test Bot', username: 'test_bot' };
+        case 'getChatMember':
+            return { status: ADMINS.includes(String(payload.user_id)) ? 'administrator' : 'member', user: { id: payload.user_id } };
+        case 'getFile':
+            return { file_id: payload.file_id, file_path: payload.file_id };
+        case 'answerCallbackQuery':
+        case 'answerInlineQuery':
+        case 'setWebhook':
+        case 'deleteMessage':
+            return true;
+        default:
+            return { message_id: messageId++, chat: { id: payload.chat_id }, date: Math.floor(Date.now() / 1000), text: payload.text };
+    }
+};
+
+Telegram.prototype.callApi = async function(method, payload = {}) {
+    const result = reply(method, payload);
+    // Файлы (InputFile) в журнал не попадают; result - ответ, который получил бот
+    console.log(`TELEGRAM_CALL ${JSON.stringify({ method, payload, result }, (key, value) => (value && value.source ? '[file]' : value))}`);
+    return result;
+};
+
+Telegram.prototype.getFileLink = async function(file) {
+    await fileServerReady;
+    const fileId = typeof file === 'string' ? file : file.file_id;
+    return new URL(`http://127.0.0.1:${fileServer.address().port}/${encodeURIComponent(fileId)}`);
+};
@@ -0,0 +1,23 @@
+// initData Telegram Mini App, подписанная так же, как это делает Telegram
+const crypto = require('crypto');
+
+const BOT_TOKEN = '123456:test-token';
+
+const signInitData = (fields, botToken = BOT_TOKEN) => {
+    const params = new URLSearchParams(fields);
+    const dataCheckString = [...params.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, value]) => `${key}=${value}`)
+        .join('\n');
+    const secret = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+    params.set('hash', crypto.createHmac('sha256', secret).update(dataCheckString).digest('hex'));
+    return params.toString();
+};
+
+// Заголовки запроса к API от имени пользователя Telegram вместо API-ключа
+const telegramHeaders = (user) => ({
+    'X-API-Key': '',
+    Authorization: `tma ${signInitData({ auth_date: String(Math.floor(Date.now() / 1000)), user: JSON.stringify(user) })}`
+});
+
+module.exports = { BOT_TOKEN, signInitData, telegramHeaders };
@@ -0,0 +1,176 @@
+// Сервер для тестов: server.js в отдельном процессе с временной базой и подмененным Telegram API
+// (fake-telegram.js). Обновления бота отправляются на /webhook, ответы бота собираются из вызовов API
+
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ROOT = path.join(__dirname, '..', '..');
+const WEBHOOK_SECRET = 'test-webhook-secret';
+// Заголовок X-Telegram-Bot-Api-Secret-Token, который Telegram получает от сервера в setWebhook
+const webhookSecretToken = (secret = WEBHOOK_SECRET) => crypto.createHash('sha256').update(secret).digest('hex');
+const API_KEY = 'test-api-key';
+const READY_LINE = 'Bot running in webhook mode';
+const START_TIMEOUT = 20000;
+const WAIT_TIMEOUT = 5000;
+
+const freePort = () => new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+        const { port } = server.address();
+        server.close(() => resolve(port));
+    });
+});
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// env - дополнительные переменные окружения сервера
+const startServer = async ({ env = {} } = {}) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'phone-bot-test-'));
+    const port = await freePort();
+    const url = `http://127.0.0.1:${port}`;
+    const calls = [];
+    let output = '';
+
+    const child = spawn(process.execPath, ['-r', path.join(__dirname, 'fake-telegram.js'), 'server.js'], {
+        cwd: ROOT,
+        env: {
+            ...process.env,
+            NODE_ENV: 'production',
+            PORT: String(port),
+            BOT_TOKEN: '123456:test-token',
+            WEBHOOK_SECRET,
+            API_KEYS: `test:${API_KEY}`,
+            DATABASE_URL: path.join(directory, 'database.db'),
+            BACKUP_DIR: path.join(directory, 'backups'),
+            RENDER_EXTERNAL_URL: url,
+            FAKE_TELEGRAM_FILES: directory,
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let buffer = '';
+    child.stdout.on('data', (chunk) => {
+        buffer += chunk;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            if (line.startsWith('TELEGRAM_CALL ')) {
+                calls.push(JSON.parse(line.substring('TELEGRAM_CALL '.length)));
+            } else {
+                output += `${line}\n`;
+            }
+        }
+    });
+    child.stderr.on('data', (chunk) => {
+        output += chunk;
+    });
+    const exited = new Promise(resolve => child.once('exit', resolve));
+
+    const started = Date.now();
+    while (!output.includes(READY_LINE)) {
+        if (child.exitCode !== null || Date.now() - started > START_TIMEOUT) {
+            child.kill();
+            throw new Error(`Server did not start:\n${output}`);
+        }
+        await delay(50);
+    }
+
+    let updateId = 1;
+    let messageId = 1;
+
+    const server = {
+        url,
+        directory,
+        calls,
+        output: () => output,
+
+        // Запрос к API с ключом из API_KEYS; возвращает { status, body }
+        api: async (requestPath, { method = 'GET', body, headers = {} } = {}) => {
+            const response = await fetch(`${url}${requestPath}`, {
+                method,
+                headers: { 'X-API-Key': API_KEY, ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}), ...headers },
+                body: body !== undefined ? JSON.stringify(body) : undefined
+            });
+            const text = await response.text();
+            let parsed = text;
+            try {
+                parsed = JSON.parse(text);
+            } catch (error) {
+                // не JSON - остается текстом
+            }
+            return { status: response.status, body: parsed, headers: response.headers };
+        },
+
+        // Обновление Telegram целиком; возвращает вызовы API, сделанные во время его обработки
+        sendUpdate: async (update, { secret = webhookSecretToken() } = {}) => {
+            const before = calls.length;
+            const response = await fetch(`${url}/webhook`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...(secret ? { 'X-Telegram-Bot-Api-Secret-Token': secret } : {}) },
+                body: JSON.stringify({ update_id: updateId++, ...update })
+            });
+            await response.text();
+            return Object.assign(calls.slice(before), { status: response.status });
+        },
+
+        // Сообщение в чат: fields дополняют или заменяют поля message (caption, contact, document...)
+        sendMessage: (text, { chat = { id: -100, type: 'supergroup', title: 'Test chat' }, from = { id: 42, first_name: 'Ivan' }, type = 'message', ...fields } = {}) => {
+            const message = {
+                message_id: fields.message_id || messageId++,
+                date: Math.floor(Date.now() / 1000),
+                chat,
+                from: { is_bot: false, ...from },
+                ...(text !== null ? { text } : {}),
+                ...fields
+            };
+            if (text && text.startsWith('/')) {
+                message.entities = [{ type: 'bot_command', offset: 0, length: text.split(/\s/)[0].length }];
+            }
+            return server.sendUpdate({ [type]: message });
+        },
+
+        // Нажатие инлайн-кнопки с callback_data data под сообщением бота
+        pressButton: (data, { chat = { id: -100, type: 'supergroup', title: 'Test chat' }, from = { id: 42, first_name: 'Ivan' }, message = {} } = {}) => (
+            server.sendUpdate({
+                callback_query: {
+                    id: String(updateId),
+                    from: { is_bot: false, ...from },
+                    chat_instance: '1',
+                    data,
+                    message: { message_id: messageId++, date: Math.floor(Date.now() / 1000), chat, text: 'bot message', ...message }
+                }
+            })
+        ),
+
+        // Ожидание вызова API, для которого predicate(call) истинно; вызовы после отправки обновления
+        // могут завершаться уже после ответа на /webhook
+        waitForCall: async (predicate, timeout = WAIT_TIMEOUT) => {
+            const started = Date.now();
+            for (;;) {
+                const call = calls.find(predicate);
+                if (call) return call;
+                if (Date.now() - started > timeout) throw new Error('Expected Telegram API call was not made');
+                await delay(20);
+            }
+        },
+
+        stop: async () => {
+            child.kill();
+            await exited;
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    };
+    return server;
+};
+
+// Тексты сообщений бота из списка вызовов API
+const replies = (calls) => calls.filter(call => call.method === 'sendMessage').map(call => call.payload.text);
+
+module.exports = { startServer, replies, webhookSecretToken };
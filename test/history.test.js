@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+const { telegramHeaders } = require('./helpers/init-data');
+
+// История изменений контакта и откат правок
+const CHAT = { id: -401, type: 'supergroup', title: 'Sales' };
+const USER = { id: 42, first_name: 'Ivan', username: 'ivan' };
+
+let server;
+
+test.before(async () => {
+    server = await startServer();
+});
+
+test.after(() => server.stop());
+
+const contactByPhone = async (phone) => {
+    const { body } = await server.api(`/api/contacts?search=${encodeURIComponent(phone)}`);
+    return body.data.find(contact => contact.normalized_phone === phone);
+};
+const history = async (id) => (await server.api(`/api/contacts/${id}/history`)).body.data;
+
+test('records who changed a contact and from where', async () => {
+    await server.sendMessage('тел +7 916 700-00-01', { chat: CHAT, from: USER });
+    await server.sendMessage('/add +79167000001 Олег Acme', { chat: CHAT, from: USER });
+    const contact = await contactByPhone('+79167000001');
+
+    await server.api(`/api/contacts/${contact.id}`, { method: 'PUT', body: { company: 'Globex' } });
+    await server.api(`/api/contacts/${contact.id}`, { method: 'PUT', body: { context: 'из веба' }, headers: telegramHeaders(USER) });
+
+    const entries = (await history(contact.id)).reverse();
+    assert.deepStrictEqual(entries.map(entry => [entry.action, entry.source, entry.actor_type]), [
+        ['create', 'bot', 'telegram'],
+        ['update', 'bot', 'telegram'],
+        ['update', 'api', 'api_key'],
+        ['update', 'web', 'telegram']
+    ]);
+    assert.strictEqual(entries[0].actor_id, '42');
+    assert.deepStrictEqual(entries[1].new_values, { name: 'Олег', company: 'Acme' });
+    assert.deepStrictEqual(entries[2].old_values, { company: 'Acme' });
+    assert.deepStrictEqual(entries[2].new_values, { company: 'Globex' });
+    assert.strictEqual(entries[2].actor_name, 'test');
+    assert.deepStrictEqual(entries.map(entry => entry.revertible), [false, true, true, true]);
+});
+
+test('keeps the contact when the same number is posted again', async () => {
+    await server.sendMessage('/add +79167000002 Анна', { chat: CHAT, from: USER });
+    const before = await contactByPhone('+79167000002');
+
+    await server.sendMessage('снова +7 916 700-00-02', { chat: CHAT, from: USER });
+    const after = await contactByPhone('+79167000002');
+
+    assert.strictEqual(after.id, before.id);
+    assert.strictEqual(after.name, 'Анна');
+});
+
+test('reverts an edit and records the revert', async () => {
+    await server.sendMessage('/add +79167000003 Мария Acme', { chat: CHAT, from: USER });
+    const contact = await contactByPhone('+79167000003');
+    await server.api(`/api/contacts/${contact.id}`, { method: 'PUT', body: { name: 'Ошибка', company: 'Globex' } });
+
+    const [update, create] = await history(contact.id);
+    const reverted = await server.api(`/api/contacts/${contact.id}/history/${update.id}/revert`, { method: 'POST' });
+    assert.strictEqual(reverted.status, 200);
+    assert.strictEqual(reverted.body.data.name, 'Мария');
+    assert.strictEqual(reverted.body.data.company, 'Acme');
+    assert.strictEqual((await history(contact.id))[0].action, 'revert');
+
+    const notRevertible = await server.api(`/api/contacts/${contact.id}/history/${create.id}/revert`, { method: 'POST' });
+    assert.strictEqual(notRevertible.status, 400);
+    const foreign = await server.api(`/api/contacts/${contact.id}/history/999999/revert`, { method: 'POST' });
+    assert.strictEqual(foreign.status, 404);
+});
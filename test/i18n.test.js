@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LOCALES, normalizeLocale, detectLocale, translate, getMessages } = require('../i18n');
+const { startServer, replies } = require('./helpers/server');
+const { telegramHeaders } = require('./helpers/init-data');
+
+// Каталоги сообщений и язык пользователя в боте и веб-интерфейсе
+const ENGLISH = { id: 7, first_name: 'John', language_code: 'en' };
+
+test('keeps the same keys in every catalog', () => {
+    const keys = LOCALES.map(locale => Object.keys(require(`../locales/${locale}.json`)).sort());
+    for (const other of keys.slice(1)) assert.deepStrictEqual(other, keys[0]);
+});
+
+test('picks the locale from the Telegram language code', () => {
+    assert.strictEqual(normalizeLocale('en-US'), 'en');
+    assert.strictEqual(normalizeLocale('de'), null);
+    assert.strictEqual(detectLocale(undefined), 'ru');
+    assert.strictEqual(detectLocale('uk'), 'ru');
+    assert.strictEqual(detectLocale('de'), 'en');
+});
+
+test('translates with parameters and plural forms', () => {
+    assert.strictEqual(translate('en', 'source.import', { file: 'crm.csv' }), 'Import: crm.csv');
+    assert.strictEqual(translate('ru', 'bot.export.caption', { count: 1 }), '📤 1 контакт');
+    assert.strictEqual(translate('ru', 'bot.export.caption', { count: 5 }), '📤 5 контактов');
+    assert.strictEqual(translate('en', 'bot.export.caption', { count: 5 }), '📤 5 contacts');
+    assert.strictEqual(translate('en', 'missing.key'), 'missing.key');
+
+    const messages = getMessages('en', 'web.');
+    assert.strictEqual(messages['mentions.open'], translate('en', 'web.mentions.open'));
+    assert.ok(!Object.keys(messages).some(key => key.startsWith('bot.') || key.startsWith('source.')));
+});
+
+test('answers in the user\'s language in the bot and the API', async () => {
+    const server = await startServer();
+    try {
+        assert.ok(replies(await server.sendMessage('/search nobody', { from: ENGLISH })).includes('Nothing found'));
+        assert.ok(replies(await server.sendMessage('/lang ru', { from: ENGLISH })).join('\n').includes('Русский'));
+        assert.ok(!replies(await server.sendMessage('/search nobody', { from: ENGLISH })).includes('Nothing found'));
+        await server.sendMessage('/lang auto', { from: ENGLISH });
+
+        const i18n = (headers, query = '') => server.api(`/api/i18n${query}`, { headers: { 'X-API-Key': '', ...headers } });
+        assert.strictEqual((await i18n({})).body.data.locale, 'ru');
+        assert.strictEqual((await i18n({}, '?lang=en')).body.data.locale, 'en');
+        assert.strictEqual((await i18n({ 'Accept-Language': 'en-GB,en;q=0.9' })).body.data.locale, 'en');
+        const { body } = await i18n(telegramHeaders(ENGLISH));
+        assert.strictEqual(body.data.locale, 'en');
+        assert.strictEqual(body.data.messages['mentions.open'], 'open');
+
+        // Источник контакта - на языке отправителя или запроса
+        await server.sendMessage(null, { from: ENGLISH, contact: { phone_number: '+79161500001', first_name: 'Anna' } });
+        const workspaceId = (await server.api('/api/workspaces')).body.data[0].id;
+        await server.api('/api/import', {
+            method: 'POST',
+            body: { content: 'phone,name\n+79161500002,Oleg', file_name: 'crm.csv', dry_run: false },
+            headers: { 'X-Workspace-Id': String(workspaceId), 'Accept-Language': 'en' }
+        });
+        const contexts = (await server.api(`/api/contacts?workspace_id=${workspaceId}`)).body.data
+            .map(contact => [contact.normalized_phone, contact.context]).sort();
+        assert.deepStrictEqual(contexts, [['+79161500001', 'Telegram contact'], ['+79161500002', 'Import: crm.csv']]);
+    } finally {
+        await server.stop();
+    }
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, replies } = require('./helpers/server');
+
+// Импорт CSV и vCard с проверкой, выгрузка через API и бота
+let server;
+let workspaceId;
+
+test.before(async () => {
+    server = await startServer();
+    await server.sendMessage('привет');
+    workspaceId = (await server.api('/api/workspaces')).body.data[0].id;
+});
+
+test.after(() => server.stop());
+
+const api = (requestPath, options = {}) => server.api(requestPath, {
+    ...options,
+    headers: { 'X-Workspace-Id': String(workspaceId), ...options.headers }
+});
+
+const CSV = [
+    'Имя,Телефон,Компания,Email',
+    'Анна Смирнова,+7 916 900-00-01,Acme,anna@example.com',
+    'Без номера,12,,',
+    'Олег,8 916 900-00-02,,',
+    'Олег дубль,+7 916 900-00-02,,'
+].join('\n');
+
+test('previews an import without saving anything', async () => {
+    const { body } = await api('/api/import', { method: 'POST', body: { content: CSV, file_name: 'crm.csv' } });
+
+    assert.strictEqual(body.data.dry_run, true);
+    assert.deepStrictEqual(body.data.mapping, { 'Имя': 'first_name', 'Телефон': 'phone', 'Компания': 'company', 'Email': 'email' });
+    assert.deepStrictEqual(
+        body.data.report.rows.map(row => [row.row, row.status, row.reason]),
+        [[2, 'created', null], [3, 'skipped', 'invalid_phone'], [4, 'created', null], [5, 'skipped', 'duplicate_in_file']]
+    );
+    assert.strictEqual((await api('/api/contacts')).body.data.length, 0);
+});
+
+test('imports, then reports unchanged rows as skipped', async () => {
+    const imported = await api('/api/import', { method: 'POST', body: { content: CSV, dry_run: false } });
+    assert.deepStrictEqual([imported.body.data.report.created, imported.body.data.report.skipped], [2, 2]);
+
+    const anna = (await api('/api/contacts?search=Смирнова')).body.data[0];
+    const details = (await api(`/api/contacts/${anna.id}`)).body.data;
+    assert.strictEqual(details.company, 'Acme');
+    assert.deepStrictEqual(details.emails.map(email => email.email), ['anna@example.com']);
+
+    const again = await api('/api/import', { method: 'POST', body: { content: CSV } });
+    assert.deepStrictEqual(again.body.data.report.rows[0].reason, 'no_changes');
+
+    const badMapping = await api('/api/import', { method: 'POST', body: { content: CSV, mapping: { 'Имя': 'nickname' } } });
+    assert.strictEqual(badMapping.status, 400);
+});
+
+test('exports the address book honoring the search', async () => {
+    const csv = await api('/api/export?format=csv&search=Acme');
+    assert.match(csv.headers.get('content-type'), /^text\/csv/);
+    assert.match(csv.headers.get('content-disposition'), /contacts\.csv/);
+    const lines = csv.body.trim().split('\r\n');
+    assert.strictEqual(lines.length, 2);
+    assert.ok(lines[1].includes("'+79169000001"));
+
+    const json = await api('/api/export?format=json');
+    assert.deepStrictEqual(json.body.map(contact => contact.phones[0].phone).sort(), ['+79169000001', '+79169000002']);
+
+    assert.strictEqual((await api('/api/export?format=xlsx')).status, 400);
+});
+
+test('exports and imports files in the chat', async () => {
+    const exported = await server.sendMessage('/export vcf');
+    const document = exported.find(call => call.method === 'sendDocument');
+    assert.ok(document.payload.caption.includes('2 контакта'));
+
+    fs.writeFileSync(path.join(server.directory, 'new.csv'), 'Name,Phone\nМария,+7 916 900-00-03\n');
+    const file = { file_id: 'new.csv', file_unique_id: 'new', file_name: 'new.csv', mime_type: 'text/csv', file_size: 40 };
+    const preview = await server.sendMessage('/import', { reply_to_message: { message_id: 1, date: 0, chat: { id: -100, type: 'supergroup' }, document: file } });
+    const check = preview.find(call => call.method === 'sendMessage');
+    const button = check.payload.reply_markup.inline_keyboard[0][0];
+    assert.match(button.callback_data, /^import:/);
+
+    const imported = await server.pressButton(button.callback_data);
+    assert.ok(replies(imported).length > 0);
+    assert.strictEqual((await api('/api/contacts?search=Мария')).body.data[0].normalized_phone, '+79169000003');
+});
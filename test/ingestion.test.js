@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, replies } = require('./helpers/server');
+
+// Источники номеров: подписи к файлам, карточки контактов, пересланные и отредактированные сообщения, файлы .vcf
+let server;
+
+test.before(async () => {
+    server = await startServer();
+});
+
+test.after(() => server.stop());
+
+const findContact = async (phone) => {
+    const { body } = await server.api(`/api/contacts?search=${encodeURIComponent(phone)}`);
+    return body.data.find(contact => contact.normalized_phone === phone || (contact.all_phones || '').includes(phone));
+};
+
+test('reads phones from photo captions', async () => {
+    const calls = await server.sendMessage(null, {
+        photo: [{ file_id: 'photo', file_unique_id: 'photo', width: 10, height: 10 }],
+        caption: 'Визитка: тел. +7 916 111-22-33'
+    });
+
+    assert.ok(replies(calls).some(text => text.includes('+79161112233')));
+    assert.ok(await findContact('+79161112233'));
+});
+
+test('saves shared Telegram contacts with their names', async () => {
+    await server.sendMessage(null, {
+        contact: { phone_number: '79162223344', first_name: 'Мария', last_name: 'Соколова' }
+    });
+
+    const contact = await findContact('+79162223344');
+    assert.strictEqual(contact.name, 'Мария Соколова');
+});
+
+test('reads forwarded messages without suggesting the forwarder as the name', async () => {
+    const calls = await server.sendMessage('звоните +7 916 333-44-55', {
+        forward_origin: { type: 'hidden_user', sender_user_name: 'Someone', date: 1 },
+        forward_date: 1
+    });
+
+    assert.ok(replies(calls).some(text => text.includes('+79163334455') && !text.includes('Ivan')));
+});
+
+test('replies to edited messages only about new phones', async () => {
+    await server.sendMessage('тел +7 916 444-55-66', { message_id: 500 });
+    const calls = await server.sendMessage('тел +7 916 444-55-66, моб +7 916 555-66-77', { message_id: 500, type: 'edited_message' });
+
+    const text = replies(calls).join('\n');
+    assert.ok(text.includes('+79165556677'));
+    assert.ok(!text.includes('+79164445566'));
+});
+
+test('imports every contact from a .vcf file', async () => {
+    fs.writeFileSync(path.join(server.directory, 'team.vcf'), [
+        'BEGIN:VCARD', 'VERSION:3.0', 'FN:Олег Иванов', 'ORG:Globex', 'TEL;TYPE=CELL:+7 916 666-77-88', 'TEL;TYPE=WORK:+7 495 666-77-88', 'END:VCARD',
+        'BEGIN:VCARD', 'VERSION:4.0', 'FN:Anna Schmidt', 'TEL:tel:+49-151-23456789', 'END:VCARD'
+    ].join('\r\n'));
+
+    const calls = await server.sendMessage(null, {
+        document: { file_id: 'team.vcf', file_unique_id: 'team', file_name: 'team.vcf', mime_type: 'text/vcard', file_size: 300 }
+    });
+
+    assert.ok(replies(calls).some(text => text.includes('+79166667788') && text.includes('+4915123456789')));
+    // Все номера карточки - телефоны одного человека
+    const contact = await findContact('+79166667788');
+    assert.strictEqual(contact.name, 'Олег Иванов');
+    assert.strictEqual(contact.company, 'Globex');
+    assert.strictEqual((await findContact('+74956667788')).id, contact.id);
+    assert.strictEqual((await findContact('+4915123456789')).name, 'Anna Schmidt');
+});
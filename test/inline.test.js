@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+// Инлайн-режим: «@бот запрос» ищет по пространствам, в которых состоит пользователь
+const USER = { id: 1, first_name: 'Ivan' };
+const chat = (id) => ({ id, type: 'supergroup', title: `Chat ${id}` });
+
+let server;
+
+test.before(async () => {
+    server = await startServer();
+});
+
+test.after(() => server.stop());
+
+// Ответ бота на инлайн-запрос: payload вызова answerInlineQuery
+const inlineQuery = async (query, { from = USER, offset = '' } = {}) => {
+    const calls = await server.sendUpdate({
+        inline_query: { id: `q${Date.now()}`, from: { is_bot: false, ...from }, query, offset }
+    });
+    return calls.find(call => call.method === 'answerInlineQuery').payload;
+};
+// Номер из сообщения в чате chatId с заданным именем
+const addContact = async (chatId, phone, name) => {
+    await server.sendMessage(`тел ${phone}`, { chat: chat(chatId), from: USER });
+    const { body } = await server.api(`/api/contacts?search=${encodeURIComponent(phone)}`);
+    const contact = body.data.find(found => found.normalized_phone === phone);
+    await server.api(`/api/contacts/${contact.id}`, { method: 'PUT', body: { name, company: 'Acme' } });
+    return contact;
+};
+
+test('finds contacts of the user\'s workspaces as cards and Telegram contacts', async () => {
+    await addContact(-301, '+79161300001', 'Анна Смирнова');
+    await addContact(-302, '+79161300002', 'Анна Петрова');
+
+    const { results, is_personal: personal } = await inlineQuery('анна');
+    assert.strictEqual(personal, true);
+    assert.strictEqual(results.length, 4);
+
+    const card = results.find(result => result.type === 'article' && result.title === '📇 Анна Смирнова');
+    assert.ok(card.description.startsWith('+79161300001 · Acme · 📒 '));
+    assert.ok(card.input_message_content.message_text.includes('+79161300001'));
+    assert.ok(results.some(result => result.type === 'contact'
+        && result.phone_number === '+79161300002' && result.first_name === 'Анна' && result.last_name === 'Петрова'));
+});
+
+test('shows nothing to users outside the workspaces', async () => {
+    const { results, button } = await inlineQuery('анна', { from: { id: 99, first_name: 'Stranger' } });
+    assert.deepStrictEqual(results, []);
+    assert.strictEqual(button.start_parameter, 'inline');
+});
+
+test('pages through results with next_offset', async () => {
+    for (let index = 10; index < 36; index++) {
+        await server.sendMessage(`тел +7 916 131-00-${index}`, { chat: chat(-303), from: USER });
+    }
+
+    const first = await inlineQuery('9161310');
+    assert.strictEqual(first.results.length, 50);
+    assert.ok(first.next_offset);
+
+    const second = await inlineQuery('9161310', { offset: first.next_offset });
+    assert.strictEqual(second.results.length, 2);
+    assert.strictEqual(second.next_offset, '');
+});
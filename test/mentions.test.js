@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, replies } = require('./helpers/server');
+
+// Журнал упоминаний номера в чатах
+let server;
+
+test.before(async () => {
+    server = await startServer();
+});
+
+test.after(() => server.stop());
+
+const contactByPhone = async (phone) => {
+    const { body } = await server.api(`/api/contacts?search=${encodeURIComponent(phone)}`);
+    return body.data.find(contact => (contact.all_phones || contact.normalized_phone).includes(phone));
+};
+
+test('logs every mention with chat, sender and a link to the message', async () => {
+    const sales = { id: -1001234567890, type: 'supergroup', title: 'Sales' };
+    await server.sendMessage('тел +7 916 300-00-01', { chat: sales, from: { id: 7, first_name: 'Анна', last_name: 'Смирнова' }, message_id: 501 });
+    await server.sendMessage('звоните +7 916 300-00-01', { chat: sales, message_id: 502 });
+
+    const contact = await contactByPhone('+79163000001');
+    const { body } = await server.api(`/api/contacts/${contact.id}/mentions`);
+
+    assert.strictEqual(body.pagination.total, 2);
+    assert.deepStrictEqual(body.data.map(mention => mention.link).sort(), ['https://t.me/c/1234567890/501', 'https://t.me/c/1234567890/502']);
+    const first = body.data.find(mention => mention.message_id === 501);
+    assert.strictEqual(first.chat_title, 'Sales');
+    assert.strictEqual(first.sender_name, 'Анна Смирнова');
+    assert.strictEqual(first.original_text, 'тел +7 916 300-00-01');
+});
+
+test('links public chats by username', async () => {
+    await server.sendMessage('звоните +7 916 300-00-04', {
+        chat: { id: -1009876543210, type: 'supergroup', title: 'Public', username: 'public_chat' },
+        message_id: 503
+    });
+
+    const contact = await contactByPhone('+79163000004');
+    const { body } = await server.api(`/api/contacts/${contact.id}/mentions`);
+    assert.deepStrictEqual(body.data.map(mention => mention.link), ['https://t.me/public_chat/503']);
+});
+
+test('shows how many times the number was seen', async () => {
+    await server.sendMessage('тел +7 916 300-00-02');
+    const first = await server.sendMessage('тел +7 916 300-00-02');
+    assert.ok(replies(first).join('\n').includes('2 упоминания'));
+
+    const second = await server.sendMessage('тел +7 916 300-00-02');
+    assert.ok(replies(second).join('\n').includes('3 упоминания'));
+});
+
+test('paginates mentions', async () => {
+    for (let i = 0; i < 3; i++) {
+        await server.sendMessage('тел +7 916 300-00-03');
+    }
+    const contact = await contactByPhone('+79163000003');
+
+    const { body } = await server.api(`/api/contacts/${contact.id}/mentions?limit=2&page=2`);
+    assert.strictEqual(body.data.length, 1);
+    assert.deepStrictEqual(body.pagination, { page: 2, limit: 2, total: 3, pages: 2 });
+    assert.strictEqual((await server.api('/api/contacts/999999/mentions')).status, 404);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, replies } = require('./helpers/server');
+
+// Поиск дубликатов и объединение контактов через API и бота
+let server;
+
+test.before(async () => {
+    server = await startServer();
+});
+
+test.after(() => server.stop());
+
+const contactByPhone = async (phone) => {
+    const { body } = await server.api(`/api/contacts?search=${encodeURIComponent(phone)}`);
+    return body.data.find(contact => (contact.all_phones || contact.normalized_phone).includes(phone));
+};
+
+// Имя из сообщения только предлагается, поэтому поля заполняются через API
+const addContact = async (phone, fields) => {
+    await server.sendMessage(`тел ${phone}`);
+    const contact = await contactByPhone(phone);
+    await server.api(`/api/contacts/${contact.id}`, { method: 'PUT', body: fields });
+    return contact;
+};
+
+test('lists duplicate groups and merges them through the API', async () => {
+    const first = await addContact('+79162000001', { name: 'Иван Петров', company: 'ООО Ромашка' });
+    const second = await addContact('+79162000002', { name: 'Петров Иван', company: 'ООО Ромашка' });
+
+    const { body } = await server.api(`/api/contacts/duplicates?workspace_id=${first.workspace_id}`);
+    const group = body.data.find(item => item.contacts.some(contact => contact.id === first.id));
+    assert.deepStrictEqual(group.contacts.map(contact => contact.id).sort(), [first.id, second.id].sort());
+    assert.deepStrictEqual(group.reasons, ['name_company']);
+
+    const merged = await server.api('/api/contacts/merge', {
+        method: 'POST',
+        body: { target_id: first.id, source_ids: [second.id] }
+    });
+    assert.strictEqual(merged.status, 200);
+    assert.deepStrictEqual(merged.body.data.phones.map(phone => phone.normalized_phone).sort(), ['+79162000001', '+79162000002']);
+    assert.strictEqual((await server.api(`/api/contacts/${second.id}`)).status, 404);
+
+    const again = await server.api('/api/contacts/merge', {
+        method: 'POST',
+        body: { target_id: first.id, source_ids: [second.id] }
+    });
+    assert.strictEqual(again.status, 404);
+});
+
+test('rejects a merge without sources', async () => {
+    const result = await server.api('/api/contacts/merge', { method: 'POST', body: { target_id: 1 } });
+    assert.strictEqual(result.status, 400);
+});
+
+test('merges two numbers with /merge', async () => {
+    await addContact('+79162000003', { name: 'Анна' });
+    await addContact('+79162000004', { company: 'Acme' });
+
+    const calls = await server.sendMessage('/merge +7 916 200-00-03, +7 916 200-00-04');
+    assert.ok(replies(calls).join('\n').includes('Контакты объединены'));
+    assert.strictEqual((await contactByPhone('+79162000004')).id, (await contactByPhone('+79162000003')).id);
+
+    const usage = await server.sendMessage('/merge +7 916 200-00-03');
+    assert.ok(replies(usage).join('\n').includes('Использование: /merge'));
+});
+
+test('offers buttons for found groups', async () => {
+    await addContact('+79162000005', { name: 'Мария Соколова', company: 'Globex' });
+    await addContact('+79162000006', { name: 'Мария Соколова', company: 'Globex' });
+
+    const calls = await server.sendMessage('/merge');
+    const list = calls.find(call => call.method === 'sendMessage' && call.payload.text.includes('Возможные дубликаты'));
+    const button = list.payload.reply_markup.inline_keyboard.flat()
+        .find(item => item.callback_data.startsWith('merge:'));
+    assert.ok(button);
+
+    await server.pressButton(button.callback_data);
+    assert.strictEqual((await contactByPhone('+79162000006')).id, (await contactByPhone('+79162000005')).id);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { LATEST_VERSION, runMigrations } = require('../migrations');
+
+// База data/database.db - схема до появления миграций; тесты обновляют ее копию
+const BASELINE_DATABASE = path.join(__dirname, '..', 'data', 'database.db');
+
+const connect = (filename) => {
+    const connection = new sqlite3.Database(filename);
+    const query = (method) => (sql, params = []) => new Promise((resolve, reject) => {
+        connection[method](sql, params, function(err, result) {
+            if (err) reject(err);
+            else resolve(method === 'run' ? this.changes : result);
+        });
+    });
+    return {
+        run: query('run'),
+        get: query('get'),
+        all: query('all'),
+        close: () => new Promise(resolve => connection.close(() => resolve()))
+    };
+};
+
+const appliedVersions = async (sql) =>
+    (await sql.all(`SELECT version FROM schema_migrations ORDER BY version`)).map(row => row.version);
+
+const columns = async (sql, table) => (await sql.all(`PRAGMA table_info(${table})`)).map(column => column.name);
+
+test('creates the latest schema in an empty database', async () => {
+    const sql = connect(':memory:');
+    try {
+        await runMigrations(sql);
+        assert.strictEqual(Math.max(...await appliedVersions(sql)), LATEST_VERSION);
+
+        // Повторный запуск ничего не применяет
+        await runMigrations(sql);
+        assert.strictEqual((await appliedVersions(sql)).length, LATEST_VERSION);
+    } finally {
+        await sql.close();
+    }
+});
+
+test('upgrades a baseline database', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    const filename = path.join(directory, 'database.db');
+    fs.copyFileSync(BASELINE_DATABASE, filename);
+
+    const sql = connect(filename);
+    try {
+        await sql.run(
+            `INSERT INTO contacts (phone, normalized_phone, name, context) VALUES (?, ?, ?, ?)`,
+            ['8 916 123-45-67', '+79161234567', 'Иван', 'Иван, пишите ivan@example.com, карта 4111 1111 1111 1111']
+        );
+        await sql.run(
+            `INSERT INTO parsed_messages (message_id, chat_id, contact_id, original_text) VALUES (?, ?, ?, ?)`,
+            [1, -100, 1, 'Иван, пишите ivan@example.com, ул. Ленина, д. 5']
+        );
+        await sql.run(`INSERT INTO contacts (phone, normalized_phone, name) VALUES (?, ?, ?)`, ['+79031112233', '+79031112233', 'Анна']);
+
+        await runMigrations(sql);
+
+        assert.deepStrictEqual(await appliedVersions(sql), Array.from({ length: LATEST_VERSION }, (_, i) => i + 1));
+        assert.ok((await columns(sql, 'contacts')).includes('workspace_id'));
+        assert.ok((await columns(sql, 'parsed_messages')).includes('phone'));
+
+        // Номер контакта есть среди его телефонов, контакты попадают в поисковый индекс
+        const phones = await sql.all(`SELECT contact_id, normalized_phone FROM contact_phones ORDER BY contact_id`);
+        assert.deepStrictEqual(phones, [
+            { contact_id: 1, normalized_phone: '+79161234567' },
+            { contact_id: 2, normalized_phone: '+79031112233' }
+        ]);
+        assert.strictEqual((await sql.get(`SELECT COUNT(*) AS count FROM contacts_fts`)).count, 2);
+
+        // Текст сообщений до вычистки: контекст из сообщения отмечен и вычищен, как и сами сообщения
+        const contacts = await sql.all(`SELECT context, message_context_at FROM contacts ORDER BY id`);
+        assert.strictEqual(contacts[0].context, 'Иван, пишите [email], карта [card]');
+        assert.ok(contacts[0].message_context_at);
+        assert.strictEqual(contacts[1].message_context_at, null);
+        assert.strictEqual((await sql.get(`SELECT original_text FROM parsed_messages`)).original_text, 'Иван, пишите [email], [address]');
+    } finally {
+        await sql.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('keeps a manually edited context as a note', async () => {
+    const sql = connect(':memory:');
+    try {
+        await runMigrations(sql);
+        await sql.run(`DELETE FROM schema_migrations WHERE version = ?`, [4]);
+        await sql.run(`INSERT INTO contacts (phone, normalized_phone, context) VALUES (?, ?, ?)`, ['+79161234567', '+79161234567', 'Заметка: anna@example.com']);
+        await sql.run(
+            `INSERT INTO contact_history (contact_id, action, new_values, source) VALUES (?, ?, ?, ?)`,
+            [1, 'update', JSON.stringify({ context: 'Заметка: anna@example.com' }), 'web']
+        );
+
+        await runMigrations(sql);
+
+        const contact = await sql.get(`SELECT context, message_context_at FROM contacts`);
+        assert.deepStrictEqual(contact, { context: 'Заметка: anna@example.com', message_context_at: null });
+    } finally {
+        await sql.close();
+    }
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PhoneParser = require('../phone-parser');
+const samples = require('./fixtures/phone-messages.json');
+
+// Реальные сообщения из чатов: номера, которые должны найтись, и похожие на номер числа, которые не должны
+test('finds phones in message samples', async (t) => {
+    for (const sample of samples.accept) {
+        await t.test(sample.text, () => {
+            const phones = PhoneParser.parsePhoneNumbers(sample.text, sample.region || 'RU');
+            assert.deepStrictEqual(phones.map(phone => phone.normalized), sample.phones);
+        });
+    }
+});
+
+test('ignores numbers that are not phones', async (t) => {
+    for (const sample of samples.reject) {
+        await t.test(`${sample.reason}: ${sample.text}`, () => {
+            assert.deepStrictEqual(PhoneParser.parsePhoneNumbers(sample.text, sample.region || 'RU'), []);
+        });
+    }
+});
+
+test('keywords before a number change its score', () => {
+    const score = (text) => PhoneParser.parsePhoneNumbers(text, 'RU')[0]?.score ?? 0;
+
+    assert.ok(score('тел 4951234567') > score('4951234567'));
+    assert.ok(score('WhatsApp +7 916 123-45-67') > score('+7 916 123-45-67'));
+    assert.strictEqual(score('заказ 89161234567'), 0);
+    assert.strictEqual(score('card +7 916 123-45-67'), 0);
+});
+
+test('normalizes phones to E.164', () => {
+    assert.strictEqual(PhoneParser.normalizePhone('8 (916) 123-45-67', 'RU'), '+79161234567');
+    assert.strictEqual(PhoneParser.normalizePhone('+1 212 555 0123', 'RU'), '+12125550123');
+    assert.strictEqual(PhoneParser.normalizePhone('123', 'RU'), null);
+});
+
+test('checks card numbers with the Luhn algorithm', () => {
+    assert.ok(PhoneParser.isLuhnValid('4111111111111111'));
+    assert.ok(!PhoneParser.isLuhnValid('4111111111111112'));
+    assert.deepStrictEqual(PhoneParser.parsePhoneNumbers('карта 4111111111111111', 'RU'), []);
+});
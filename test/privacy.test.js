@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { redactText } = require('../privacy');
+const { startServer, replies } = require('./helpers/server');
+const { telegramHeaders } = require('./helpers/init-data');
+
+// Персональные данные: вычистка текста, список «не сохранять», /forget и /privacy
+const ADMIN = { id: 1, first_name: 'Admin' };
+const USER = { id: 2, first_name: 'User' };
+
+test('redacts emails, cards and addresses', () => {
+    assert.strictEqual(
+        redactText('Иван, ivan@example.com, карта 4111 1111 1111 1111, ул. Ленина, д. 5, кв. 12'),
+        'Иван, [email], карта [card], [address]'
+    );
+    assert.strictEqual(redactText('Ship to 221 Baker Street, Apt 2'), 'Ship to [address]');
+    // Номер, не прошедший проверку Луна, - не карта
+    assert.strictEqual(redactText('заказ 4111 1111 1111 1112'), 'заказ 4111 1111 1111 1112');
+    assert.strictEqual(redactText('звоните +7 916 123-45-67', [{ original: '+7 916 123-45-67' }]), 'звоните [phone]');
+});
+
+test('stores redacted message text', async () => {
+    const server = await startServer();
+    try {
+        await server.sendMessage('Иван +7 916 200-00-01, ivan@example.com');
+
+        const { body } = await server.api('/api/contacts?search=9162000001');
+        assert.strictEqual(body.data[0].context, 'Иван +7 916 200-00-01, [email]');
+    } finally {
+        await server.stop();
+    }
+});
+
+test('does not store blocked phones', async () => {
+    const server = await startServer({ env: { ADMIN_USER_IDS: String(ADMIN.id) } });
+    try {
+        assert.ok(replies(await server.sendMessage('/privacy block +7 916 200-00-02', { from: USER })).join('\n').includes('администраторам'));
+        assert.ok(replies(await server.sendMessage('/privacy block +7 916 200-00-02, просьба', { from: ADMIN }))[0].includes('больше не сохраняется'));
+
+        await server.sendMessage('+7 916 200-00-02 и +7 916 200-00-03');
+        const { body } = await server.api('/api/contacts?search=916200');
+        assert.deepStrictEqual(body.data.map(contact => contact.normalized_phone), ['+79162000003']);
+        assert.strictEqual(body.data[0].context, '[phone] и +7 916 200-00-03');
+
+        const status = replies(await server.sendMessage('/privacy', { from: ADMIN }))[0];
+        assert.ok(status.includes('Не сохраняются: +79162000002'));
+
+        assert.ok(replies(await server.sendMessage('/privacy unblock +7 916 200-00-02', { from: ADMIN }))[0].includes('снова сохраняется'));
+        await server.sendMessage('+7 916 200-00-02');
+        assert.strictEqual((await server.api('/api/contacts?search=9162000002')).body.data.length, 1);
+    } finally {
+        await server.stop();
+    }
+});
+
+test('forgets a phone after confirmation', async () => {
+    const server = await startServer({ env: { ADMIN_USER_IDS: String(ADMIN.id) } });
+    try {
+        await server.sendMessage('Анна +7 916 200-00-04');
+        await server.sendMessage('снова +7 916 200-00-04');
+
+        const confirm = (await server.sendMessage('/forget +7 916 200-00-04', { from: ADMIN })).find(call => call.method === 'sendMessage');
+        assert.ok(confirm.payload.text.includes('контактов: 1 (пространств: 1), упоминаний: 2'));
+
+        // Подтвердить может только тот, кто запросил удаление
+        const [button] = confirm.payload.reply_markup.inline_keyboard.flat();
+        const outdated = (await server.pressButton(button.callback_data, { from: USER })).find(call => call.method === 'answerCallbackQuery');
+        assert.ok(outdated.payload.text.includes('администраторам'));
+        assert.ok(replies(await server.pressButton(button.callback_data, { from: ADMIN })).join('\n').includes('стерты (контактов: 1)'));
+
+        assert.strictEqual((await server.api('/api/contacts?search=9162000004')).body.data.length, 0);
+        const { body } = await server.api('/api/admin/blocklist', { headers: telegramHeaders(ADMIN) });
+        assert.deepStrictEqual(body.data.map(row => row.normalized_phone), ['+79162000004']);
+
+        // Номер больше не сохраняется
+        await server.sendMessage('+7 916 200-00-04');
+        assert.strictEqual((await server.api('/api/contacts?search=9162000004')).body.data.length, 0);
+    } finally {
+        await server.stop();
+    }
+});
+
+test('manages the blocklist through the API', async () => {
+    const server = await startServer({ env: { ADMIN_USER_IDS: String(ADMIN.id) } });
+    try {
+        await server.sendMessage('+7 916 200-00-05');
+
+        assert.strictEqual((await server.api('/api/admin/blocklist', { headers: telegramHeaders(USER) })).status, 403);
+        const added = await server.api('/api/admin/blocklist', {
+            method: 'POST',
+            headers: telegramHeaders(ADMIN),
+            body: { phone: '+7 916 200-00-05', forget: true }
+        });
+        assert.strictEqual(added.status, 201);
+        assert.strictEqual((await server.api('/api/contacts?search=9162000005')).body.data.length, 0);
+
+        // Номер из списка не добавляется и вручную
+        const { body: contact } = await server.api('/api/contacts', { method: 'POST', body: { phone: '+7 916 200-00-05' } });
+        assert.strictEqual(contact.success, false);
+
+        const removed = await server.api('/api/admin/blocklist/%2B79162000005', { method: 'DELETE', headers: telegramHeaders(ADMIN) });
+        assert.strictEqual(removed.status, 200);
+        assert.deepStrictEqual((await server.api('/api/admin/blocklist', { headers: telegramHeaders(ADMIN) })).body.data, []);
+    } finally {
+        await server.stop();
+    }
+});
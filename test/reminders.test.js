@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseReminderTime, toSqlDate, fromSqlDate } = require('../reminders');
+const { startServer, replies } = require('./helpers/server');
+
+// Напоминания о контактах: разбор времени, /remind, кнопки и отправка после перезапуска
+// Среда, 21 октября 2026, 15:00 по времени сервера
+const NOW = new Date(2026, 9, 21, 15, 0);
+const USER = { id: 42, first_name: 'Ivan' };
+
+const parse = (input) => {
+    const parsed = parseReminderTime(input, NOW);
+    return parsed && [parsed.dueAt.getTime(), parsed.text];
+};
+
+test('parses the time at the start of the text', () => {
+    assert.deepStrictEqual(parse('завтра 10:00 перезвонить'), [new Date(2026, 9, 22, 10, 0).getTime(), 'перезвонить']);
+    assert.deepStrictEqual(parse('in 2 hours call back'), [new Date(2026, 9, 21, 17, 0).getTime(), 'call back']);
+    assert.deepStrictEqual(parse('через полчаса'), [new Date(2026, 9, 21, 15, 30).getTime(), '']);
+    assert.deepStrictEqual(parse('в пятницу вечером'), [new Date(2026, 9, 23, 18, 0).getTime(), '']);
+    assert.deepStrictEqual(parse('on monday at 9am'), [new Date(2026, 9, 26, 9, 0).getTime(), '']);
+    assert.deepStrictEqual(parse('25.10 отправить счет'), [new Date(2026, 9, 25, 10, 0).getTime(), 'отправить счет']);
+    assert.deepStrictEqual(parse('01.03 поздравить'), [new Date(2027, 2, 1, 10, 0).getTime(), 'поздравить']);
+    // Время без дня, которое уже прошло, - завтра
+    assert.deepStrictEqual(parse('9:00'), [new Date(2026, 9, 22, 9, 0).getTime(), '']);
+
+    assert.strictEqual(parse('перезвонить завтра'), null);
+    assert.strictEqual(parse('31.02'), null);
+    assert.strictEqual(parse('в 25:00'), null);
+});
+
+test('stores dates in UTC like CURRENT_TIMESTAMP', () => {
+    const date = new Date('2026-10-21T12:30:00Z');
+    assert.strictEqual(toSqlDate(date), '2026-10-21 12:30:00');
+    assert.strictEqual(fromSqlDate('2026-10-21 12:30:00').getTime(), date.getTime());
+});
+
+test('creates reminders in the chat and the API and sends them after a restart', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'phone-bot-reminders-'));
+    const env = { DATABASE_URL: path.join(directory, 'database.db') };
+    let server = await startServer({ env });
+    try {
+        await server.sendMessage('тел +7 916 180-00-01');
+        const workspaceId = (await server.api('/api/workspaces')).body.data[0].id;
+        const api = (requestPath, options = {}) => server.api(requestPath, {
+            ...options,
+            headers: { 'X-Workspace-Id': String(workspaceId), ...options.headers }
+        });
+        const contact = (await api('/api/contacts')).body.data[0];
+
+        assert.ok(replies(await server.sendMessage('/remind +79161800001 когда-нибудь')).join('\n').includes('Не понял, когда напомнить'));
+        const created = replies(await server.sendMessage('/remind +79161800001 завтра 10:00 перезвонить')).join('\n');
+        assert.ok(created.startsWith('⏰ Напомню Ivan') && created.includes('перезвонить (+79161800001)'));
+
+        const list = await server.sendMessage('/remind');
+        const [button] = list.find(call => call.method === 'sendMessage').payload.reply_markup.inline_keyboard.flat();
+        await server.pressButton(button.callback_data);
+        assert.deepStrictEqual((await api('/api/reminders?status=done')).body.data.map(reminder => reminder.text), ['перезвонить']);
+
+        const past = await api('/api/reminders', {
+            method: 'POST',
+            body: { contact_id: contact.id, text: 'x', due_at: '2000-01-01T10:00:00Z', assignee_id: USER.id }
+        });
+        assert.deepStrictEqual(past.body.details, [{ field: 'due_at', message: 'must be in the future' }]);
+        const stranger = await api('/api/reminders', {
+            method: 'POST',
+            body: { contact_id: contact.id, text: 'x', due_at: 'tomorrow 10:00', assignee_id: 999 }
+        });
+        assert.deepStrictEqual(stranger.body.details, [{ field: 'assignee_id', message: 'must be a member of the workspace' }]);
+
+        // Напоминание, срок которого наступил, пока сервер не работал, отправляется при запуске
+        const soon = new Date(Date.now() + 1500).toISOString();
+        const reminder = await api('/api/reminders', {
+            method: 'POST',
+            body: { contact_id: contact.id, text: 'отправить договор', due_at: soon, assignee_id: USER.id }
+        });
+        assert.strictEqual(reminder.status, 201);
+
+        await server.stop();
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        server = await startServer({ env });
+
+        const notification = await server.waitForCall(call => call.method === 'sendMessage' && call.payload.chat_id === USER.id);
+        assert.ok(notification.payload.text.includes('отправить договор'));
+        assert.ok(notification.payload.text.includes('+79161800001'));
+    } finally {
+        await server.stop();
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
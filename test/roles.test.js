@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { hasRole, requireRole } = require('../roles');
+const { startServer, replies } = require('./helpers/server');
+const { telegramHeaders } = require('./helpers/init-data');
+
+// Роли в пространстве: владелец, редактор, читатель
+const ADMIN = { id: 1, first_name: 'Admin', username: 'admin' };
+const ALICE = { id: 2, first_name: 'Alice', username: 'alice' };
+const BOB = { id: 3, first_name: 'Bob', username: 'bob' };
+const CHAT = { id: -301, type: 'supergroup', title: 'Team' };
+
+test('orders roles from viewer to owner', () => {
+    assert.ok(hasRole('owner', 'editor'));
+    assert.ok(hasRole('editor', 'editor'));
+    assert.ok(!hasRole('viewer', 'editor'));
+    assert.ok(!hasRole(undefined, 'viewer'));
+    assert.ok(!hasRole('admin', 'viewer'));
+});
+
+test('requireRole answers 403 below the required role', () => {
+    let status = null;
+    let passed = false;
+    const res = { status: (code) => ({ json: () => { status = code; } }) };
+
+    requireRole('editor')({ role: 'viewer', method: 'PUT', originalUrl: '/api/contacts/1' }, res, () => { passed = true; });
+    assert.deepStrictEqual([status, passed], [403, false]);
+
+    requireRole('editor')({ role: 'owner' }, res, () => { passed = true; });
+    assert.ok(passed);
+});
+
+test('enforces roles in the bot and the API', async () => {
+    const server = await startServer({ env: { FAKE_TELEGRAM_ADMINS: String(ADMIN.id) } });
+    const say = async (text, from) => replies(await server.sendMessage(text, { chat: CHAT, from })).join('\n');
+
+    try {
+        await say('тел +7 916 600-00-01', ADMIN);
+        await say('привет', ALICE);
+        await say('привет', BOB);
+
+        assert.ok((await say('/grant default viewer', ALICE)).includes('нужна роль «владелец»'));
+        assert.ok((await say('/grant default viewer', ADMIN)).includes('Роль новых участников: читатель'));
+        assert.ok((await say('/grant @alice editor', ADMIN)).includes('@alice: редактор'));
+        assert.ok((await say('/grant @nobody editor', ADMIN)).includes('еще не писал'));
+
+        assert.ok((await say('/add +7 916 600-00-02 Олег', BOB)).includes('нужна роль «редактор»'));
+        assert.ok(!(await say('/add +7 916 600-00-02 Олег', ALICE)).includes('Недостаточно прав'));
+
+        const roles = await say('/roles', BOB);
+        assert.ok(roles.includes('@alice - редактор'));
+        assert.ok(roles.includes('@bob - читатель'));
+        assert.ok(roles.includes('Ваша роль: читатель'));
+
+        const contact = (await server.api('/api/contacts', { headers: telegramHeaders(BOB) })).body.data[0];
+        const asBob = await server.api(`/api/contacts/${contact.id}`, { method: 'PUT', body: { name: 'Bob' }, headers: telegramHeaders(BOB) });
+        assert.strictEqual(asBob.status, 403);
+        const asAlice = await server.api(`/api/contacts/${contact.id}`, { method: 'PUT', body: { name: 'Alice' }, headers: telegramHeaders(ALICE) });
+        assert.strictEqual(asAlice.status, 200);
+
+        const workspaces = (await server.api('/api/workspaces', { headers: telegramHeaders(BOB) })).body.data;
+        assert.deepStrictEqual(workspaces.map(workspace => workspace.role), ['viewer']);
+    } finally {
+        await server.stop();
+    }
+});
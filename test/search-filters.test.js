@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSearchFilters, normalizeTagName, isValidDate } = require('../search-filters');
+
+test('splits filters from the search text', () => {
+    const { text, filters } = parseSearchFilters('поставщик tag:supplier -tag:courier name:"Иван Петров" added:>=2026-01-01 город:Москва "точная фраза"');
+
+    assert.strictEqual(text, 'поставщик точная фраза');
+    assert.deepStrictEqual(filters.map(({ key, op, value, negate }) => [key, op, value, negate]), [
+        ['tag', '=', 'supplier', false],
+        ['tag', '=', 'courier', true],
+        ['name', '=', 'Иван Петров', false],
+        ['added', '>=', '2026-01-01', false],
+        ['город', '=', 'Москва', false]
+    ]);
+    assert.strictEqual(filters[2].raw, 'name:"Иван Петров"');
+});
+
+test('leaves plain text and URLs without a key alone', () => {
+    assert.deepStrictEqual(parseSearchFilters('Иван Ромашка'), { text: 'Иван Ромашка', filters: [] });
+    assert.deepStrictEqual(parseSearchFilters('+7 916').filters, []);
+});
+
+test('normalizes tag names', () => {
+    assert.strictEqual(normalizeTagName('  #VIP Client, Moscow '), 'vip-client-moscow');
+    assert.strictEqual(normalizeTagName('##'), '');
+    assert.strictEqual(normalizeTagName('x'.repeat(80)).length, 50);
+});
+
+test('accepts only real YYYY-MM-DD dates', () => {
+    assert.ok(isValidDate('2026-02-28'));
+    assert.ok(!isValidDate('2026-13-01'));
+    assert.ok(!isValidDate('01.02.2026'));
+});
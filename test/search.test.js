@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, replies } = require('./helpers/server');
+
+// Полнотекстовый поиск: регистр, префиксы, фрагменты номера, ранжирование и страницы
+let server;
+let workspaceId;
+
+test.before(async () => {
+    server = await startServer();
+    await server.sendMessage('привет');
+    workspaceId = (await server.api('/api/workspaces')).body.data[0].id;
+
+    const contacts = [
+        { phone: '+7 916 123-45-67', name: 'Иван Петров', company: 'Ромашка' },
+        { phone: '+7 916 765-43-21', name: 'Мария', company: 'Иваново Текстиль', context: 'поставщик ткани' },
+        { phone: '+7 903 111-22-33', name: 'Ёлкин Олег', context: 'звонить после <обеда>' }
+    ];
+    for (const contact of contacts) {
+        await api('/api/contacts', { method: 'POST', body: contact });
+    }
+});
+
+test.after(() => server.stop());
+
+const api = (requestPath, options = {}) => server.api(requestPath, {
+    ...options,
+    headers: { 'X-Workspace-Id': String(workspaceId), ...options.headers }
+});
+const search = async (query, extra = '') => (await api(`/api/contacts?search=${encodeURIComponent(query)}${extra}`)).body;
+
+test('ignores case of Cyrillic text and matches word prefixes', async () => {
+    assert.deepStrictEqual((await search('иван')).data.map(contact => contact.name), ['Иван Петров', 'Мария']);
+    assert.deepStrictEqual((await search('елкин')).data.map(contact => contact.name), ['Ёлкин Олег']);
+    assert.deepStrictEqual((await search('ткан')).data.map(contact => contact.name), ['Мария']);
+});
+
+test('finds phones by a digit fragment', async () => {
+    assert.deepStrictEqual((await search('9161234')).data.map(contact => contact.normalized_phone), ['+79161234567']);
+    assert.deepStrictEqual((await search('111-22')).data.map(contact => contact.normalized_phone), ['+79031112233']);
+});
+
+test('highlights matches in escaped snippets', async () => {
+    const [contact] = (await search('обеда')).data;
+    assert.strictEqual(contact.snippet, 'звонить после &lt;<mark>обеда</mark>&gt;');
+
+    assert.ok(replies(await server.sendMessage('/search ромашка')).join('\n').includes('+79161234567'));
+});
+
+test('pages through results with a cursor', async () => {
+    const first = await search('иван', '&limit=1');
+    assert.strictEqual(first.count, 1);
+    assert.ok(first.next_cursor);
+
+    const second = await search('иван', `&limit=1&cursor=${first.next_cursor}`);
+    assert.notStrictEqual(second.data[0].id, first.data[0].id);
+    assert.strictEqual(second.next_cursor, null);
+
+    const all = (await api('/api/contacts?limit=2')).body;
+    const rest = (await api(`/api/contacts?limit=2&cursor=${all.next_cursor}`)).body;
+    assert.strictEqual(all.count + rest.count, 3);
+
+    assert.strictEqual((await api('/api/contacts?cursor=broken')).status, 400);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { timeseriesStart, percent, regionFlag } = require('../stats');
+const { startServer, replies } = require('./helpers/server');
+
+// Статистика адресной книги: страны номеров, топ чатов, отправителей и компаний, ряды по дням и неделям
+const OLGA = { id: 5, first_name: 'Olga' };
+
+test('computes series starts, percents and flags', () => {
+    const wednesday = new Date('2026-10-21T15:00:00Z');
+    assert.strictEqual(timeseriesStart('day', 3, wednesday), '2026-10-19');
+    assert.strictEqual(timeseriesStart('week', 2, wednesday), '2026-10-12');
+    assert.strictEqual(percent(1, 3), 33.3);
+    assert.strictEqual(percent(1, 0), 0);
+    assert.strictEqual(regionFlag('RU'), '🇷🇺');
+    assert.strictEqual(regionFlag(null), '🏳');
+});
+
+test('summarizes the workspace in the API and the bot', async () => {
+    const server = await startServer();
+    try {
+        await server.sendMessage('тел +7 916 170-00-01', { from: OLGA });
+        await server.sendMessage('тел +7 916 170-00-02', { from: OLGA });
+        await server.sendMessage('тел +49 151 23456789');
+        const workspaceId = (await server.api('/api/workspaces')).body.data[0].id;
+        const stats = (path) => server.api(`${path}${path.includes('?') ? '&' : '?'}workspace_id=${workspaceId}`);
+
+        const contact = (await stats('/api/contacts')).body.data[0];
+        await server.api(`/api/contacts/${contact.id}`, { method: 'PUT', body: { name: 'Анна', company: 'Acme' } });
+
+        const { data } = (await stats('/api/stats')).body;
+        assert.strictEqual(data.total, 3);
+        assert.strictEqual(data.incomplete_percent, 66.7);
+        assert.deepStrictEqual(data.countries.map(country => [country.region, country.calling_code, country.count]), [['RU', '7', 2], ['DE', '49', 1]]);
+        assert.deepStrictEqual(data.top_chats.map(chat => [chat.chat_title, chat.numbers]), [['Test chat', 3]]);
+        assert.deepStrictEqual(data.top_senders.map(sender => [sender.sender_name, sender.numbers]), [['Olga', 2], ['Ivan', 1]]);
+        assert.deepStrictEqual(data.top_companies.map(company => company.company), ['Acme']);
+
+        const week = (await stats('/api/stats/timeseries?period=week&limit=2')).body.data;
+        assert.deepStrictEqual(week.points.map(point => point.count), [0, 3]);
+        assert.strictEqual((await stats('/api/stats/timeseries?period=year')).status, 400);
+
+        const reply = replies(await server.sendMessage('/stats')).join('\n');
+        assert.ok(reply.includes('📞 3 контакта'));
+        assert.ok(reply.includes('🇷🇺 RU +7 - 66.7%'));
+    } finally {
+        await server.stop();
+    }
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, replies } = require('./helpers/server');
+
+// Теги, дополнительные поля и фильтры в строке поиска
+let server;
+let workspaceId;
+const ids = {};
+
+test.before(async () => {
+    server = await startServer();
+    await server.sendMessage('привет');
+    workspaceId = (await server.api('/api/workspaces')).body.data[0].id;
+
+    const contacts = {
+        anna: { phone: '+7 916 110-00-01', name: 'Анна', company: 'Acme' },
+        oleg: { phone: '+7 916 110-00-02', name: 'Олег', company: 'Acme' },
+        maria: { phone: '+7 916 110-00-03', name: 'Мария', company: 'Globex' }
+    };
+    for (const [key, contact] of Object.entries(contacts)) {
+        ids[key] = (await api('/api/contacts', { method: 'POST', body: contact })).body.data.id;
+    }
+});
+
+test.after(() => server.stop());
+
+const api = (requestPath, options = {}) => server.api(requestPath, {
+    ...options,
+    headers: { 'X-Workspace-Id': String(workspaceId), ...options.headers }
+});
+const names = async (query) => (await api(`/api/contacts?search=${encodeURIComponent(query)}`)).body.data.map(contact => contact.name).sort();
+
+test('tags contacts and filters by tags and columns', async () => {
+    const tagged = await api(`/api/contacts/${ids.anna}/tags`, { method: 'POST', body: { name: '#Supplier' } });
+    assert.deepStrictEqual(tagged.body.data.map(tag => tag.name), ['supplier']);
+    await api(`/api/contacts/${ids.maria}/tags`, { method: 'POST', body: { name: 'supplier' } });
+    await api(`/api/contacts/${ids.oleg}/tags`, { method: 'POST', body: { name: 'vip' } });
+
+    assert.strictEqual((await api(`/api/contacts/${ids.anna}/tags`, { method: 'POST', body: { name: '#' } })).status, 400);
+    assert.strictEqual((await api(`/api/contacts/${ids.anna}/tags`, { method: 'POST', body: { tag: 'x' } })).status, 400);
+
+    assert.deepStrictEqual(await names('tag:supplier'), ['Анна', 'Мария']);
+    assert.deepStrictEqual(await names('tag:supplier company:acme'), ['Анна']);
+    assert.deepStrictEqual(await names('-tag:supplier'), ['Олег']);
+    assert.deepStrictEqual(await names('added:>2000-01-01 tag:vip'), ['Олег']);
+    assert.deepStrictEqual(await names('added:<2000-01-01'), []);
+
+    const { body } = await api('/api/tags');
+    assert.deepStrictEqual(body.data.map(tag => [tag.name, tag.contacts_count]).sort(), [['supplier', 2], ['vip', 1]]);
+});
+
+test('stores custom fields and filters by their type', async () => {
+    assert.strictEqual((await api('/api/fields', { method: 'POST', body: { key: 'tag', label: 'Tag' } })).status, 400);
+    await api('/api/fields', { method: 'POST', body: { key: 'rating', label: 'Рейтинг', type: 'number' } });
+    await api('/api/fields', { method: 'POST', body: { key: 'город', label: 'Город' } });
+
+    const invalid = await api(`/api/contacts/${ids.anna}/fields`, { method: 'PUT', body: { rating: 'high' } });
+    assert.deepStrictEqual(invalid.body.details, [{ field: 'rating', message: 'must be a number' }]);
+
+    await api(`/api/contacts/${ids.anna}/fields`, { method: 'PUT', body: { rating: 5, 'город': 'Москва' } });
+    await api(`/api/contacts/${ids.oleg}/fields`, { method: 'PUT', body: { rating: 2, 'город': 'Казань' } });
+
+    assert.deepStrictEqual(await names('rating:>3'), ['Анна']);
+    assert.deepStrictEqual(await names('город:москва'), ['Анна']);
+    assert.deepStrictEqual(await names('rating:<=5 company:acme'), ['Анна', 'Олег']);
+});
+
+test('tags contacts from the chat', async () => {
+    const reply = replies(await server.sendMessage('/tag +79161100002 Courier vip')).join('\n');
+    assert.ok(reply.includes('`courier`'));
+
+    const untagged = replies(await server.sendMessage('/untag +79161100002 vip')).join('\n');
+    assert.ok(!untagged.includes('`vip`'));
+
+    // Под сообщением о найденном номере - кнопки тегов пространства
+    const found = await server.sendMessage('тел +7 916 110-00-01');
+    const message = found.find(call => call.method === 'sendMessage');
+    const buttons = message.payload.reply_markup.inline_keyboard.flat();
+    const courier = buttons.find(button => button.text === '🏷 courier');
+    assert.ok(buttons.some(button => button.text === '✅ supplier'));
+
+    await server.pressButton(courier.callback_data, { message: { reply_markup: message.payload.reply_markup } });
+    assert.deepStrictEqual(await names('tag:courier'), ['Анна', 'Олег']);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, replies, webhookSecretToken } = require('./helpers/server');
+
+// Обновления на /webhook принимаются только с секретом, переданным Telegram в setWebhook
+const message = (text) => ({
+    message: {
+        message_id: 1,
+        date: Math.floor(Date.now() / 1000),
+        chat: { id: -100, type: 'supergroup', title: 'Test chat' },
+        from: { id: 42, is_bot: false, first_name: 'Ivan' },
+        text
+    }
+});
+
+test('registers the webhook with a secret and rejects updates without it', async () => {
+    const server = await startServer();
+    try {
+        const setWebhook = server.calls.find(call => call.method === 'setWebhook');
+        assert.strictEqual(setWebhook.payload.secret_token, webhookSecretToken());
+        assert.match(setWebhook.payload.secret_token, /^[A-Za-z0-9_-]{1,256}$/);
+
+        const missing = await server.sendUpdate(message('тел +7 916 400-00-01'), { secret: null });
+        assert.strictEqual(missing.status, 404);
+        assert.deepStrictEqual(replies(missing), []);
+
+        const wrong = await server.sendUpdate(message('тел +7 916 400-00-01'), { secret: 'guess' });
+        assert.strictEqual(wrong.status, 404);
+        assert.deepStrictEqual(replies(wrong), []);
+
+        const accepted = await server.sendUpdate(message('тел +7 916 400-00-01'));
+        assert.ok(replies(accepted).join('\n').includes('+79164000001'));
+    } finally {
+        await server.stop();
+    }
+});
+
+test('falls back to a secret derived from the bot token', async () => {
+    const server = await startServer({ env: { WEBHOOK_SECRET: '' } });
+    try {
+        assert.ok(server.output().includes('WEBHOOK_SECRET is not set'));
+
+        const token = webhookSecretToken('webhook:123456:test-token');
+        assert.strictEqual(server.calls.find(call => call.method === 'setWebhook').payload.secret_token, token);
+        assert.ok(replies(await server.sendUpdate(message('тел +7 916 400-00-02'), { secret: token })).length > 0);
+    } finally {
+        await server.stop();
+    }
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validate } = require('../validation');
+
+const SCHEMA = {
+    name: { type: 'string', nullable: true, maxLength: 5 },
+    email: { type: 'string', pattern: /@/, patternMessage: 'must be an email address' },
+    type: { type: 'string', required: true, enum: ['mobile', 'work'] },
+    ids: { type: 'array', minItems: 1, maxItems: 2, items: { type: 'integer' } }
+};
+
+test('returns trimmed values of known fields', () => {
+    assert.deepStrictEqual(validate(SCHEMA, { name: ' Anna ', type: 'work', ids: [1, 2] }), {
+        value: { name: 'Anna', type: 'work', ids: [1, 2] },
+        errors: []
+    });
+    // Пустая строка в необязательном поле очищает его
+    assert.deepStrictEqual(validate(SCHEMA, { name: '', type: 'work' }).value, { name: null, type: 'work' });
+});
+
+test('lists every problem with its field', () => {
+    const { errors } = validate(SCHEMA, { name: 'Alexander', email: 'nope', ids: [], extra: 1 });
+    assert.deepStrictEqual(errors, [
+        { field: 'extra', message: 'Unknown field' },
+        { field: 'name', message: 'must be at most 5 characters' },
+        { field: 'email', message: 'must be an email address' },
+        { field: 'type', message: 'Field is required' },
+        { field: 'ids', message: 'must contain at least 1 items' }
+    ]);
+
+    assert.deepStrictEqual(validate(SCHEMA, { type: 'home', ids: [1, 'x'] }).errors, [
+        { field: 'type', message: 'must be one of: mobile, work' },
+        { field: 'ids', message: 'items must be an integer' }
+    ]);
+    assert.deepStrictEqual(validate(SCHEMA, [1]).errors, [{ field: null, message: 'Request body must be a JSON object' }]);
+});
+
+test('skips required fields in partial updates', () => {
+    assert.deepStrictEqual(validate(SCHEMA, { name: 'Anna' }, { partial: true }).errors, []);
+});
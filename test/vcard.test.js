@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseVCards } = require('../vcard');
+
+test('reads several vCard 3.0 contacts with multiple phones', () => {
+    const cards = parseVCards([
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        'N:Петров;Иван;;;',
+        'FN:Иван Петров',
+        'ORG:ООО Ромашка;Отдел продаж',
+        'TEL;TYPE=CELL:+7 916 123-45-67',
+        'TEL;TYPE=WORK,VOICE:+7 495 123-45-67',
+        'EMAIL;TYPE=INTERNET:ivan@example.com',
+        'END:VCARD',
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        'N:Smith;John;;;',
+        'TEL;TYPE=HOME:+1 212 555 0123',
+        'END:VCARD'
+    ].join('\r\n'));
+
+    assert.deepStrictEqual(cards, [
+        {
+            name: 'Иван Петров',
+            company: 'ООО Ромашка',
+            title: null,
+            note: null,
+            phones: [{ value: '+7 916 123-45-67', type: 'mobile' }, { value: '+7 495 123-45-67', type: 'work' }],
+            emails: ['ivan@example.com']
+        },
+        {
+            name: 'John Smith',
+            company: null,
+            title: null,
+            note: null,
+            phones: [{ value: '+1 212 555 0123', type: 'home' }],
+            emails: []
+        }
+    ]);
+});
+
+test('reads vCard 4.0 tel: URIs, folded lines and escaped values', () => {
+    const [card] = parseVCards([
+        'BEGIN:VCARD',
+        'VERSION:4.0',
+        'FN:Anna Schmidt',
+        'ORG:Acme\\, Inc.',
+        'NOTE:first line\\nsecond',
+        '  line',
+        'TEL;VALUE=uri;TYPE="cell,voice":tel:+49-151-23456789',
+        'END:VCARD'
+    ].join('\n'));
+
+    assert.strictEqual(card.company, 'Acme, Inc.');
+    assert.strictEqual(card.note, 'first line\nsecond line');
+    assert.deepStrictEqual(card.phones, [{ value: '+49-151-23456789', type: 'mobile' }]);
+});
+
+test('decodes vCard 2.1 quoted-printable names', () => {
+    const [card] = parseVCards([
+        'BEGIN:VCARD',
+        'VERSION:2.1',
+        'FN;CHARSET=UTF-8;ENCODING=QUOTED-PRINTABLE:=D0=98=D0=B2=D0=B0=D0=BD',
+        'TEL;CELL:89161234567',
+        'END:VCARD'
+    ].join('\r\n'));
+
+    assert.strictEqual(card.name, 'Иван');
+    assert.deepStrictEqual(card.phones, [{ value: '89161234567', type: 'mobile' }]);
+});
+
+test('skips cards without a name or phone', () => {
+    assert.deepStrictEqual(parseVCards('BEGIN:VCARD\nVERSION:3.0\nEMAIL:a@b.c\nEND:VCARD'), []);
+    assert.deepStrictEqual(parseVCards('not a vcard'), []);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const { signPayload, checkWebhookUrl } = require('../webhooks');
+const { startServer } = require('./helpers/server');
+
+// Исходящие вебхуки: подпись, запрет внутренних адресов, доставка событий изменения контактов
+const ADMIN = { id: 1, first_name: 'Admin' };
+const CHAT = { id: -100, type: 'supergroup', title: 'Test chat' };
+
+test('signs the timestamp and the body with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', 'secret').update('1700000000.{"event":"ping"}').digest('hex');
+    assert.strictEqual(signPayload('secret', 1700000000, '{"event":"ping"}'), expected);
+});
+
+test('rejects URLs in private networks', async () => {
+    assert.strictEqual(await checkWebhookUrl('ftp://example.com/hook'), 'invalid_url');
+    assert.strictEqual(await checkWebhookUrl('not a url'), 'invalid_url');
+    for (const url of ['http://127.0.0.1:8080/', 'http://10.1.2.3/', 'http://169.254.169.254/latest', 'http://[::1]/', 'http://[::ffff:192.168.0.1]/']) {
+        assert.strictEqual(await checkWebhookUrl(url), 'private_address', url);
+    }
+    assert.strictEqual(await checkWebhookUrl('https://93.184.216.34/hook'), null);
+});
+
+// Приемник вебхуков на локальном порту; requests - полученные запросы { headers, body }
+const startReceiver = () => new Promise((resolve) => {
+    const requests = [];
+    const receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body });
+            res.end('ok');
+        });
+    });
+    receiver.listen(0, '127.0.0.1', () => resolve({
+        url: `http://127.0.0.1:${receiver.address().port}/hook`,
+        requests,
+        close: () => new Promise(done => receiver.close(done))
+    }));
+});
+
+const waitFor = async (predicate, timeout = 10000) => {
+    const started = Date.now();
+    while (!predicate()) {
+        if (Date.now() - started > timeout) throw new Error('Timed out');
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+};
+
+test('delivers signed events to the workspace webhooks', async () => {
+    const receiver = await startReceiver();
+    const server = await startServer({ env: { WEBHOOK_ALLOW_PRIVATE: 'true' } });
+    try {
+        await server.sendMessage('привет');
+        const workspaceId = (await server.api('/api/workspaces')).body.data[0].id;
+        const api = (requestPath, options = {}) => server.api(requestPath, {
+            ...options,
+            headers: { 'X-Workspace-Id': String(workspaceId), ...options.headers }
+        });
+
+        const invalid = await api('/api/webhooks', { method: 'POST', body: { url: receiver.url, events: [] } });
+        assert.deepStrictEqual(invalid.body.details, [{ field: 'events', message: 'must contain at least one event' }]);
+
+        const created = await api('/api/webhooks', { method: 'POST', body: { url: receiver.url, events: ['contact.created'] } });
+        assert.strictEqual(created.status, 201);
+        const { id, secret } = created.body.data;
+        assert.strictEqual((await api('/api/webhooks')).body.data[0].secret, undefined);
+
+        const ping = await api(`/api/webhooks/${id}/test`, { method: 'POST' });
+        assert.strictEqual(ping.body.data.status, 'delivered');
+        const [request] = receiver.requests;
+        assert.strictEqual(request.headers['x-webhook-event'], 'ping');
+        assert.strictEqual(
+            request.headers['x-webhook-signature'],
+            `sha256=${signPayload(secret, request.headers['x-webhook-timestamp'], request.body)}`
+        );
+
+        await server.sendMessage('тел +7 916 160-00-01');
+        await waitFor(() => receiver.requests.length === 2);
+        const event = JSON.parse(receiver.requests[1].body);
+        assert.strictEqual(event.event, 'contact.created');
+        assert.strictEqual(event.contact.phones[0].phone, '+79161600001');
+
+        const deliveries = (await api(`/api/webhooks/${id}/deliveries`)).body;
+        assert.deepStrictEqual(deliveries.data.map(delivery => delivery.status), ['delivered', 'delivered']);
+    } finally {
+        await server.stop();
+        await receiver.close();
+    }
+});
+
+test('keeps the signing secret out of group chats', async () => {
+    const server = await startServer({ env: { FAKE_TELEGRAM_ADMINS: String(ADMIN.id) } });
+    try {
+        await server.sendMessage('привет', { chat: CHAT, from: ADMIN });
+        const workspaceId = (await server.api('/api/workspaces')).body.data[0].id;
+        const rejected = await server.api('/api/webhooks', {
+            method: 'POST',
+            body: { url: 'http://127.0.0.1:9/hook' },
+            headers: { 'X-Workspace-Id': String(workspaceId) }
+        });
+        assert.deepStrictEqual(rejected.body.details, [{ field: 'url', message: 'must not point to a private network address' }]);
+
+        const calls = await server.sendMessage('/webhooks add https://93.184.216.34/hook', { chat: CHAT, from: ADMIN });
+        const messages = calls.filter(call => call.method === 'sendMessage');
+        const direct = messages.find(call => call.payload.chat_id === ADMIN.id);
+        const group = messages.find(call => call.payload.chat_id === CHAT.id);
+        const [webhook] = (await server.api('/api/webhooks', { headers: { 'X-Workspace-Id': String(workspaceId) } })).body.data;
+
+        assert.ok(webhook);
+        assert.match(direct.payload.text, /[0-9a-f]{48}/);
+        assert.doesNotMatch(group.payload.text, /[0-9a-f]{48}/);
+    } finally {
+        await server.stop();
+    }
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, replies } = require('./helpers/server');
+
+// Пространства контактов: у каждого чата своя книга, чаты можно объединить в общую
+const ADMIN = { id: 1, first_name: 'Admin' };
+const MEMBER = { id: 2, first_name: 'Member' };
+const chat = (id) => ({ id, type: 'supergroup', title: `Chat ${id}` });
+
+let server;
+
+test.before(async () => {
+    server = await startServer({ env: { FAKE_TELEGRAM_ADMINS: String(ADMIN.id) } });
+});
+
+test.after(() => server.stop());
+
+const say = async (chatId, text, from = ADMIN) => replies(await server.sendMessage(text, { chat: chat(chatId), from })).join('\n');
+const workspaceId = async (chatId) => parseInt((await say(chatId, '/workspace')).match(/Пространство #(\d+)/)[1]);
+const phonesIn = async (id) => (await server.api(`/api/contacts?workspace_id=${id}`)).body.data.map(contact => contact.normalized_phone);
+
+test('keeps contacts of different chats apart', async () => {
+    await say(-201, 'тел +7 916 500-00-01');
+    await say(-202, 'тел +7 916 500-00-02');
+
+    assert.ok((await say(-202, '/search 5000001')).includes('Ничего не найдено'));
+    assert.ok((await say(-201, '/search 5000001')).includes('+79165000001'));
+
+    assert.deepStrictEqual(await phonesIn(await workspaceId(-201)), ['+79165000001']);
+    assert.deepStrictEqual(await phonesIn(await workspaceId(-202)), ['+79165000002']);
+});
+
+test('links another chat into a team book with an invite code', async () => {
+    await say(-203, 'тел +7 916 500-00-03');
+    await say(-204, 'тел +7 916 500-00-04');
+    const team = await workspaceId(-203);
+
+    const code = (await say(-203, '/workspace invite')).match(/\/workspace join (\w+)/)[1];
+    assert.ok((await say(-204, `/workspace join ${code}`, MEMBER)).includes('Недостаточно прав'));
+    assert.ok((await say(-204, '/workspace join wrong')).includes('Неверный код'));
+
+    const joined = await say(-204, `/workspace join ${code}`);
+    assert.ok(joined.includes(`пространству #${team}`));
+    assert.ok(joined.includes('Перенесено контактов: 1'));
+    assert.deepStrictEqual((await phonesIn(team)).sort(), ['+79165000003', '+79165000004']);
+
+    assert.ok((await say(-204, '/workspace leave')).includes('Чат отключен от общей книги'));
+    assert.notStrictEqual(await workspaceId(-204), team);
+});
+
+test('shares and moves contacts between the user\'s workspaces', async () => {
+    await say(-205, 'тел +7 916 500-00-05');
+    await say(-206, 'тел +7 916 500-00-06');
+    const target = await workspaceId(-206);
+
+    assert.ok((await say(-205, '/share +7 916 500-00-05 999999')).includes('Вы не участник'));
+
+    assert.ok((await say(-205, `/share +7 916 500-00-05 ${target}`)).includes('Контакт скопирован'));
+    assert.deepStrictEqual((await phonesIn(target)).sort(), ['+79165000005', '+79165000006']);
+    assert.deepStrictEqual(await phonesIn(await workspaceId(-205)), ['+79165000005']);
+
+    await say(-205, 'тел +7 916 500-00-07', MEMBER);
+    await say(-206, 'привет', MEMBER);
+    await say(-206, '/grant default viewer');
+    assert.ok((await say(-205, `/move +7 916 500-00-07 ${target}`, MEMBER)).includes(`Недостаточно прав в пространстве #${target}`));
+    assert.ok((await say(-205, `/move +7 916 500-00-07 ${target}`)).includes('Контакт перенесен'));
+    assert.ok(!(await phonesIn(await workspaceId(-205))).includes('+79165000007'));
+});
+
+test('hides contacts of other workspaces from the API', async () => {
+    await say(-207, 'тел +7 916 500-00-08');
+    const own = await workspaceId(-207);
+    const other = await workspaceId(-201);
+    const contact = (await server.api(`/api/contacts?workspace_id=${own}`)).body.data[0];
+
+    const foreign = await server.api(`/api/contacts/${contact.id}`, { headers: { 'X-Workspace-Id': String(other) } });
+    assert.strictEqual(foreign.status, 404);
+    assert.strictEqual((await server.api(`/api/contacts/${contact.id}`, { headers: { 'X-Workspace-Id': String(own) } })).status, 200);
+
+    const { body } = await server.api(`/api/stats?workspace_id=${own}`);
+    assert.strictEqual(body.data.total, 1);
+});
@@ -0,0 +1,82 @@
+// Проверка тел запросов API по схеме: неизвестные поля отклоняются,
+// ошибки возвращаются списком { field, message } для ответа 400
+//
+// Описание поля: { type: 'string' | 'integer' | 'boolean' | 'array' | 'object', required, nullable, maxLength, pattern,
+// patternMessage, enum, items, minItems, maxItems }
+
+const checkValue = (rule, value) => {
+    if (value === null) {
+        return rule.nullable ? null : 'must not be null';
+    }
+
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') return 'must be a string';
+            if (rule.maxLength && value.length > rule.maxLength) return `must be at most ${rule.maxLength} characters`;
+            if (rule.pattern && !rule.pattern.test(value)) return rule.patternMessage || 'has an invalid format';
+            break;
+        case 'integer':
+            if (!Number.isInteger(value)) return 'must be an integer';
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') return 'must be a boolean';
+            break;
+        case 'array':
+            if (!Array.isArray(value)) return 'must be an array';
+            if (rule.minItems && value.length < rule.minItems) return `must contain at least ${rule.minItems} items`;
+            if (rule.maxItems && value.length > rule.maxItems) return `must contain at most ${rule.maxItems} items`;
+            if (rule.items) {
+                for (const item of value) {
+                    const error = checkValue(rule.items, item);
+                    if (error) return `items ${error}`;
+                }
+            }
+            break;
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+            break;
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        return `must be one of: ${rule.enum.join(', ')}`;
+    }
+    return null;
+};
+
+// partial = true - обязательные поля можно не передавать (частичное обновление)
+const validate = (schema, input, { partial = false } = {}) => {
+    const errors = [];
+    const value = {};
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { value, errors: [{ field: null, message: 'Request body must be a JSON object' }] };
+    }
+
+    for (const field of Object.keys(input)) {
+        if (!schema[field]) errors.push({ field, message: 'Unknown field' });
+    }
+
+    for (const [field, rule] of Object.entries(schema)) {
+        if (input[field] === undefined) {
+            if (rule.required && !partial) errors.push({ field, message: 'Field is required' });
+            continue;
+        }
+
+        const raw = typeof input[field] === 'string' ? input[field].trim() : input[field];
+        // Пустая строка в необязательном поле означает «очистить»
+        const normalized = raw === '' && rule.nullable ? null : raw;
+        const error = checkValue(rule, normalized);
+
+        if (error) errors.push({ field, message: error });
+        else value[field] = normalized;
+    }
+
+    return { value, errors };
+};
+
+// Express: ответ 400 со списком ошибок
+const sendValidationError = (res, errors) => {
+    res.status(400).json({ success: false, error: 'Validation failed', details: errors });
+};
+
+module.exports = { validate, sendValidationError };
@@ -0,0 +1,188 @@
+// Разбор файлов vCard 2.1 / 3.0 / 4.0
+
+const PHONE_TYPES = {
+    cell: 'mobile',
+    mobile: 'mobile',
+    iphone: 'mobile',
+    work: 'work',
+    home: 'home',
+    fax: 'fax'
+};
+
+const unescapeValue = (value) => value
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1');
+
+// Разбиение по неэкранированному разделителю
+const splitUnescaped = (value, separator) => {
+    const parts = [];
+    let current = '';
+    for (let i = 0; i < value.length; i++) {
+        if (value[i] === '\\' && i + 1 < value.length) {
+            current += value[i] + value[i + 1];
+            i++;
+        } else if (value[i] === separator) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += value[i];
+        }
+    }
+    parts.push(current);
+    return parts;
+};
+
+const decodeQuotedPrintable = (value, charset = 'utf-8') => {
+    const bytes = [];
+    for (let i = 0; i < value.length; i++) {
+        if (value[i] === '=' && /^[0-9A-F]{2}$/i.test(value.substring(i + 1, i + 3))) {
+            bytes.push(parseInt(value.substring(i + 1, i + 3), 16));
+            i += 2;
+        } else {
+            bytes.push(value.charCodeAt(i));
+        }
+    }
+    const encoding = /^utf-?8$/i.test(charset) ? 'utf8' : 'latin1';
+    return Buffer.from(bytes).toString(encoding);
+};
+
+// Склейка перенесенных строк (RFC 6350) и мягких переносов quoted-printable
+const unfoldLines = (text) => {
+    const lines = text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const result = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        let line = lines[i];
+        if (/QUOTED-PRINTABLE/i.test(line.split(':')[0])) {
+            while (line.endsWith('=') && i + 1 < lines.length) {
+                line = line.slice(0, -1) + lines[++i];
+            }
+        }
+        if (line.trim()) result.push(line);
+    }
+
+    return result;
+};
+
+const parseLine = (line) => {
+    const colon = line.indexOf(':');
+    if (colon === -1) return null;
+
+    const [rawName, ...rawParams] = line.substring(0, colon).split(';');
+    const property = rawName.split('.').pop().toUpperCase();
+    const params = { types: [] };
+
+    for (const param of rawParams) {
+        const [key, value] = param.split('=');
+        if (value === undefined) {
+            // vCard 2.1: TEL;CELL;WORK:...
+            params.types.push(key.toLowerCase());
+        } else if (key.toUpperCase() === 'TYPE') {
+            params.types.push(...value.replace(/"/g, '').toLowerCase().split(','));
+        } else {
+            params[key.toUpperCase()] = value.replace(/"/g, '');
+        }
+    }
+
+    let value = line.substring(colon + 1);
+    if ((params.ENCODING || '').toUpperCase() === 'QUOTED-PRINTABLE' || params.types.includes('quoted-printable')) {
+        value = decodeQuotedPrintable(value, params.CHARSET);
+    }
+
+    return { property, params, value };
+};
+
+const phoneType = (types) => {
+    for (const type of types) {
+        if (PHONE_TYPES[type]) return PHONE_TYPES[type];
+    }
+    return 'other';
+};
+
+const createCard = () => ({ name: null, company: null, title: null, note: null, phones: [], emails: [] });
+
+// Возвращает массив контактов { name, company, title, note, phones: [{ value, type }], emails }
+const parseVCards = (text) => {
+    const cards = [];
+    let card = null;
+    let structuredName = null;
+
+    for (const line of unfoldLines(String(text || ''))) {
+        const parsed = parseLine(line);
+        if (!parsed) continue;
+
+        const { property, params, value } = parsed;
+
+        if (property === 'BEGIN' && /^vcard$/i.test(value.trim())) {
+            card = createCard();
+            structuredName = null;
+            continue;
+        }
+        if (!card) continue;
+
+        switch (property) {
+            case 'END':
+                if (!card.name && structuredName) card.name = structuredName;
+                if (card.phones.length > 0 || card.name) cards.push(card);
+                card = null;
+                break;
+            case 'FN':
+                card.name = unescapeValue(value).trim() || null;
+                break;
+            case 'N': {
+                const [family = '', given = '', additional = ''] = splitUnescaped(value, ';').map(unescapeValue);
+                structuredName = [given, additional, family].map(part => part.trim()).filter(Boolean).join(' ') || null;
+                break;
+            }
+            case 'ORG':
+                card.company = unescapeValue(splitUnescaped(value, ';')[0]).trim() || null;
+                break;
+            case 'TITLE':
+                card.title = unescapeValue(value).trim() || null;
+                break;
+            case 'NOTE':
+                card.note = unescapeValue(value).trim() || null;
+                break;
+            case 'TEL': {
+                const phone = value.replace(/^tel:/i, '').split(';')[0].trim();
+                if (phone) card.phones.push({ value: phone, type: phoneType(params.types) });
+                break;
+            }
+            case 'EMAIL': {
+                const email = value.replace(/^mailto:/i, '').trim();
+                if (email) card.emails.push(email);
+                break;
+            }
+        }
+    }
+
+    return cards;
+};
+
+const VCARD_PHONE_TYPES = { mobile: 'CELL', work: 'WORK', home: 'HOME', fax: 'FAX' };
+
+const escapeValue = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/([,;])/g, '\\$1');
+
+// Запись контактов в vCard 3.0: contact - { name, company, context, phones: [{ normalized_phone, type }], emails: [{ email }] }
+const formatVCards = (contacts) => contacts.map(contact => {
+    const name = contact.name || (contact.phones[0] || {}).normalized_phone || contact.normalized_phone;
+    const lines = ['BEGIN:VCARD', 'VERSION:3.0', `FN:${escapeValue(name)}`, `N:;${escapeValue(contact.name || '')};;;`];
+
+    if (contact.company) lines.push(`ORG:${escapeValue(contact.company)}`);
+    for (const phone of contact.phones) {
+        const type = VCARD_PHONE_TYPES[phone.type];
+        lines.push(`TEL${type ? `;TYPE=${type}` : ''}:${phone.normalized_phone}`);
+    }
+    for (const email of contact.emails) {
+        lines.push(`EMAIL:${escapeValue(email.email)}`);
+    }
+    if (contact.context) lines.push(`NOTE:${escapeValue(contact.context)}`);
+    lines.push('END:VCARD');
+
+    return lines.join('\r\n');
+}).join('\r\n') + '\r\n';
+
+module.exports = { parseVCards, formatVCards };
@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { serializeContact } = require('./contact-files');
+
+// Исходящие вебхуки: изменения контактов отправляются POST-запросом с JSON на адреса пространства.
+// Подпись запроса: X-Webhook-Signature: sha256=HMAC-SHA256(секрет, "<X-Webhook-Timestamp>.<тело>").
+// Доставки хранятся в очереди webhook_deliveries и при ошибке повторяются с растущей задержкой.
+// Адреса внутренних сетей (loopback, link-local, частные диапазоны) запрещены: адрес хоста проверяется
+// при добавлении вебхука и заново при каждой доставке. WEBHOOK_ALLOW_PRIVATE=true снимает запрет,
+// например для локального приемника при разработке
+
+const WEBHOOK_EVENTS = ['contact.created', 'contact.updated', 'contact.merged', 'contact.deleted'];
+// Проверочное событие (/webhooks test, POST /api/webhooks/:id/test), отправляется без подписки
+const PING_EVENT = 'ping';
+
+// Действие в истории изменений контакта -> событие вебхука
+const HISTORY_EVENTS = {
+    create: 'contact.created',
+    update: 'contact.updated',
+    revert: 'contact.updated',
+    tags: 'contact.updated',
+    fields: 'contact.updated',
+    restore: 'contact.updated',
+    move: 'contact.updated',
+    merge: 'contact.merged',
+    delete: 'contact.deleted',
+    // Полное удаление (purge, /forget): в событии только id контакта
+    purge: 'contact.deleted'
+};
+
+const MAX_ATTEMPTS = 8;
+// Повтор через 30 секунд, минуту, две... но не реже раза в 6 часов
+const RETRY_BASE_DELAY = 30;
+const RETRY_MAX_DELAY = 6 * 60 * 60;
+const DELIVERY_TIMEOUT = 10 * 1000;
+// Доставка, взятая в работу, не отдается другому обработчику очереди это время, секунды
+const DELIVERY_LEASE = 60;
+const POLL_INTERVAL = 5 * 1000;
+const POLL_BATCH = 20;
+// Сколько символов ответа или текста ошибки сохраняется в журнале доставок
+const RESPONSE_LOG_LIMIT = 500;
+
+const generateSecret = () => crypto.randomBytes(24).toString('hex');
+
+const signPayload = (secret, timestamp, body) => crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+const retryDelay = (attempts) => Math.min(RETRY_BASE_DELAY * 2 ** (attempts - 1), RETRY_MAX_DELAY);
+
+const isValidWebhookUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+};
+
+// Loopback, link-local (в том числе метаданные облака 169.254.169.254), частные сети, CGNAT,
+// multicast и зарезервированные диапазоны. IPv4 внутри IPv6 (::ffff:127.0.0.1) BlockList сверяет с правилами IPv4
+const PRIVATE_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6');
+}
+
+const privateAddressesAllowed = () => process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+
+const isPrivateAddress = (address) => {
+    const family = net.isIP(address);
+    return family !== 0 && PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+class PrivateAddressError extends Error {
+    constructor(hostname) {
+        super(`Host ${hostname} resolves to a private network address`);
+        this.code = 'WEBHOOK_PRIVATE_ADDRESS';
+    }
+}
+
+// dns.lookup, который не отдает адреса внутренних сетей; передается в http.request, поэтому проверяется
+// именно тот адрес, к которому идет подключение, и смена DNS-записи после проверки не помогает
+const lookupPublicAddress = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) return callback(err);
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        if (!privateAddressesAllowed() && addresses.some(entry => isPrivateAddress(entry.address))) {
+            return callback(new PrivateAddressError(hostname));
+        }
+        callback(null, address, family);
+    });
+};
+
+// Проверка адреса нового вебхука. Результат - null или код ошибки: invalid_url, unresolved, private_address
+const checkWebhookUrl = async (value) => {
+    if (!isValidWebhookUrl(value)) return 'invalid_url';
+    if (privateAddressesAllowed()) return null;
+
+    const host = new URL(value).hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+    } catch (error) {
+        return 'unresolved';
+    }
+    return addresses.some(entry => isPrivateAddress(entry.address)) ? 'private_address' : null;
+};
+
+// Тело события изменения контакта; contact - getContactDetails или null, если контакт уже удален из базы
+const buildEventPayload = ({ event, action, workspaceId, contactId, contact, oldValues, newValues, actor }) => JSON.stringify({
+    id: crypto.randomUUID(),
+    event,
+    action,
+    occurred_at: new Date().toISOString(),
+    workspace_id: workspaceId,
+    contact: contact
+        ? {
+            ...serializeContact(contact),
+            tags: contact.tags.map(tag => tag.name),
+            fields: Object.fromEntries(contact.fields.map(field => [field.key, field.value])),
+            deleted_at: contact.deleted_at
+        }
+        : { id: contactId },
+    changes: { old: oldValues, new: newValues },
+    actor: { type: actor.type, id: actor.id, name: actor.name, source: actor.source }
+});
+
+const buildPingPayload = (webhook) => JSON.stringify({
+    id: crypto.randomUUID(),
+    event: PING_EVENT,
+    occurred_at: new Date().toISOString(),
+    workspace_id: webhook.workspace_id,
+    webhook_id: webhook.id
+});
+
+// POST с телом JSON; результат { status, body }, сетевая ошибка или таймаут - исключение
+const postJson = (url, body, headers) => new Promise((resolve, reject) => {
+    const target = new URL(url);
+    // Для адреса-IP lookup не вызывается, поэтому он проверяется здесь
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    if (!privateAddressesAllowed() && isPrivateAddress(host)) {
+        return reject(new PrivateAddressError(host));
+    }
+
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...headers },
+        timeout: DELIVERY_TIMEOUT,
+        lookup: lookupPublicAddress
+    }, (response) => {
+        let data = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => {
+            if (data.length < RESPONSE_LOG_LIMIT) data += chunk;
+        });
+        response.on('end', () => resolve({ status: response.statusCode, body: data.substring(0, RESPONSE_LOG_LIMIT) }));
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`No response in ${DELIVERY_TIMEOUT / 1000} s`)));
+    request.on('error', reject);
+    request.end(body);
+});
+
+// Одна попытка доставки и запись результата; delivery - строка очереди с url и secret вебхука.
+// Возвращает доставку после попытки
+const sendDelivery = async (database, delivery) => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempts = delivery.attempts + 1;
+    let responseStatus = null;
+    let response = null;
+
+    try {
+        const result = await postJson(delivery.url, delivery.payload, {
+            'User-Agent': 'PhoneParserBot-Webhooks',
+            'X-Webhook-Id': String(delivery.webhook_id),
+            'X-Webhook-Delivery': String(delivery.id),
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': `sha256=${signPayload(delivery.secret, timestamp, delivery.payload)}`
+        });
+        responseStatus = result.status;
+        response = result.body;
+    } catch (error) {
+        response = error.message.substring(0, RESPONSE_LOG_LIMIT);
+    }
+
+    const delivered = responseStatus >= 200 && responseStatus < 300;
+    const status = delivered ? 'delivered' : attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+    await database.finishWebhookDelivery(delivery.id, {
+        status,
+        attempts,
+        responseStatus,
+        response,
+        retryIn: status === 'pending' ? retryDelay(attempts) : 0
+    });
+
+    if (delivered) {
+        console.log(`Webhook delivery ${delivery.id} (${delivery.event}) sent to webhook ${delivery.webhook_id}`);
+    } else {
+        console.warn(`Webhook delivery ${delivery.id} to webhook ${delivery.webhook_id} failed ` +
+            `(attempt ${attempts}/${MAX_ATTEMPTS}, status ${responseStatus || 'none'}): ${response}`);
+    }
+    return database.getWebhookDelivery(delivery.id);
+};
+
+// Фоновая отправка очереди: раз в POLL_INTERVAL берутся доставки, время которых подошло.
+// Очередь хранится в базе, поэтому после перезапуска отправка продолжается
+const createWebhookWorker = (database) => {
+    let timer = null;
+    let processing = false;
+
+    const processQueue = async () => {
+        if (processing) return;
+        processing = true;
+
+        try {
+            const deliveries = await database.getDueWebhookDeliveries(POLL_BATCH);
+            for (const delivery of deliveries) {
+                if (await database.claimWebhookDelivery(delivery.id, DELIVERY_LEASE)) {
+                    await sendDelivery(database, delivery);
+                }
+            }
+        } catch (error) {
+            console.error('Error processing webhook queue:', error);
+        } finally {
+            processing = false;
+        }
+    };
+
+    return {
+        start: () => {
+            if (timer) return;
+            timer = setInterval(processQueue, POLL_INTERVAL);
+            timer.unref();
+            console.log('📮 Webhook delivery queue started');
+        },
+        stop: () => {
+            clearInterval(timer);
+            timer = null;
+        },
+        processQueue,
+        // Проверка адреса: ping отправляется сразу, мимо очереди, но попадает в журнал доставок
+        ping: async (webhook) => {
+            const id = await database.createWebhookDelivery(webhook.id, PING_EVENT, buildPingPayload(webhook), DELIVERY_LEASE);
+            return sendDelivery(database, await database.getWebhookDelivery(id));
+        }
+    };
+};
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    PING_EVENT,
+    HISTORY_EVENTS,
+    MAX_ATTEMPTS,
+    generateSecret,
+    signPayload,
+    isValidWebhookUrl,
+    checkWebhookUrl,
+    buildEventPayload,
+    createWebhookWorker
+};